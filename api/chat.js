@@ -3,91 +3,169 @@
 
 // For Vercel, Netlify Functions, or Cloudflare Workers, adapt accordingly
 
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
+const SensoryAnalyzer = require('../lib/sensory');
+const MolecularFormula = require('../lib/formula');
+const Bibliography = require('../lib/bibliography');
+const RAGRetriever = require('../lib/rag-retriever');
+const ChatTools = require('../lib/chat-tools');
+const { createChatProvider } = require('../lib/chat-providers');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// Rounds of tool calls before the model has to answer
+const MAX_TOOL_ROUNDS = 4;
 
-// Load site content for RAG (in production, use a vector database)
-let siteContent = null;
+// Link to the chunk's section: compounds/eugenol.html#safety-and-considerations
+function sectionHref(chunk) {
+    return chunk.sectionAnchor ? `${chunk.pageUrl}#${chunk.sectionAnchor}` : chunk.pageUrl;
+}
+
+// Chunks as numbered sources, each under its page section and link; the
+// answer cites them as [1], [2], ...
+function formatContext(chunks) {
+    return chunks
+        .map((chunk, i) => `[${i + 1}] ${chunk.sectionPath || chunk.pageTitle} (${sectionHref(chunk)})\n${chunk.text}`)
+        .join('\n\n');
+}
+
+// One or more adjacent source markers: [1], [2, 3], [1][4]
+const CITATION_MARKER = /\[\d+(?:\s*,\s*\d+)*\](?:\s*\[\d+(?:\s*,\s*\d+)*\])*/g;
+
+// Ends of sentences and lines; "et al." and "e.g." don't end a sentence
+const SENTENCE_END = /(?<!\bet al|\be\.g|\bi\.e|\bvs)[.!?]+["')]?\s+|\n+/g;
+
+// Maps the answer's source markers to the text they support:
+//   [{ start, end, text, marker: { start, end }, sources: [1, 3], chunkIds }]
+// start/end are offsets into the answer of the claim before the marker,
+// back to the end of the previous sentence. Numbers without a source are
+// dropped.
+function mapCitations(answer, sources) {
+    const boundaries = [0, ...[...answer.matchAll(SENTENCE_END)].map(match => match.index + match[0].length)];
+    const citations = [];
+
+    for (const match of answer.matchAll(CITATION_MARKER)) {
+        const numbers = [...new Set(match[0].match(/\d+/g).map(Number))]
+            .filter(number => number >= 1 && number <= sources.length);
+        if (numbers.length === 0) continue;
+
+        let end = match.index;
+        while (end > 0 && /\s/.test(answer[end - 1])) end--;
+        let start = boundaries.filter(boundary => boundary < end).pop() || 0;
+        while (start < end && /[\s\-*]/.test(answer[start])) start++;
+
+        citations.push({
+            start,
+            end,
+            text: answer.slice(start, end),
+            marker: { start: match.index, end: match.index + match[0].length },
+            sources: numbers,
+            chunkIds: numbers.map(number => sources[number - 1].id),
+        });
+    }
+    return citations;
+}
+
+// Questions about aroma or flavor get the sensory profiles (key odorants by
+// odor activity value, flavor wheel) of the site's certificates of analysis
+const SENSORY_QUESTION = /\b(aroma|odou?rs?|odorants?|smells?|tastes?|sensory|flavou?r (profile|wheel|notes?)|OAVs?)\b/i;
+let sensoryContext = null;
+
+// Loaded on the first sensory question
+function getSensoryContext() {
+    if (sensoryContext === null) {
+        sensoryContext = loadSensoryContext();
+    }
+    return sensoryContext;
+}
 
-function loadSiteContent() {
+function loadSensoryContext() {
     try {
-        // Load HTML content and extract text
-        const indexPath = path.join(__dirname, '../index.html');
-        const html = fs.readFileSync(indexPath, 'utf-8');
-        
-        // Simple text extraction (in production, use proper HTML parsing)
-        const textContent = html
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-            .replace(/<[^>]+>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        
-        // Split into chunks for RAG
-        const chunks = textContent.match(/.{1,1000}/g) || [];
-        
-        return {
-            fullText: textContent,
-            chunks: chunks,
-        };
+        const coaDir = path.join(__dirname, '../data/coa');
+        const analyzer = new SensoryAnalyzer();
+        return fs.readdirSync(coaDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => analyzer.toText(analyzer.profile(JSON.parse(fs.readFileSync(path.join(coaDir, file), 'utf-8')))))
+            .join('\n\n');
     } catch (error) {
-        console.error('Error loading site content:', error);
-        return null;
+        console.error('Error loading sensory profiles:', error);
+        return '';
     }
 }
 
-// Simple RAG: find relevant chunks based on keyword matching
-function findRelevantContext(query, content, topK = 3) {
-    if (!content) return '';
-    
-    const queryLower = query.toLowerCase();
-    const queryWords = queryLower.split(/\s+/);
-    
-    // Score chunks by keyword matches
-    const scoredChunks = content.chunks.map((chunk, index) => {
-        const chunkLower = chunk.toLowerCase();
-        let score = 0;
-        
-        queryWords.forEach(word => {
-            const matches = (chunkLower.match(new RegExp(word, 'g')) || []).length;
-            score += matches;
-        });
-        
-        return { chunk, score, index };
-    });
-    
-    // Sort by score and return top K
-    scoredChunks.sort((a, b) => b.score - a.score);
-    const topChunks = scoredChunks.slice(0, topK).map(item => item.chunk);
-    
-    return topChunks.join('\n\n');
+// Questions about formulas or masses get each compound's molecular weight,
+// monoisotopic mass and isotope pattern, computed from its formula
+const MASS_QUESTION = /\b(formulas?|molecular (weight|mass|ion)|monoisotopic|exact mass|isotop(e|es|ic)|m\/z|mass spec\w*|MW)\b/i;
+let massContext = null;
+
+// Loaded on the first mass question
+function getMassContext() {
+    if (massContext === null) {
+        massContext = loadMassContext();
+    }
+    return massContext;
 }
 
-// Main chat handler
-async function handleChat(req, res) {
+// One line per compound from data/compounds.json (npm run build:compounds)
+function loadMassContext() {
     try {
-        const { message, conversation_history = [] } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+        const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/compounds.json'), 'utf-8'));
+        return dataset.compounds
+            .filter(compound => compound.formula)
+            .map(compound => {
+                const masses = compound.masses || MolecularFormula.parse(compound.formula).masses();
+                const isotopes = masses.isotopePattern
+                    .filter(peak => peak.label === 'M+1' || peak.label === 'M+2')
+                    .map(peak => `${peak.label} ${peak.abundance}%`);
+                return `${compound.name}: ${masses.formula}, molecular weight ${masses.molecularWeight.toFixed(2)} g/mol, monoisotopic mass ${masses.monoisotopicMass.toFixed(4)} (M⁺ m/z ${masses.nominalMass}; ${isotopes.join(', ')})`;
+            })
+            .join('\n');
+    } catch (error) {
+        console.error('Error loading compound masses:', error);
+        return '';
+    }
+}
+
+// Author-year citations in the retrieved context resolve to full references,
+// so answers cite the papers the site actually lists
+let bibliography = null;
+
+// Loaded on first use from data/bibliography.json (npm run build:bibliography)
+function getBibliography() {
+    if (bibliography === null) {
+        try {
+            const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/bibliography.json'), 'utf-8'));
+            bibliography = Bibliography.fromJSON(dataset.references);
+        } catch (error) {
+            console.error('Error loading bibliography:', error);
+            bibliography = new Bibliography();
         }
-        
-        // Load site content if not already loaded
-        if (!siteContent) {
-            siteContent = loadSiteContent();
+    }
+    return bibliography;
+}
+
+// One formatted reference per paper cited in the chunks, in order of
+// citation; each chunk's citations resolve against its own page's list first
+function findCitedReferences(chunks) {
+    const references = getBibliography();
+    const ids = new Set();
+    for (const chunk of chunks) {
+        for (const group of references.findCitations(chunk.text, chunk.pageUrl)) {
+            group.citations.forEach(citation => citation.id && ids.add(citation.id));
         }
-        
-        // Find relevant context from site content
-        const relevantContext = findRelevantContext(message, siteContent);
-        
-        // Build system prompt
-        const systemPrompt = `You are the Terpedia Assistant, a helpful AI assistant for the Terpedia scientific repository on functional flavors.
+    }
+    return [...ids].map(id => Bibliography.format(references.find(id))).join('\n');
+}
+
+// System prompt and conversation for a question and its retrieved chunks;
+// options.tools adds the guideline for answers that need numbers
+function buildMessages(message, conversationHistory, chunks, options = {}) {
+    const relevantContext = formatContext(chunks);
+    const sensory = SENSORY_QUESTION.test(message) ? getSensoryContext() : '';
+    const masses = MASS_QUESTION.test(message) ? getMassContext() : '';
+    const cited = findCitedReferences(chunks);
+
+    const systemPrompt = `You are the Terpedia Assistant, a helpful AI assistant for the Terpedia scientific repository on functional flavors.
 
 Your role is to:
 1. Answer questions about functional flavors, their mechanisms, health effects, and FDA regulations
@@ -95,51 +173,252 @@ Your role is to:
 3. Help users navigate and understand the scientific content on the site
 4. Be accurate, cite sources when possible, and acknowledge limitations
 
-${relevantContext ? `\nRelevant context from the site:\n${relevantContext}\n` : ''}
+${relevantContext ? `\nRelevant context from the site:\n${relevantContext}\n` : ''}${sensory ? `\nSensory profiles from the site's Certificates of Analysis:\n${sensory}\n` : ''}${masses ? `\nMolecular formulas and masses of the site's compounds:\n${masses}\n` : ''}${cited ? `\nReferences cited in the context above:\n${cited}\n` : ''}
 
 Important guidelines:
 - Be scientific and accurate
 - If you're unsure, say so
 - Direct users to specific sections when relevant
 - For Terpedia questions, explain that Terpedia is a scientific repository for functional flavors research
-- Always acknowledge when information is preliminary or limited`;
-
-        // Build messages array
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            ...conversation_history.map(msg => ({
-                role: msg.role,
-                content: msg.content,
-            })),
-            { role: 'user', content: message },
-        ];
-        
-        // Call OpenAI API
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini', // or 'gpt-4' for better quality
-            messages: messages,
-            temperature: 0.7,
-            max_tokens: 1000,
+- Always acknowledge when information is preliminary or limited
+- Odor activity values use thresholds in water, so they rank aroma contributors rather than predict intensity
+- Quote the monoisotopic mass for mass spectra (M⁺) and the molecular weight for amounts and concentrations
+- Cite studies as author and year only from the references listed above; never invent a citation
+- After each claim taken from the site context, cite its numbered source in square brackets, e.g. [1] or [2][3]; use only the numbers listed above${options.tools ? `
+- For concentrations, intakes and TDI/ADI comparisons, get the numbers from the tools (CoA results, compound records, exposure calculation) instead of working them out yourself, and state the serving size and body weight used` : ''}`;
+
+    return [
+        { role: 'system', content: systemPrompt },
+        ...conversationHistory.map(msg => ({
+            role: msg.role,
+            content: msg.content,
+        })),
+        { role: 'user', content: message },
+    ];
+}
+
+// The numbered sources [n] in the answer refer to; id is the chunk id
+// (stable across index builds) and href links to its section
+function formatSources(chunks) {
+    return chunks.map((chunk, i) => ({
+        number: i + 1,
+        id: chunk.key || chunk.id,
+        title: chunk.pageTitle,
+        url: chunk.pageUrl,
+        section: chunk.sectionPath,
+        anchor: chunk.sectionAnchor || null,
+        href: sectionHref(chunk),
+    }));
+}
+
+// The model's JSON arguments, or the text itself when it isn't JSON
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return text;
+    }
+}
+
+// Asks the provider until it answers instead of calling tools. Each call is
+// run with tools (lib/chat-tools.js) and its result, or error, goes back to
+// the model as a tool message; after MAX_TOOL_ROUNDS no tools are offered,
+// so the model has to answer. With onToken the provider streams, and
+// onToolCall/onToolResult report each call as it runs. Resolves with
+// { content, model, toolCalls: [{ id, name, arguments, result | error }] },
+// or null once signal is aborted.
+async function converse(provider, messages, context, options = {}) {
+    const { tools, signal, onToken, onToolCall, onToolResult } = options;
+    const conversation = [...messages];
+    const toolCalls = [];
+    let content = '';
+    let model = null;
+
+    for (let round = 0; ; round++) {
+        const turn = { ...context, tools: tools && round < MAX_TOOL_ROUNDS ? tools.definitions() : [] };
+        let text = '';
+        let calls = [];
+        if (onToken) {
+            for await (const delta of provider.stream(conversation, turn, { signal })) {
+                if (signal && signal.aborted) break;
+                model = delta.model || model;
+                if (delta.toolCalls) calls = delta.toolCalls;
+                if (delta.content) {
+                    text += delta.content;
+                    onToken(delta.content);
+                }
+            }
+            if (signal && signal.aborted) return null;
+        } else {
+            const reply = await provider.complete(conversation, turn);
+            model = reply.model || model;
+            text = reply.content;
+            calls = reply.toolCalls || [];
+        }
+        content += text;
+        if (calls.length === 0) {
+            return { content, model, toolCalls };
+        }
+
+        conversation.push({
+            role: 'assistant',
+            content: text || null,
+            tool_calls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } })),
         });
-        
-        const response = completion.choices[0].message.content;
-        
-        return res.json({
-            response: response,
-            model: completion.model,
+        for (const call of calls) {
+            const record = { id: call.id, name: call.name, arguments: parseArguments(call.arguments) };
+            if (onToolCall) onToolCall(record);
+            try {
+                if (!tools) throw new Error('No tools are available');
+                record.result = await tools.run(call.name, call.arguments);
+            } catch (error) {
+                record.error = error.message;
+            }
+            toolCalls.push(record);
+            if (onToolResult) onToolResult(record);
+            conversation.push({
+                role: 'tool',
+                tool_call_id: call.id,
+                content: JSON.stringify(record.error ? { error: record.error } : record.result),
+            });
+        }
+    }
+}
+
+// Streaming is asked for with "stream": true in the body or an
+// Accept: text/event-stream header
+function wantsStream(req) {
+    return (req.body && req.body.stream === true) || /^text\/event-stream/.test((req.headers && req.headers.accept) || '');
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Relays the answer as Server-Sent Events:
+//   sources      { sources }                   the numbered sources, before any token
+//   tool_call    { id, name, arguments }       the model called a tool
+//   tool_result  { id, name, result | error }  what the tool returned
+//   token        { text }                      the next piece of the answer
+//   done         { model, citations }          the answer is complete (see mapCitations)
+//   error        { error, message }            generation failed; nothing follows
+// A client closing the connection (the widget's stop button) aborts the
+// provider's stream.
+async function streamChat(res, provider, messages, chunks, tools) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Keeps nginx from buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const sources = formatSources(chunks);
+    sendEvent(res, 'sources', { sources });
+    try {
+        const answer = await converse(provider, messages, { chunks }, {
+            tools,
+            signal: controller.signal,
+            onToken: text => sendEvent(res, 'token', { text }),
+            onToolCall: ({ id, name, arguments: args }) => sendEvent(res, 'tool_call', { id, name, arguments: args }),
+            onToolResult: ({ id, name, result, error }) => sendEvent(res, 'tool_result', error ? { id, name, error } : { id, name, result }),
         });
-        
+        if (answer) {
+            sendEvent(res, 'done', {
+                model: answer.model || provider.describe().model,
+                citations: mapCitations(answer.content, sources),
+            });
+        }
     } catch (error) {
-        console.error('Chat API error:', error);
-        return res.status(500).json({
-            error: 'An error occurred while processing your request',
-            message: error.message,
-        });
+        if (!controller.signal.aborted) {
+            console.error('Chat API error:', error);
+            sendEvent(res, 'error', {
+                error: 'An error occurred while processing your request',
+                message: error.message,
+            });
+        }
     }
+    res.end();
 }
 
+// Chat handler for a provider and retriever. By default the provider comes
+// from the CHAT_* environment variables (see lib/chat-providers.js), created
+// on the first question, and retrieval reads the built RAG index: rag.sqlite,
+// or rag-index.json when only the JSON index is built. Rebuilding the index
+// takes effect on the next question (see lib/rag-retriever.js). The model
+// can call the local tools of lib/chat-tools.js unless options.tools is null
+// or CHAT_TOOLS=off. Responds with JSON, or streams Server-Sent Events when
+// asked to (see streamChat).
+function createChatHandler(options = {}) {
+    const retriever = options.retriever || new RAGRetriever();
+    let provider = options.provider || null;
+    const tools = options.tools !== undefined ? options.tools
+        : process.env.CHAT_TOOLS === 'off' ? null
+        : new ChatTools({ retriever });
+
+    function getProvider() {
+        if (!provider) {
+            provider = createChatProvider();
+            const { provider: name, model } = provider.describe();
+            console.log(`✓ Chat provider: ${name} (${model})`);
+        }
+        return provider;
+    }
+
+    return async function handleChat(req, res) {
+        try {
+            const { message, conversation_history = [] } = req.body || {};
+
+            if (!message) {
+                return res.status(400).json({ error: 'Message is required' });
+            }
+
+            // Find relevant context in the RAG index
+            let chunks = [];
+            try {
+                chunks = await retriever.search(message, 5);
+            } catch (error) {
+                console.error('Error searching the RAG index:', error);
+            }
+
+            const messages = buildMessages(message, conversation_history, chunks, { tools: Boolean(tools) });
+            if (wantsStream(req)) {
+                return await streamChat(res, getProvider(), messages, chunks, tools);
+            }
+            const answer = await converse(getProvider(), messages, { chunks }, { tools });
+            const sources = formatSources(chunks);
+
+            return res.json({
+                response: answer.content,
+                model: answer.model || getProvider().describe().model,
+                sources,
+                citations: mapCitations(answer.content, sources),
+                toolCalls: answer.toolCalls,
+            });
+
+        } catch (error) {
+            console.error('Chat API error:', error);
+            return res.status(500).json({
+                error: 'An error occurred while processing your request',
+                message: error.message,
+            });
+        }
+    };
+}
+
+// Main chat handler
+const handleChat = createChatHandler();
+
 // Export for different platforms
 module.exports = handleChat;
+module.exports.createChatHandler = createChatHandler;
+module.exports.buildMessages = buildMessages;
+module.exports.mapCitations = mapCitations;
 
 // For Vercel
 // export default async function handler(req, res) {
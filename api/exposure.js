@@ -0,0 +1,62 @@
+// Dietary exposure API endpoint
+// POST /api/exposure (or GET with query parameters)
+//
+//   { "certificate": "TP-2024-001", "population": "child", "servingSize": 100, "servingsPerDay": 1 }
+//
+// certificate names a file in data/coa/ (or pass the certificate itself as
+// "coa"). bodyWeight (kg) overrides the population preset; dosage is the
+// fraction of flavor in the food. Responds with mg/kg bw/day per compound
+// compared with its TDI/ADI (see lib/exposure.js).
+
+const fs = require('fs');
+const path = require('path');
+const ExposureCalculator = require('../lib/exposure');
+const PeakTableImporter = require('../lib/peak-table');
+
+const rootDir = path.join(__dirname, '..');
+const CERTIFICATE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Guidance values are loaded once
+let calculator = null;
+
+function getCalculator() {
+    if (!calculator) {
+        const regulatory = JSON.parse(fs.readFileSync(path.join(rootDir, 'data', 'regulatory.json'), 'utf-8'));
+        calculator = new ExposureCalculator({ guidance: regulatory.compounds, aliasPages: PeakTableImporter.aliasPages(rootDir) });
+    }
+    return calculator;
+}
+
+function loadCertificate(certificateNumber) {
+    if (!CERTIFICATE_PATTERN.test(certificateNumber)) return null;
+    const filePath = path.join(rootDir, 'data', 'coa', `${certificateNumber}.json`);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null;
+}
+
+async function handleExposure(req, res) {
+    const params = { ...(req.query || {}), ...(req.body || {}) };
+
+    const coa = params.coa || (params.certificate ? loadCertificate(String(params.certificate)) : null);
+    if (!coa) {
+        return params.certificate
+            ? res.status(404).json({ error: `Certificate not found: ${params.certificate}` })
+            : res.status(400).json({ error: 'certificate or coa is required' });
+    }
+    if (!Array.isArray(coa.compounds)) {
+        return res.status(400).json({ error: 'coa.compounds must be an array' });
+    }
+
+    try {
+        return res.json(getCalculator().calculate(coa, {
+            population: params.population,
+            bodyWeight: params.bodyWeight,
+            servingSize: params.servingSize,
+            servingsPerDay: params.servingsPerDay,
+            dosage: params.dosage
+        }));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+}
+
+module.exports = handleExposure;
@@ -4,7 +4,19 @@
 
 const express = require('express');
 const cors = require('cors');
-const handleChat = require('./chat');
+const { createChatHandler } = require('./chat');
+const handleExposure = require('./exposure');
+const { createChatProvider } = require('../lib/chat-providers');
+
+// Fail now rather than on the first question when the provider is
+// misconfigured, e.g. the default openai provider without an API key
+let provider;
+try {
+    provider = createChatProvider();
+} catch (error) {
+    console.error(`✗ ${error.message} (see CHAT_SETUP.md)`);
+    process.exit(1);
+}
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,11 +34,16 @@ app.get('/health', (req, res) => {
 });
 
 // Chat endpoint
-app.post('/api/chat', handleChat);
+app.post('/api/chat', createChatHandler({ provider }));
+
+// Dietary exposure endpoint
+app.get('/api/exposure', handleExposure);
+app.post('/api/exposure', handleExposure);
 
 // Start server
 app.listen(PORT, () => {
     console.log(`Chat API server running on http://localhost:${PORT}`);
-    console.log(`Make sure OPENAI_API_KEY is set in your environment`);
+    const { provider: name, model } = provider.describe();
+    console.log(`✓ Chat provider: ${name} (${model}), see CHAT_SETUP.md`);
     console.log(`Update chat widget endpoint to: http://localhost:${PORT}/api/chat`);
 });
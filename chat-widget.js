@@ -1,6 +1,15 @@
 // Terpedia Chat Widget - SQLite-Vec RAG Implementation
 // Uses SQLite-WASM + sqlite-vec for client-side vector search
 
+// Site root, for source links: page URLs in the index are relative to it
+const CHAT_WIDGET_BASE = new URL('.', document.currentScript ? document.currentScript.src : window.location.href).href;
+
+// Question words asking for a measured amount (see findCoAResults)
+const QUANTITY_TERMS = new Set([
+    'concentration', 'concentrations', 'amount', 'amounts', 'much', 'level', 'levels',
+    'content', 'quantity', 'ppm'
+]);
+
 class TerpediaChatWidget {
     constructor() {
         this.isOpen = false;
@@ -14,11 +23,31 @@ class TerpediaChatWidget {
             'https://kb.terpedia.com/v1/chat/completions',
             'http://kb.terpedia.com:8000/chat'
         ];
+        // Query embeddings for vector search (see README_SQLITE_VEC.md): an
+        // in-browser embedder (built in for hash indexes) or an OpenAI-compatible
+        // embeddings endpoint. Without either, vector search is off and
+        // retrieval is keyword-only.
+        this.queryEmbedder = null;
+        this.embeddingEndpoint = null;
+        this.chunkEmbeddings = null;
+        this.metadata = {};
+        // Answers stream in over Server-Sent Events when the endpoint supports
+        // them (api/chat.js); abortController stops the one being generated
+        this.abortController = null;
+        // Numbered sources of the latest answer; its [n] markers link to them
+        this.lastSources = [];
+        this.lastCitations = [];
+        // Tools the API ran for the latest answer, shown as how it was derived
+        this.lastToolCalls = [];
         this.init();
     }
 
     async init() {
         this.createWidget();
+        // Opened from a citation on another page: highlight the cited section
+        if (window.location.hash) {
+            this.highlightSection(decodeURIComponent(window.location.hash.slice(1)), false);
+        }
         await this.loadDatabase();
         this.loadChatHistory();
     }
@@ -29,7 +58,7 @@ class TerpediaChatWidget {
             await this.loadSQLiteWASM();
             
             // Load database file
-            const response = await fetch('rag.sqlite');
+            const response = await fetch(new URL('rag.sqlite', CHAT_WIDGET_BASE).href);
             if (!response.ok) {
                 throw new Error(`Failed to load database: ${response.status}`);
             }
@@ -51,11 +80,23 @@ class TerpediaChatWidget {
                 console.log('⚠ FTS5 not available in local database');
             }
             
-            // Future: Load sqlite-vec extension for vector search
+            // Build metadata (embedding model, dimensions) for query embeddings
+            this.metadata = this.loadMetadata();
+            if (this.metadata.embedding_provider === 'hash' && !this.queryEmbedder) {
+                await this.useBuiltInEmbedder();
+            }
+
+            // Vector search runs in JS over the stored Float32 embeddings,
+            // so the sqlite-vec extension is optional
             // await this.loadSQLiteVecExtension();
-            
+
             this.initialized = true;
-            this.updateStatus('✓ Local RAG + Terpedia Chat ready', 'success');
+            if (this.hasQueryEmbeddings()) {
+                this.updateStatus('✓ Local RAG + Terpedia Chat ready', 'success');
+            } else {
+                console.warn(`⚠ Vector search off: no query embeddings for the ${this.metadata.embedding_provider || 'unknown'} index (see setEmbeddingEndpoint); using keyword search only`);
+                this.updateStatus('✓ Local RAG (keyword search only) + Terpedia Chat ready', 'success');
+            }
         } catch (error) {
             console.warn('Could not load local database (using Terpedia API only):', error);
             this.initialized = false;
@@ -127,26 +168,185 @@ class TerpediaChatWidget {
         }
     }
 
+    loadMetadata() {
+        try {
+            const rows = this.db.exec({
+                sql: 'SELECT key, value FROM metadata',
+                returnValue: 'resultRows',
+                rowMode: 'object'
+            });
+            const metadata = {};
+            for (const row of rows || []) {
+                metadata[row.key] = row.value;
+            }
+            return metadata;
+        } catch (e) {
+            console.warn('⚠ Could not read database metadata:', e);
+            return {};
+        }
+    }
+
+    // section_path (e.g. "Eugenol > Chemical Properties") exists from schema 3 on
+    sectionPathColumn(prefix = '') {
+        return parseInt(this.metadata.schema_version, 10) >= 3
+            ? `${prefix}section_path`
+            : `${prefix}section_heading AS section_path`;
+    }
+
+    // section_anchor (the section's id on its page) exists from schema 6 on
+    sectionAnchorColumn(prefix = '') {
+        return parseInt(this.metadata.schema_version, 10) >= 6
+            ? `${prefix}section_anchor`
+            : 'NULL AS section_anchor';
+    }
+
+    async useBuiltInEmbedder() {
+        // Indexes built with the offline hash embedder can embed queries
+        // in the browser with the exact same code
+        try {
+            if (!window.TerpediaHashEmbedder) {
+                await new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    // Next to this script, so pages outside the site root work too
+                    script.src = new URL('lib/hash-embedder.js', CHAT_WIDGET_BASE).href;
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error('Failed to load lib/hash-embedder.js'));
+                    document.head.appendChild(script);
+                });
+            }
+            const dimensions = parseInt(this.metadata.embedding_dimensions, 10) || undefined;
+            this.queryEmbedder = (query) => window.TerpediaHashEmbedder.embed(query, dimensions);
+        } catch (error) {
+            console.warn('⚠ Built-in query embedder not available:', error);
+        }
+    }
+
+    // Sends questions to a single chat endpoint, e.g. api/chat.js
+    setApiEndpoint(endpoint) {
+        this.apiEndpoints = [endpoint];
+    }
+
+    setEmbeddingEndpoint(endpoint) {
+        this.embeddingEndpoint = endpoint;
+    }
+
+    setQueryEmbedder(embedder) {
+        this.queryEmbedder = embedder;
+    }
+
+    // Vector search needs the query embedded like the index was
+    hasQueryEmbeddings() {
+        return typeof this.queryEmbedder === 'function' || Boolean(this.embeddingEndpoint);
+    }
+
     async findRelevantChunks(query, topK = 5) {
         if (!this.initialized || !this.db) {
             return [];
         }
-        
+
+        // Over-fetch from each retriever so the fused ranking has room to reorder
+        const candidates = topK * 4;
+
         try {
-            // Try FTS5 first (full-text search - faster and better)
+            // Keyword ranking: FTS5 (BM25) first, LIKE search as fallback
+            let keywordResults;
             try {
-                return await this.findWithFTS5(query, topK);
+                keywordResults = await this.findWithFTS5(query, candidates);
             } catch (ftsError) {
                 console.warn('FTS5 search failed, using keyword search:', ftsError);
-                // Fallback to keyword search
-                return await this.findWithKeywords(query, topK);
+                keywordResults = await this.findWithKeywords(query, candidates);
             }
+
+            // Semantic ranking: cosine similarity against stored embeddings,
+            // when the query can be embedded
+            let vectorResults = [];
+            if (this.hasQueryEmbeddings()) {
+                try {
+                    vectorResults = await this.findWithVectorSearch(query, candidates);
+                } catch (vectorError) {
+                    console.warn('Vector search failed, using keyword ranking only:', vectorError);
+                }
+            }
+
+            const fused = this.fuseRankings([keywordResults, vectorResults], candidates * 2);
+            return this.leadWithCoA(this.findCoAResults(query), fused, topK);
         } catch (error) {
             console.error('Error searching database:', error);
             return [];
         }
     }
 
+    // Reciprocal rank fusion: score = sum of 1 / (k + rank) over every ranking
+    // a chunk appears in. Rank-based, so BM25 and cosine scores never need to
+    // be put on the same scale.
+    fuseRankings(rankings, topK, k = 60) {
+        const fused = new Map();
+
+        rankings.forEach((results, rankingIndex) => {
+            results.forEach((row, rank) => {
+                const entry = fused.get(row.id) || { ...row, score: 0, matchedBy: [] };
+                entry.score += 1 / (k + rank + 1);
+                entry.matchedBy.push(rankingIndex === 0 ? 'keyword' : 'vector');
+                fused.set(row.id, entry);
+            });
+        });
+
+        return [...fused.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    // A question about how much of a compound there is is answered from the
+    // CoA first: its GC-MS result rows lead, ahead of the ingredient tables
+    // that also mention concentrations (same as lib/rag-retriever.js)
+    leadWithCoA(coaRows, ranked, topK) {
+        if (coaRows.length === 0) {
+            return ranked.slice(0, topK);
+        }
+        const byId = new Map(ranked.map(row => [row.id, row]));
+        const lead = coaRows.map(row => {
+            const entry = byId.get(row.id);
+            return entry ? { ...entry, matchedBy: ['coa', ...entry.matchedBy] } : { ...row, score: 0, matchedBy: ['coa'] };
+        });
+        const ids = new Set(lead.map(row => row.id));
+        return [...lead, ...ranked.filter(row => !ids.has(row.id))].slice(0, topK);
+    }
+
+    // GC-MS result rows (coa_results, schema 4 on) for the compounds a
+    // quantity question names
+    findCoAResults(query) {
+        const queryWords = this.queryTerms(query);
+        if (!queryWords.some(w => QUANTITY_TERMS.has(w)) || parseInt(this.metadata.schema_version, 10) < 4) {
+            return [];
+        }
+
+        const rows = this.db.exec({
+            sql: `
+                SELECT c.id, c.page_title, c.page_url, c.section_heading, ${this.sectionPathColumn('c.')},
+                    ${this.sectionAnchorColumn('c.')}, c.chunk_text, c.word_count, r.compound_name
+                FROM coa_results r
+                JOIN chunks c ON c.id = r.chunk_id
+                WHERE r.concentration_ug_g IS NOT NULL
+                ORDER BY c.page_url, r.row_number
+            `,
+            returnValue: 'resultRows',
+            rowMode: 'object'
+        }) || [];
+
+        // Every word of the compound's name is in the question
+        return rows.filter(row => {
+            const nameWords = this.queryTerms(row.compound_name);
+            return nameWords.length > 0 && nameWords.every(w => queryWords.includes(w));
+        });
+    }
+
+    queryTerms(query) {
+        // Letters and digits only, so FTS5 operators and quotes in the
+        // user's text can never produce a syntax error
+        return (query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(w => w.length > 2);
+    }
+
     async findWithFTS5(query, topK) {
         // Use FTS5 for better full-text search
         const sql = `
@@ -155,6 +355,8 @@ class TerpediaChatWidget {
                 c.page_title,
                 c.page_url,
                 c.section_heading,
+                ${this.sectionPathColumn('c.')},
+                ${this.sectionAnchorColumn('c.')},
                 c.chunk_text,
                 c.word_count,
                 rank
@@ -165,10 +367,13 @@ class TerpediaChatWidget {
             LIMIT ?
         `;
         
-        // FTS5 query format: escape special characters and use OR for multiple words
-        const queryWords = query.split(/\s+/).filter(w => w.length > 2);
-        const ftsQuery = queryWords.join(' OR ');
-        
+        // FTS5 query format: quote each term and use OR for multiple words
+        const queryWords = this.queryTerms(query);
+        if (queryWords.length === 0) {
+            return [];
+        }
+        const ftsQuery = queryWords.map(w => `"${w}"`).join(' OR ');
+
         const results = this.db.exec({
             sql: sql,
             bind: [ftsQuery, topK],
@@ -181,8 +386,7 @@ class TerpediaChatWidget {
 
     async findWithKeywords(query, topK) {
         // Fallback keyword search using LIKE
-        const queryLower = query.toLowerCase();
-        const queryWords = queryLower.split(/\s+/).filter(w => w.length > 2);
+        const queryWords = this.queryTerms(query);
         
         if (queryWords.length === 0) {
             return [];
@@ -198,6 +402,8 @@ class TerpediaChatWidget {
                 page_title,
                 page_url,
                 section_heading,
+                ${this.sectionPathColumn()},
+                ${this.sectionAnchorColumn()},
                 chunk_text,
                 word_count
             FROM chunks
@@ -217,35 +423,137 @@ class TerpediaChatWidget {
     }
 
     async findWithVectorSearch(query, topK) {
-        // Future: Vector search using sqlite-vec
-        // This requires:
-        // 1. sqlite-vec extension loaded
-        // 2. Query embedding generated (would need API or pre-computed)
-        
-        // For now, this is a placeholder
-        // When sqlite-vec is available, we can do:
-        /*
+        // Cosine similarity over the Float32 embeddings in chunks_embedding.
+        // Computed in JS so it works without the sqlite-vec extension; the
+        // equivalent SQL once sqlite-vec is loaded is vec_distance_cosine().
+        const embeddings = this.loadChunkEmbeddings();
+        if (embeddings.length === 0) {
+            return [];
+        }
+
         const queryEmbedding = await this.generateQueryEmbedding(query);
-        const sql = `
-            SELECT 
-                c.id,
-                c.page_title,
-                c.chunk_text,
-                vec_distance_cosine(
-                    c_e.embedding,
-                    ?
-                ) AS distance
-            FROM chunks c
-            JOIN chunks_embedding c_e ON c.id = c_e.embedding_id
-            ORDER BY distance ASC
-            LIMIT ?
-        `;
-        */
-        
-        return [];
+        if (!queryEmbedding) {
+            return [];
+        }
+
+        const dimensions = embeddings[0].vector.length;
+        if (queryEmbedding.length !== dimensions) {
+            console.warn(`⚠ Query embedding has ${queryEmbedding.length} dimensions, index has ${dimensions}`);
+            return [];
+        }
+
+        const queryNorm = this.vectorNorm(queryEmbedding);
+        if (queryNorm === 0) {
+            return [];
+        }
+
+        const scored = embeddings.map(({ id, vector, norm }) => {
+            let dot = 0;
+            for (let i = 0; i < dimensions; i++) {
+                dot += vector[i] * queryEmbedding[i];
+            }
+            return { id, similarity: dot / (norm * queryNorm) };
+        });
+
+        scored.sort((a, b) => b.similarity - a.similarity);
+        const top = scored.slice(0, topK);
+        if (top.length === 0) {
+            return [];
+        }
+
+        const rows = this.db.exec({
+            sql: `
+                SELECT id, page_title, page_url, section_heading, ${this.sectionPathColumn()}, ${this.sectionAnchorColumn()}, chunk_text, word_count
+                FROM chunks
+                WHERE id IN (${top.map(() => '?').join(', ')})
+            `,
+            bind: top.map(t => t.id),
+            returnValue: 'resultRows',
+            rowMode: 'object'
+        }) || [];
+
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        return top
+            .filter(t => rowsById.has(t.id))
+            .map(t => ({ ...rowsById.get(t.id), similarity: t.similarity }));
     }
 
-    async generateResponse(userMessage) {
+    loadChunkEmbeddings() {
+        if (this.chunkEmbeddings) {
+            return this.chunkEmbeddings;
+        }
+
+        const rows = this.db.exec({
+            sql: 'SELECT embedding_id, embedding FROM chunks_embedding',
+            returnValue: 'resultRows',
+            rowMode: 'array'
+        }) || [];
+
+        this.chunkEmbeddings = [];
+        for (const [id, blob] of rows) {
+            if (!blob || blob.byteLength === 0) continue;
+            // BLOBs come back as Uint8Array views; copy out an aligned buffer
+            const bytes = blob.slice();
+            const vector = new Float32Array(bytes.buffer, 0, bytes.byteLength / 4);
+            const norm = this.vectorNorm(vector);
+            // Zero vectors carry no direction (e.g. failed embedding batches)
+            if (norm > 0) {
+                this.chunkEmbeddings.push({ id, vector, norm });
+            }
+        }
+
+        return this.chunkEmbeddings;
+    }
+
+    vectorNorm(vector) {
+        let sum = 0;
+        for (let i = 0; i < vector.length; i++) {
+            sum += vector[i] * vector[i];
+        }
+        return Math.sqrt(sum);
+    }
+
+    // The query's embedding, or null when it can't be embedded (vector
+    // search is then skipped for this question)
+    async generateQueryEmbedding(query) {
+        // 1. In-browser embedder (no network at all)
+        if (typeof this.queryEmbedder === 'function') {
+            try {
+                const embedding = await this.queryEmbedder(query, this.metadata);
+                if (embedding) return embedding;
+            } catch (error) {
+                console.warn('Query embedder failed:', error);
+            }
+        }
+
+        // 2. OpenAI-compatible embeddings endpoint (local server or KB Terpedia),
+        //    asked for the same model the index was built with
+        if (this.embeddingEndpoint) {
+            try {
+                const response = await fetch(this.embeddingEndpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        model: this.metadata.embedding_model,
+                        input: query
+                    })
+                });
+                if (!response.ok) {
+                    throw new Error(`Embedding API error: ${response.status}`);
+                }
+                const data = await response.json();
+                const embedding = data.data?.[0]?.embedding || data.embedding;
+                if (embedding) return embedding;
+            } catch (error) {
+                console.warn(`Failed to embed query with ${this.embeddingEndpoint}:`, error);
+            }
+        }
+
+        return null;
+    }
+
+    // options: { onToken(text), signal } for streaming endpoints
+    async generateResponse(userMessage, options = {}) {
         // Step 1: Retrieve relevant chunks from local RAG database
         let relevantChunks = [];
         let contextText = '';
@@ -255,7 +563,8 @@ class TerpediaChatWidget {
                 relevantChunks = await this.findRelevantChunks(userMessage, 5);
                 if (relevantChunks.length > 0) {
                     contextText = relevantChunks.map(c => {
-                        const source = c.page_title ? `[Source: ${c.page_title}${c.section_heading ? ` - ${c.section_heading}` : ''}]` : '';
+                        const section = c.section_path || c.section_heading;
+                        const source = c.page_title ? `[Source: ${c.page_title}${section ? ` - ${section}` : ''}]` : '';
                         return `${c.chunk_text}\n${source}`;
                     }).join('\n\n---\n\n');
                 }
@@ -266,8 +575,12 @@ class TerpediaChatWidget {
         
         // Step 2: Send query + context to Terpedia Chat LLM
         try {
-            return await this.callTerpediaAPI(userMessage, contextText, relevantChunks);
+            return await this.callTerpediaAPI(userMessage, contextText, relevantChunks, options);
         } catch (error) {
+            // Stopped by the user: no fallback answer
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             console.warn('Terpedia API failed:', error);
             
             // Fallback: If we have chunks but API failed, generate basic response
@@ -280,7 +593,7 @@ class TerpediaChatWidget {
         }
     }
 
-    async callTerpediaAPI(userMessage, contextText = '', relevantChunks = []) {
+    async callTerpediaAPI(userMessage, contextText = '', relevantChunks = [], options = {}) {
         // Try each endpoint until one works
         let lastError = null;
         
@@ -301,7 +614,9 @@ class TerpediaChatWidget {
             context.rag_sources = relevantChunks.map(c => ({
                 page_title: c.page_title,
                 page_url: c.page_url,
-                section: c.section_heading
+                section: c.section_heading,
+                section_path: c.section_path,
+                section_anchor: c.section_anchor
             }));
         }
         
@@ -311,18 +626,29 @@ class TerpediaChatWidget {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
+                        'Accept': 'text/event-stream, application/json',
                     },
                     body: JSON.stringify({
                         message: userMessage,
-                        context: context
+                        context: context,
+                        stream: true
                     }),
+                    signal: options.signal,
                 });
                 
                 if (!response.ok) {
                     throw new Error(`API error: ${response.status} ${response.statusText}`);
                 }
+
+                // Endpoints without streaming answer with JSON as before
+                if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                    return await this.readEventStream(response, options.onToken, options.onToolCall);
+                }
                 
                 const data = await response.json();
+                this.lastSources = Array.isArray(data.sources) ? data.sources : [];
+                this.lastCitations = Array.isArray(data.citations) ? data.citations : [];
+                this.lastToolCalls = Array.isArray(data.toolCalls) ? data.toolCalls : [];
                 
                 // Handle different response formats
                 if (data.response) {
@@ -338,6 +664,11 @@ class TerpediaChatWidget {
                     return JSON.stringify(data);
                 }
             } catch (error) {
+                // Stopped, or failed part-way through a streamed answer: asking
+                // the next endpoint would start the answer again
+                if (error.name === 'AbortError' || error.streamed) {
+                    throw error;
+                }
                 console.warn(`Failed to call ${endpoint}:`, error);
                 lastError = error;
                 // Continue to next endpoint
@@ -349,6 +680,69 @@ class TerpediaChatWidget {
         throw new Error(`All Terpedia API endpoints failed. Last error: ${lastError?.message || 'Unknown error'}`);
     }
 
+    // Reads sources, tool_call, tool_result, token, done and error events (see
+    // api/chat.js), passing each token to onToken and each tool call to
+    // onToolCall; resolves with the whole answer
+    async readEventStream(response, onToken = () => {}, onToolCall = () => {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+
+        const handle = (event, data) => {
+            if (event === 'token') {
+                text += data.text;
+                onToken(data.text);
+            } else if (event === 'sources') {
+                this.lastSources = data.sources || [];
+            } else if (event === 'tool_call') {
+                this.lastToolCalls.push(data);
+                onToolCall(data);
+            } else if (event === 'tool_result') {
+                const call = this.lastToolCalls.find(item => item.id === data.id);
+                if (call) Object.assign(call, data);
+            } else if (event === 'done') {
+                this.lastCitations = data.citations || [];
+            } else if (event === 'error') {
+                throw new Error(data.message || data.error || 'Streaming failed');
+            }
+            return event === 'done';
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+                // Events are separated by a blank line
+                const events = buffer.split(/\r?\n\r?\n/);
+                buffer = done ? '' : events.pop();
+                for (const block of events) {
+                    let event = 'message';
+                    const data = [];
+                    for (const line of block.split(/\r?\n/)) {
+                        if (line.startsWith('event:')) event = line.slice(6).trim();
+                        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+                    }
+                    if (data.length === 0) continue;
+                    if (handle(event, JSON.parse(data.join('\n')))) {
+                        reader.cancel().catch(() => {});
+                        return text;
+                    }
+                }
+                if (done) break;
+            }
+        } catch (error) {
+            // Marks answers already partly shown (see callTerpediaAPI)
+            if (text && error.name !== 'AbortError') error.streamed = true;
+            throw error;
+        }
+
+        // The connection closed without a done event
+        if (text) return text;
+        throw new Error('The chat stream ended without an answer');
+    }
+
     generateContextualResponse(query, chunks, context) {
         if (chunks.length === 0) {
             return `I couldn't find specific information about "${query}" in the site content. Try asking about functional flavors, compounds, FDA regulations, or safety information.`;
@@ -405,6 +799,11 @@ class TerpediaChatWidget {
                             <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
                         </svg>
                     </button>
+                    <button id="chatStopBtn" class="chat-send-btn chat-stop-btn" aria-label="Stop generating" hidden>
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+                            <rect x="5" y="5" width="14" height="14" rx="2"></rect>
+                        </svg>
+                    </button>
                 </div>
                 <div class="chat-widget-footer">
                     <small>Powered by SQLite-Vec • KB Terpedia API</small>
@@ -423,6 +822,15 @@ class TerpediaChatWidget {
         document.getElementById('chatToggleBtn').addEventListener('click', () => this.toggleChat());
         document.getElementById('chatCloseBtn').addEventListener('click', () => this.closeChat());
         document.getElementById('chatSendBtn').addEventListener('click', () => this.sendMessage());
+        document.getElementById('chatStopBtn').addEventListener('click', () => this.stopGenerating());
+        // Citations of this page's sections scroll to them instead of reloading
+        document.getElementById('chatMessages').addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-anchor]');
+            if (link && this.highlightSection(link.dataset.anchor)) {
+                e.preventDefault();
+                history.replaceState(null, '', `#${link.dataset.anchor}`);
+            }
+        });
         document.getElementById('chatInput').addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -479,37 +887,130 @@ class TerpediaChatWidget {
         const input = document.getElementById('chatInput');
         const message = input.value.trim();
         
-        if (!message) return;
+        if (!message || this.abortController) return;
 
         // Add user message to chat
         this.addMessage('user', message);
         input.value = '';
 
-        // Show loading indicator
+        // Show loading indicator until the first token arrives
         const loadingId = this.addMessage('assistant', 'Searching knowledge base...', true);
+        this.lastSources = [];
+        this.lastCitations = [];
+        this.lastToolCalls = [];
+        this.abortController = new AbortController();
+        this.setGenerating(true);
+
+        let streamed = null;
+        const onToken = (token) => {
+            if (!streamed) {
+                this.removeMessage(loadingId);
+                streamed = { id: this.addStreamingMessage(), text: '' };
+            }
+            streamed.text += token;
+            this.updateMessage(streamed.id, streamed.text, this.lastSources, this.lastToolCalls);
+        };
+        const onToolCall = (call) => {
+            const status = document.querySelector(`#${loadingId} .chat-message-content > p`);
+            if (status) status.textContent = `Running ${call.name}...`;
+        };
 
         try {
             // Generate response
-            const response = await this.generateResponse(message);
+            const response = await this.generateResponse(message, { onToken, onToolCall, signal: this.abortController.signal });
             
             // Remove loading message
             this.removeMessage(loadingId);
             
             // Add assistant response
-            this.addMessage('assistant', response);
+            if (streamed) {
+                this.finishMessage(streamed.id, response, false, this.lastSources, this.lastToolCalls);
+            } else {
+                this.addMessage('assistant', response, false, this.lastSources, this.lastToolCalls);
+            }
             
             // Save to history
             this.saveChatHistory();
         } catch (error) {
-            console.error('Chat error:', error);
             this.removeMessage(loadingId);
+            if (error.name === 'AbortError') {
+                // Keep whatever was generated before the stop
+                if (streamed) {
+                    this.finishMessage(streamed.id, streamed.text, true, this.lastSources, this.lastToolCalls);
+                    this.saveChatHistory();
+                }
+                return;
+            }
+            console.error('Chat error:', error);
+            if (streamed) {
+                this.finishMessage(streamed.id, streamed.text, false, this.lastSources, this.lastToolCalls);
+            }
             this.addMessage('assistant', 
                 `I apologize, but I encountered an error: ${error.message}. Please try again or browse the site using the navigation menu.`
             );
+        } finally {
+            this.abortController = null;
+            this.setGenerating(false);
+        }
+    }
+
+    // Aborts the request; the server stops generating when the connection closes
+    stopGenerating() {
+        if (this.abortController) {
+            this.abortController.abort();
         }
     }
 
-    addMessage(role, content, isLoading = false) {
+    // The stop button replaces the send button while an answer is generated
+    setGenerating(generating) {
+        document.getElementById('chatSendBtn').hidden = generating;
+        document.getElementById('chatStopBtn').hidden = !generating;
+    }
+
+    // Assistant bubble filled in by updateMessage as tokens arrive
+    addStreamingMessage() {
+        const messagesContainer = document.getElementById('chatMessages');
+        const messageId = 'msg-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message chat-message-assistant chat-message-streaming';
+        messageDiv.id = messageId;
+        messageDiv.innerHTML = '<div class="chat-message-content"></div>';
+
+        messagesContainer.appendChild(messageDiv);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return messageId;
+    }
+
+    updateMessage(messageId, content, sources = [], toolCalls = []) {
+        const message = document.getElementById(messageId);
+        if (!message) return;
+
+        const messagesContainer = document.getElementById('chatMessages');
+        const atBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+        message.querySelector('.chat-message-content').innerHTML = this.formatMessage(content, sources, toolCalls);
+        // Follow the answer unless the reader has scrolled up
+        if (atBottom) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+    }
+
+    // Ends a streamed answer and adds it to the history
+    finishMessage(messageId, content, stopped = false, sources = [], toolCalls = []) {
+        const message = document.getElementById(messageId);
+        if (!message) return;
+
+        this.updateMessage(messageId, content, sources, toolCalls);
+        message.classList.remove('chat-message-streaming');
+        if (stopped) {
+            message.querySelector('.chat-message-content').insertAdjacentHTML('beforeend', '<p class="chat-stopped">Stopped</p>');
+        }
+        if (content) {
+            this.messages.push({ role: 'assistant', content, sources, toolCalls });
+        }
+    }
+
+    addMessage(role, content, isLoading = false, sources = [], toolCalls = []) {
         const messagesContainer = document.getElementById('chatMessages');
         const messageId = 'msg-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
         
@@ -529,7 +1030,7 @@ class TerpediaChatWidget {
         } else {
             messageDiv.innerHTML = `
                 <div class="chat-message-content">
-                    ${this.formatMessage(content)}
+                    ${this.formatMessage(content, sources, toolCalls)}
                 </div>
             `;
         }
@@ -539,7 +1040,10 @@ class TerpediaChatWidget {
         
         // Save to messages array
         if (!isLoading) {
-            this.messages.push({ role, content });
+            const details = {};
+            if (sources.length > 0) details.sources = sources;
+            if (toolCalls.length > 0) details.toolCalls = toolCalls;
+            this.messages.push({ role, content, ...details });
         }
         
         return messageId;
@@ -552,7 +1056,11 @@ class TerpediaChatWidget {
         }
     }
 
-    formatMessage(content) {
+    formatMessage(content, sources = [], toolCalls = []) {
+        // Source numbers the answer cites, e.g. [1] or [2, 3]
+        const cited = new Set((content.match(/\[\d+(?:\s*,\s*\d+)*\]/g) || [])
+            .flatMap(marker => marker.match(/\d+/g).map(Number)));
+
         // Basic markdown-like formatting
         content = content
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
@@ -565,8 +1073,102 @@ class TerpediaChatWidget {
             /(https?:\/\/[^\s]+)/g,
             '<a href="$1" target="_blank" rel="noopener">$1</a>'
         );
-        
-        return `<p>${content}</p>`;
+
+        const tools = this.formatToolCalls(toolCalls);
+        if (sources.length === 0) {
+            return `${tools}<p>${content}</p>`;
+        }
+
+        // Citation markers link to their sources; unknown numbers stay as text
+        const byNumber = new Map(sources.map((source, i) => [source.number || i + 1, source]));
+        content = content.replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, numbers) => {
+            const links = numbers.split(/\s*,\s*/).map(Number)
+                .filter(number => byNumber.has(number))
+                .map(number => this.sourceLink(byNumber.get(number), String(number), 'chat-citation'));
+            return links.length > 0 ? `<sup class="chat-citation-group">${links.join('')}</sup>` : marker;
+        });
+
+        // The cited sources under the answer, or all of them when it cites none
+        const items = [...byNumber]
+            .filter(([number]) => cited.size === 0 || cited.has(number))
+            .map(([number, source]) => {
+                const label = this.escapeHTML(source.section || source.title || source.url || `Source ${number}`);
+                return `<li value="${number}">${this.sourceLink(source, label, 'chat-source-link')}</li>`;
+            });
+        return `${tools}<p>${content}</p><ol class="chat-sources">${items.join('')}</ol>`;
+    }
+
+    // The tool calls behind an answer (lookups, CoA rows, exposure
+    // arithmetic), collapsed above it
+    formatToolCalls(toolCalls) {
+        if (toolCalls.length === 0) {
+            return '';
+        }
+
+        const items = toolCalls.map(call => {
+            const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {});
+            const outcome = call.error !== undefined
+                ? `<p class="chat-tool-error">${this.escapeHTML(call.error)}</p>`
+                : call.result !== undefined
+                    ? `<pre>${this.escapeHTML(JSON.stringify(call.result, null, 2))}</pre>`
+                    : '';
+            return `<li><code>${this.escapeHTML(call.name)}(${this.escapeHTML(args)})</code>${outcome}</li>`;
+        });
+        const count = toolCalls.length === 1 ? '1 tool call' : `${toolCalls.length} tool calls`;
+        return `<details class="chat-tool-calls"><summary>How this was worked out (${count})</summary><ol>${items.join('')}</ol></details>`;
+    }
+
+    // Link to a source's section. Sections of the open page are scrolled to
+    // and highlighted (see highlightSection); other pages open in a new tab.
+    sourceLink(source, label, className) {
+        if (!source.href && !source.url) {
+            return `<span class="${className}">${label}</span>`;
+        }
+
+        const url = new URL(source.href || source.url, CHAT_WIDGET_BASE);
+        const page = (pathname) => pathname.replace(/\/index\.html$/, '/');
+        const samePage = url.origin === window.location.origin && page(url.pathname) === page(window.location.pathname);
+        const anchor = decodeURIComponent(url.hash.slice(1));
+        const title = this.escapeHTML([source.title, source.section].filter(Boolean).join(' — '));
+
+        const target = samePage && anchor
+            ? `data-anchor="${this.escapeHTML(anchor)}"`
+            : 'target="_blank" rel="noopener"';
+        return `<a class="${className}" href="${this.escapeHTML(url.href)}" title="${title}" ${target}>${label}</a>`;
+    }
+
+    // Highlights the section with this id: a <section> as a whole, or a
+    // heading and everything up to the next heading of the same level
+    highlightSection(anchor, scroll = true) {
+        const target = document.getElementById(anchor);
+        if (!target || target.closest('#terpedia-chat-widget')) {
+            return false;
+        }
+
+        const elements = [target];
+        const level = target.tagName.match(/^H([1-6])$/);
+        if (level) {
+            for (let el = target.nextElementSibling; el; el = el.nextElementSibling) {
+                const next = el.tagName.match(/^H([1-6])$/);
+                if (next && parseInt(next[1], 10) <= parseInt(level[1], 10)) break;
+                elements.push(el);
+            }
+        }
+
+        document.querySelectorAll('.chat-section-highlight').forEach(el => el.classList.remove('chat-section-highlight'));
+        elements.forEach(el => el.classList.add('chat-section-highlight'));
+        if (scroll) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        return true;
+    }
+
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     saveChatHistory() {
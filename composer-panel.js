@@ -0,0 +1,219 @@
+// Terpedia Recipe Composer Panel
+// Enter ingredient amounts → predicted compound profile of the finished
+// product with min–max ranges, the ingredients each compound comes from and,
+// optionally, the measured CoA concentrations. The ingredient data and the
+// certificate are embedded by `npm run coa -- render` (<!-- composer:begin
+// ... --> markers); the maths is lib/recipe-composer.js.
+
+const COMPOSER_STATUS_LABELS = {
+    within: '✓ Within range',
+    below: '⚠ Below range',
+    above: '⚠ Above range',
+    unpredicted: '⚠ Not predicted',
+    undetected: '— Not reported'
+};
+
+class RecipeComposerPanel {
+    constructor(element) {
+        this.element = element;
+        this.data = JSON.parse(element.querySelector('.composer-data').textContent);
+        this.composer = new RecipeComposer(this.data);
+        this.createForm();
+        this.createTable();
+        this.loadRecipe(this.data.recipes[0] || { id: '', ingredients: [] });
+    }
+
+    createForm() {
+        const recipes = this.data.recipes
+            .map(recipe => `<option value="${this.escapeHTML(recipe.id)}">${this.escapeHTML(recipe.name)}</option>`)
+            .join('');
+
+        const form = document.createElement('form');
+        form.className = 'composer-form';
+        form.innerHTML = `
+            <label>Start from
+                <select name="recipe">${recipes}</select>
+            </label>
+            <table class="composer-recipe">
+                <thead>
+                    <tr>
+                        <th>Ingredient</th>
+                        <th>Amount (g)</th>
+                        <th>%</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <button type="button" class="composer-add">+ Add ingredient</button>
+            <div class="composer-options">
+                <label><input type="checkbox" name="baked"> Baked (volatile losses)</label>
+                <label>Yield (finished/raw mass)
+                    <input type="number" name="yield" min="0.1" step="0.01">
+                </label>
+                <label>Serving size (g)
+                    <input type="number" name="servingSize" min="1" step="1">
+                </label>
+                <label><input type="checkbox" name="compare" checked> Compare with ${this.escapeHTML(this.data.coa.certificateNumber)}</label>
+            </div>
+        `;
+        form.addEventListener('submit', event => event.preventDefault());
+        form.addEventListener('input', event => {
+            if (event.target.name === 'recipe') {
+                this.loadRecipe(this.composer.recipe(event.target.value));
+            } else {
+                this.update();
+            }
+        });
+        form.addEventListener('click', event => {
+            if (event.target.classList.contains('composer-add')) {
+                this.addRow({ id: this.data.ingredients[0].id, amount: 10 });
+                this.update();
+            } else if (event.target.classList.contains('composer-remove')) {
+                event.target.closest('tr').remove();
+                this.update();
+            }
+        });
+
+        this.form = form;
+        this.rows = form.querySelector('.composer-recipe tbody');
+        this.element.appendChild(form);
+    }
+
+    createTable() {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <p class="composer-summary" aria-live="polite"></p>
+            <table class="ingredient-compound-table composer-table">
+                <thead>
+                    <tr>
+                        <th>Functional Compound</th>
+                        <th>Predicted (μg/g)</th>
+                        <th>Range (μg/g)</th>
+                        <th>Per Serving (mg)</th>
+                        <th>Sources</th>
+                        <th class="composer-measured">Measured (μg/g)</th>
+                        <th class="composer-measured">Status</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p class="table-note">
+                Ranges combine the low and high ends of each ingredient's typical concentrations and, for baked
+                products, of the estimated baking losses. Spice composition varies with origin and storage; use
+                supplier data where available.
+            </p>
+        `;
+        this.summary = wrapper.querySelector('.composer-summary');
+        this.table = wrapper.querySelector('.composer-table');
+        this.tbody = this.table.querySelector('tbody');
+        this.element.appendChild(wrapper);
+    }
+
+    loadRecipe(recipe) {
+        const form = this.form.elements;
+        form.recipe.value = recipe.id;
+        form.baked.checked = Boolean(recipe.baked);
+        form.yield.value = recipe.yield || 1;
+        form.servingSize.value = recipe.servingSize || '';
+        this.rows.innerHTML = '';
+        recipe.ingredients.forEach(item => this.addRow(item));
+        this.update();
+    }
+
+    addRow(item) {
+        const options = this.data.ingredients
+            .map(ingredient => `<option value="${this.escapeHTML(ingredient.id)}"${ingredient.id === item.id ? ' selected' : ''}>${this.escapeHTML(ingredient.name)}</option>`)
+            .join('');
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><select name="ingredient" aria-label="Ingredient">${options}</select></td>
+            <td><input type="number" name="amount" min="0" step="any" value="${item.amount}" aria-label="Amount (g)"></td>
+            <td class="composer-percent"></td>
+            <td><button type="button" class="composer-remove" aria-label="Remove ingredient">×</button></td>
+        `;
+        this.rows.appendChild(row);
+    }
+
+    recipe() {
+        const form = this.form.elements;
+        return {
+            name: form.recipe.selectedIndex >= 0 ? form.recipe.options[form.recipe.selectedIndex].textContent : null,
+            baked: form.baked.checked,
+            yield: form.yield.value,
+            servingSize: form.servingSize.value,
+            ingredients: Array.from(this.rows.querySelectorAll('tr')).map(row => ({
+                id: row.querySelector('[name="ingredient"]').value,
+                amount: row.querySelector('[name="amount"]').value
+            }))
+        };
+    }
+
+    update() {
+        const compare = this.form.elements.compare.checked;
+        let profile;
+        let comparison = null;
+        try {
+            profile = this.composer.compose(this.recipe());
+            if (compare) comparison = this.composer.compare(profile, this.data.coa);
+        } catch (error) {
+            this.summary.textContent = `⚠ ${error.message}`;
+            this.summary.className = 'composer-summary composer-warn';
+            this.tbody.innerHTML = '';
+            return;
+        }
+
+        Array.from(this.rows.querySelectorAll('tr')).forEach((row, i) => {
+            row.querySelector('.composer-percent').textContent = `${profile.ingredients[i].percent.toFixed(1)}%`;
+        });
+
+        this.summary.textContent = `${profile.rawMass} g of ingredients → ${profile.finishedMass} g of product`;
+        this.summary.className = 'composer-summary';
+        if (comparison) {
+            const { summary } = comparison;
+            const outside = summary.below + summary.above;
+            this.summary.textContent += `. ${comparison.certificateNumber}: ${summary.within} within, ${outside} outside the predicted range, ${summary.unpredicted} not predicted`;
+            this.summary.className += outside + summary.unpredicted > 0 ? ' composer-warn' : ' composer-pass';
+        }
+        this.table.classList.toggle('composer-compare', Boolean(comparison));
+
+        const compounds = comparison ? comparison.compounds : profile.compounds;
+        this.tbody.innerHTML = compounds.map(item => {
+            const predicted = profile.compounds.find(compound => RecipeComposer.sameCompound(compound, item));
+            const name = item.page
+                ? `<a href="${this.escapeHTML(item.page)}">${this.escapeHTML(item.name)}</a>`
+                : this.escapeHTML(item.name);
+            const sources = predicted
+                ? predicted.contributions.map(source => `${this.escapeHTML(source.name)} ${source.share}%`).join('<br>')
+                : '—';
+            return `
+                <tr${comparison ? ` class="composer-${item.status}"` : ''}>
+                    <td>${name}</td>
+                    <td>${predicted ? predicted.concentration.typical : '—'}</td>
+                    <td>${predicted ? `${predicted.concentration.min}–${predicted.concentration.max}` : '—'}</td>
+                    <td>${predicted && predicted.perServing ? `${predicted.perServing.typical} (${predicted.perServing.min}–${predicted.perServing.max})` : '—'}</td>
+                    <td>${sources}</td>
+                    <td class="composer-measured">${comparison && item.measured !== null ? item.measured : '—'}</td>
+                    <td class="composer-measured">${comparison ? COMPOSER_STATUS_LABELS[item.status] : ''}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize recipe composers when DOM is ready
+function initComposerPanels() {
+    window.composerPanels = Array.from(document.querySelectorAll('.composer-panel')).map(element => new RecipeComposerPanel(element));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initComposerPanels);
+} else {
+    initComposerPanels();
+}
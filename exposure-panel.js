@@ -0,0 +1,157 @@
+// Terpedia Dietary Exposure Panel
+// Interactive calculator under the CoA: serving size, servings per day and a
+// body weight (child/adult preset or custom) → mg/kg bw/day per compound vs.
+// its TDI/ADI. The certificate data is embedded by `npm run coa -- render`
+// (<!-- exposure:begin ... --> markers); the maths is lib/exposure.js.
+
+class ExposurePanel {
+    constructor(element) {
+        this.element = element;
+        this.data = JSON.parse(element.querySelector('.exposure-data').textContent);
+        this.calculator = new ExposureCalculator();
+        this.createForm();
+        this.createTable();
+        this.update();
+    }
+
+    createForm() {
+        const populations = Object.entries(this.data.populations)
+            .map(([id, preset]) => `<option value="${id}"${id === 'adult' ? ' selected' : ''}>${this.escapeHTML(preset.label)}</option>`)
+            .join('');
+
+        const form = document.createElement('form');
+        form.className = 'exposure-form';
+        form.innerHTML = `
+            <label>Population
+                <select name="population">${populations}<option value="custom">Custom</option></select>
+            </label>
+            <label>Body weight (kg)
+                <input type="number" name="bodyWeight" min="1" step="0.1" value="${this.data.populations.adult.bodyWeight}">
+            </label>
+            <label>Serving size (g)
+                <input type="number" name="servingSize" min="1" step="1" value="100">
+            </label>
+            <label>Servings per day
+                <input type="number" name="servingsPerDay" min="0.1" step="0.5" value="1">
+            </label>
+        `;
+        form.addEventListener('submit', event => event.preventDefault());
+        form.addEventListener('input', event => {
+            if (event.target.name === 'population' && event.target.value !== 'custom') {
+                form.elements.bodyWeight.value = this.data.populations[event.target.value].bodyWeight;
+            } else if (event.target.name === 'bodyWeight') {
+                form.elements.population.value = 'custom';
+            }
+            this.update();
+        });
+
+        this.form = form;
+        this.element.appendChild(form);
+    }
+
+    createTable() {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <p class="exposure-summary" aria-live="polite"></p>
+            <table class="coa-table exposure-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Compound Name</th>
+                        <th>Concentration (${this.escapeHTML(this.data.concentrationUnit)})</th>
+                        <th>Intake (mg/day)</th>
+                        <th>Exposure (mg/kg bw/day)</th>
+                        <th>TDI/ADI (mg/kg bw/day)</th>
+                        <th>% of TDI/ADI</th>
+                        <th>Servings to TDI/ADI</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <p class="exposure-note">Assumes the concentrations apply to the food as eaten. Guidance values: EFSA and JECFA; compounds without one are shown for reference.</p>
+        `;
+        this.summary = wrapper.querySelector('.exposure-summary');
+        this.tbody = wrapper.querySelector('tbody');
+        this.element.appendChild(wrapper);
+    }
+
+    update() {
+        const form = this.form.elements;
+        let result;
+        try {
+            result = this.calculator.calculate(this.data, {
+                population: form.population.value === 'custom' ? null : form.population.value,
+                bodyWeight: form.bodyWeight.value,
+                servingSize: form.servingSize.value,
+                servingsPerDay: form.servingsPerDay.value
+            });
+        } catch (error) {
+            this.summary.textContent = `⚠ ${error.message}`;
+            this.summary.className = 'exposure-summary exposure-warn';
+            this.tbody.innerHTML = '';
+            return;
+        }
+
+        const near = [...result.compounds, ...result.groups].filter(item => item.status === 'warn' && item.percentOfGuidance !== null);
+        if (result.exceeded.length > 0) {
+            this.summary.textContent = `✗ Above the TDI/ADI: ${result.exceeded.join(', ')}`;
+            this.summary.className = 'exposure-summary exposure-fail';
+        } else if (near.length > 0) {
+            this.summary.textContent = `⚠ Close to the TDI/ADI: ${near.map(item => item.name).join(', ')}`;
+            this.summary.className = 'exposure-summary exposure-warn';
+        } else {
+            this.summary.textContent = `✓ All compounds below ${Math.round(ExposureCalculator.WARN_FRACTION * 100)}% of their TDI/ADI`;
+            this.summary.className = 'exposure-summary exposure-pass';
+        }
+
+        this.tbody.innerHTML = result.compounds.map((compound, i) => {
+            const guidance = compound.guidance;
+            let limit = '—';
+            if (guidance && guidance.type === 'none') {
+                limit = `<span title="${this.escapeHTML(guidance.reason)}">None (genotoxic)</span>`;
+            } else if (guidance) {
+                limit = `<span title="${this.escapeHTML(guidance.source)}">${guidance.type} ${guidance.value}${guidance.group ? ' (group)' : ''}</span>`;
+            }
+            return `
+                <tr${compound.status ? ` class="exposure-${compound.status}"` : ''}>
+                    <td>${i + 1}</td>
+                    <td>${this.escapeHTML(compound.name)}</td>
+                    <td>${compound.concentration.toFixed(1)}</td>
+                    <td>${compound.intake}</td>
+                    <td>${compound.exposure}</td>
+                    <td>${limit}</td>
+                    <td>${compound.percentOfGuidance === null ? '—' : `${compound.percentOfGuidance.toFixed(1)}%`}</td>
+                    <td>${compound.servingsToGuidance === null ? '—' : compound.servingsToGuidance}</td>
+                </tr>
+            `;
+        }).join('') + result.groups.filter(group => group.compounds.length > 1).map(group => `
+                <tr class="exposure-group${group.status ? ` exposure-${group.status}` : ''}">
+                    <td></td>
+                    <td>${this.escapeHTML(group.name)} (group: ${this.escapeHTML(group.compounds.join(' + '))})</td>
+                    <td>—</td>
+                    <td>—</td>
+                    <td>${group.exposure}</td>
+                    <td>${group.guidance.type} ${group.guidance.value}</td>
+                    <td>${group.percentOfGuidance.toFixed(1)}%</td>
+                    <td>—</td>
+                </tr>
+            `).join('');
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize exposure panels when DOM is ready
+function initExposurePanels() {
+    window.exposurePanels = Array.from(document.querySelectorAll('.exposure-panel')).map(element => new ExposurePanel(element));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initExposurePanels);
+} else {
+    initExposurePanels();
+}
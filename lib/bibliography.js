@@ -0,0 +1,279 @@
+// Structured bibliography from the free-text reference lists
+// Each page ends with an <ol> of APA-style references:
+//
+//   Nagababu, E., et al. (2010). Inhibition of nitrite-induced oxidation of
+//   hemoglobin by eugenol. <em>Food Chemistry</em>, 122(3), 709-714.
+//
+// parseReference() turns one <li> into a CSL-JSON item (authors, issued
+// year, title, container-title, volume, issue, page). The journal is the
+// last <em> (titles may italicise species names); without one the item is
+// a book with an optional edition and publisher. Organisations as authors
+// ("U.S. Food and Drug Administration.") are kept as literal names.
+//
+// A Bibliography merges the lists of several pages: the same paper cited on
+// several pages (first author, year and title) becomes one entry with every
+// page it appears on. In-text author-year citations such as
+// "(Kamat et al., 2000)" or "(Rao & Gan, 2014; Russo, 2011)" resolve to
+// entries, preferring the citing page's own list.
+
+// "P.", "P. V.", "J.-P." initials after a family name
+const INITIALS = /^([A-Z][a-z]?\.\s?-?\s?)+$/;
+
+// "(Kamat et al., 2000)", "(Rao & Gan, 2014; Russo, 2011)"
+const CITATION_GROUP = /\(([A-Z][^()]*?,\s*\d{4}[a-z]?(?:\s*;\s*[A-Z][^()]*?,\s*\d{4}[a-z]?)*)\)/g;
+const CITATION = /^([\s\S]+?)(\s+et al\.)?,\s*(\d{4})[a-z]?$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function stripTags(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#\d+|#x[\da-f]+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+            }
+            return ENTITIES[name.toLowerCase()] !== undefined ? ENTITIES[name.toLowerCase()] : entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Lower-case ASCII letters and digits, for keys and comparisons
+function fold(text) {
+    return text.normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "Kawatra, P., & Rajagopalan, R." → { authors: [{ family, given }, ...], etAl }
+function parseAuthors(text) {
+    const etAl = /,?\s*et al\.?$/.test(text);
+    const names = text.replace(/,?\s*et al\.?$/, '').trim();
+    const parts = names.split(/\s*,\s*/).map(part => part.replace(/^&\s*/, '').trim()).filter(Boolean);
+
+    const authors = [];
+    for (let i = 0; i < parts.length; i++) {
+        if (INITIALS.test(parts[i + 1] || '')) {
+            authors.push({ family: parts[i], given: parts[i + 1].replace(/\s+/g, ' ') });
+            i++;
+        } else {
+            // Not "Family, I." pairs: an organisation
+            return { authors: [{ literal: names.replace(/\.$/, '') }], etAl };
+        }
+    }
+    return { authors, etAl };
+}
+
+// "122(3), 709-714." → { volume, issue, page }
+function parseLocator(text) {
+    const match = text.replace(/^[,.\s]+|[.\s]+$/g, '').match(/^([^,(]+?)\s*(?:\(([^)]+)\))?(?:\s*,\s*(.+))?$/);
+    if (!match || !/\d/.test(match[1])) return {};
+    return {
+        volume: match[1].trim(),
+        issue: match[2] ? match[2].trim() : undefined,
+        page: match[3] ? match[3].trim().replace(/\s*[-–]\s*/, '–') : undefined
+    };
+}
+
+function parseReference(html) {
+    const text = stripTags(html);
+    const header = text.match(/^(.+?)\s*\((\d{4})[a-z]?\)\.\s*(.*)$/);
+    if (!header) {
+        return { type: 'document', title: text, raw: text };
+    }
+
+    const { authors, etAl } = parseAuthors(header[1].trim());
+    const reference = {
+        type: 'article-journal',
+        author: authors,
+        etAl,
+        issued: { 'date-parts': [[parseInt(header[2], 10)]] }
+    };
+
+    // Everything after "(2010). " in the original markup
+    const yearEnd = html.search(/\(\d{4}[a-z]?\)\.\s*/);
+    const body = yearEnd === -1 ? '' : html.slice(yearEnd).replace(/^\(\d{4}[a-z]?\)\.\s*/, '');
+    const lastEm = body.lastIndexOf('<em>');
+    const containerEnd = body.indexOf('</em>', lastEm);
+
+    if (lastEm > 0 && containerEnd !== -1) {
+        reference.title = stripTags(body.slice(0, lastEm)).replace(/\.$/, '');
+        reference['container-title'] = stripTags(body.slice(lastEm, containerEnd));
+        Object.assign(reference, parseLocator(stripTags(body.slice(containerEnd))));
+        // Regulations and guidance on agency websites ("FDA.gov", "Canada.ca")
+        if (!reference.volume && /\.[a-z]{2,3}$/i.test(reference['container-title'])) {
+            reference.type = 'webpage';
+        }
+    } else {
+        // Book: "Title (3rd ed.). Publisher."
+        const rest = header[3].replace(/\.$/, '');
+        const split = rest.lastIndexOf('. ');
+        reference.type = 'book';
+        reference.title = split === -1 ? rest : rest.slice(0, split);
+        if (split !== -1) reference.publisher = rest.slice(split + 2);
+        const edition = reference.title.match(/\s*\((\d+)(?:st|nd|rd|th) ed\.?\)$/);
+        if (edition) {
+            reference.edition = edition[1];
+            reference.title = reference.title.slice(0, edition.index);
+        }
+    }
+
+    Object.keys(reference).forEach(key => reference[key] === undefined && delete reference[key]);
+    reference.raw = text;
+    return reference;
+}
+
+function firstAuthor(reference) {
+    const author = (reference.author || [])[0];
+    if (!author) return '';
+    return author.family || author.literal || '';
+}
+
+function year(reference) {
+    return reference.issued ? reference.issued['date-parts'][0][0] : null;
+}
+
+// "nagababu2010inhibition"
+function citationKey(reference) {
+    // "U.S. Food and Drug Administration" → "us"
+    const family = fold(firstAuthor(reference).replace(/\./g, '')).split(' ')[0] || 'anon';
+    const word = fold(reference.title || '').split(' ').find(w => w.length > 3 && !['with', 'from', 'into', 'their', 'that', 'this'].includes(w)) || '';
+    return `${family}${year(reference) || ''}${word}`;
+}
+
+// "(Kamat et al., 2000)" → [{ text, authors: ['Kamat'], etAl: true, year: 2000 }]
+// Also reads "Rao &amp; Gan, 2014" so citations can be found in page markup
+function parseCitations(groupText) {
+    // Split on "; " but not on the semicolon of an entity
+    return groupText.split(/(?<!&[a-z]+|&#\d+)\s*;\s*/i).map(part => {
+        const match = part.trim().match(CITATION);
+        if (!match) return null;
+        return {
+            text: part.trim(),
+            authors: match[1].split(/\s*(?:&amp;|&|\band\b|,)\s*/).filter(Boolean),
+            etAl: Boolean(match[2]),
+            year: parseInt(match[3], 10)
+        };
+    }).filter(Boolean);
+}
+
+// BibTeX field value: braces protect capitals, & and % are escaped
+function bibtexValue(text) {
+    return `{${String(text).replace(/([&%$#_])/g, '\\$1')}}`;
+}
+
+const BIBTEX_TYPES = { 'article-journal': 'article', book: 'book', webpage: 'misc', document: 'misc' };
+
+class Bibliography {
+    constructor() {
+        this.entries = [];
+        this.byKey = new Map();
+    }
+
+    // Adds a page's reference list (<li> inner HTML, in order); returns the
+    // entries in list order
+    addList(url, items) {
+        return items.map((html, i) => this.add(parseReference(html), { url, number: i + 1 }));
+    }
+
+    add(reference, source) {
+        const key = `${fold(firstAuthor(reference))}|${year(reference)}|${fold(reference.title || reference.raw || '')}`;
+        let entry = this.byKey.get(key);
+        if (!entry) {
+            let id = citationKey(reference);
+            for (let n = 2; this.entries.some(e => e.id === id); n++) id = `${citationKey(reference)}-${n}`;
+            entry = { id, ...reference, sources: [] };
+            this.byKey.set(key, entry);
+            this.entries.push(entry);
+        }
+        if (source) entry.sources.push(source);
+        return entry;
+    }
+
+    find(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // The entry an author-year citation refers to: first author and year
+    // match (and the second author for "A & B"), from the page's own list
+    // when it has one
+    resolve(citation, url = null) {
+        const candidates = this.entries.filter(entry => {
+            if (year(entry) !== citation.year) return false;
+            const families = (entry.author || []).map(author => fold(author.family || author.literal || ''));
+            if (families[0] !== fold(citation.authors[0])) return false;
+            return citation.authors.length < 2 || citation.etAl || families[1] === fold(citation.authors[1]);
+        });
+        return candidates.find(entry => entry.sources.some(source => source.url === url)) || candidates[0] || null;
+    }
+
+    // Citation groups in text: [{ text, index, citations: [{ ..., id }] }]
+    // with id null for citations that match no entry
+    findCitations(text, url = null) {
+        const groups = [];
+        for (const match of text.matchAll(CITATION_GROUP)) {
+            const citations = parseCitations(match[1]);
+            if (citations.length === 0) continue;
+            groups.push({
+                text: match[0],
+                index: match.index,
+                citations: citations.map(citation => {
+                    const entry = this.resolve(citation, url);
+                    return { ...citation, id: entry ? entry.id : null };
+                })
+            });
+        }
+        return groups;
+    }
+
+    // CSL-JSON items (citeproc, Zotero, pandoc --citeproc)
+    toCSL() {
+        return this.entries.map(({ sources, etAl, raw, ...item }) => item);
+    }
+
+    toBibTeX() {
+        return this.entries.map(entry => {
+            const fields = [];
+            const authors = (entry.author || []).map(author => author.literal ? `{${author.literal}}` : `${author.family}, ${author.given}`);
+            if (entry.etAl) authors.push('others');
+            if (authors.length > 0) fields.push(['author', `{${authors.join(' and ')}}`]);
+            if (entry.title) fields.push(['title', bibtexValue(entry.title)]);
+            if (entry['container-title']) {
+                fields.push([entry.type === 'article-journal' ? 'journal' : 'howpublished', bibtexValue(entry['container-title'])]);
+            }
+            if (year(entry)) fields.push(['year', `{${year(entry)}}`]);
+            if (entry.volume) fields.push(['volume', bibtexValue(entry.volume)]);
+            if (entry.issue) fields.push(['number', bibtexValue(entry.issue)]);
+            if (entry.page) fields.push(['pages', bibtexValue(entry.page.replace('–', '--'))]);
+            if (entry.edition) fields.push(['edition', bibtexValue(entry.edition)]);
+            if (entry.publisher) fields.push(['publisher', bibtexValue(entry.publisher)]);
+            const body = fields.map(([name, value]) => `  ${name} = ${value}`).join(',\n');
+            return `@${BIBTEX_TYPES[entry.type] || 'misc'}{${entry.id},\n${body}\n}`;
+        }).join('\n\n') + '\n';
+    }
+
+    // From the references saved in data/bibliography.json
+    static fromJSON(references) {
+        const bibliography = new Bibliography();
+        for (const { sources = [], ...reference } of references) {
+            const entry = bibliography.add(reference);
+            entry.sources.push(...sources);
+        }
+        return bibliography;
+    }
+
+    // One-line APA-style reference, e.g. for the chat assistant's context
+    static format(entry) {
+        const authors = (entry.author || []).map(author => author.literal || `${author.family}, ${author.given}`);
+        const names = authors.length > 1 && !entry.etAl
+            ? `${authors.slice(0, -1).join(', ')}, & ${authors[authors.length - 1]}`
+            : `${authors.join(', ')}${entry.etAl ? ', et al.' : ''}`;
+        const locator = [entry.volume && `${entry.volume}${entry.issue ? `(${entry.issue})` : ''}`, entry.page].filter(Boolean).join(', ');
+        const container = [entry['container-title'], locator].filter(Boolean).join(', ');
+        return [`${names} (${year(entry)})`, entry.title, container || entry.publisher].filter(Boolean).join('. ') + '.';
+    }
+}
+
+Bibliography.parseReference = parseReference;
+Bibliography.parseCitations = parseCitations;
+Bibliography.stripTags = stripTags;
+
+module.exports = Bibliography;
@@ -0,0 +1,55 @@
+// CAS Registry Numbers: normalising and check digit validation
+// A CAS number is 2-7 digits, 2 digits and a check digit: 104-55-2. The
+// check digit is the sum of the other digits, each multiplied by its
+// position counted from the right (1, 2, 3 ...), modulo 10:
+//   104-55-2 → 5×1 + 5×2 + 4×3 + 0×4 + 1×5 = 42 → 2
+
+// CAS-shaped strings in running text
+const CAS_PATTERN = /\b\d{2,7}-\d{2}-\d\b/g;
+
+// "104-55-2", "104552", "0000104-55-2" → "104-55-2"; null when too short
+function normalize(text) {
+    if (!text) return null;
+    const digits = String(text).replace(/\D/g, '').replace(/^0+/, '');
+    if (digits.length < 5) return null;
+    return `${digits.slice(0, -3)}-${digits.slice(-3, -1)}-${digits.slice(-1)}`;
+}
+
+// Expected check digit for the digits before it
+function checkDigit(digits) {
+    return String(digits)
+        .split('')
+        .reverse()
+        .reduce((sum, digit, i) => sum + Number(digit) * (i + 1), 0) % 10;
+}
+
+// null when valid, otherwise why not
+function validate(text) {
+    const value = String(text || '').trim();
+    if (!/^\d{2,7}-\d{2}-\d$/.test(value)) {
+        return `${value || '(empty)'} is not a CAS number (expected e.g. 104-55-2)`;
+    }
+    const digits = value.replace(/-/g, '');
+    const expected = checkDigit(digits.slice(0, -1));
+    if (Number(digits.slice(-1)) !== expected) {
+        return `${value} has check digit ${digits.slice(-1)}, expected ${expected}`;
+    }
+    return null;
+}
+
+function isValid(text) {
+    return validate(text) === null;
+}
+
+// Every CAS-shaped string in a text, in order, without duplicates
+function findAll(text) {
+    return [...new Set(String(text).match(CAS_PATTERN) || [])];
+}
+
+module.exports = {
+    normalize,
+    checkDigit,
+    validate,
+    isValid,
+    findAll
+};
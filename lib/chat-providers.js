@@ -0,0 +1,280 @@
+// Chat completion providers for the chat API
+// - openai:            OpenAI chat completions API (gpt-4o-mini by default)
+// - openai-compatible: any server speaking /v1/chat/completions (Ollama, llama.cpp, vLLM, LM Studio)
+// - mock:              deterministic answers built from the retrieved context, no network
+//
+// Every provider exposes the same shape:
+//   complete(messages, context)        -> Promise<{ content, model, toolCalls }>
+//   stream(messages, context, { signal }) -> async iterable of { content, model, toolCalls? }
+//   describe()                         -> { provider, model, temperature, maxTokens }
+// messages are OpenAI-style { role, content }, plus assistant tool_calls and
+// { role: 'tool', tool_call_id, content } results; context is { chunks, tools }:
+// chunks from lib/rag-retriever.js (only the mock provider reads them, the
+// others get them through the system prompt) and the tools the model may
+// call (lib/chat-tools.js definitions). toolCalls is [{ id, name, arguments }]
+// when the model calls tools instead of answering, [] otherwise; arguments
+// is the JSON text the model wrote. stream yields the answer piece by piece,
+// then the tool calls, if any, in a last { content: '', toolCalls }; it
+// stops early once signal is aborted.
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 1000;
+
+class OpenAIChatProvider {
+    constructor(options = {}) {
+        const { OpenAI } = require('openai');
+
+        this.name = 'openai';
+        this.model = options.model || DEFAULT_MODEL;
+        this.temperature = options.temperature ?? DEFAULT_TEMPERATURE;
+        this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        this.client = new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+            baseURL: options.baseURL,
+        });
+    }
+
+    request(messages, context) {
+        const request = {
+            model: this.model,
+            messages,
+            temperature: this.temperature,
+            max_tokens: this.maxTokens,
+        };
+        if (context.tools && context.tools.length > 0) {
+            request.tools = context.tools;
+        }
+        return request;
+    }
+
+    async complete(messages, context = {}) {
+        const completion = await this.client.chat.completions.create(this.request(messages, context));
+
+        const choice = completion.choices && completion.choices[0];
+        if (!choice || !choice.message) {
+            throw new Error(`${this.name} returned no completion`);
+        }
+        return {
+            content: choice.message.content || '',
+            model: completion.model || this.model,
+            toolCalls: (choice.message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments,
+            })),
+        };
+    }
+
+    async *stream(messages, context = {}, options = {}) {
+        const stream = await this.client.chat.completions.create({
+            ...this.request(messages, context),
+            stream: true,
+        }, { signal: options.signal });
+
+        // Tool calls arrive in pieces, keyed by their index
+        const toolCalls = [];
+        let model = this.model;
+        for await (const chunk of stream) {
+            model = chunk.model || model;
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (!delta) continue;
+            if (delta.content) {
+                yield { content: delta.content, model };
+            }
+            for (const piece of delta.tool_calls || []) {
+                const call = toolCalls[piece.index] || (toolCalls[piece.index] = { id: '', name: '', arguments: '' });
+                if (piece.id) call.id = piece.id;
+                if (piece.function && piece.function.name) call.name += piece.function.name;
+                if (piece.function && piece.function.arguments) call.arguments += piece.function.arguments;
+            }
+        }
+        if (toolCalls.length > 0) {
+            yield { content: '', model, toolCalls: toolCalls.filter(Boolean) };
+        }
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens,
+        };
+    }
+}
+
+class OpenAICompatibleChatProvider extends OpenAIChatProvider {
+    constructor(options = {}) {
+        if (!options.baseURL) {
+            throw new Error('openai-compatible chat needs a base URL (CHAT_BASE_URL)');
+        }
+        if (!options.model) {
+            throw new Error('openai-compatible chat needs a model name (CHAT_MODEL)');
+        }
+
+        super({
+            ...options,
+            // Local servers usually ignore the key, but the client requires one
+            apiKey: options.apiKey || 'not-needed',
+        });
+        this.name = 'openai-compatible';
+        this.baseURL = options.baseURL;
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            baseURL: this.baseURL,
+        };
+    }
+}
+
+// Answers with the question and an excerpt of each retrieved chunk, cited
+// by its source number, so the whole chat stack (retrieval, prompt,
+// response, sources, citations) runs in tests and offline demos with the
+// same output for the same index.
+//
+// toolCalls scripts tool calling: one list of { name, arguments } per
+// round, e.g. [[{ name: 'get_coa_results', arguments: { compound: 'Coumarin' } }]].
+// While tools are offered and the script has a round left, the mock calls
+// that round's tools instead of answering; the answer then quotes each
+// tool result.
+class MockChatProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.model = options.model || 'mock';
+        this.temperature = 0;
+        this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+        this.excerptLength = options.excerptLength || 160;
+        // Milliseconds between streamed words, to watch (or stop) a stream
+        this.delay = options.delay || 0;
+        this.toolCalls = options.toolCalls || [];
+    }
+
+    async complete(messages, context = {}) {
+        const lastQuestion = messages.map(message => message.role).lastIndexOf('user');
+        const question = messages[lastQuestion];
+        const chunks = context.chunks || [];
+
+        // Rounds of tool calls made since the question
+        const turns = messages.slice(lastQuestion + 1);
+        const round = turns.filter(message => message.role === 'assistant' && message.tool_calls).length;
+        if (context.tools && context.tools.length > 0 && round < this.toolCalls.length) {
+            return {
+                content: '',
+                model: this.model,
+                toolCalls: this.toolCalls[round].map((call, i) => ({
+                    id: call.id || `call_${round + 1}_${i + 1}`,
+                    name: call.name,
+                    arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {}),
+                })),
+            };
+        }
+
+        const lines = [`Mock answer to: ${question ? question.content : ''}`];
+        if (chunks.length === 0) {
+            lines.push('', 'No context was retrieved for this question.');
+        } else {
+            lines.push('', 'Retrieved context:');
+            chunks.forEach((chunk, i) => {
+                lines.push(`- ${chunk.sectionPath || chunk.pageTitle} (${chunk.pageUrl}): ${this.excerpt(chunk.text)} [${i + 1}]`);
+            });
+        }
+
+        const results = turns.filter(message => message.role === 'tool');
+        if (results.length > 0) {
+            const names = new Map(turns
+                .flatMap(message => message.tool_calls || [])
+                .map(call => [call.id, call.function.name]));
+            lines.push('', 'Tool results:');
+            results.forEach(result => lines.push(`- ${names.get(result.tool_call_id)}: ${result.content}`));
+        }
+
+        return {
+            content: lines.join('\n'),
+            model: this.model,
+            toolCalls: [],
+        };
+    }
+
+    // The same answer as complete, one word (with its leading space) at a
+    // time; scripted tool calls come as one piece
+    async *stream(messages, context = {}, options = {}) {
+        const { content, model, toolCalls } = await this.complete(messages, context);
+        if (toolCalls.length > 0) {
+            yield { content: '', model, toolCalls };
+            return;
+        }
+        for (const word of content.match(/\s*\S+/g) || []) {
+            if (this.delay) {
+                await new Promise(resolve => setTimeout(resolve, this.delay));
+            }
+            if (options.signal && options.signal.aborted) return;
+            yield { content: word, model };
+        }
+    }
+
+    excerpt(text) {
+        const flat = String(text).replace(/\s+/g, ' ').trim();
+        return flat.length > this.excerptLength ? `${flat.slice(0, this.excerptLength).trimEnd()}…` : flat;
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens,
+        };
+    }
+}
+
+const PROVIDERS = {
+    'openai': OpenAIChatProvider,
+    'openai-compatible': OpenAICompatibleChatProvider,
+    'mock': MockChatProvider,
+};
+
+function parseNumber(value, name, parse) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = parse(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${name} must be a non-negative number, got "${value}"`);
+    }
+    return number;
+}
+
+// Options win over environment variables:
+//   CHAT_PROVIDER, CHAT_MODEL, CHAT_BASE_URL, CHAT_TEMPERATURE,
+//   CHAT_MAX_TOKENS, CHAT_API_KEY (falls back to OPENAI_API_KEY)
+// The default is OpenAI, which needs an API key. The mock provider is only
+// used when asked for (CHAT_PROVIDER=mock), so a deployment without a key
+// fails instead of serving mock answers.
+function createChatProvider(options = {}, env = process.env) {
+    const apiKey = options.apiKey || env.CHAT_API_KEY || env.OPENAI_API_KEY;
+    const provider = options.provider || env.CHAT_PROVIDER || 'openai';
+
+    const Provider = PROVIDERS[provider];
+    if (!Provider) {
+        throw new Error(`Unknown chat provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (provider === 'openai' && !apiKey) {
+        throw new Error('The openai chat provider needs OPENAI_API_KEY (or CHAT_API_KEY); set CHAT_PROVIDER=mock to run without a model');
+    }
+
+    return new Provider({
+        apiKey,
+        model: options.model || env.CHAT_MODEL,
+        baseURL: options.baseURL || env.CHAT_BASE_URL,
+        temperature: options.temperature ?? parseNumber(env.CHAT_TEMPERATURE, 'CHAT_TEMPERATURE', parseFloat),
+        maxTokens: options.maxTokens ?? parseNumber(env.CHAT_MAX_TOKENS, 'CHAT_MAX_TOKENS', value => parseInt(value, 10)),
+    });
+}
+
+module.exports = {
+    OpenAIChatProvider,
+    OpenAICompatibleChatProvider,
+    MockChatProvider,
+    createChatProvider,
+};
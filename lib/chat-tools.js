@@ -0,0 +1,277 @@
+// Local tools the chat model can call (OpenAI function calling)
+// - lookup_compound:    a compound record from data/compounds.json, with its
+//                       regulatory status and TDI/ADI from data/regulatory.json
+// - get_coa_results:    GC-MS rows (concentration, area %, CAS) of the
+//                       certificates in data/coa/
+// - search_site:        the RAG index, ranked like the chat context
+//                       (lib/rag-retriever.js)
+// - calculate_exposure: intake per kg body weight for a serving of a
+//                       certificate's food, compared with each TDI/ADI
+//                       (lib/exposure.js, the same numbers as the CoA page)
+//
+// definitions() lists the tools in the shape the chat completions API
+// expects; run(name, args) returns a tool's result as plain JSON data and
+// throws on unknown tools or bad arguments. Data files are read on every
+// call, so rebuilt data is used without a restart.
+
+const fs = require('fs');
+const path = require('path');
+const CertificateOfAnalysis = require('./coa');
+const ExposureCalculator = require('./exposure');
+const RegulatoryChecker = require('./regulatory');
+const PeakTableImporter = require('./peak-table');
+
+const CERTIFICATE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const DEFAULT_SEARCH_LIMIT = 5;
+const MAX_SEARCH_LIMIT = 10;
+
+const DEFINITIONS = [
+    {
+        name: 'lookup_compound',
+        description: 'Look up a compound on the site by name, slug or CAS number: formula, CAS number, molecular weight, physical properties, functions, safety notes, regulatory status and health-based guidance value (TDI/ADI in mg/kg bw/day).',
+        parameters: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', description: 'Compound name, slug or CAS number, e.g. "coumarin" or "91-64-5"' },
+            },
+            required: ['name'],
+        },
+    },
+    {
+        name: 'get_coa_results',
+        description: 'GC-MS results of the site\'s Certificates of Analysis: for each compound its CAS number, retention time, area %, concentration (μg/g of the sample) and compliance status.',
+        parameters: {
+            type: 'object',
+            properties: {
+                certificate: { type: 'string', description: 'Certificate number, e.g. "TP-2024-001"; all certificates when omitted' },
+                compound: { type: 'string', description: 'Only rows for this compound name or CAS number' },
+            },
+        },
+    },
+    {
+        name: 'search_site',
+        description: 'Search the site\'s pages (article, compound pages, CoA, ingredients, literature) and return the best matching passages with links to their sections.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'What to search for' },
+                limit: { type: 'integer', description: `Number of passages (1-${MAX_SEARCH_LIMIT}, default ${DEFAULT_SEARCH_LIMIT})` },
+            },
+            required: ['query'],
+        },
+    },
+    {
+        name: 'calculate_exposure',
+        description: 'Dietary exposure from a certificate\'s concentrations: intake (mg/day) and exposure (mg/kg bw/day) per compound for a serving size, compared with its TDI/ADI (percentOfGuidance, status pass/warn/fail). The site\'s calculator assumes a 100 g serving when none is known.',
+        parameters: {
+            type: 'object',
+            properties: {
+                certificate: { type: 'string', description: 'Certificate number; may be omitted when the site has only one' },
+                servingSize: { type: 'number', description: 'Grams of food per serving' },
+                servingsPerDay: { type: 'number', description: 'Servings per day (default 1)' },
+                population: { type: 'string', enum: Object.keys(ExposureCalculator.POPULATIONS), description: 'Default body weight: child 20 kg, adult 70 kg' },
+                bodyWeight: { type: 'number', description: 'Body weight in kg; overrides population' },
+                dosage: { type: 'number', description: 'Fraction of the flavor in the food (0-1) when the certificate is of a flavor; default 1' },
+                compound: { type: 'string', description: 'Only this compound (name or CAS number)' },
+            },
+            required: ['servingSize'],
+        },
+    },
+];
+
+// Case, spaces and punctuation don't matter: "Cinnamyl Acetate" = "cinnamyl-acetate"
+function normalizeName(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function matchesCompound(row, query) {
+    const wanted = normalizeName(query);
+    return normalizeName(row.name) === wanted || (row.cas && row.cas === String(query).trim());
+}
+
+function text(value) {
+    return value && typeof value === 'object' ? value.text : value || null;
+}
+
+class ChatTools {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        // Anything with search(query, topK), normally a RAGRetriever
+        this.retriever = options.retriever || null;
+    }
+
+    definitions() {
+        return DEFINITIONS
+            .filter(tool => tool.name !== 'search_site' || this.retriever)
+            .map(tool => ({ type: 'function', function: tool }));
+    }
+
+    // args is an object or the JSON string the model produced
+    async run(name, args = {}) {
+        let params = args;
+        if (typeof args === 'string') {
+            try {
+                params = args.trim() ? JSON.parse(args) : {};
+            } catch (error) {
+                throw new Error(`Arguments for ${name} are not valid JSON: ${error.message}`);
+            }
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw new Error(`Arguments for ${name} must be an object`);
+        }
+
+        switch (name) {
+            case 'lookup_compound': return this.lookupCompound(params);
+            case 'get_coa_results': return this.getCoaResults(params);
+            case 'search_site': return this.searchSite(params);
+            case 'calculate_exposure': return this.calculateExposure(params);
+            default: throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+
+    readData(...segments) {
+        const filePath = path.join(this.rootDir, 'data', ...segments);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Data not found: data/${segments.join('/')}`);
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    }
+
+    // Certificates by number, from data/coa/*.json, with compliance
+    // statuses recomputed like scripts/coa.js does on render
+    loadCertificates() {
+        const coaDir = path.join(this.rootDir, 'data', 'coa');
+        if (!fs.existsSync(coaDir)) return [];
+        return fs.readdirSync(coaDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => {
+                const coa = CertificateOfAnalysis.fromJSON(this.readData('coa', file));
+                if (coa.complianceCheck) {
+                    new RegulatoryChecker({ rootDir: this.rootDir }).recheck(coa);
+                }
+                return coa;
+            });
+    }
+
+    certificate(number) {
+        const certificates = this.loadCertificates();
+        if (number === undefined || number === null || number === '') {
+            if (certificates.length === 1) return certificates[0];
+            throw new Error(`Name a certificate: ${certificates.map(coa => coa.certificateNumber).join(', ')}`);
+        }
+        const coa = CERTIFICATE_PATTERN.test(String(number))
+            && certificates.find(item => item.certificateNumber === String(number));
+        if (!coa) {
+            throw new Error(`Certificate not found: ${number} (available: ${certificates.map(item => item.certificateNumber).join(', ')})`);
+        }
+        return coa;
+    }
+
+    lookupCompound({ name }) {
+        if (!name) throw new Error('name is required');
+
+        const { compounds } = this.readData('compounds.json');
+        const wanted = normalizeName(name);
+        const record = compounds.find(compound =>
+            normalizeName(compound.name) === wanted ||
+            normalizeName(compound.slug) === wanted ||
+            compound.casNumber === String(name).trim()
+        ) || compounds.find(compound => wanted.length > 3 && normalizeName(compound.name).includes(wanted));
+        if (!record) {
+            throw new Error(`No compound page for "${name}" (the site covers: ${compounds.map(compound => compound.name).join(', ')})`);
+        }
+
+        const regulatory = this.readData('regulatory.json').compounds.find(entry =>
+            (record.casNumber && entry.cas === record.casNumber) || entry.page === record.url
+        );
+
+        return {
+            name: record.name,
+            url: record.url,
+            formula: record.formula || null,
+            iupacName: record.iupacName || null,
+            casNumber: record.casNumber || null,
+            molecularWeight: text(record.molecularWeight),
+            boilingPoint: text(record.boilingPoint),
+            meltingPoint: text(record.meltingPoint),
+            physicalState: record.physicalState || null,
+            solubility: record.solubility || null,
+            functions: (record.functions || []).map(fn => fn.name),
+            safety: record.safety ? record.safety.points || [] : [],
+            regulatory: regulatory ? {
+                us: regulatory.us || null,
+                eu: regulatory.eu || null,
+                maxLevels: regulatory.maxLevels || [],
+                healthGuidance: regulatory.healthGuidance || null,
+            } : null,
+        };
+    }
+
+    getCoaResults({ certificate, compound }) {
+        const certificates = certificate ? [this.certificate(certificate)] : this.loadCertificates();
+
+        return {
+            certificates: certificates.map(coa => ({
+                certificateNumber: coa.certificateNumber,
+                sample: coa.sample ? coa.sample.name : null,
+                concentrationUnit: coa.concentrationUnit || 'μg/g',
+                results: coa.compounds
+                    .filter(row => !compound || matchesCompound(row, compound))
+                    .map(row => ({
+                        name: row.name,
+                        cas: row.cas || null,
+                        retentionTime: row.retentionTime ?? null,
+                        areaPercent: row.areaPercent ?? null,
+                        concentration: row.concentration ?? null,
+                        page: row.page || null,
+                        compliance: row.compliance || null,
+                    })),
+            })),
+        };
+    }
+
+    async searchSite({ query, limit }) {
+        if (!query) throw new Error('query is required');
+        if (!this.retriever) throw new Error('Site search is not available');
+
+        const topK = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+        const chunks = await this.retriever.search(String(query), topK);
+        return {
+            results: chunks.map(chunk => ({
+                title: chunk.pageTitle,
+                section: chunk.sectionPath || null,
+                href: chunk.sectionAnchor ? `${chunk.pageUrl}#${chunk.sectionAnchor}` : chunk.pageUrl,
+                text: chunk.text,
+            })),
+        };
+    }
+
+    calculateExposure(params) {
+        const coa = this.certificate(params.certificate);
+        const calculator = new ExposureCalculator({
+            guidance: this.readData('regulatory.json').compounds,
+            aliasPages: PeakTableImporter.aliasPages(this.rootDir)
+        });
+        const result = calculator.calculate(coa, {
+            population: params.population,
+            bodyWeight: params.bodyWeight,
+            servingSize: params.servingSize,
+            servingsPerDay: params.servingsPerDay,
+            dosage: params.dosage,
+        });
+
+        if (params.compound) {
+            result.compounds = result.compounds.filter(row => matchesCompound(row, params.compound));
+            if (result.compounds.length === 0) {
+                throw new Error(`${coa.certificateNumber} has no concentration for ${params.compound}`);
+            }
+            const names = result.compounds.map(row => row.name);
+            result.groups = result.groups.filter(group => group.compounds.some(name => names.includes(name)));
+            result.exceeded = result.exceeded.filter(name => names.includes(name) || result.groups.some(group => group.name === name));
+        }
+        return { unit: 'mg/kg bw/day', ...result };
+    }
+}
+
+module.exports = ChatTools;
@@ -0,0 +1,380 @@
+// Batch-to-batch comparison of Certificates of Analysis
+// The first certificate is the baseline. For every compound found in any
+// batch (or listed in the specification) the report gives its area % and
+// concentration per batch, the % change against the baseline, whether it
+// appeared or disappeared, and any out-of-spec findings (lib/coa-spec.js).
+//
+// toJSON() is the record kept for QA; toHTML() renders it in the
+// coa-document layout of coa.html (styles in coa-styles.css).
+
+const path = require('path');
+const CertificateOfAnalysis = require('./coa');
+const ProductSpecification = require('./coa-spec');
+
+const { escapeHTML, escapeAttribute } = CertificateOfAnalysis;
+const { sameCompound, formatLimits } = ProductSpecification;
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// % change from base to value, or null when either is missing or base is 0
+function percentChange(value, base) {
+    if (value === null || value === undefined || base === null || base === undefined || base === 0) return null;
+    return round1((value - base) / base * 100);
+}
+
+function formatChange(change) {
+    if (change === null) return '—';
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+}
+
+function fixed(value, digits) {
+    return value === null || value === undefined ? '—' : value.toFixed(digits);
+}
+
+// Baseline status, then status against the baseline
+function batchStatus(index, present, inBaseline) {
+    if (index === 0) return present ? 'baseline' : 'absent';
+    if (present) return inBaseline ? 'present' : 'appeared';
+    return inBaseline ? 'disappeared' : 'absent';
+}
+
+class CoaComparison {
+    constructor(certificates, options = {}) {
+        if (certificates.length < 2) {
+            throw new Error('A comparison needs at least two certificates');
+        }
+        this.certificates = certificates;
+        this.spec = options.spec || null;
+        // Alias CAS → page compound CAS (PeakTableImporter#casAliases)
+        this.casAliases = options.casAliases || null;
+        this.generated = options.generated || new Date().toISOString();
+    }
+
+    // One row per compound, in baseline order; compounds that only show up in
+    // later batches or only in the specification follow
+    rows() {
+        const rows = [];
+        const count = this.certificates.length;
+        const rowFor = compound => {
+            let row = rows.find(existing => sameCompound(existing, compound, this.casAliases));
+            if (!row) {
+                row = { name: compound.name, cas: compound.cas || null, page: compound.page || null, found: new Array(count).fill(null) };
+                rows.push(row);
+            }
+            row.cas = row.cas || compound.cas || null;
+            row.page = row.page || compound.page || null;
+            return row;
+        };
+
+        this.certificates.forEach((coa, i) => {
+            for (const compound of coa.compounds) {
+                rowFor(compound).found[i] = compound;
+            }
+        });
+        if (this.spec) {
+            this.spec.compounds.forEach(rowFor);
+        }
+        return rows;
+    }
+
+    report() {
+        const findings = this.spec ? this.certificates.flatMap(coa => this.spec.check(coa)) : [];
+        const baseline = this.certificates[0];
+        const appeared = [];
+        const disappeared = [];
+
+        const compounds = this.rows().map(({ name, cas, page, found }) => {
+            const limits = this.spec ? this.spec.limitsFor({ name, cas, page }) : null;
+            const base = found[0];
+
+            const batches = this.certificates.map((coa, i) => {
+                const compound = found[i];
+                const status = batchStatus(i, Boolean(compound), Boolean(base));
+                if (status === 'appeared') appeared.push({ certificateNumber: coa.certificateNumber, compound: name });
+                if (status === 'disappeared') disappeared.push({ certificateNumber: coa.certificateNumber, compound: name });
+
+                return {
+                    certificateNumber: coa.certificateNumber,
+                    areaPercent: compound ? compound.areaPercent : null,
+                    concentration: compound ? compound.concentration : null,
+                    change: i > 0 && compound && base
+                        ? {
+                            areaPercent: percentChange(compound.areaPercent, base.areaPercent),
+                            concentration: percentChange(compound.concentration, base.concentration)
+                        }
+                        : null,
+                    status,
+                    outOfSpec: findings
+                        .filter(finding => finding.certificateNumber === coa.certificateNumber &&
+                            sameCompound({ name: finding.compound, cas: finding.cas, page: finding.page }, { name, cas, page }, this.casAliases))
+                        .map(finding => finding.message)
+                };
+            });
+
+            return {
+                name,
+                cas,
+                page,
+                spec: limits ? { areaPercent: limits.areaPercent || null, concentration: limits.concentration || null } : null,
+                forbidden: Boolean(this.spec && this.spec.forbiddenEntry({ name, cas, page })),
+                batches
+            };
+        });
+
+        return {
+            generated: this.generated,
+            spec: this.spec
+                ? { id: this.spec.id, name: this.spec.name, version: this.spec.version, concentrationUnit: this.spec.concentrationUnit }
+                : null,
+            baseline: baseline.certificateNumber,
+            concentrationUnit: baseline.concentrationUnit,
+            certificates: this.certificates.map(coa => {
+                const outOfSpec = findings.filter(finding => finding.certificateNumber === coa.certificateNumber).length;
+                return {
+                    certificateNumber: coa.certificateNumber,
+                    date: coa.date,
+                    sampleName: coa.sample.name,
+                    compounds: coa.compounds.length,
+                    areaPercent: coa.totals().areaPercent,
+                    inSpec: this.spec ? outOfSpec === 0 : null,
+                    outOfSpec
+                };
+            }),
+            compounds,
+            appeared,
+            disappeared,
+            outOfSpec: findings
+        };
+    }
+
+    toJSON() {
+        return this.report();
+    }
+
+    // The comparison as a coa-document, each line prefixed with indent.
+    // Compound page links are prefixed with rootPath.
+    toHTML(indent = '', rootPath = '') {
+        const e = escapeHTML;
+        const report = this.report();
+        const unit = report.concentrationUnit;
+        const infoRows = [
+            ['Specification', this.spec ? this.spec.label : null, 'Baseline', report.baseline],
+            ['Batches Compared', String(report.certificates.length), 'Generated', report.generated.slice(0, 10)]
+        ];
+
+        const lines = [
+            '<div class="coa-document">',
+            '    <!-- CoA Header -->',
+            '    <div class="coa-header">',
+            '        <div class="coa-logo">',
+            '            <h2>TERPEDIA</h2>',
+            '            <p>Analytical Laboratory</p>',
+            '        </div>',
+            '        <div class="coa-title">',
+            '            <h1>BATCH COMPARISON REPORT</h1>',
+            '            <p class="coa-subtitle">Gas Chromatography-Mass Spectrometry (GCMS)</p>',
+            '        </div>',
+            '    </div>',
+            '',
+            '    <!-- Comparison Information -->',
+            '    <div class="coa-info">',
+            '        <table class="info-table">',
+            ...infoRows.flatMap(([label1, value1, label2, value2]) => [
+                '            <tr>',
+                `                <td><strong>${e(label1)}:</strong></td>`,
+                `                <td>${e(value1 || '—')}</td>`,
+                `                <td><strong>${e(label2)}:</strong></td>`,
+                `                <td>${e(value2 || '—')}</td>`,
+                '            </tr>'
+            ]),
+            '        </table>',
+            '    </div>',
+            ''
+        ];
+
+        if (this.spec && this.spec.description) {
+            lines.push(
+                '    <!-- Specification -->',
+                '    <div class="coa-sample-desc">',
+                '        <h3>Specification</h3>',
+                `        <p>${e(this.spec.description)}</p>`,
+                '    </div>',
+                ''
+            );
+        }
+
+        lines.push(
+            '    <!-- Batches -->',
+            '    <div class="coa-results">',
+            '        <h3>Batches</h3>',
+            '        <table class="coa-table">',
+            '            <thead>',
+            '                <tr>',
+            '                    <th>#</th>',
+            '                    <th>Certificate No.</th>',
+            '                    <th>Date</th>',
+            '                    <th>Sample Name</th>',
+            '                    <th>Compounds</th>',
+            '                    <th>Total Area %</th>',
+            '                    <th>Specification</th>',
+            '                </tr>',
+            '            </thead>',
+            '            <tbody>',
+            ...report.certificates.flatMap((certificate, i) => [
+                '                <tr>',
+                `                    <td>${i + 1}</td>`,
+                `                    <td><strong>${e(certificate.certificateNumber)}</strong></td>`,
+                `                    <td>${e(certificate.date || '—')}</td>`,
+                `                    <td>${e(certificate.sampleName || '—')}</td>`,
+                `                    <td>${certificate.compounds}</td>`,
+                `                    <td>${certificate.areaPercent.toFixed(1)}%</td>`,
+                certificate.inSpec === null
+                    ? '                    <td>—</td>'
+                    : certificate.inSpec
+                        ? '                    <td class="coa-in-spec">✓ In spec</td>'
+                        : `                    <td class="coa-out-of-spec">✗ ${certificate.outOfSpec} out of spec</td>`,
+                '                </tr>'
+            ]),
+            '            </tbody>',
+            '        </table>',
+            '    </div>',
+            '',
+            '    <!-- Comparison Table -->',
+            '    <div class="coa-results">',
+            `        <h3>Compounds (Area % / ${e(unit)}, change vs. ${e(report.baseline)})</h3>`,
+            '        <table class="coa-table coa-comparison">',
+            '            <thead>',
+            '                <tr>',
+            '                    <th>#</th>',
+            '                    <th>Compound Name</th>',
+            '                    <th>Spec Area %</th>',
+            `                    <th>Spec (${e(unit)})</th>`,
+            ...report.certificates.map(certificate => `                    <th>${e(certificate.certificateNumber)}</th>`),
+            '                    <th>Status</th>',
+            '                </tr>',
+            '            </thead>',
+            '            <tbody>',
+            ...report.compounds.flatMap((compound, i) => {
+                const status = [];
+                if (compound.forbidden) status.push('Forbidden');
+                compound.batches.forEach(batch => {
+                    if (batch.status === 'appeared') status.push(`New in ${batch.certificateNumber}`);
+                    if (batch.status === 'disappeared') status.push(`Not detected in ${batch.certificateNumber}`);
+                });
+                const outOfSpec = compound.batches.filter(batch => batch.outOfSpec.length > 0);
+                if (outOfSpec.length > 0) {
+                    status.push(`Out of spec: ${outOfSpec.map(batch => batch.certificateNumber).join(', ')}`);
+                } else if (compound.spec && !compound.forbidden) {
+                    status.push('In spec');
+                }
+
+                return [
+                    outOfSpec.length > 0 ? '                <tr class="coa-suspect">' : '                <tr>',
+                    `                    <td>${i + 1}</td>`,
+                    compound.page
+                        ? `                    <td><a href="${escapeAttribute(rootPath + compound.page)}" class="coa-link"><strong>${e(compound.name)}</strong></a></td>`
+                        : `                    <td>${e(compound.name)}</td>`,
+                    `                    <td>${compound.spec && compound.spec.areaPercent ? e(formatLimits(compound.spec.areaPercent)) : '—'}</td>`,
+                    `                    <td>${compound.spec && compound.spec.concentration ? e(formatLimits(compound.spec.concentration)) : '—'}</td>`,
+                    ...compound.batches.map(batch => {
+                        const classes = ['coa-batch'];
+                        if (batch.outOfSpec.length > 0) classes.push('coa-out-of-spec');
+                        if (batch.status === 'appeared' || batch.status === 'disappeared') classes.push(`coa-${batch.status}`);
+                        const title = batch.outOfSpec.length > 0 ? ` title="${escapeAttribute(batch.outOfSpec.join('; '))}"` : '';
+
+                        let change = '';
+                        if (batch.change) {
+                            change = `<small>${formatChange(batch.change.areaPercent)} / ${formatChange(batch.change.concentration)}</small>`;
+                        } else if (batch.status === 'appeared') {
+                            change = '<small>new</small>';
+                        } else if (batch.status === 'disappeared') {
+                            change = '<small>not detected</small>';
+                        }
+                        const value = batch.status === 'absent' || batch.status === 'disappeared'
+                            ? '—'
+                            : `${fixed(batch.areaPercent, 1)} / ${fixed(batch.concentration, 1)}`;
+                        return `                    <td class="${classes.join(' ')}"${title}>${value}${change}</td>`;
+                    }),
+                    `                    <td>${e(status.join('; ') || '—')}</td>`,
+                    '                </tr>'
+                ];
+            }),
+            '            </tbody>',
+            '        </table>',
+            '    </div>',
+            ''
+        );
+
+        if (this.spec) {
+            lines.push(
+                '    <!-- Out of Specification -->',
+                '    <div class="coa-notes">',
+                '        <h3>Out of Specification</h3>',
+                '        <ul>',
+                ...(report.outOfSpec.length > 0
+                    ? report.outOfSpec.map(finding => `            <li><strong>${e(finding.certificateNumber)}:</strong> ${e(finding.message)}</li>`)
+                    : ['            <li>All batches meet the specification.</li>']),
+                '        </ul>',
+                '    </div>',
+                ''
+            );
+        }
+
+        if (report.appeared.length > 0 || report.disappeared.length > 0) {
+            lines.push(
+                '    <!-- Batch Changes -->',
+                '    <div class="coa-notes">',
+                `        <h3>Changes vs. ${e(report.baseline)}</h3>`,
+                '        <ul>',
+                ...report.appeared.map(({ certificateNumber, compound }) => `            <li><strong>${e(certificateNumber)}:</strong> ${e(compound)} appeared</li>`),
+                ...report.disappeared.map(({ certificateNumber, compound }) => `            <li><strong>${e(certificateNumber)}:</strong> ${e(compound)} not detected</li>`),
+                '        </ul>',
+                '    </div>',
+                ''
+            );
+        }
+
+        lines.push(
+            '    <!-- Footer -->',
+            '    <div class="coa-footer">',
+            '        <p><strong>Terpedia Analytical Laboratory</strong></p>',
+            '        <p>This report compares the certificates listed above. See each certificate for method details.</p>',
+            '        <p>For questions regarding this analysis, please contact: <a href="https://github.com/terpedia">github.com/terpedia</a></p>',
+            '    </div>',
+            '</div>'
+        );
+
+        return lines.map(line => (line ? indent + line : line)).join('\n');
+    }
+
+    // Standalone page; rootPath is the site root (styles, compound pages)
+    // relative to where the page is saved
+    toPage(rootPath = '') {
+        const prefix = rootPath ? `${rootPath.split(path.sep).join('/')}/` : '';
+        const numbers = this.certificates.map(coa => coa.certificateNumber).join(', ');
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '    <meta charset="UTF-8">',
+            '    <meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            `    <title>Batch Comparison - ${escapeHTML(numbers)} | Terpedia</title>`,
+            `    <link rel="stylesheet" href="${prefix}styles.css">`,
+            `    <link rel="stylesheet" href="${prefix}coa-styles.css">`,
+            '</head>',
+            '<body>',
+            '    <main class="container">',
+            this.toHTML('        ', prefix),
+            '    </main>',
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+}
+
+CoaComparison.percentChange = percentChange;
+
+module.exports = CoaComparison;
@@ -0,0 +1,161 @@
+// Product specification for Certificates of Analysis
+// A specification lists per-compound limits for area % and concentration
+// plus compounds that must not be present at all. Specifications live in
+// data/specs/<id>.json:
+//
+//   {
+//     "id": "cinnamon-roll-flavor", "name": "...", "version": "1", "concentrationUnit": "μg/g",
+//     "compounds": [{ "name": "Coumarin", "page": "compounds/coumarin.html",
+//                     "areaPercent": { "max": 3 }, "concentration": { "max": 15 } }],
+//     "forbidden": [{ "name": "Methyl eugenol", "cas": "93-15-2", "reason": "..." }]
+//   }
+//
+// Limits are inclusive. A compound with a minimum above zero is required;
+// compounds the specification doesn't list are not checked.
+
+const fs = require('fs');
+
+const LIMIT_FIELDS = [
+    ['areaPercent', 'area'],
+    ['concentration', 'concentration']
+];
+
+// Units that are numerically the same
+const UNIT_ALIASES = {
+    'mg/kg': 'μg/g',
+    'ppm': 'μg/g',
+    'µg/g': 'μg/g'
+};
+
+function canonicalUnit(unit) {
+    return UNIT_ALIASES[unit] || unit;
+}
+
+// Same compound: the CAS numbers decide when both rows have one, so isomers
+// sharing a page (α- and β-pinene) stay apart; otherwise the same page or
+// (case-insensitive) name. casAliases maps alias CAS numbers to the page
+// compound's (PeakTableImporter#casAliases), so an imported
+// "Cinnamaldehyde, (E)-" (14371-10-9) is the CoA's Cinnamaldehyde (104-55-2).
+function sameCompound(a, b, casAliases = null) {
+    if (a.cas && b.cas) {
+        const canonical = number => (casAliases && casAliases.get(number)) || number;
+        return canonical(a.cas) === canonical(b.cas);
+    }
+    return Boolean(
+        (a.page && b.page && a.page === b.page) ||
+        (a.name && b.name && a.name.toLowerCase() === b.name.toLowerCase())
+    );
+}
+
+// { min: 60, max: 75 } → "60–75"; { max: 3 } → "≤ 3"
+function formatLimits(limits, unit = '') {
+    const hasMin = limits.min !== undefined && limits.min !== null;
+    const hasMax = limits.max !== undefined && limits.max !== null;
+    if (hasMin && hasMax) return `${limits.min}–${limits.max}${unit}`;
+    if (hasMax) return `≤ ${limits.max}${unit}`;
+    if (hasMin) return `≥ ${limits.min}${unit}`;
+    return '—';
+}
+
+class ProductSpecification {
+    constructor(data = {}, options = {}) {
+        this.id = data.id || null;
+        this.name = data.name || null;
+        this.version = data.version || null;
+        this.description = data.description || null;
+        this.concentrationUnit = data.concentrationUnit || 'μg/g';
+        this.compounds = data.compounds || [];
+        this.forbidden = data.forbidden || [];
+        this.casAliases = options.casAliases || null;
+    }
+
+    static load(filePath, options = {}) {
+        return new ProductSpecification(JSON.parse(fs.readFileSync(filePath, 'utf-8')), options);
+    }
+
+    // "Cinnamon Roll Flavor Profile v1"
+    get label() {
+        return [this.name || this.id, this.version ? `v${this.version}` : null].filter(Boolean).join(' ');
+    }
+
+    limitsFor(compound) {
+        return this.compounds.find(entry => sameCompound(entry, compound, this.casAliases)) || null;
+    }
+
+    forbiddenEntry(compound) {
+        return this.forbidden.find(entry => sameCompound(entry, compound, this.casAliases)) || null;
+    }
+
+    // Out-of-spec findings for one certificate:
+    // [{ certificateNumber, compound, cas, page, field, value, limits, reason, message }]
+    check(coa) {
+        const findings = [];
+        const certificateNumber = coa.certificateNumber;
+        const unitsMatch = canonicalUnit(coa.concentrationUnit) === canonicalUnit(this.concentrationUnit);
+        const add = (compound, field, value, limits, reason, message) => {
+            findings.push({
+                certificateNumber,
+                compound: compound.name,
+                cas: compound.cas || null,
+                page: compound.page || null,
+                field,
+                value,
+                limits,
+                reason,
+                message
+            });
+        };
+
+        for (const entry of this.compounds) {
+            const row = coa.compounds.find(compound => sameCompound(entry, compound, this.casAliases)) || null;
+
+            if (!row) {
+                const required = LIMIT_FIELDS.find(([field]) => entry[field] && entry[field].min > 0);
+                if (required) {
+                    const [field, label] = required;
+                    const unit = field === 'areaPercent' ? '%' : ` ${this.concentrationUnit}`;
+                    add(entry, field, null, entry[field], 'missing',
+                        `${entry.name} not detected (spec ${label} ${formatLimits(entry[field], unit)})`);
+                }
+                continue;
+            }
+
+            for (const [field, label] of LIMIT_FIELDS) {
+                const limits = entry[field];
+                if (!limits) continue;
+                const unit = field === 'areaPercent' ? '%' : ` ${this.concentrationUnit}`;
+                const range = formatLimits(limits, unit);
+
+                if (field === 'concentration' && !unitsMatch) {
+                    add(entry, field, null, limits, 'unit mismatch',
+                        `${entry.name} concentration is in ${coa.concentrationUnit}, specification uses ${this.concentrationUnit}`);
+                    continue;
+                }
+
+                const value = row[field];
+                if (value === null) {
+                    add(entry, field, null, limits, 'not reported', `${entry.name} ${label} not reported (spec ${range})`);
+                } else if (limits.min !== undefined && limits.min !== null && value < limits.min) {
+                    add(entry, field, value, limits, 'below minimum', `${entry.name} ${label} ${value}${unit} below spec ${range}`);
+                } else if (limits.max !== undefined && limits.max !== null && value > limits.max) {
+                    add(entry, field, value, limits, 'above maximum', `${entry.name} ${label} ${value}${unit} above spec ${range}`);
+                }
+            }
+        }
+
+        for (const compound of coa.compounds) {
+            const entry = this.forbiddenEntry(compound);
+            if (entry) {
+                add(compound, null, compound.areaPercent, null, 'forbidden',
+                    `${compound.name} is not permitted${entry.reason ? `: ${entry.reason}` : ''}`);
+            }
+        }
+
+        return findings;
+    }
+}
+
+ProductSpecification.sameCompound = sameCompound;
+ProductSpecification.formatLimits = formatLimits;
+
+module.exports = ProductSpecification;
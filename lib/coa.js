@@ -0,0 +1,481 @@
+// GC-MS Certificate of Analysis data model
+// One certificate = sample, instrument/method, identified compounds and notes.
+// Certificates live in data/coa/<certificateNumber>.json and are rendered into
+// the coa-document layout of coa.html and cinnamon-roll-tabs.html
+// (styles in coa-styles.css) by scripts/coa.js.
+//
+// CSV layout (what the lab sends): "# Label: value" preamble lines, then one
+// row per compound. Header names are matched loosely, so "RT (min)",
+// "Retention Time" and "RT" all map to retentionTime.
+//
+//   # Certificate No.: TP-2024-001
+//   # Sample Name: Cinnamon Roll Flavor Profile
+//   # Note: Concentrations calculated using internal standard method
+//   No.,Compound Name,CAS Number,RT (min),Area %,Concentration (μg/g),Match Quality,Compound Page
+//   1,Cinnamaldehyde,104-55-2,12.45,68.5,245.3,98.2,compounds/cinnamaldehyde.html
+
+const csv = require('./csv');
+
+// Preamble labels, in the order they are written
+const PREAMBLE_FIELDS = [
+    ['Certificate No.', 'certificateNumber'],
+    ['Date', 'date'],
+    ['Sample Name', 'sample.name'],
+    ['Sample Type', 'sample.type'],
+    ['Sample Description', 'sample.description'],
+    ['Method', 'method.instrument'],
+    ['Column', 'method.column'],
+    ['Injection Temp', 'method.injectionTemp'],
+    ['Detector', 'method.detector'],
+    ['Carrier Gas', 'method.carrierGas'],
+    ['Flow Rate', 'method.flowRate'],
+    ['RI Ladder', 'method.riLadder'],
+    ['Compliance Basis', 'complianceBasis'],
+    ['Compliance Category', 'complianceCheck.category'],
+    ['Compliance Dosage', 'complianceCheck.dosage']
+];
+
+// Compound columns: CSV header aliases → field
+const COLUMNS = [
+    { field: 'name', header: 'Compound Name', pattern: /^(compound( name)?|name)$/i },
+    { field: 'cas', header: 'CAS Number', pattern: /^cas\b/i },
+    { field: 'retentionTime', header: 'RT (min)', pattern: /^(rt|ret\.? time|retention time)\b/i, numeric: true },
+    { field: 'areaPercent', header: 'Area %', pattern: /^area\b/i, numeric: true },
+    { field: 'concentration', header: 'Concentration', pattern: /^conc(entration)?\b/i, numeric: true },
+    { field: 'matchQuality', header: 'Match Quality', pattern: /^(match|quality|similarity|si)\b/i, numeric: true },
+    { field: 'retentionIndex', header: 'RI', pattern: /^(ri|lri|ret\.? index|retention index|kovats)\b/i, numeric: true },
+    { field: 'page', header: 'Compound Page', pattern: /^((compound )?page|details|link|url)$/i },
+    { field: 'flags', header: 'Flags', pattern: /^(flags?|warnings?)$/i, list: true },
+    { field: 'compliance', header: 'Compliance', pattern: /^(compliance|regulatory)( status)?$/i },
+    { field: 'complianceRule', header: 'Compliance Rule', pattern: /^(compliance|regulatory) rule$/i }
+];
+
+const CAS_PATTERN = /^\d{2,7}-\d{2}-\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COMPLIANCE_STATUSES = ['pass', 'warn', 'fail'];
+const COMPLIANCE_LABELS = { pass: '✓ Pass', warn: '⚠ Warn', fail: '✗ Fail' };
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), object);
+    target[last] = value;
+}
+
+// "98.2%" → 98.2; "" / "—" → null
+function parseNumber(text) {
+    if (text === null || text === undefined) return null;
+    const value = parseFloat(String(text).replace(/[%,\s]/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeHTML(text).replace(/"/g, '&quot;');
+}
+
+function fixed(value, digits) {
+    return value === null || value === undefined ? '—' : value.toFixed(digits);
+}
+
+// Sums are rounded to the table's one decimal place
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+class CertificateOfAnalysis {
+    constructor(data = {}) {
+        this.certificateNumber = data.certificateNumber || null;
+        this.date = data.date || null;
+        this.sample = {
+            name: null,
+            type: null,
+            description: null,
+            ...data.sample
+        };
+        this.method = {
+            instrument: null,
+            column: null,
+            injectionTemp: null,
+            detector: null,
+            carrierGas: null,
+            flowRate: null,
+            riLadder: null,
+            ...data.method
+        };
+        this.concentrationUnit = data.concentrationUnit || 'μg/g';
+        this.compounds = (data.compounds || []).map(compound => ({
+            name: compound.name || null,
+            cas: compound.cas || null,
+            retentionTime: parseNumber(compound.retentionTime),
+            areaPercent: parseNumber(compound.areaPercent),
+            concentration: parseNumber(compound.concentration),
+            matchQuality: parseNumber(compound.matchQuality),
+            retentionIndex: parseNumber(compound.retentionIndex),
+            page: compound.page || null,
+            flags: compound.flags || [],
+            compliance: compound.compliance || null,
+            complianceRule: compound.complianceRule || null
+        }));
+        this.complianceBasis = data.complianceBasis || null;
+        // { category, dosage } of the regulatory check (lib/regulatory.js).
+        // When set, compliance, complianceRule and complianceBasis are
+        // recomputed from data/regulatory.json on load and never saved.
+        this.complianceCheck = data.complianceCheck && data.complianceCheck.category
+            ? { category: data.complianceCheck.category, dosage: parseNumber(data.complianceCheck.dosage) }
+            : null;
+        this.notes = data.notes || [];
+        this.signatures = data.signatures || [];
+    }
+
+    static fromJSON(json) {
+        return new CertificateOfAnalysis(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    static fromCSV(text) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const data = { notes: [], signatures: [] };
+
+        // Leading "# Label: value" lines
+        let start = 0;
+        while (start < lines.length && (lines[start].startsWith('#') || lines[start].trim() === '')) {
+            const match = lines[start].match(/^#\s*([^:]+):\s*(.*)$/);
+            start++;
+            if (!match) continue;
+
+            const label = match[1].trim();
+            const value = match[2].trim();
+            const preamble = PREAMBLE_FIELDS.find(([name]) => name.toLowerCase() === label.toLowerCase());
+            if (/^notes?$/i.test(label)) {
+                data.notes.push(value);
+            } else if (/^signature$/i.test(label)) {
+                const [role, name, title] = value.split('|').map(part => part.trim());
+                data.signatures.push({ role, name: name || null, title: title || null });
+            } else if (preamble) {
+                setPath(data, preamble[1], value || null);
+            }
+        }
+
+        const [header, ...rows] = csv.parse(lines.slice(start).join('\n'));
+        if (!header) {
+            throw new Error('CSV has no compound table');
+        }
+
+        const columns = header.map(name => COLUMNS.find(column => column.pattern.test(name.trim())) || null);
+        if (!columns.some(column => column && column.field === 'name')) {
+            throw new Error(`CSV has no compound name column (found: ${header.join(', ')})`);
+        }
+
+        // "Concentration (mg/kg)" carries the unit
+        const concentrationHeader = header.find((name, i) => columns[i] && columns[i].field === 'concentration');
+        const unitMatch = concentrationHeader && concentrationHeader.match(/\(([^)]+)\)/);
+        if (unitMatch) {
+            data.concentrationUnit = unitMatch[1].trim();
+        }
+
+        data.compounds = rows.map(row => {
+            const compound = {};
+            columns.forEach((column, i) => {
+                if (!column) return;
+                const value = (row[i] || '').trim();
+                if (column.list) {
+                    compound[column.field] = value ? value.split(/\s*;\s*/) : [];
+                } else {
+                    compound[column.field] = column.numeric ? parseNumber(value) : value || null;
+                }
+            });
+            return compound;
+        });
+
+        return new CertificateOfAnalysis(data);
+    }
+
+    toJSON() {
+        // Statuses from a recorded check go stale when the regulatory data
+        // changes, so only the check itself is saved
+        const checked = this.complianceCheck !== null;
+        return {
+            certificateNumber: this.certificateNumber,
+            date: this.date,
+            sample: this.sample,
+            method: this.method,
+            concentrationUnit: this.concentrationUnit,
+            complianceBasis: checked ? null : this.complianceBasis,
+            complianceCheck: this.complianceCheck,
+            compounds: checked
+                ? this.compounds.map(compound => ({ ...compound, compliance: null, complianceRule: null }))
+                : this.compounds,
+            notes: this.notes,
+            signatures: this.signatures
+        };
+    }
+
+    toCSV() {
+        const preamble = [];
+        for (const [label, keyPath] of PREAMBLE_FIELDS) {
+            const value = getPath(this, keyPath);
+            if (value !== null && value !== undefined) {
+                preamble.push(`# ${label}: ${value}`);
+            }
+        }
+        this.notes.forEach(note => preamble.push(`# Note: ${note}`));
+        this.signatures.forEach(({ role, name, title }) => {
+            preamble.push(`# Signature: ${[role, name || '', title || ''].join(' | ')}`);
+        });
+
+        const header = ['No.', ...COLUMNS.map(column =>
+            column.field === 'concentration' ? `Concentration (${this.concentrationUnit})` : column.header
+        )];
+        const rows = this.compounds.map((compound, i) => [i + 1, ...COLUMNS.map(column =>
+            column.list ? compound[column.field].join('; ') : compound[column.field]
+        )]);
+
+        return preamble.join('\n') + '\n' + csv.format([header, ...rows]);
+    }
+
+    totals() {
+        const sum = field => round1(this.compounds.reduce((total, compound) => total + (compound[field] || 0), 0));
+        return {
+            compounds: this.compounds.length,
+            areaPercent: sum('areaPercent'),
+            concentration: sum('concentration')
+        };
+    }
+
+    // "2024-03-15" → "March 15, 2024"
+    formattedDate() {
+        if (!this.date) return '—';
+        return new Date(`${this.date}T00:00:00Z`).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    validate() {
+        const errors = [];
+
+        if (!this.certificateNumber) errors.push('Missing certificate number');
+        if (!this.sample.name) errors.push('Missing sample name');
+        if (this.date && !DATE_PATTERN.test(this.date)) errors.push(`Date must be YYYY-MM-DD: ${this.date}`);
+        if (this.compounds.length === 0) errors.push('No identified compounds');
+
+        const ranges = {
+            retentionTime: [0, Infinity],
+            areaPercent: [0, 100],
+            concentration: [0, Infinity],
+            matchQuality: [0, 100],
+            retentionIndex: [0, Infinity]
+        };
+
+        this.compounds.forEach((compound, i) => {
+            const row = `Row ${i + 1}${compound.name ? ` (${compound.name})` : ''}`;
+            if (!compound.name) errors.push(`${row}: missing compound name`);
+            if (compound.compliance && !COMPLIANCE_STATUSES.includes(compound.compliance)) {
+                errors.push(`${row}: compliance must be ${COMPLIANCE_STATUSES.join(', ')}, not "${compound.compliance}"`);
+            }
+            if (compound.cas && !CAS_PATTERN.test(compound.cas)) errors.push(`${row}: invalid CAS number "${compound.cas}"`);
+            for (const [field, [min, max]] of Object.entries(ranges)) {
+                const value = compound[field];
+                if (value !== null && (value < min || value > max)) {
+                    errors.push(`${row}: ${field} ${value} out of range`);
+                }
+            }
+        });
+
+        // Rows are rounded to 0.1%, so a complete table can sum to slightly over 100
+        const { areaPercent } = this.totals();
+        if (areaPercent > 100.5) errors.push(`Total area ${areaPercent}% exceeds 100%`);
+
+        return errors;
+    }
+
+    // The coa-document markup, each line prefixed with indent. Headings carry
+    // the anchor ids chat citations link to (see lib/content-extractor.js).
+    toHTML(indent = '') {
+        const e = escapeHTML;
+        const totals = this.totals();
+        // The RI column only appears once an alkane ladder has been applied
+        const showRetentionIndex = this.compounds.some(compound => compound.retentionIndex !== null);
+        // Likewise the Compliance column once a regulatory check has been applied
+        const showCompliance = this.compounds.some(compound => compound.compliance !== null);
+        const infoRows = [
+            ['Certificate No.', this.certificateNumber, 'Date', this.formattedDate()],
+            ['Sample Name', this.sample.name, 'Sample Type', this.sample.type],
+            ['Method', this.method.instrument, 'Column', this.method.column],
+            ['Injection Temp', this.method.injectionTemp, 'Detector', this.method.detector],
+            ['Carrier Gas', this.method.carrierGas, 'Flow Rate', this.method.flowRate]
+        ];
+        if (this.method.riLadder) {
+            const suspect = this.compounds.filter(compound => compound.flags.length > 0).length;
+            infoRows.push(['RI Ladder', this.method.riLadder, 'Suspect Peaks', String(suspect)]);
+        }
+        if (this.complianceBasis) {
+            const count = status => this.compounds.filter(compound => compound.compliance === status).length;
+            infoRows.push(['Compliance', this.complianceBasis, 'Result', `${count('pass')} pass, ${count('warn')} warn, ${count('fail')} fail`]);
+        }
+
+        const lines = [
+            '<div class="coa-document">',
+            '    <!-- CoA Header -->',
+            '    <div class="coa-header">',
+            '        <div class="coa-logo">',
+            '            <h2 id="terpedia">TERPEDIA</h2>',
+            '            <p>Analytical Laboratory</p>',
+            '        </div>',
+            '        <div class="coa-title">',
+            '            <h1 id="certificate-of-analysis">CERTIFICATE OF ANALYSIS</h1>',
+            '            <p class="coa-subtitle">Gas Chromatography-Mass Spectrometry (GCMS)</p>',
+            '        </div>',
+            '    </div>',
+            '',
+            '    <!-- Certificate Information -->',
+            '    <div class="coa-info">',
+            '        <table class="info-table">',
+            ...infoRows.flatMap(([label1, value1, label2, value2]) => [
+                '            <tr>',
+                `                <td><strong>${e(label1)}:</strong></td>`,
+                `                <td>${e(value1 || '—')}</td>`,
+                `                <td><strong>${e(label2)}:</strong></td>`,
+                `                <td>${e(value2 || '—')}</td>`,
+                '            </tr>'
+            ]),
+            '        </table>',
+            '    </div>',
+            ''
+        ];
+
+        if (this.sample.description) {
+            lines.push(
+                '    <!-- Sample Description -->',
+                '    <div class="coa-sample-desc">',
+                '        <h3 id="sample-description">Sample Description</h3>',
+                `        <p>${e(this.sample.description)}</p>`,
+                '    </div>',
+                ''
+            );
+        }
+
+        lines.push(
+            '    <!-- Results Table -->',
+            '    <div class="coa-results">',
+            '        <h3 id="identified-compounds">Identified Compounds</h3>',
+            '        <table class="coa-table">',
+            '            <thead>',
+            '                <tr>',
+            '                    <th>#</th>',
+            '                    <th>Compound Name</th>',
+            '                    <th>CAS Number</th>',
+            '                    <th>RT (min)</th>',
+            '                    <th>Area %</th>',
+            `                    <th>Concentration (${e(this.concentrationUnit)})</th>`,
+            '                    <th>Match Quality</th>',
+            ...(showRetentionIndex ? ['                    <th>RI</th>'] : []),
+            ...(showCompliance ? ['                    <th>Compliance</th>'] : []),
+            '                    <th>Details</th>',
+            '                </tr>',
+            '            </thead>',
+            '            <tbody>',
+            ...this.compounds.flatMap((compound, i) => [
+                compound.flags.length > 0
+                    ? `                <tr class="coa-suspect" title="${escapeAttribute(compound.flags.join('; '))}">`
+                    : '                <tr>',
+                `                    <td>${i + 1}</td>`,
+                // Compounds with a page of their own are bold
+                compound.page
+                    ? `                    <td><strong>${e(compound.name || '—')}</strong></td>`
+                    : `                    <td>${e(compound.name || '—')}</td>`,
+                `                    <td>${e(compound.cas || '—')}</td>`,
+                `                    <td>${fixed(compound.retentionTime, 2)}</td>`,
+                `                    <td>${fixed(compound.areaPercent, 1)}</td>`,
+                `                    <td>${fixed(compound.concentration, 1)}</td>`,
+                `                    <td>${compound.matchQuality === null ? '—' : `${compound.matchQuality.toFixed(1)}%`}</td>`,
+                ...(showRetentionIndex
+                    ? [`                    <td class="coa-ri">${compound.retentionIndex === null ? '—' : compound.retentionIndex}${compound.flags.length > 0 ? ' ⚠' : ''}</td>`]
+                    : []),
+                ...(showCompliance
+                    ? [compound.compliance
+                        ? `                    <td class="coa-compliance coa-${compound.compliance}">${COMPLIANCE_LABELS[compound.compliance]}${compound.complianceRule ? `<small>${e(compound.complianceRule)}</small>` : ''}</td>`
+                        : '                    <td class="coa-compliance">—</td>']
+                    : []),
+                compound.page
+                    ? `                    <td><a href="${escapeAttribute(compound.page)}" class="coa-link">View →</a></td>`
+                    : '                    <td>—</td>',
+                '                </tr>'
+            ]),
+            '                <tr class="total-row">',
+            '                    <td colspan="4"><strong>Total Identified</strong></td>',
+            `                    <td><strong>${totals.areaPercent.toFixed(1)}%</strong></td>`,
+            `                    <td><strong>${totals.concentration.toFixed(1)}</strong></td>`,
+            `                    <td colspan="${2 + (showRetentionIndex ? 1 : 0) + (showCompliance ? 1 : 0)}"></td>`,
+            '                </tr>',
+            '            </tbody>',
+            '        </table>',
+            '    </div>',
+            ''
+        );
+
+        if (this.notes.length > 0) {
+            lines.push(
+                '    <!-- Notes Section -->',
+                '    <div class="coa-notes">',
+                '        <h3 id="notes">Notes</h3>',
+                '        <ul>',
+                ...this.notes.map(note => `            <li>${e(note)}</li>`),
+                '        </ul>',
+                '    </div>',
+                ''
+            );
+        }
+
+        if (this.signatures.length > 0) {
+            lines.push(
+                '    <!-- Signature Section -->',
+                '    <div class="coa-signature">',
+                '        <table class="signature-table">',
+                '            <tr>',
+                ...this.signatures.flatMap(({ role, name, title }) => [
+                    '                <td class="signature-cell">',
+                    '                    <div class="signature-line"></div>',
+                    `                    <p><strong>${e(role)}</strong></p>`,
+                    ...(name ? [`                    <p>${e(name)}</p>`] : []),
+                    ...(title ? [`                    <p>${e(title)}</p>`] : []),
+                    '                </td>'
+                ]),
+                '            </tr>',
+                '        </table>',
+                '    </div>',
+                ''
+            );
+        }
+
+        lines.push(
+            '    <!-- Footer -->',
+            '    <div class="coa-footer">',
+            '        <p><strong>Terpedia Analytical Laboratory</strong></p>',
+            '        <p>This certificate relates only to the sample tested. Results are based on the sample as received.</p>',
+            '        <p>For questions regarding this analysis, please contact: <a href="https://github.com/terpedia">github.com/terpedia</a></p>',
+            '    </div>',
+            '</div>'
+        );
+
+        return lines.map(line => (line ? indent + line : line)).join('\n');
+    }
+}
+
+CertificateOfAnalysis.COLUMNS = COLUMNS;
+CertificateOfAnalysis.escapeHTML = escapeHTML;
+CertificateOfAnalysis.escapeAttribute = escapeAttribute;
+
+module.exports = CertificateOfAnalysis;
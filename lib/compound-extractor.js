@@ -0,0 +1,343 @@
+// Structured compound records from compounds/*.html
+// Shared by scripts/build-compounds.js (data/compounds.json) and
+// scripts/build-rag-sqlite.js (the compounds table), so both always agree.
+//
+// Each page is parsed with ContentExtractor, then its sections are mapped by
+// heading: Chemical Properties, Function in Human Physiology, Mechanisms of
+// Action, Metabolism and Bioavailability, Safety and Considerations, References.
+// Odor thresholds and descriptors come from data/sensory.json (by page),
+// papers that mention the compound from data/literature.json; molecular
+// weight, monoisotopic mass and isotope pattern are computed from the
+// formula (lib/formula.js).
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const ContentExtractor = require('./content-extractor');
+const MolecularFormula = require('./formula');
+
+// Bump when the record shape changes
+const RECORD_VERSION = '4';
+
+const SECTIONS = {
+    chemicalProperties: /chemical properties/i,
+    functions: /function/i,
+    mechanisms: /mechanism/i,
+    metabolism: /metabolism|bioavailability/i,
+    safety: /safety/i,
+    references: /^references$/i
+};
+
+// Chemical Properties labels with a dedicated field
+const PROPERTY_FIELDS = {
+    'Molecular Weight': 'molecularWeight',
+    'Structure': 'structure',
+    'Physical State': 'physicalState',
+    'Melting Point': 'meltingPoint',
+    'Boiling Point': 'boilingPoint',
+    'Solubility': 'solubility'
+};
+
+const WARNING_LABELS = /^(important|critical|warning|caution|note)\b/i;
+
+// Fields every compound page is expected to have
+const REQUIRED_FIELDS = [
+    'formula', 'iupacName', 'molecularWeight', 'boilingPoint', 'solubility',
+    'functions', 'mechanisms', 'metabolism', 'safety', 'references'
+];
+
+// "164.20 g/mol" → { value: 164.2, unit: 'g/mol', text }
+function parseQuantity(text) {
+    const match = text.match(/(-?\d+(?:\.\d+)?)\s*([^\s,;()]+)?/);
+    if (!match) return { value: null, unit: null, text };
+    return { value: parseFloat(match[1]), unit: match[2] || null, text };
+}
+
+// "254°C" → { min: 254, max: 254 }; "175-177°C" → { min: 175, max: 177 };
+// "α-pinene: 155°C, β-pinene: 166°C" → { min: 155, max: 166 }
+function parseTemperature(text) {
+    const values = [];
+    const pattern = /(-?\d+(?:\.\d+)?)(?:\s*[-–]\s*(\d+(?:\.\d+)?))?\s*°\s*C/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        values.push(parseFloat(match[1]));
+        if (match[2]) values.push(parseFloat(match[2]));
+    }
+    if (values.length === 0) return { min: null, max: null, unit: null, text };
+    return { min: Math.min(...values), max: Math.max(...values), unit: '°C', text };
+}
+
+// List items lose their "- " / "1. " marker
+function itemText(block) {
+    return block.text.replace(/^(- |\d+\. )/, '');
+}
+
+class CompoundExtractor {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.compoundsDir = options.compoundsDir || 'compounds';
+        this.extractor = options.extractor || new ContentExtractor({ rootDir: this.rootDir });
+    }
+
+    listPages() {
+        const dir = path.join(this.rootDir, this.compoundsDir);
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.html'))
+            .sort()
+            .map(file => `${this.compoundsDir}/${file}`);
+    }
+
+    // CAS numbers only appear in the CoA results table; map them by the
+    // compound page each row links to
+    casNumbersFromCoa(coaPage = 'coa.html') {
+        const casNumbers = new Map();
+        const page = this.extractor.readPage(coaPage, coaPage);
+        if (!page) {
+            return casNumbers;
+        }
+
+        const content = this.extractor.extractContent(page.html, page.title, page.filePath);
+        for (const block of content.blocks) {
+            if (block.type !== 'table_row') continue;
+            const cas = block.fields.find(f => /^cas\b/i.test(f.label));
+            const link = block.fields.find(f => f.href);
+            if (cas && link) {
+                casNumbers.set(path.posix.normalize(link.href), cas.value);
+            }
+        }
+        return casNumbers;
+    }
+
+    // { odorThreshold, thresholdUnit, thresholdMedium, descriptors, categories }
+    // by compound page, from data/sensory.json when the site has one
+    sensoryByPage() {
+        const sensory = new Map();
+        const dataPath = path.join(this.rootDir, 'data', 'sensory.json');
+        if (!fs.existsSync(dataPath)) {
+            return sensory;
+        }
+
+        const data = JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+        for (const { name, page, cas, ...entry } of data.compounds) {
+            if (!page) continue;
+            sensory.set(page, {
+                ...entry,
+                thresholdUnit: data.thresholdUnit,
+                thresholdMedium: data.thresholdMedium
+            });
+        }
+        return sensory;
+    }
+
+    // [{ id, pmid, doi, title, journal, year }] by compound page, from
+    // data/literature.json (scripts/import-literature.js)
+    literatureByPage() {
+        const literature = new Map();
+        const dataPath = path.join(this.rootDir, 'data', 'literature.json');
+        if (!fs.existsSync(dataPath)) {
+            return literature;
+        }
+
+        for (const { id, pmid, doi, title, journal, year, compounds } of JSON.parse(fs.readFileSync(dataPath, 'utf-8')).records) {
+            for (const compound of compounds) {
+                if (!literature.has(compound.url)) literature.set(compound.url, []);
+                literature.get(compound.url).push({ id, pmid, doi, title, journal, year });
+            }
+        }
+        return literature;
+    }
+
+    extractAll() {
+        const casNumbers = this.casNumbersFromCoa();
+        const sensory = this.sensoryByPage();
+        const literature = this.literatureByPage();
+        const compounds = [];
+
+        for (const filePath of this.listPages()) {
+            const compound = this.extractCompound(filePath);
+            if (compound) {
+                compound.casNumber = casNumbers.get(filePath) || null;
+                compound.sensory = sensory.get(filePath) || null;
+                compound.literature = literature.get(filePath) || [];
+                compounds.push(compound);
+            }
+        }
+
+        return {
+            compounds,
+            validation: this.validate(compounds)
+        };
+    }
+
+    extractCompound(filePath) {
+        const page = this.extractor.readPage(filePath, filePath);
+        if (!page) {
+            return null;
+        }
+
+        const $ = cheerio.load(page.html);
+        const content = this.extractor.extractContent(page.html, page.title, page.filePath);
+        const name = normalize($('.compound-header h2').first().text()) || content.headings[0] || null;
+
+        const compound = {
+            slug: path.posix.basename(filePath, '.html'),
+            name,
+            url: filePath,
+            formula: normalize($('.compound-formula-large').first().text()) || null,
+            iupacName: normalize($('.compound-iupac').first().text()) || null,
+            casNumber: null,
+            molecularWeight: null,
+            structure: null,
+            physicalState: null,
+            meltingPoint: null,
+            boilingPoint: null,
+            solubility: null,
+            otherProperties: {},
+            functions: [],
+            mechanisms: [],
+            metabolism: null,
+            safety: null,
+            references: [],
+            masses: null,
+            sensory: null,
+            literature: [],
+            otherSections: []
+        };
+
+        for (const section of this.topLevelSections(content.blocks)) {
+            const key = Object.keys(SECTIONS).find(k => SECTIONS[k].test(section.heading));
+            switch (key) {
+                case 'chemicalProperties':
+                    this.applyProperties(compound, section.blocks);
+                    break;
+                case 'functions':
+                    compound.functions = this.subsections(section.blocks);
+                    break;
+                case 'mechanisms':
+                    compound.mechanisms = section.blocks
+                        .flatMap(b => b.fields || [])
+                        .map(f => ({ name: f.label, description: f.value }));
+                    break;
+                case 'metabolism':
+                case 'safety':
+                    compound[key] = this.summarize(section.blocks);
+                    break;
+                case 'references':
+                    compound.references = section.blocks.filter(b => b.type === 'list_item').map(itemText);
+                    break;
+                default:
+                    compound.otherSections.push({
+                        heading: section.heading,
+                        text: section.blocks.map(b => b.text).join('\n')
+                    });
+            }
+        }
+
+        compound.masses = this.computeMasses(compound.formula);
+        return compound;
+    }
+
+    // { formula, molecularWeight, monoisotopicMass, nominalMass, isotopePattern },
+    // null without a formula or when it can't be parsed
+    computeMasses(formula) {
+        if (!formula) return null;
+        try {
+            return MolecularFormula.parse(formula).masses();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // h3 sections of the article (path ['Eugenol', 'Chemical Properties', ...]),
+    // each holding every block below it, h4 subsections included
+    topLevelSections(blocks) {
+        const sections = [];
+        for (const block of blocks) {
+            if (block.path.length < 2) continue;
+            const heading = block.path[1];
+            let section = sections[sections.length - 1];
+            if (!section || section.heading !== heading) {
+                section = { heading, blocks: [] };
+                sections.push(section);
+            }
+            section.blocks.push(block);
+        }
+        return sections;
+    }
+
+    applyProperties(compound, blocks) {
+        for (const { label, value } of blocks.flatMap(b => b.fields || [])) {
+            const field = PROPERTY_FIELDS[label];
+            if (field === 'molecularWeight') {
+                compound.molecularWeight = parseQuantity(value);
+            } else if (field === 'meltingPoint' || field === 'boilingPoint') {
+                compound[field] = parseTemperature(value);
+            } else if (field) {
+                compound[field] = value;
+            } else {
+                compound.otherProperties[label] = value;
+            }
+        }
+    }
+
+    // h4 subsections: [{ name, summary, points, warnings }]
+    subsections(blocks) {
+        const subsections = [];
+        let current = null;
+
+        for (const block of blocks) {
+            if (block.type === 'heading' && block.level === 4) {
+                current = { name: block.text, blocks: [] };
+                subsections.push(current);
+            } else if (block.type !== 'heading' && current) {
+                current.blocks.push(block);
+            }
+        }
+
+        return subsections.map(({ name, blocks }) => ({ name, ...this.summarize(blocks) }));
+    }
+
+    // Paragraphs and list items of a section. Labelled paragraphs such as
+    // "<strong>Important:</strong> ..." are also collected as warnings.
+    summarize(blocks) {
+        const paragraphs = blocks.filter(b => b.type === 'paragraph');
+        const points = blocks.filter(b => b.type === 'list_item').map(itemText);
+        if (paragraphs.length === 0 && points.length === 0) {
+            return null;
+        }
+
+        return {
+            summary: paragraphs.map(b => b.text),
+            points,
+            warnings: paragraphs
+                .flatMap(b => b.fields)
+                .filter(f => WARNING_LABELS.test(f.label))
+                .map(f => f.value)
+        };
+    }
+
+    validate(compounds) {
+        return compounds
+            .map(compound => ({
+                slug: compound.slug,
+                url: compound.url,
+                missing: REQUIRED_FIELDS.filter(field => {
+                    const value = compound[field];
+                    return value === null || (Array.isArray(value) && value.length === 0);
+                })
+            }))
+            .filter(result => result.missing.length > 0);
+    }
+}
+
+function normalize(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+CompoundExtractor.RECORD_VERSION = RECORD_VERSION;
+CompoundExtractor.REQUIRED_FIELDS = REQUIRED_FIELDS;
+
+module.exports = CompoundExtractor;
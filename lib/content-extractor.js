@@ -0,0 +1,617 @@
+// Content extraction shared by the RAG builders (scripts/build-rag.js and
+// scripts/build-rag-sqlite.js): parses a page's HTML, extracts its text,
+// heading hierarchy, sections and structured fields (labelled list items and
+// table rows), and splits it into chunks.
+//
+// Every section has an anchor id, so chat citations can link to it:
+// the heading's id, else the id of the <section> or <article> the heading
+// opens, else a slug of the heading text ("Safety and Considerations" →
+// safety-and-considerations), numbered when the page already uses it.
+// stampAnchors writes the slugs into the page, so links keep working when
+// a heading is later reworded.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+
+// Bump when extraction or chunking changes, so incremental builds re-chunk every page
+const EXTRACTOR_VERSION = '6';
+
+const SECTION_PATH_SEPARATOR = ' > ';
+
+// Elements that start a new block; everything else is inline text
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'ul'
+]);
+
+// Sectioning elements; headings inside one do not carry past its end
+const SCOPE_TAGS = new Set([
+    'article', 'aside', 'blockquote', 'details', 'dialog', 'fieldset', 'figure', 'nav', 'section'
+]);
+
+// Tab panels (.tab-content) are scoped the same way, so one tab's
+// headings never become the parents of the next tab's
+function isScope(node) {
+    return SCOPE_TAGS.has(node.name) || /(^|\s)tab-content(\s|$)/.test(node.attribs.class || '');
+}
+
+// Headings that start sections; h5/h6 are treated as paragraphs
+const HEADING_SELECTOR = 'h1, h2, h3, h4';
+
+// Longest slug, cut back to a whole word
+const MAX_SLUG_LENGTH = 60;
+
+function slugify(text) {
+    let slug = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (slug.length > MAX_SLUG_LENGTH) {
+        slug = slug.slice(0, MAX_SLUG_LENGTH + 1).replace(/-[^-]*$/, '');
+    }
+    return slug || 'section';
+}
+
+function normalizeSpace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+function inlineText(nodes) {
+    let text = '';
+    for (const node of nodes || []) {
+        if (node.type === 'text') text += node.data;
+        else if (node.type === 'tag' && node.name === 'br') text += ' ';
+        else if (node.type === 'tag') text += inlineText(node.children);
+    }
+    return text;
+}
+
+// Anchor of the nearest heading above the current block
+function currentAnchor(context) {
+    const stack = context.headingStack;
+    return stack.length ? stack[stack.length - 1].anchor : null;
+}
+
+function firstHref(node) {
+    for (const child of node.children || []) {
+        if (child.type !== 'tag') continue;
+        if (child.name === 'a' && child.attribs.href) return child.attribs.href;
+        const href = firstHref(child);
+        if (href) return href;
+    }
+    return null;
+}
+
+// "<strong>Molecular Weight:</strong> 164.20 g/mol" → { label, value }.
+// A label must start the block or follow a <br>; "<strong>Label</strong>: value"
+// works too.
+function inlineFields(nodes) {
+    const fields = [];
+    let current = null;
+    let lineHasText = false;
+    const finish = () => {
+        if (current) {
+            const value = normalizeSpace(current.parts.join(''));
+            if (current.label && value) fields.push({ label: current.label, value });
+        }
+        current = null;
+    };
+
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.type === 'tag' && node.name === 'br') {
+            finish();
+            lineHasText = false;
+            continue;
+        }
+
+        if (node.type === 'tag' && (node.name === 'strong' || node.name === 'b') && !lineHasText) {
+            const label = normalizeSpace(inlineText(node.children));
+            const next = nodes[i + 1];
+            if (label.endsWith(':')) {
+                finish();
+                current = { label: label.slice(0, -1).trim(), parts: [] };
+                lineHasText = true;
+                continue;
+            }
+            if (label && next && next.type === 'text' && /^\s*:/.test(next.data)) {
+                finish();
+                current = { label, parts: [next.data.replace(/^\s*:/, '')] };
+                lineHasText = true;
+                i++;
+                continue;
+            }
+        }
+
+        const text = node.type === 'text' ? node.data : inlineText(node.children);
+        if (text.trim()) lineHasText = true;
+        if (current) current.parts.push(text);
+    }
+    finish();
+
+    return fields;
+}
+
+class ContentExtractor {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+    }
+
+    hashContent(text) {
+        return crypto.createHash('sha256').update(text).digest('hex');
+    }
+
+    // Returns null (with a warning) when the page is missing
+    readPage(filePath, title) {
+        const fullPath = path.join(this.rootDir, filePath);
+        if (!fs.existsSync(fullPath)) {
+            console.warn(`⚠ File not found: ${filePath}`);
+            return null;
+        }
+
+        const html = fs.readFileSync(fullPath, 'utf-8');
+        return {
+            filePath,
+            title,
+            url: filePath.replace(/\\/g, '/'),
+            html,
+            contentHash: this.hashContent(`${title}\n${html}`)
+        };
+    }
+
+    // Main content: the first <article>, else <main>, else <body>
+    contentRoot($) {
+        return $('article').first().length ? $('article').first()
+            : $('main').first().length ? $('main').first()
+            : $('body');
+    }
+
+    // Map of heading element → { anchor, target, stamp } for the headings
+    // the extractor reads, in document order. target is the element that
+    // carries (or should carry) the id; stamp is true when the page doesn't
+    // have it yet.
+    findAnchors($) {
+        const used = new Set($('[id]').map((i, el) => $(el).attr('id')).get());
+        const anchors = new Map();
+
+        this.contentRoot($).find(HEADING_SELECTOR).each((i, el) => {
+            const heading = $(el);
+            const text = normalizeSpace(inlineText(el.children));
+            if (!text || heading.closest('nav, footer, noscript, template').length) return;
+
+            let target = el;
+            let anchor = heading.attr('id');
+            const parent = heading.parent();
+            if (!anchor && parent.is('section, article') && parent.children(HEADING_SELECTOR).get(0) === el) {
+                target = parent.get(0);
+                anchor = parent.attr('id');
+            }
+
+            let stamp = false;
+            if (!anchor) {
+                const slug = slugify(text);
+                anchor = slug;
+                for (let n = 2; used.has(anchor); n++) anchor = `${slug}-${n}`;
+                used.add(anchor);
+                stamp = true;
+            }
+            anchors.set(el, { anchor, target, stamp });
+        });
+
+        return anchors;
+    }
+
+    // Adds the missing anchor ids to the page's HTML, leaving everything
+    // else byte for byte; running it again changes nothing
+    stampAnchors(html) {
+        const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+        const insertions = [...this.findAnchors($).values()]
+            .filter(({ stamp, target }) => stamp && target.sourceCodeLocation)
+            .map(({ anchor, target }) => {
+                const end = target.sourceCodeLocation.startTag.endOffset;
+                return { at: html[end - 2] === '/' ? end - 2 : end - 1, text: ` id="${anchor}"` };
+            })
+            .sort((a, b) => b.at - a.at);
+
+        let stamped = html;
+        for (const { at, text } of insertions) {
+            stamped = stamped.slice(0, at) + text + stamped.slice(at);
+        }
+        return stamped;
+    }
+
+    // Stamps a page file in place; returns true when it changed
+    writeAnchors(filePath) {
+        const fullPath = path.join(this.rootDir, filePath);
+        const html = fs.readFileSync(fullPath, 'utf-8');
+        const stamped = this.stampAnchors(html);
+        if (stamped === html) {
+            return false;
+        }
+        fs.writeFileSync(fullPath, stamped);
+        return true;
+    }
+
+    extractContent(html, title, filePath) {
+        const $ = cheerio.load(html);
+        // Before anything is removed, so ids are numbered as stampAnchors numbers them
+        const anchors = this.findAnchors($);
+        $('script, style, noscript, template, nav, footer').remove();
+
+        // Extract main content
+        const root = this.contentRoot($);
+
+        const blocks = [];
+        this.walkBlocks(root.get(0), blocks, { headingStack: [], tableCount: { value: 0 }, anchors });
+
+        const headings = blocks.filter(b => b.type === 'heading').map(b => b.text);
+        const text = blocks.map(b => b.text).join('\n');
+
+        // Extract links for context
+        const links = root.find('a[href]').toArray()
+            .map(a => ({ href: $(a).attr('href'), text: normalizeSpace($(a).text()) }))
+            .filter(link => link.text);
+
+        return {
+            title,
+            filePath,
+            url: filePath.replace(/\\/g, '/'),
+            headings,
+            text,
+            blocks,
+            sections: this.extractSections(blocks),
+            links: links.slice(0, 20), // Limit links
+            wordCount: text.split(/\s+/).length,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Flattens the DOM into blocks in document order. Each block is one of:
+    //   heading    { level, text, path }
+    //   paragraph  { text, path, fields }
+    //   list_item  { text, path, fields }   text starts with "- " or "1. "
+    //   table_row  { text, path, fields }   fields keyed by column header; rows of
+    //              tables with a header row also carry { columns, table, row }
+    // `path` is the heading hierarchy above the block, e.g.
+    // ['Eugenol', 'Function in Human Physiology', 'Antioxidant Activity'],
+    // and every block has the `anchor` of its nearest heading (or null)
+    walkBlocks(node, blocks, context) {
+        let inline = [];
+        const flush = () => {
+            this.addInlineBlock(inline, blocks, context);
+            inline = [];
+        };
+
+        for (const child of node.children || []) {
+            if (child.type === 'text' || (child.type === 'tag' && !BLOCK_TAGS.has(child.name))) {
+                inline.push(child);
+                continue;
+            }
+            if (child.type !== 'tag') continue;
+
+            flush();
+            const name = child.name;
+            if (/^h[1-4]$/.test(name)) {
+                const text = normalizeSpace(inlineText(child.children));
+                if (!text) continue;
+                const level = parseInt(name[1]);
+                const stack = context.headingStack;
+                while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+                const anchor = context.anchors && context.anchors.get(child);
+                stack.push({ level, text, anchor: anchor ? anchor.anchor : null });
+                blocks.push({ type: 'heading', level, text, path: stack.map(h => h.text), anchor: currentAnchor(context) });
+            } else if (name === 'ul' || name === 'ol') {
+                let number = 0;
+                for (const item of child.children || []) {
+                    if (item.type !== 'tag' || item.name !== 'li') continue;
+                    number++;
+                    const marker = name === 'ol' ? `${number}. ` : '- ';
+                    this.walkBlocks(item, blocks, { ...context, marker });
+                }
+            } else if (name === 'dl') {
+                this.addDefinitionList(child, blocks, context);
+            } else if (name === 'table') {
+                this.addTable(child, blocks, context);
+            } else if (name === 'hr') {
+                continue;
+            } else {
+                // Containers (div, section, p, li, blockquote, ...) may hold
+                // both inline content and further blocks
+                const outer = isScope(child) ? context.headingStack.slice() : null;
+                this.walkBlocks(child, blocks, context);
+                if (outer) context.headingStack = outer;
+            }
+        }
+        flush();
+    }
+
+    addInlineBlock(nodes, blocks, context) {
+        const text = normalizeSpace(inlineText(nodes));
+        if (!text) return;
+
+        // Only the first run of a list item gets the bullet
+        const marker = context.marker;
+        context.marker = null;
+
+        blocks.push({
+            type: marker ? 'list_item' : 'paragraph',
+            text: marker ? `${marker}${text}` : text,
+            path: context.headingStack.map(h => h.text),
+            anchor: currentAnchor(context),
+            fields: inlineFields(nodes)
+        });
+    }
+
+    addDefinitionList(dl, blocks, context) {
+        let label = null;
+        for (const item of dl.children || []) {
+            if (item.type !== 'tag') continue;
+            const text = normalizeSpace(inlineText(item.children));
+            if (item.name === 'dt') {
+                label = text.replace(/:$/, '');
+            } else if (item.name === 'dd' && text) {
+                blocks.push({
+                    type: 'paragraph',
+                    text: label ? `${label}: ${text}` : text,
+                    path: context.headingStack.map(h => h.text),
+                    anchor: currentAnchor(context),
+                    fields: label ? [{ label, value: text }] : []
+                });
+            }
+        }
+    }
+
+    addTable(table, blocks, context) {
+        const path = context.headingStack.map(h => h.text);
+        const anchor = currentAnchor(context);
+        const rowsOf = (parent) => (parent.children || []).flatMap(child => {
+            if (child.type !== 'tag') return [];
+            if (child.name === 'tr') return [child];
+            if (['thead', 'tbody', 'tfoot'].includes(child.name)) return rowsOf(child);
+            return [];
+        });
+        const cellsOf = (row) => (row.children || [])
+            .filter(cell => cell.type === 'tag' && (cell.name === 'td' || cell.name === 'th'));
+        const cellText = (cell) => normalizeSpace(inlineText(cell.children));
+
+        const caption = (table.children || []).find(child => child.type === 'tag' && child.name === 'caption');
+        if (caption) {
+            this.addInlineBlock(caption.children, blocks, context);
+        }
+
+        let rows = rowsOf(table);
+        let headers = null;
+        const thead = (table.children || []).find(child => child.type === 'tag' && child.name === 'thead');
+        if (thead) {
+            const headerRows = rowsOf(thead);
+            headers = headerRows.length ? cellsOf(headerRows[headerRows.length - 1]).map(cellText) : null;
+            rows = rows.filter(row => !headerRows.includes(row));
+        } else if (rows.length && cellsOf(rows[0]).every(cell => cell.name === 'th')) {
+            headers = cellsOf(rows[0]).map(cellText);
+            rows = rows.slice(1);
+        }
+
+        // Rows of tables with a header row become records: one chunk per
+        // row, with the column names attached (see createChunks)
+        const tableIndex = headers ? context.tableCount.value++ : null;
+
+        rows.forEach((row, rowIndex) => {
+            const parts = [];
+            const fields = [];
+
+            if (headers) {
+                let column = 0;
+                for (const cell of cellsOf(row)) {
+                    const span = parseInt(cell.attribs.colspan, 10) || 1;
+                    const value = cellText(cell);
+                    const label = span === 1 ? headers[column] : null;
+                    column += span;
+                    if (!value) continue;
+
+                    // A cell spanning several columns (e.g. "Total Identified") has no single header
+                    if (label) {
+                        const field = { label, value };
+                        const href = firstHref(cell);
+                        if (href) field.href = href;
+                        fields.push(field);
+                        parts.push(`${label}: ${value}`);
+                    } else {
+                        parts.push(value);
+                    }
+                }
+            } else {
+                // Key/value rows: <td><strong>Label:</strong></td><td>value</td>
+                const cells = cellsOf(row).map(cellText);
+                for (let i = 0; i < cells.length; i++) {
+                    if (cells[i].endsWith(':') && i + 1 < cells.length) {
+                        if (cells[i + 1]) {
+                            fields.push({ label: cells[i].slice(0, -1).trim(), value: cells[i + 1] });
+                            parts.push(`${cells[i]} ${cells[i + 1]}`);
+                        }
+                        i++;
+                    } else if (cells[i]) {
+                        parts.push(cells[i]);
+                    }
+                }
+            }
+
+            const text = parts.join('; ');
+            if (!text) return;
+            const block = { type: 'table_row', text, path, anchor, fields };
+            if (headers) {
+                Object.assign(block, { columns: headers, table: tableIndex, row: rowIndex });
+            }
+            blocks.push(block);
+        });
+    }
+
+    // Groups blocks under the nearest heading. Content before the first
+    // heading only appears in the full-text chunks.
+    extractSections(blocks) {
+        const sections = [];
+        let currentSection = null;
+
+        for (const block of blocks) {
+            if (block.type === 'heading') {
+                currentSection = {
+                    heading: block.text,
+                    path: block.path,
+                    anchor: block.anchor,
+                    blocks: []
+                };
+                sections.push(currentSection);
+            } else if (currentSection) {
+                currentSection.blocks.push(block);
+            }
+        }
+
+        for (const section of sections) {
+            section.text = section.blocks.map(b => b.text).join('\n');
+            section.fields = section.blocks.flatMap(b => b.fields);
+        }
+
+        return sections.filter(s => s.text.length > 50); // Only meaningful sections
+    }
+
+    // Full-text chunks followed by per-section chunks. Ids are stable for a
+    // given page layout, so incremental builds can match chunks across runs.
+    createChunks(page) {
+        const chunks = [];
+        const seenIds = new Map();
+        const addChunk = (id, chunk) => {
+            // Repeated section headings on one page get a numeric suffix
+            const seen = seenIds.get(id) || 0;
+            seenIds.set(id, seen + 1);
+            chunks.push({
+                id: seen > 0 ? `${id}-${seen}` : id,
+                ...chunk,
+                hash: this.hashContent(chunk.text),
+                wordCount: chunk.text.split(/\s+/).length
+            });
+        };
+
+        // Table records get chunks of their own, so they are left out of
+        // the full-text and section windows
+        const isRecord = block => Boolean(block.columns);
+
+        // Create chunks from full text
+        const textChunks = this.chunkBlocks(page.blocks.filter(b => !isRecord(b)), 500);
+
+        for (let i = 0; i < textChunks.length; i++) {
+            addChunk(`${page.url}-chunk-${i}`, {
+                pageTitle: page.title,
+                pageUrl: page.url,
+                sectionHeading: null,
+                sectionPath: null,
+                // Where the chunk starts
+                sectionAnchor: textChunks[i].anchor,
+                chunkType: 'text',
+                text: textChunks[i].text,
+                fields: textChunks[i].fields,
+                chunkIndex: i,
+                totalChunks: textChunks.length
+            });
+        }
+
+        // Create chunks from sections
+        for (const section of page.sections) {
+            if (section.text.length > 100) {
+                const sectionChunks = this.chunkBlocks(section.blocks.filter(b => !isRecord(b)), 400);
+                for (let i = 0; i < sectionChunks.length; i++) {
+                    addChunk(`${page.url}-section-${section.heading}-${i}`, {
+                        pageTitle: page.title,
+                        pageUrl: page.url,
+                        sectionHeading: section.heading,
+                        sectionPath: section.path.join(SECTION_PATH_SEPARATOR),
+                        sectionAnchor: section.anchor,
+                        chunkType: 'section',
+                        text: sectionChunks[i].text,
+                        fields: sectionChunks[i].fields,
+                        chunkIndex: i,
+                        totalChunks: sectionChunks.length,
+                        isSection: true
+                    });
+                }
+            }
+        }
+
+        // One chunk per table row. The page title and section path lead the
+        // text, so "coumarin concentration in the cinnamon roll" finds the row.
+        const records = page.blocks.filter(isRecord);
+        for (const block of records) {
+            const sectionPath = block.path.join(SECTION_PATH_SEPARATOR);
+            addChunk(`${page.url}-table-${block.table}-row-${block.row}`, {
+                pageTitle: page.title,
+                pageUrl: page.url,
+                sectionHeading: block.path[block.path.length - 1] || null,
+                sectionPath: sectionPath || null,
+                sectionAnchor: block.anchor,
+                chunkType: 'table_row',
+                text: `${[page.title, sectionPath].filter(Boolean).join(' — ')}\n${block.text}`,
+                fields: block.fields,
+                columns: block.columns,
+                chunkIndex: block.row,
+                totalChunks: records.filter(r => r.table === block.table).length
+            });
+        }
+
+        return chunks;
+    }
+
+    // Packs whole blocks into chunks of about chunkSize characters, so list
+    // items and table rows are never cut in half. Only a block longer than
+    // chunkSize on its own is split, by sentence.
+    chunkBlocks(blocks, chunkSize = 500) {
+        const chunks = [];
+        let current = { text: '', fields: [], anchor: null };
+        const flush = () => {
+            if (current.text) chunks.push(current);
+            current = { text: '', fields: [], anchor: null };
+        };
+
+        for (const block of blocks) {
+            const pieces = block.text.length > chunkSize ? this.chunkText(block.text, chunkSize) : [block.text];
+            pieces.forEach((piece, i) => {
+                if (current.text && current.text.length + piece.length + 1 > chunkSize) {
+                    flush();
+                }
+                if (!current.text) current.anchor = block.anchor || null;
+                current.text = current.text ? `${current.text}\n${piece}` : piece;
+                if (i === 0 && block.fields) current.fields.push(...block.fields);
+            });
+        }
+        flush();
+
+        return chunks.filter(c => c.text.length > 50); // Only meaningful chunks
+    }
+
+    chunkText(text, chunkSize = 500) {
+        const chunks = [];
+        const sentences = text.match(/[^.!?]+(?:[.!?]+|$)/g) || [text];
+        let currentChunk = '';
+
+        for (const sentence of sentences) {
+            const testChunk = currentChunk + sentence;
+            if (testChunk.length > chunkSize && currentChunk) {
+                chunks.push(currentChunk.trim());
+                currentChunk = sentence;
+            } else {
+                currentChunk = testChunk;
+            }
+        }
+
+        if (currentChunk.trim()) {
+            chunks.push(currentChunk.trim());
+        }
+
+        return chunks.filter(c => c.length > 50); // Only meaningful chunks
+    }
+}
+
+ContentExtractor.VERSION = EXTRACTOR_VERSION;
+ContentExtractor.SECTION_PATH_SEPARATOR = SECTION_PATH_SEPARATOR;
+ContentExtractor.slugify = slugify;
+
+module.exports = ContentExtractor;
@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV/TSV reading and writing
+// Quoted fields may contain delimiters, quotes ("") and newlines.
+
+function parse(text, options = {}) {
+    const delimiter = options.delimiter || detectDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark (Excel exports)
+    if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+// Tabs win when the first line has more of them than commas
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const tabs = (firstLine.match(/\t/g) || []).length;
+    const commas = (firstLine.match(/,/g) || []).length;
+    return tabs > commas ? '\t' : ',';
+}
+
+function formatField(value, delimiter) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+}
+
+function format(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    return rows.map(row => row.map(value => formatField(value, delimiter)).join(delimiter)).join('\n') + '\n';
+}
+
+module.exports = {
+    parse,
+    format,
+    detectDelimiter
+};
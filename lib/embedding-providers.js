@@ -0,0 +1,151 @@
+// Embedding providers for the RAG builders and the chat API
+// - openai:            OpenAI embeddings API (text-embedding-3-small by default)
+// - openai-compatible: any server speaking /v1/embeddings (Ollama, llama.cpp, vLLM, LM Studio)
+// - hash:              deterministic built-in embedder, works offline (lib/hash-embedder.js)
+//
+// Every provider exposes the same shape:
+//   embed(texts) -> Promise<number[][]>
+//   describe()   -> { provider, model, dimensions }
+
+const hashEmbedder = require('./hash-embedder');
+
+// Models that can shorten their embeddings with the `dimensions` parameter
+// (older models like text-embedding-ada-002 reject it)
+const SHORTENABLE_MODEL = /^text-embedding-3-/;
+
+class OpenAIEmbeddingProvider {
+    constructor(options = {}) {
+        const { OpenAI } = require('openai');
+
+        this.name = 'openai';
+        this.model = options.model || 'text-embedding-3-small';
+        this.dimensions = options.dimensions || (this.model === 'text-embedding-3-small' ? 1536 : null);
+        this.client = new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+            baseURL: options.baseURL,
+        });
+    }
+
+    async embed(texts) {
+        const request = { model: this.model, input: texts };
+        if (this.dimensions && SHORTENABLE_MODEL.test(this.model)) {
+            request.dimensions = this.dimensions;
+        }
+        const response = await this.client.embeddings.create(request);
+
+        const embeddings = response.data.map(item => item.embedding);
+        this.checkDimensions(embeddings, texts.length);
+        return embeddings;
+    }
+
+    checkDimensions(embeddings, expectedCount) {
+        if (embeddings.length !== expectedCount) {
+            throw new Error(`${this.name} returned ${embeddings.length} embeddings for ${expectedCount} texts`);
+        }
+
+        // Servers that don't advertise a dimension fix it on the first response
+        if (!this.dimensions && embeddings.length > 0) {
+            this.dimensions = embeddings[0].length;
+        }
+
+        for (const embedding of embeddings) {
+            if (embedding.length !== this.dimensions) {
+                throw new Error(`${this.name} returned a ${embedding.length}-dim embedding, expected ${this.dimensions}`);
+            }
+        }
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            dimensions: this.dimensions,
+        };
+    }
+}
+
+class OpenAICompatibleEmbeddingProvider extends OpenAIEmbeddingProvider {
+    constructor(options = {}) {
+        if (!options.baseURL) {
+            throw new Error('openai-compatible embeddings need a base URL (EMBEDDING_BASE_URL or --base-url)');
+        }
+        if (!options.model) {
+            throw new Error('openai-compatible embeddings need a model name (EMBEDDING_MODEL or --model)');
+        }
+
+        super({
+            ...options,
+            // Local servers usually ignore the key, but the client requires one
+            apiKey: options.apiKey || 'not-needed',
+        });
+        this.name = 'openai-compatible';
+        this.baseURL = options.baseURL;
+        this.dimensions = options.dimensions || null;
+    }
+
+    describe() {
+        return {
+            ...super.describe(),
+            baseURL: this.baseURL,
+        };
+    }
+}
+
+class HashEmbeddingProvider {
+    constructor(options = {}) {
+        this.name = 'hash';
+        this.model = hashEmbedder.MODEL;
+        this.dimensions = options.dimensions || hashEmbedder.DEFAULT_DIMENSIONS;
+    }
+
+    async embed(texts) {
+        return texts.map(text => hashEmbedder.embed(text, this.dimensions));
+    }
+
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            dimensions: this.dimensions,
+        };
+    }
+}
+
+const PROVIDERS = {
+    'openai': OpenAIEmbeddingProvider,
+    'openai-compatible': OpenAICompatibleEmbeddingProvider,
+    'hash': HashEmbeddingProvider,
+};
+
+// Options win over environment variables:
+//   EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_BASE_URL,
+//   EMBEDDING_DIMENSIONS, EMBEDDING_API_KEY (falls back to OPENAI_API_KEY)
+// Without an explicit provider, OpenAI is used when OPENAI_API_KEY is set
+// and the offline hash embedder otherwise.
+function createEmbeddingProvider(options = {}, env = process.env) {
+    const apiKey = options.apiKey || env.EMBEDDING_API_KEY || env.OPENAI_API_KEY;
+    const provider = options.provider || env.EMBEDDING_PROVIDER || (apiKey ? 'openai' : 'hash');
+    const dimensions = options.dimensions || env.EMBEDDING_DIMENSIONS;
+
+    const Provider = PROVIDERS[provider];
+    if (!Provider) {
+        throw new Error(`Unknown embedding provider "${provider}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (provider === 'openai' && !apiKey) {
+        throw new Error('The openai embedding provider needs OPENAI_API_KEY');
+    }
+
+    return new Provider({
+        apiKey,
+        model: options.model || env.EMBEDDING_MODEL,
+        baseURL: options.baseURL || env.EMBEDDING_BASE_URL,
+        dimensions: dimensions ? parseInt(dimensions, 10) : undefined,
+    });
+}
+
+module.exports = {
+    OpenAIEmbeddingProvider,
+    OpenAICompatibleEmbeddingProvider,
+    HashEmbeddingProvider,
+    createEmbeddingProvider,
+};
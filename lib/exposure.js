@@ -0,0 +1,195 @@
+// Dietary exposure from CoA concentrations
+// Turns per-compound concentrations (μg/g of food, or of flavor with a
+// dosage) into intake per kg body weight and compares it with the
+// compound's health-based guidance value (TDI/ADI) from data/regulatory.json:
+//
+//   intake (mg/day)         = concentration (μg/g) × dosage × serving (g) × servings/day / 1000
+//   exposure (mg/kg bw/day) = intake / body weight (kg)
+//
+// pass below 80% of the TDI/ADI, warn from 80%, fail above 100%. Genotoxic
+// carcinogens (guidance type "none") have no safe intake and always warn.
+// Compounds sharing a group ADI are also summed and checked as a group.
+//
+// UMD: require('./lib/exposure') in Node, window.ExposureCalculator in the
+// browser (exposure-panel.js), so the page and api/exposure.js compute the
+// same numbers.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExposureCalculator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Default body weights (EFSA Scientific Committee 2012)
+    const POPULATIONS = {
+        child: { label: 'Child (20 kg)', bodyWeight: 20 },
+        adult: { label: 'Adult (70 kg)', bodyWeight: 70 }
+    };
+
+    const WARN_FRACTION = 0.8;
+
+    // Units numerically equal to μg/g
+    const MICROGRAMS_PER_GRAM = ['μg/g', 'µg/g', 'mg/kg', 'ppm'];
+
+    function positive(value, label) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (!(typeof number === 'number' && Number.isFinite(number) && number > 0)) {
+            throw new Error(`${label} must be a positive number`);
+        }
+        return number;
+    }
+
+    function significant(value, digits = 4) {
+        return value === 0 ? 0 : Number(value.toPrecision(digits));
+    }
+
+    function rate(exposure, guidance) {
+        const fraction = exposure / guidance.value;
+        return {
+            percentOfGuidance: Math.round(fraction * 1000) / 10,
+            status: fraction > 1 ? 'fail' : fraction >= WARN_FRACTION ? 'warn' : 'pass'
+        };
+    }
+
+    class ExposureCalculator {
+        constructor(options = {}) {
+            // Regulatory entries: { name, cas, page, healthGuidance }
+            this.guidance = options.guidance || [];
+            // Alias CAS number → page (RegulatoryChecker#aliasPages)
+            this.aliasPages = options.aliasPages || new Map();
+        }
+
+        // Health-based guidance value for a compound row, by CAS number (or
+        // the page of an alias CAS number), then name; by page only when the
+        // row has neither, since isomers share a page
+        guidanceFor(compound) {
+            if (compound.guidance !== undefined) return compound.guidance;
+            const entry = this.entryFor(compound);
+            return entry ? entry.healthGuidance || null : null;
+        }
+
+        entryFor(compound) {
+            if (compound.cas) {
+                const aliasPage = this.aliasPages.get(compound.cas);
+                const entry = this.guidance.find(item => item.cas === compound.cas) ||
+                    (aliasPage && this.guidance.find(item => item.page === aliasPage));
+                if (entry) return entry;
+            }
+            if (compound.name) {
+                const name = compound.name.toLowerCase();
+                return this.guidance.find(item => item.name.toLowerCase() === name) || null;
+            }
+            return (!compound.cas && compound.page && this.guidance.find(item => item.page === compound.page)) || null;
+        }
+
+        // The compound data a page needs to calculate exposure without the
+        // regulatory dataset
+        compounds(coa) {
+            return coa.compounds
+                .filter(compound => compound.concentration !== null && compound.concentration !== undefined)
+                .map(compound => ({
+                    name: compound.name,
+                    cas: compound.cas || null,
+                    page: compound.page || null,
+                    concentration: compound.concentration,
+                    guidance: this.guidanceFor(compound)
+                }));
+        }
+
+        // options: servingSize (g), servingsPerDay, bodyWeight (kg) or
+        // population ('child' | 'adult'), dosage (fraction of flavor in the food)
+        calculate(coa, options = {}) {
+            const unit = coa.concentrationUnit || 'μg/g';
+            if (!MICROGRAMS_PER_GRAM.includes(unit)) {
+                throw new Error(`Concentrations must be in μg/g or mg/kg, not ${unit}`);
+            }
+
+            const population = options.population || null;
+            if (population && !POPULATIONS[population]) {
+                throw new Error(`Unknown population: ${population} (use ${Object.keys(POPULATIONS).join(', ')})`);
+            }
+            const bodyWeight = positive(
+                options.bodyWeight !== undefined && options.bodyWeight !== null && options.bodyWeight !== ''
+                    ? options.bodyWeight
+                    : population ? POPULATIONS[population].bodyWeight : POPULATIONS.adult.bodyWeight,
+                'Body weight'
+            );
+            const servingSize = positive(options.servingSize, 'Serving size');
+            const servingsPerDay = positive(options.servingsPerDay === undefined ? 1 : options.servingsPerDay, 'Servings per day');
+            const dosage = options.dosage === undefined || options.dosage === null ? 1 : positive(options.dosage, 'Dosage');
+            if (dosage > 1) {
+                throw new Error("Dosage can't exceed 1 (100%)");
+            }
+            const foodPerDay = servingSize * servingsPerDay;
+
+            const compounds = coa.compounds
+                .filter(compound => compound.concentration !== null && compound.concentration !== undefined)
+                .map(compound => {
+                    const guidance = this.guidanceFor(compound);
+                    const perServing = compound.concentration * dosage * servingSize / 1000;
+                    const intake = perServing * servingsPerDay;
+                    const exposure = intake / bodyWeight;
+                    const result = {
+                        name: compound.name,
+                        cas: compound.cas || null,
+                        page: compound.page || null,
+                        concentration: compound.concentration,
+                        intake: significant(intake),
+                        exposure: significant(exposure),
+                        guidance,
+                        percentOfGuidance: null,
+                        servingsToGuidance: null,
+                        status: null
+                    };
+
+                    if (guidance && guidance.type === 'none') {
+                        result.status = 'warn';
+                    } else if (guidance && guidance.value > 0) {
+                        Object.assign(result, rate(exposure, guidance));
+                        // Servings a day that reach the TDI/ADI
+                        result.servingsToGuidance = perServing > 0
+                            ? Math.floor(guidance.value * bodyWeight / perServing * 10) / 10
+                            : null;
+                    }
+                    return result;
+                });
+
+            // Group ADIs apply to the sum of their members
+            const groups = [];
+            for (const compound of compounds) {
+                const guidance = compound.guidance;
+                if (!guidance || !guidance.group || !(guidance.value > 0)) continue;
+                let group = groups.find(item => item.name === guidance.group);
+                if (!group) {
+                    group = { name: guidance.group, compounds: [], exposure: 0, guidance };
+                    groups.push(group);
+                }
+                group.compounds.push(compound.name);
+                group.exposure += compound.concentration * dosage * foodPerDay / 1000 / bodyWeight;
+            }
+            groups.forEach(group => {
+                group.exposure = significant(group.exposure);
+                Object.assign(group, rate(group.exposure, group.guidance));
+            });
+
+            return {
+                certificateNumber: coa.certificateNumber || null,
+                population,
+                bodyWeight,
+                servingSize,
+                servingsPerDay,
+                dosage,
+                foodPerDay,
+                compounds,
+                groups,
+                exceeded: [...compounds, ...groups].filter(item => item.status === 'fail').map(item => item.name)
+            };
+        }
+    }
+
+    ExposureCalculator.POPULATIONS = POPULATIONS;
+    ExposureCalculator.WARN_FRACTION = WARN_FRACTION;
+
+    return ExposureCalculator;
+});
@@ -0,0 +1,196 @@
+// Molecular formulas: parsing, molecular weight, monoisotopic mass and the
+// M/M+1/M+2 isotope pattern of the molecular ion
+// Formulas are written as on the compound pages (C₁₀H₁₂O₂, Unicode
+// subscripts) or in ASCII (C10H12O2); groups such as (CH3)2 and adducts
+// such as ·H2O are expanded.
+//
+// - Molecular weight: standard atomic weights (IUPAC conventional values),
+//   what the pages state in g/mol
+// - Monoisotopic mass: most abundant isotope of each element (¹²C, ¹H, ¹⁶O),
+//   the m/z of the M⁺ ion in EI GC-MS
+// - Isotope pattern: nominal M, M+1, M+2 ... intensities from the natural
+//   isotope abundances, scaled to the most intense peak = 100. M+1 is mostly
+//   ¹³C (≈ 1.1% per carbon), M+2 ¹⁸O, ³⁴S, ³⁷Cl or ⁸¹Br.
+
+// Standard atomic weight and isotopes ([mass, abundance]) by element,
+// lightest isotope first
+const ELEMENTS = {
+    H: { weight: 1.008, isotopes: [[1.00782503207, 0.999885], [2.0141017778, 0.000115]] },
+    C: { weight: 12.011, isotopes: [[12, 0.9893], [13.0033548378, 0.0107]] },
+    N: { weight: 14.007, isotopes: [[14.0030740048, 0.99636], [15.0001088982, 0.00364]] },
+    O: { weight: 15.999, isotopes: [[15.99491461956, 0.99757], [16.9991317, 0.00038], [17.999161, 0.00205]] },
+    F: { weight: 18.998, isotopes: [[18.99840322, 1]] },
+    Na: { weight: 22.99, isotopes: [[22.9897692809, 1]] },
+    Si: { weight: 28.085, isotopes: [[27.9769265325, 0.92223], [28.9764947, 0.04685], [29.97377017, 0.03092]] },
+    P: { weight: 30.974, isotopes: [[30.97376163, 1]] },
+    S: { weight: 32.06, isotopes: [[31.972071, 0.9499], [32.97145876, 0.0075], [33.9678669, 0.0425], [35.96708076, 0.0001]] },
+    Cl: { weight: 35.45, isotopes: [[34.96885268, 0.7576], [36.96590259, 0.2424]] },
+    K: { weight: 39.098, isotopes: [[38.96370668, 0.932581], [39.96399848, 0.000117], [40.96182576, 0.067302]] },
+    Br: { weight: 79.904, isotopes: [[78.9183371, 0.5069], [80.9162906, 0.4931]] },
+    I: { weight: 126.904, isotopes: [[126.904473, 1]] }
+};
+
+const SUBSCRIPTS = { '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9' };
+const SUBSCRIPT_DIGITS = '₀₁₂₃₄₅₆₇₈₉';
+
+// Peaks beyond M+4 and below 0.01% of the base peak aren't reported
+const MAX_ISOTOPE_PEAKS = 5;
+const MIN_ISOTOPE_ABUNDANCE = 0.01;
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+// Combined isotope distribution of two fragments. Distributions are indexed
+// by nominal mass offset from the lightest isotopes, as [{ abundance, mass }]
+// with mass carried as abundance × mass so peaks can be merged
+function convolve(a, b) {
+    const result = [];
+    for (let i = 0; i < a.length; i++) {
+        for (let j = 0; j < b.length && i + j < MAX_ISOTOPE_PEAKS; j++) {
+            const abundance = a[i].abundance * b[j].abundance;
+            if (abundance === 0) continue;
+            const peak = result[i + j] || (result[i + j] = { abundance: 0, mass: 0 });
+            peak.mass += abundance * (a[i].mass / a[i].abundance + b[j].mass / b[j].abundance);
+            peak.abundance += abundance;
+        }
+    }
+    for (let i = 0; i < result.length; i++) {
+        if (!result[i]) result[i] = { abundance: 0, mass: 0 };
+    }
+    return result;
+}
+
+class MolecularFormula {
+    // elements: { C: 10, H: 12, O: 2 }
+    constructor(elements, text = null) {
+        this.elements = elements;
+        this.text = text;
+    }
+
+    static parse(text) {
+        const source = String(text || '').replace(/[₀-₉]/g, digit => SUBSCRIPTS[digit]).replace(/\s+/g, '');
+        if (!source) {
+            throw new Error('Formula is empty');
+        }
+
+        const elements = {};
+        // Adducts and hydrates: C6H12O6·H2O
+        for (const part of source.split(/[·•.*]/)) {
+            const match = part.match(/^(\d*)(.+)$/);
+            if (!match) throw new Error(`Invalid formula: ${text}`);
+            const multiplier = match[1] ? parseInt(match[1], 10) : 1;
+            const counts = MolecularFormula.parseGroup(match[2], text);
+            for (const [symbol, count] of Object.entries(counts)) {
+                elements[symbol] = (elements[symbol] || 0) + count * multiplier;
+            }
+        }
+        return new MolecularFormula(elements, String(text).trim());
+    }
+
+    // Element counts of a formula part, with nested (…) and […] groups
+    static parseGroup(part, text) {
+        const stack = [{}];
+        const pattern = /([A-Z][a-z]?)(\d*)|([([])|([)\]])(\d*)|(.)/g;
+        let match;
+        while ((match = pattern.exec(part)) !== null) {
+            const [, symbol, count, open, close, groupCount, other] = match;
+            if (symbol) {
+                if (!ELEMENTS[symbol]) throw new Error(`Unknown element ${symbol} in formula ${text}`);
+                const counts = stack[stack.length - 1];
+                counts[symbol] = (counts[symbol] || 0) + (count ? parseInt(count, 10) : 1);
+            } else if (open) {
+                stack.push({});
+            } else if (close) {
+                if (stack.length === 1) throw new Error(`Unbalanced parentheses in formula ${text}`);
+                const group = stack.pop();
+                const counts = stack[stack.length - 1];
+                const multiplier = groupCount ? parseInt(groupCount, 10) : 1;
+                for (const [element, n] of Object.entries(group)) {
+                    counts[element] = (counts[element] || 0) + n * multiplier;
+                }
+            } else {
+                throw new Error(`Invalid character "${other}" in formula ${text}`);
+            }
+        }
+        if (stack.length > 1) throw new Error(`Unbalanced parentheses in formula ${text}`);
+        return stack[0];
+    }
+
+    // Elements in Hill order: C, H, then alphabetical (all alphabetical
+    // without carbon)
+    symbols() {
+        const symbols = Object.keys(this.elements).filter(symbol => this.elements[symbol] > 0).sort();
+        if (!symbols.includes('C')) return symbols;
+        return ['C', ...symbols.filter(symbol => symbol === 'H'), ...symbols.filter(symbol => symbol !== 'C' && symbol !== 'H')];
+    }
+
+    // Hill formula, "C10H12O2"
+    toString() {
+        return this.symbols().map(symbol => symbol + (this.elements[symbol] > 1 ? this.elements[symbol] : '')).join('');
+    }
+
+    // Hill formula with subscripts, "C₁₀H₁₂O₂"
+    toUnicode() {
+        return this.toString().replace(/\d/g, digit => SUBSCRIPT_DIGITS[digit]);
+    }
+
+    // Molecular weight in g/mol
+    averageMass() {
+        return this.symbols().reduce((sum, symbol) => sum + ELEMENTS[symbol].weight * this.elements[symbol], 0);
+    }
+
+    monoisotopicMass() {
+        return this.symbols().reduce((sum, symbol) => sum + ELEMENTS[symbol].isotopes[0][0] * this.elements[symbol], 0);
+    }
+
+    nominalMass() {
+        return this.symbols().reduce((sum, symbol) => sum + Math.round(ELEMENTS[symbol].isotopes[0][0]) * this.elements[symbol], 0);
+    }
+
+    // [{ label: 'M', mz: 164, mass: 164.0837, abundance: 100 }, { label: 'M+1', ... }]
+    isotopePattern() {
+        let distribution = [{ abundance: 1, mass: 0 }];
+        for (const symbol of this.symbols()) {
+            const lightest = Math.round(ELEMENTS[symbol].isotopes[0][0]);
+            const atom = [];
+            for (const [mass, abundance] of ELEMENTS[symbol].isotopes) {
+                const offset = Math.round(mass) - lightest;
+                atom[offset] = { abundance, mass: abundance * mass };
+            }
+            for (let i = 0; i < atom.length; i++) {
+                if (!atom[i]) atom[i] = { abundance: 0, mass: 0 };
+            }
+            for (let n = 0; n < this.elements[symbol]; n++) {
+                distribution = convolve(distribution, atom);
+            }
+        }
+
+        const base = Math.max(...distribution.map(peak => peak.abundance));
+        const nominal = this.nominalMass();
+        return distribution
+            .map((peak, offset) => ({
+                label: offset === 0 ? 'M' : `M+${offset}`,
+                mz: nominal + offset,
+                mass: peak.abundance > 0 ? round(peak.mass / peak.abundance, 4) : null,
+                abundance: round(peak.abundance / base * 100, 2)
+            }))
+            .filter(peak => peak.abundance >= MIN_ISOTOPE_ABUNDANCE);
+    }
+
+    // Computed masses for compound records, CoA tools and the chat context
+    masses() {
+        return {
+            formula: this.toString(),
+            molecularWeight: round(this.averageMass(), 2),
+            monoisotopicMass: round(this.monoisotopicMass(), 4),
+            nominalMass: this.nominalMass(),
+            isotopePattern: this.isotopePattern()
+        };
+    }
+}
+
+MolecularFormula.ELEMENTS = ELEMENTS;
+
+module.exports = MolecularFormula;
@@ -0,0 +1,86 @@
+// Deterministic built-in text embedder (no network, no model files)
+// Signed feature hashing of unigrams and bigrams with sublinear term
+// frequency: a sparse random projection of the bag of words into a fixed
+// number of dimensions. Shared by the RAG builder (Node.js) and the chat
+// widget (browser), so build-time and query-time vectors always agree.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TerpediaHashEmbedder = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MODEL = 'terpedia-hash-v1';
+    const DEFAULT_DIMENSIONS = 384;
+    const BIGRAM_WEIGHT = 0.5;
+
+    const STOPWORDS = new Set([
+        'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+        'had', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'may',
+        'more', 'most', 'no', 'not', 'of', 'on', 'or', 'other', 'our', 'should', 'so',
+        'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+        'they', 'this', 'those', 'to', 'was', 'we', 'were', 'what', 'when', 'which',
+        'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+    ]);
+
+    // 32-bit FNV-1a over UTF-16 code units: identical in Node.js and browsers
+    function fnv1a(text, seed = 0x811c9dc5) {
+        let hash = seed;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Light suffix stripping so "flavors"/"flavor" and "studies"/"study" collide
+    function stem(token) {
+        if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+        if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+        return token;
+    }
+
+    function tokenize(text) {
+        return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+            .filter(token => token.length > 1 && !STOPWORDS.has(token))
+            .map(stem);
+    }
+
+    function embed(text, dimensions = DEFAULT_DIMENSIONS) {
+        const tokens = tokenize(text);
+        const counts = new Map();
+        const add = (feature, weight) => {
+            counts.set(feature, (counts.get(feature) || 0) + weight);
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            add(tokens[i], 1);
+            if (i > 0) {
+                add(tokens[i - 1] + ' ' + tokens[i], BIGRAM_WEIGHT);
+            }
+        }
+
+        const vector = new Array(dimensions).fill(0);
+        for (const [feature, count] of counts) {
+            const index = fnv1a(feature) % dimensions;
+            const sign = fnv1a(feature, 0x9747b28c) & 1 ? 1 : -1;
+            // Sublinear TF keeps one repeated term from dominating a chunk
+            vector[index] += sign * (1 + Math.log(count));
+        }
+
+        let norm = 0;
+        for (const value of vector) norm += value * value;
+        norm = Math.sqrt(norm);
+
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    return {
+        MODEL,
+        DEFAULT_DIMENSIONS,
+        tokenize,
+        embed
+    };
+});
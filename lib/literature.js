@@ -0,0 +1,357 @@
+// Literature records from PubMed and reference manager exports
+// Reads local export files, so it works offline:
+// - PubMed XML: PubMed "Save" → Format: PubMed XML (<PubmedArticleSet>), or
+//   the same XML from E-utilities efetch
+// - RIS: Zotero, EndNote, Mendeley and most reference managers
+//
+// Each article becomes a record identified by its PMID (or DOI when there's
+// no PMID) with authors, journal, year, abstract and keywords. Records
+// without either can't be attributed and are skipped. Records are linked to
+// the compound pages they mention by name, gcms.config.json alias or isomer, or CAS
+// number (PubMed's chemical list gives CAS numbers).
+//
+// createChunks() turns a record into RAG chunks (chunkType 'abstract'). The
+// title and citation lead every chunk, and its pageUrl is the PubMed or DOI
+// link, so an answer built on it can be traced to the paper.
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const cas = require('./cas');
+const ContentExtractor = require('./content-extractor');
+const PeakTableImporter = require('./peak-table');
+
+// Bump when the record or chunk shape changes
+const LITERATURE_VERSION = '1';
+
+const DATA_FILE = path.join('data', 'literature.json');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "10.1016/J.FOODCHEM.2010.03.037", "https://doi.org/10.1016/..." → "10.1016/j.foodchem.2010.03.037"
+function normalizeDoi(text) {
+    if (!text) return null;
+    const match = String(text).trim().match(/10\.\d{4,9}\/\S+/);
+    return match ? match[0].replace(/[.,;]+$/, '').toLowerCase() : null;
+}
+
+function text($node) {
+    return $node.text().replace(/\s+/g, ' ').trim();
+}
+
+// "Nagababu, Enika" / "Nagababu, E." → { family, given }
+function parseRisAuthor(name) {
+    const [family, ...given] = name.split(',').map(part => part.trim());
+    return given.length > 0 && given.join(' ')
+        ? { family, given: given.join(' ') }
+        : { literal: family };
+}
+
+class LiteratureImporter {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.dataPath = options.dataPath || path.join(this.rootDir, DATA_FILE);
+        this.extractor = options.extractor || new ContentExtractor({ rootDir: this.rootDir });
+        const config = options.aliases ? {} : PeakTableImporter.loadConfig(this.rootDir);
+        this.aliases = options.aliases || config.aliases || {};
+        // Papers on an isomer (β-pinene) belong on the page it shares
+        this.isomers = options.isomers || config.isomers || {};
+        this.compounds = options.compounds || null;
+    }
+
+    // Records saved by scripts/import-literature.js; [] when there are none
+    loadRecords() {
+        if (!fs.existsSync(this.dataPath)) {
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(this.dataPath, 'utf-8')).records || [];
+    }
+
+    // Compound pages to link records to, from data/compounds.json
+    loadCompounds() {
+        if (this.compounds === null) {
+            const compoundsPath = path.join(this.rootDir, 'data', 'compounds.json');
+            this.compounds = fs.existsSync(compoundsPath)
+                ? JSON.parse(fs.readFileSync(compoundsPath, 'utf-8')).compounds
+                : [];
+        }
+        return this.compounds;
+    }
+
+    detectFormat(content, fileName = '') {
+        if (/<PubmedArticle(Set)?\b/.test(content)) return 'pubmed-xml';
+        if (/^TY {2}- /m.test(content)) return 'ris';
+        throw new Error(`Unrecognised literature export${fileName ? ` ${fileName}` : ''} (expected PubMed XML or RIS)`);
+    }
+
+    parseFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf-8');
+        return this.parse(content, path.basename(filePath));
+    }
+
+    // { format, records, skipped } where skipped lists articles with neither
+    // PMID nor DOI
+    parse(content, fileName = '') {
+        const format = this.detectFormat(content, fileName);
+        const parsed = format === 'pubmed-xml' ? this.parsePubMedXML(content) : this.parseRIS(content);
+
+        const records = [];
+        const skipped = [];
+        for (const article of parsed) {
+            if (!article.pmid && !article.doi) {
+                skipped.push(article.title || '(untitled)');
+                continue;
+            }
+            const record = {
+                id: article.pmid ? `pmid-${article.pmid}` : `doi-${article.doi}`,
+                ...article,
+                source: fileName || null
+            };
+            record.compounds = this.linkCompounds(record);
+            records.push(record);
+        }
+        return { format, records, skipped };
+    }
+
+    parsePubMedXML(xml) {
+        const $ = cheerio.load(xml, { xml: true });
+        return $('PubmedArticle').map((i, node) => {
+            const article = $(node);
+            const citation = article.find('MedlineCitation').first();
+            const journal = citation.find('Article > Journal').first();
+            const pubDate = journal.find('JournalIssue > PubDate');
+            const year = text(pubDate.find('Year')) || (text(pubDate.find('MedlineDate')).match(/\d{4}/) || [''])[0];
+
+            // Structured abstracts: one labelled paragraph per section
+            const abstract = citation.find('Article > Abstract > AbstractText').map((j, part) => {
+                const label = $(part).attr('Label');
+                return label ? `${label}: ${text($(part))}` : text($(part));
+            }).get().filter(Boolean).join('\n');
+
+            const authors = citation.find('Article > AuthorList > Author').map((j, author) => {
+                const collective = text($(author).find('CollectiveName'));
+                if (collective) return { literal: collective };
+                const given = text($(author).find('ForeName')) || text($(author).find('Initials'));
+                return { family: text($(author).find('LastName')), given };
+            }).get();
+
+            const doi = article.find('PubmedData ArticleIdList ArticleId[IdType="doi"]').first();
+            const elocation = citation.find('Article > ELocationID[EIdType="doi"]').first();
+
+            return {
+                pmid: text(citation.children('PMID').first()) || null,
+                doi: normalizeDoi(text(doi) || text(elocation)),
+                title: text(citation.find('Article > ArticleTitle')).replace(/\.$/, ''),
+                authors,
+                journal: text(journal.find('Title')) || text(journal.find('ISOAbbreviation')) || null,
+                year: year ? parseInt(year, 10) : null,
+                volume: text(journal.find('JournalIssue > Volume')) || null,
+                issue: text(journal.find('JournalIssue > Issue')) || null,
+                pages: text(citation.find('Article > Pagination > MedlinePgn')) || null,
+                abstract,
+                keywords: [
+                    ...citation.find('KeywordList > Keyword').map((j, keyword) => text($(keyword))).get(),
+                    ...citation.find('MeshHeadingList > MeshHeading > DescriptorName').map((j, mesh) => text($(mesh))).get()
+                ],
+                chemicals: citation.find('ChemicalList > Chemical').map((j, chemical) => {
+                    const registryNumber = text($(chemical).find('RegistryNumber'));
+                    return {
+                        name: text($(chemical).find('NameOfSubstance')),
+                        cas: cas.isValid(registryNumber) ? registryNumber : null
+                    };
+                }).get()
+            };
+        }).get();
+    }
+
+    // Tags are "XX  - value"; lines without a tag continue the previous value
+    parseRIS(content) {
+        const entries = [];
+        let fields = null;
+        let last = null;
+
+        for (const line of content.replace(/^﻿/, '').split(/\r?\n/)) {
+            const match = line.match(/^([A-Z][A-Z0-9]) {2}-(?: (.*))?$/);
+            if (!match) {
+                if (fields && last && line.trim()) {
+                    const values = fields[last];
+                    values[values.length - 1] += ` ${line.trim()}`;
+                }
+                continue;
+            }
+
+            const [, tag, value = ''] = match;
+            if (tag === 'TY') {
+                fields = {};
+            } else if (tag === 'ER') {
+                if (fields) entries.push(fields);
+                fields = null;
+                continue;
+            }
+            if (!fields) continue;
+            (fields[tag] = fields[tag] || []).push(value.trim());
+            last = tag;
+        }
+
+        return entries.map(fields => {
+            const first = (...tags) => {
+                for (const tag of tags) {
+                    if (fields[tag] && fields[tag][0]) return fields[tag][0];
+                }
+                return null;
+            };
+            const urls = fields.UR || [];
+            const pubmedUrl = urls.map(url => url.match(/pubmed\.ncbi\.nlm\.nih\.gov\/(\d+)/) || url.match(/ncbi\.nlm\.nih\.gov\/pubmed\/(\d+)/)).find(Boolean);
+            const accession = first('AN');
+            const year = (first('PY', 'Y1', 'DA') || '').match(/\d{4}/);
+            const startPage = first('SP');
+            const endPage = first('EP');
+
+            return {
+                pmid: accession && /^\d+$/.test(accession) ? accession : (pubmedUrl ? pubmedUrl[1] : null),
+                doi: normalizeDoi(first('DO')) || urls.map(normalizeDoi).find(Boolean) || null,
+                title: (first('TI', 'T1') || '').replace(/\.$/, ''),
+                authors: [...(fields.AU || []), ...(fields.A1 || [])].map(parseRisAuthor),
+                journal: first('T2', 'JF', 'JO', 'JA', 'J2'),
+                year: year ? parseInt(year[0], 10) : null,
+                volume: first('VL'),
+                issue: first('IS'),
+                pages: startPage ? (endPage ? `${startPage}-${endPage}` : startPage) : null,
+                abstract: first('AB', 'N2') || '',
+                keywords: fields.KW || [],
+                chemicals: []
+            };
+        });
+    }
+
+    // Compound pages a record mentions: [{ slug, name, url }]
+    linkCompounds(record) {
+        const haystack = [record.title, record.abstract, ...record.keywords, ...record.chemicals.map(c => c.name)].join('\n');
+        const casNumbers = new Set([...cas.findAll(haystack), ...record.chemicals.map(c => c.cas).filter(Boolean)]);
+
+        return this.loadCompounds().filter(compound => {
+            const aliases = [...(this.aliases[compound.slug] || []), ...(this.isomers[compound.slug] || [])];
+            if ([compound.casNumber, ...aliases].some(value => value && casNumbers.has(value))) {
+                return true;
+            }
+            // "α-pinene", "trans-anethole" and "pinenes" mention Pinene and Anethole
+            const names = [compound.name, ...aliases.filter(alias => !cas.isValid(alias))];
+            return names.some(name => new RegExp(`(^|\\W)${escapeRegExp(name)}s?(?!\\w)`, 'i').test(haystack));
+        }).map(compound => ({ slug: compound.slug, name: compound.name, url: compound.url }));
+    }
+
+    // Adds or updates records (matched by PMID, then DOI); returns
+    // { records, added, updated }. Fields missing from the new record keep
+    // their stored value, so a RIS export doesn't erase a PubMed abstract,
+    // and keywords from both are kept.
+    merge(stored, incoming) {
+        const records = stored.map(record => ({ ...record }));
+        let added = 0;
+        let updated = 0;
+
+        for (const record of incoming) {
+            const existing = records.find(r => (record.pmid && r.pmid === record.pmid) || (record.doi && r.doi === record.doi));
+            if (!existing) {
+                records.push(record);
+                added++;
+                continue;
+            }
+            const keywords = [...new Set([...existing.keywords, ...record.keywords])];
+            for (const [key, value] of Object.entries(record)) {
+                const empty = value === null || value === '' || (Array.isArray(value) && value.length === 0);
+                if (!empty) existing[key] = value;
+            }
+            existing.keywords = keywords;
+            existing.id = existing.pmid ? `pmid-${existing.pmid}` : `doi-${existing.doi}`;
+            existing.compounds = this.linkCompounds(existing);
+            updated++;
+        }
+        return { records, added, updated };
+    }
+
+    save(records) {
+        const dataset = {
+            version: LITERATURE_VERSION,
+            buildDate: new Date().toISOString(),
+            totalRecords: records.length,
+            records
+        };
+        fs.mkdirSync(path.dirname(this.dataPath), { recursive: true });
+        fs.writeFileSync(this.dataPath, JSON.stringify(dataset, null, 2) + '\n');
+    }
+
+    static url(record) {
+        return record.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/` : `https://doi.org/${record.doi}`;
+    }
+
+    // "Nagababu E, Rifkind JM, et al. (2010). Food Chemistry, 122(3), 709-714. PMID 20007038. doi:10.1016/..."
+    static citation(record) {
+        const names = record.authors.slice(0, 3).map(author => author.literal || `${author.family} ${(author.given || '').replace(/[^A-Z]/g, '')}`.trim());
+        const authors = `${names.join(', ')}${record.authors.length > 3 ? ', et al.' : ''}`;
+        const locator = [record.volume && `${record.volume}${record.issue ? `(${record.issue})` : ''}`, record.pages].filter(Boolean).join(', ');
+        return [
+            `${authors || 'Anonymous'} (${record.year || 'n.d.'})`,
+            [record.journal, locator].filter(Boolean).join(', '),
+            record.pmid && `PMID ${record.pmid}`,
+            record.doi && `doi:${record.doi}`
+        ].filter(Boolean).join('. ') + '.';
+    }
+
+    // The record as an indexed page: { title, url, contentHash, chunks }
+    toPage(record) {
+        return {
+            title: record.title,
+            url: LiteratureImporter.url(record),
+            contentHash: this.extractor.hashContent(`${LITERATURE_VERSION}\n${JSON.stringify(record)}`),
+            pmid: record.pmid,
+            doi: record.doi,
+            chunks: this.createChunks(record)
+        };
+    }
+
+    // Abstract chunks of about 1000 characters, split between the labelled
+    // sections of a structured abstract where possible
+    createChunks(record) {
+        const url = LiteratureImporter.url(record);
+        const header = `${record.title}\n${LiteratureImporter.citation(record)}`;
+        const fields = [
+            record.pmid && { label: 'PMID', value: record.pmid, href: `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/` },
+            record.doi && { label: 'DOI', value: record.doi, href: `https://doi.org/${record.doi}` },
+            record.journal && { label: 'Journal', value: record.journal },
+            record.year && { label: 'Year', value: String(record.year) },
+            ...record.compounds.map(compound => ({ label: 'Compound', value: compound.name, href: compound.url }))
+        ].filter(Boolean);
+
+        const blocks = record.abstract.split('\n').filter(Boolean).map(paragraph => ({ text: paragraph }));
+        const pieces = this.extractor.chunkBlocks(blocks, 1000).map(chunk => chunk.text);
+        if (pieces.length === 0) {
+            // No abstract: the title and keywords still make it findable
+            pieces.push(record.keywords.length > 0 ? `Keywords: ${record.keywords.join(', ')}` : '');
+        }
+
+        return pieces.map((piece, i) => {
+            const chunkText = [header, piece].filter(Boolean).join('\n');
+            return {
+                id: `literature/${record.id}-abstract-${i}`,
+                pageTitle: record.title,
+                pageUrl: url,
+                sectionHeading: 'Abstract',
+                sectionPath: `${record.title}${ContentExtractor.SECTION_PATH_SEPARATOR}Abstract`,
+                chunkType: 'abstract',
+                text: chunkText,
+                fields,
+                chunkIndex: i,
+                totalChunks: pieces.length,
+                hash: this.extractor.hashContent(chunkText),
+                wordCount: chunkText.split(/\s+/).length
+            };
+        });
+    }
+}
+
+LiteratureImporter.VERSION = LITERATURE_VERSION;
+LiteratureImporter.normalizeDoi = normalizeDoi;
+
+module.exports = LiteratureImporter;
@@ -0,0 +1,202 @@
+// Page discovery for the RAG builders
+// Crawls internal links from the entry points (index.html by default), so
+// new pages are indexed as soon as something links to them. rag.config.json
+// adds extra pages (include) and keeps pages out (exclude).
+//
+// The report also lists:
+// - orphans:     HTML files on disk that nothing reachable links to
+// - deadEnds:    crawled pages with no internal links to other pages
+// - brokenLinks: internal links to files that don't exist
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'rag.config.json';
+
+const DEFAULT_CONFIG = {
+    entryPoints: ['index.html'],
+    include: [],
+    exclude: ['node_modules/**', 'tests/**', 'test-results/**', 'playwright-report/**'],
+    titles: {},
+    titlePrefixes: {}
+};
+
+// Minimal glob support: ** (any path), * (any name part), ? (one character)
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            source += '.*';
+            i++;
+            if (pattern[i + 1] === '/') i++;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+class PageDiscovery {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.config = { ...DEFAULT_CONFIG, ...PageDiscovery.loadConfig(this.rootDir), ...options.config };
+        this.excludePatterns = this.config.exclude.map(globToRegExp);
+    }
+
+    static loadConfig(rootDir) {
+        const configPath = path.join(rootDir, CONFIG_FILE);
+        if (!fs.existsSync(configPath)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+
+    isExcluded(filePath) {
+        return this.excludePatterns.some(pattern => pattern.test(filePath));
+    }
+
+    // Every HTML file under the root that isn't excluded
+    listSiteFiles(dir = '') {
+        const files = [];
+        for (const entry of fs.readdirSync(path.join(this.rootDir, dir), { withFileTypes: true })) {
+            const relativePath = dir ? `${dir}/${entry.name}` : entry.name;
+            if (entry.name.startsWith('.') || this.isExcluded(relativePath) || this.isExcluded(`${relativePath}/`)) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                files.push(...this.listSiteFiles(relativePath));
+            } else if (entry.name.endsWith('.html')) {
+                files.push(relativePath);
+            }
+        }
+        return files.sort();
+    }
+
+    // Internal .html links of a page, resolved relative to the root
+    extractLinks(filePath, html) {
+        const links = [];
+        const hrefPattern = /<a\b[^>]*\bhref=["']([^"']+)["']/gi;
+        let match;
+
+        while ((match = hrefPattern.exec(html)) !== null) {
+            const href = match[1].trim();
+            // External, protocol-relative, mailto:, javascript:, etc.
+            if (/^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//')) continue;
+
+            const target = href.split('#')[0].split('?')[0];
+            if (!target.endsWith('.html')) continue;
+
+            const resolved = path.posix.normalize(
+                target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(filePath), target)
+            );
+            if (resolved.startsWith('..')) continue;
+
+            links.push({ href, target: resolved });
+        }
+
+        return links;
+    }
+
+    titleFor(filePath, html) {
+        if (this.config.titles[filePath]) {
+            return this.config.titles[filePath];
+        }
+
+        // "Eugenol - Terpedia" → "Eugenol"
+        const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        let title = titleMatch
+            ? titleMatch[1].replace(/\s+/g, ' ').replace(/\s*[-|]\s*Terpedia\s*$/i, '').trim()
+            : path.posix.basename(filePath, '.html');
+
+        for (const [prefix, titlePrefix] of Object.entries(this.config.titlePrefixes)) {
+            if (filePath.startsWith(prefix)) {
+                title = `${titlePrefix}${title}`;
+                break;
+            }
+        }
+
+        return title;
+    }
+
+    discover() {
+        const siteFiles = this.listSiteFiles();
+        const siteFileSet = new Set(siteFiles);
+        const includePatterns = this.config.include.map(globToRegExp);
+
+        // Seed with the entry points, then explicitly included pages
+        const queue = [
+            ...this.config.entryPoints,
+            ...siteFiles.filter(file => includePatterns.some(pattern => pattern.test(file)))
+        ];
+        const visited = new Set();
+        const pages = [];
+        const deadEnds = [];
+        const brokenLinks = [];
+
+        while (queue.length > 0) {
+            const filePath = queue.shift();
+            if (visited.has(filePath) || this.isExcluded(filePath)) continue;
+            visited.add(filePath);
+
+            const fullPath = path.join(this.rootDir, filePath);
+            if (!fs.existsSync(fullPath)) {
+                console.warn(`⚠ Entry point not found: ${filePath}`);
+                continue;
+            }
+
+            const html = fs.readFileSync(fullPath, 'utf-8');
+            pages.push({ filePath, title: this.titleFor(filePath, html) });
+
+            const links = this.extractLinks(filePath, html);
+            const outgoing = new Set();
+            const broken = new Set();
+            for (const link of links) {
+                if (!siteFileSet.has(link.target) && !fs.existsSync(path.join(this.rootDir, link.target))) {
+                    if (!broken.has(link.href)) {
+                        broken.add(link.href);
+                        brokenLinks.push({ from: filePath, href: link.href });
+                    }
+                    continue;
+                }
+                if (link.target !== filePath) {
+                    outgoing.add(link.target);
+                }
+                queue.push(link.target);
+            }
+
+            if (outgoing.size === 0) {
+                deadEnds.push(filePath);
+            }
+        }
+
+        return {
+            pages,
+            orphans: siteFiles.filter(file => !visited.has(file)),
+            deadEnds,
+            brokenLinks
+        };
+    }
+
+    printReport({ pages, orphans, deadEnds, brokenLinks }) {
+        console.log(`✓ Discovered ${pages.length} pages from ${this.config.entryPoints.join(', ')}`);
+        if (orphans.length > 0) {
+            console.warn(`⚠ ${orphans.length} orphan page(s) not linked from any indexed page (add to "include" in ${CONFIG_FILE} to index):`);
+            orphans.forEach(file => console.warn(`    ${file}`));
+        }
+        if (deadEnds.length > 0) {
+            console.warn(`⚠ ${deadEnds.length} page(s) link nowhere:`);
+            deadEnds.forEach(file => console.warn(`    ${file}`));
+        }
+        if (brokenLinks.length > 0) {
+            console.warn(`⚠ ${brokenLinks.length} broken internal link(s):`);
+            brokenLinks.forEach(({ from, href }) => console.warn(`    ${from} → ${href}`));
+        }
+    }
+}
+
+module.exports = PageDiscovery;
@@ -0,0 +1,384 @@
+// GC-MS peak table import
+// Turns instrument report exports into CoA compound rows (lib/coa.js):
+// - Delimited CSV/TSV peak tables (Agilent MassHunter, Thermo and most data
+//   systems), with header names matched loosely
+// - Shimadzu GCMSsolution ASCII exports ([MC Peak Table] plus the
+//   [MS Similarity Search Results ...] library hits)
+//
+// gcms.config.json holds the rules shared by every import:
+// - exclude:          solvent/column-bleed/low-quality peaks to drop; a rule
+//                     matches when all of its conditions do
+// - internalStandard: the IS peak used for μg/g (never listed as a compound)
+// - aliases:          other library names/CAS numbers of a page's own
+//                     compound, e.g. stereo or registry entries such as
+//                     (E)-cinnamaldehyde (14371-10-9) for cinnamaldehyde
+//                     (104-55-2). The peak keeps its library name and CAS
+//                     number, and compares as the page compound (casAliases)
+// - isomers:          names/CAS numbers of distinct compounds shown on a
+//                     page, e.g. β-pinene on the pinene page; they only link
+//                     the peak to the page and never compare as its compound
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('./csv');
+const cas = require('./cas');
+const CertificateOfAnalysis = require('./coa');
+
+const CONFIG_FILE = 'gcms.config.json';
+
+const DEFAULT_CONFIG = {
+    exclude: [],
+    internalStandard: null,
+    aliases: {},
+    isomers: {}
+};
+
+// Peak table header aliases; the first matching column wins, so Area % is
+// tried before Area
+const PEAK_COLUMNS = [
+    { field: 'peak', pattern: /^(peak|pk)\s*(#|no\.?|number)?$/i },
+    { field: 'retentionTime', pattern: /^(r\.?\s*t\.?|ret\.?\s*time|retention time)\b/i },
+    { field: 'areaPercent', pattern: /^(area\s*%|%\s*area|area\s*pct|area percent|pct\.? area)/i },
+    { field: 'area', pattern: /^area\b/i },
+    { field: 'name', pattern: /^(name|compound( name)?|hit name|library hit|library search|identification)\b/i },
+    { field: 'cas', pattern: /^cas\b/i },
+    { field: 'matchQuality', pattern: /^(si|qual(ity)?|match( quality| factor)?|similarity)\b/i }
+];
+
+// "(E)-", "trans-", "α-", "beta-", "D-", "(+)-" ... don't change which page a hit belongs to
+const STEREO_PREFIX = /^((\([^)]*\)|trans|cis|[αβγδ]|alpha|beta|gamma|delta|d|l|dl)-\s*)+/i;
+
+function parseNumber(text) {
+    if (text === null || text === undefined) return null;
+    const value = parseFloat(String(text).replace(/[%,\s]/g, ''));
+    return Number.isFinite(value) ? value : null;
+}
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function normalizeName(name) {
+    return name.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Library hits are reported on a 0-100 or a 0-999 (NIST match factor) scale
+function normalizeMatchQuality(value) {
+    if (value === null) return null;
+    return value > 100 ? round(value / 10, 1) : value;
+}
+
+function toPeak(fields) {
+    return {
+        peak: fields.peak !== undefined ? parseNumber(fields.peak) : null,
+        retentionTime: parseNumber(fields.retentionTime),
+        area: parseNumber(fields.area),
+        areaPercent: parseNumber(fields.areaPercent),
+        name: (fields.name || '').trim() || null,
+        cas: cas.normalize(fields.cas),
+        matchQuality: normalizeMatchQuality(parseNumber(fields.matchQuality))
+    };
+}
+
+// Maps recognised header cells to fields; null when the row isn't a header
+function headerColumns(row) {
+    const columns = row.map(cell => {
+        const column = PEAK_COLUMNS.find(c => c.pattern.test(cell.trim()));
+        return column ? column.field : null;
+    });
+    const hasRetentionTime = columns.includes('retentionTime');
+    const hasData = columns.includes('area') || columns.includes('areaPercent') || columns.includes('name');
+    return hasRetentionTime && hasData ? columns : null;
+}
+
+function rowFields(columns, row) {
+    const fields = {};
+    columns.forEach((field, i) => {
+        if (field && fields[field] === undefined) fields[field] = row[i];
+    });
+    return fields;
+}
+
+// Delimited export: report lines may precede the header row
+function parseDelimited(text) {
+    const rows = csv.parse(text);
+    const headerIndex = rows.findIndex(row => headerColumns(row));
+    if (headerIndex === -1) {
+        throw new Error('No peak table header found (need a retention time column and an area or name column)');
+    }
+
+    const columns = headerColumns(rows[headerIndex]);
+    const metadata = {};
+    for (const row of rows.slice(0, headerIndex)) {
+        const [key, value] = row.map(cell => cell.trim());
+        if (key && value) metadata[key.replace(/:$/, '')] = value;
+    }
+
+    const peaks = rows.slice(headerIndex + 1)
+        .map(row => toPeak(rowFields(columns, row)))
+        .filter(peak => peak.retentionTime !== null);
+
+    return { format: 'delimited', metadata, peaks };
+}
+
+function parseSections(text) {
+    const sections = {};
+    let current = null;
+    for (const line of text.split(/\r?\n/)) {
+        const heading = line.match(/^\[(.+)\]\s*$/);
+        if (heading) {
+            current = sections[heading[1]] = [];
+        } else if (current && line.trim() !== '') {
+            current.push(line.split('\t'));
+        }
+    }
+    return sections;
+}
+
+// Rows below the first header row of a section that starts with firstColumn
+function sectionTable(rows, firstColumn) {
+    const headerIndex = rows.findIndex(row => row[0].trim() === firstColumn);
+    if (headerIndex === -1) return null;
+    return { header: rows[headerIndex].map(cell => cell.trim()), rows: rows.slice(headerIndex + 1) };
+}
+
+function parseShimadzu(text) {
+    const sections = parseSections(text);
+    const metadata = {};
+    for (const name of ['Header', 'Sample Information']) {
+        for (const [key, value] of sections[name] || []) {
+            if (key && value) metadata[key.trim()] = value.trim();
+        }
+    }
+
+    const peakTable = sectionTable(sections['MC Peak Table'] || [], 'Peak#');
+    if (!peakTable) {
+        throw new Error('[MC Peak Table] has no Peak# header row');
+    }
+
+    // First library hit per spectrum, keyed by peak number
+    const hits = new Map();
+    const searchSection = Object.keys(sections).find(name => /^MS Similarity Search Results/i.test(name));
+    const searchTable = searchSection && sectionTable(sections[searchSection], 'Spectrum#');
+    if (searchTable) {
+        const column = name => searchTable.header.indexOf(name);
+        for (const row of searchTable.rows) {
+            if (parseNumber(row[column('Hit #')]) !== 1) continue;
+            hits.set(parseNumber(row[column('Spectrum#')]), {
+                name: row[column('Name')],
+                cas: row[column('CAS #')],
+                matchQuality: row[column('SI')]
+            });
+        }
+    }
+
+    const columns = peakTable.header.map(cell => {
+        const column = PEAK_COLUMNS.find(c => c.pattern.test(cell));
+        return column ? column.field : null;
+    });
+    const peaks = peakTable.rows.map(row => {
+        const fields = rowFields(columns, row);
+        const hit = hits.get(parseNumber(fields.peak)) || {};
+        return toPeak({ ...fields, ...hit, name: hit.name || fields.name });
+    }).filter(peak => peak.retentionTime !== null);
+
+    return { format: 'shimadzu', metadata, peaks };
+}
+
+class PeakTableImporter {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.config = { ...DEFAULT_CONFIG, ...PeakTableImporter.loadConfig(this.rootDir), ...options.config };
+        this.compounds = options.compounds || this.loadCompounds();
+        this.lookup = this.buildLookup();
+    }
+
+    static loadConfig(rootDir) {
+        const configPath = path.join(rootDir, CONFIG_FILE);
+        if (!fs.existsSync(configPath)) {
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    }
+
+    // Alias CAS number → compounds/ page, from gcms.config.json alone, for
+    // looking up reference data (RI, sensory, regulatory) of imported rows
+    // that kept an alias CAS number. Isomers are left out.
+    static aliasPages(rootDir) {
+        const aliases = PeakTableImporter.loadConfig(rootDir).aliases || {};
+        const pages = new Map();
+        for (const [slug, keys] of Object.entries(aliases)) {
+            for (const key of keys) {
+                if (/^[\d-]+$/.test(key)) pages.set(cas.normalize(key), `compounds/${slug}.html`);
+            }
+        }
+        return pages;
+    }
+
+    // Shimadzu ASCII exports are recognised by their [MC Peak Table] section
+    static parse(text) {
+        return /^\[MC Peak Table\]\s*$/m.test(text) ? parseShimadzu(text) : parseDelimited(text);
+    }
+
+    // data/compounds.json (npm run build:compounds)
+    loadCompounds() {
+        const datasetPath = path.join(this.rootDir, 'data', 'compounds.json');
+        if (!fs.existsSync(datasetPath)) {
+            console.warn(`⚠ ${datasetPath} not found, peaks won't be linked to compound pages`);
+            return [];
+        }
+        return JSON.parse(fs.readFileSync(datasetPath, 'utf-8')).compounds;
+    }
+
+    // Name and CAS keys → compound record
+    buildLookup() {
+        const lookup = new Map();
+        for (const compound of this.compounds) {
+            const keys = [
+                compound.name,
+                compound.slug.replace(/-/g, ' '),
+                compound.casNumber,
+                ...(this.config.aliases[compound.slug] || []),
+                ...(this.config.isomers[compound.slug] || [])
+            ];
+            for (const key of keys.filter(Boolean)) {
+                lookup.set(/^[\d-]+$/.test(key) ? cas.normalize(key) : normalizeName(key), compound);
+            }
+        }
+        return lookup;
+    }
+
+    // Alias CAS number → the page compound's CAS number, for comparing
+    // certificates and matching specifications (lib/coa-spec.js sameCompound).
+    // Isomers are left out, so they stay apart from the page compound.
+    casAliases() {
+        const aliases = new Map();
+        for (const compound of this.compounds) {
+            const pageCas = cas.normalize(compound.casNumber);
+            if (!pageCas) continue;
+            for (const alias of this.config.aliases[compound.slug] || []) {
+                if (/^[\d-]+$/.test(alias)) aliases.set(cas.normalize(alias), pageCas);
+            }
+        }
+        return aliases;
+    }
+
+    // The peak is the page's own compound, not an isomer or relative found
+    // through an alias or a stereo prefix
+    isPageCompound(peak, compound) {
+        if (peak.cas) return peak.cas === cas.normalize(compound.casNumber || '');
+        return Boolean(peak.name) && [compound.name, compound.slug.replace(/-/g, ' ')]
+            .some(name => normalizeName(name) === normalizeName(peak.name));
+    }
+
+    matchCompound(peak) {
+        if (peak.cas && this.lookup.has(peak.cas)) {
+            return this.lookup.get(peak.cas);
+        }
+        if (!peak.name) return null;
+        const name = normalizeName(peak.name);
+        return this.lookup.get(name) || this.lookup.get(name.replace(STEREO_PREFIX, '')) || null;
+    }
+
+    ruleMatches(rule, peak) {
+        const conditions = [];
+        if (rule.name !== undefined) conditions.push(new RegExp(rule.name, 'i').test(peak.name || ''));
+        if (rule.cas !== undefined) conditions.push([].concat(rule.cas).map(cas.normalize).includes(peak.cas));
+        if (rule.retentionTimeBelow !== undefined) conditions.push(peak.retentionTime < rule.retentionTimeBelow);
+        if (rule.retentionTimeAbove !== undefined) conditions.push(peak.retentionTime > rule.retentionTimeAbove);
+        if (rule.matchQualityBelow !== undefined) conditions.push(peak.matchQuality !== null && peak.matchQuality < rule.matchQualityBelow);
+        if (rule.areaPercentBelow !== undefined) conditions.push(peak.areaPercent !== null && peak.areaPercent < rule.areaPercentBelow);
+        return conditions.length > 0 && conditions.every(Boolean);
+    }
+
+    exclusionReason(peak) {
+        const rule = this.config.exclude.find(r => this.ruleMatches(r, peak));
+        return rule ? rule.reason : null;
+    }
+
+    isInternalStandard(peak) {
+        const standard = this.config.internalStandard;
+        if (!standard) return false;
+        return (standard.cas && cas.normalize(standard.cas) === peak.cas) ||
+            (standard.name && new RegExp(standard.name, 'i').test(peak.name || ''));
+    }
+
+    // Peaks → CoA compound rows. Area % is recomputed over the reported
+    // compounds (solvent, bleed and IS peaks removed) when areas are known.
+    // μg/g = area / IS area × IS amount (μg) / sample mass (g) / response factor
+    importPeaks(peaks, options = {}) {
+        const internalStandard = peaks.find(peak => this.isInternalStandard(peak)) || null;
+        const excluded = [];
+        const kept = [];
+
+        for (const peak of peaks) {
+            if (peak === internalStandard) continue;
+            const reason = this.exclusionReason(peak);
+            if (reason) {
+                excluded.push({ peak, reason });
+            } else {
+                kept.push(peak);
+            }
+        }
+
+        const { internalStandardAmount, sampleMass } = options;
+        const quantify = internalStandardAmount !== undefined && sampleMass !== undefined;
+        if (quantify && (!internalStandard || !internalStandard.area)) {
+            throw new Error(`Internal standard peak not found (${this.config.internalStandard ? this.config.internalStandard.name : 'none configured'})`);
+        }
+        const responseFactor = (this.config.internalStandard && this.config.internalStandard.responseFactor) || 1;
+
+        const totalArea = kept.every(peak => peak.area !== null)
+            ? kept.reduce((total, peak) => total + peak.area, 0)
+            : 0;
+
+        const unmatched = [];
+        const compounds = kept.map(peak => {
+            const compound = this.matchCompound(peak);
+            if (!compound) unmatched.push(peak.name);
+            const pageCompound = compound && this.isPageCompound(peak, compound);
+            return {
+                name: pageCompound ? compound.name : peak.name,
+                cas: peak.cas || (pageCompound && compound.casNumber) || null,
+                retentionTime: peak.retentionTime,
+                areaPercent: totalArea > 0 ? round(peak.area / totalArea * 100, 1) : peak.areaPercent,
+                concentration: quantify && peak.area !== null
+                    ? round(peak.area / internalStandard.area * internalStandardAmount / sampleMass / responseFactor, 1)
+                    : null,
+                matchQuality: peak.matchQuality,
+                page: compound ? compound.url : null
+            };
+        });
+
+        // Largest peaks first, as on the CoA
+        compounds.sort((a, b) => (b.areaPercent || 0) - (a.areaPercent || 0));
+
+        return { compounds, excluded, internalStandard, unmatched };
+    }
+
+    // Report text → CertificateOfAnalysis. Sample, method, notes and
+    // signatures come from the template certificate when one is given.
+    importReport(text, options = {}) {
+        const report = PeakTableImporter.parse(text);
+        const result = this.importPeaks(report.peaks, options);
+        const template = options.template ? options.template.toJSON() : {};
+
+        const coa = new CertificateOfAnalysis({
+            ...template,
+            certificateNumber: options.certificateNumber || null,
+            date: options.date || null,
+            sample: {
+                ...template.sample,
+                name: options.sampleName || report.metadata['Sample Name'] || (template.sample && template.sample.name)
+            },
+            compounds: result.compounds
+        });
+
+        return { coa, report, ...result };
+    }
+}
+
+PeakTableImporter.normalizeCas = cas.normalize;
+
+module.exports = PeakTableImporter;
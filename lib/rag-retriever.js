@@ -0,0 +1,425 @@
+// Retrieval over the built RAG index, for the chat API
+// Reads rag.sqlite (scripts/build-rag-sqlite.js) when it exists, otherwise
+// rag-index.json (scripts/build-rag.js):
+// - rag.sqlite: FTS5 (BM25) keyword ranking and cosine similarity against
+//   the stored embeddings, merged with reciprocal rank fusion, the same
+//   ranking as the chat widget (see README_SQLITE_VEC.md). Vector search
+//   needs the query embedded like the index was; without that provider it
+//   is off and the keyword ranking is used alone.
+// - rag-index.json: BM25 computed here over the chunk texts (the JSON index
+//   has no embeddings)
+//
+// The index file's modification time and size are checked on every search,
+// and it is reopened when a build has changed it, so the server never needs
+// a restart. Queries are reduced to letters and digits, so "(", "+" or
+// quotes in a question can't break a search.
+//
+// A question about how much of a compound there is ("what is the coumarin
+// concentration in the cinnamon roll") is answered from the CoA first: the
+// GC-MS result rows for the compounds it names lead the results, ahead of
+// the many ingredient tables that also mention concentrations.
+
+const fs = require('fs');
+const path = require('path');
+const { createEmbeddingProvider, HashEmbeddingProvider } = require('./embedding-providers');
+
+// BM25 parameters (the FTS5 defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant
+const RRF_K = 60;
+
+// Question words asking for a measured amount
+const QUANTITY_TERMS = new Set([
+    'concentration', 'concentrations', 'amount', 'amounts', 'much', 'level', 'levels',
+    'content', 'quantity', 'ppm'
+]);
+
+// CoA table columns: the compound and its concentration (as in the
+// coa_results table of scripts/build-rag-sqlite.js)
+const COA_COMPOUND_LABEL = /^compound( name)?$/i;
+const COA_CONCENTRATION_LABEL = /^concentration\b/i;
+
+// Letters and digits only, lower-cased, at least 3 characters
+function queryTerms(query) {
+    return (String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 2);
+}
+
+function isQuantityQuestion(terms) {
+    return terms.some(term => QUANTITY_TERMS.has(term));
+}
+
+// Every word of the compound's name is in the question
+function namesCompound(terms, name) {
+    const words = queryTerms(name);
+    return words.length > 0 && words.every(word => terms.includes(word));
+}
+
+function tokenize(text) {
+    return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function vectorNorm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+        sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+}
+
+// score = sum of 1 / (k + rank) over every ranking a chunk appears in;
+// rank-based, so BM25 and cosine scores never need to share a scale
+function fuseRankings(rankings, topK, k = RRF_K) {
+    const fused = new Map();
+    for (const { name, results } of rankings) {
+        results.forEach((chunk, rank) => {
+            const entry = fused.get(chunk.id) || { ...chunk, score: 0, matchedBy: [] };
+            entry.score += 1 / (k + rank + 1);
+            entry.matchedBy.push(name);
+            fused.set(chunk.id, entry);
+        });
+    }
+    return [...fused.values()].sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+// CoA rows first, then the ranked chunks that aren't among them
+function leadWithCoA(coaRows, ranked, topK) {
+    if (coaRows.length === 0) {
+        return ranked.slice(0, topK);
+    }
+    const byId = new Map(ranked.map(chunk => [chunk.id, chunk]));
+    const lead = coaRows.map(row => {
+        const chunk = byId.get(row.id);
+        return chunk ? { ...chunk, matchedBy: ['coa', ...chunk.matchedBy] } : { ...row, score: 0, matchedBy: ['coa'] };
+    });
+    const ids = new Set(lead.map(chunk => chunk.id));
+    return [...lead, ...ranked.filter(chunk => !ids.has(chunk.id))].slice(0, topK);
+}
+
+class RAGRetriever {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.dbPath = options.dbPath || path.join(this.rootDir, 'rag.sqlite');
+        this.indexPath = options.indexPath || path.join(this.rootDir, 'rag-index.json');
+        // Query embeddings; by default chosen to match the index (see queryEmbedder)
+        this.embeddingProvider = options.embeddingProvider || null;
+        this.index = null;
+        this.signature = null;
+    }
+
+    // { type, path, signature } of the index to read, or null when none is built
+    locate() {
+        for (const [type, filePath] of [['sqlite', this.dbPath], ['json', this.indexPath]]) {
+            try {
+                const stats = fs.statSync(filePath);
+                return { type, path: filePath, signature: `${type}:${stats.mtimeMs}:${stats.size}` };
+            } catch (error) {
+                // Not built; try the next one
+            }
+        }
+        return null;
+    }
+
+    // Reopens the index when a build has replaced or updated it
+    refresh() {
+        const located = this.locate();
+        if (!located) {
+            if (this.signature !== 'none') {
+                console.warn('⚠ No RAG index found; run npm run build:rag:sqlite or npm run build:rag');
+            }
+            this.close();
+            this.signature = 'none';
+            return null;
+        }
+        if (located.signature === this.signature && this.index) {
+            return this.index;
+        }
+
+        this.close();
+        this.index = located.type === 'sqlite' ? this.openSQLite(located.path) : this.openJSON(located.path);
+        this.signature = located.signature;
+        return this.index;
+    }
+
+    close() {
+        if (this.index && this.index.db) {
+            this.index.db.close();
+        }
+        this.index = null;
+    }
+
+    openSQLite(dbPath) {
+        const Database = require('better-sqlite3');
+        const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+        const metadata = {};
+        for (const row of db.prepare('SELECT key, value FROM metadata').all()) {
+            metadata[row.key] = row.value;
+        }
+        // section_anchor exists from schema 6 on
+        const columns = new Set(db.prepare('PRAGMA table_info(chunks)').all().map(column => column.name));
+        const select = prefix => ['id', 'chunk_key', 'page_title', 'page_url', 'section_heading', 'section_path', 'section_anchor', 'chunk_type', 'chunk_text']
+            .map(column => columns.has(column) ? `${prefix}${column}` : `NULL AS ${column}`)
+            .join(', ');
+        const hasCoaResults = Boolean(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'coa_results'").get());
+        return { type: 'sqlite', path: dbPath, db, metadata, select, hasCoaResults, embeddings: null, embedder: undefined };
+    }
+
+    openJSON(indexPath) {
+        const data = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+        const chunks = (data.chunks || []).map(chunk => {
+            const terms = new Map();
+            const tokens = tokenize(chunk.text);
+            tokens.forEach(token => terms.set(token, (terms.get(token) || 0) + 1));
+            return { chunk, terms, length: tokens.length };
+        });
+
+        const documentFrequency = new Map();
+        for (const { terms } of chunks) {
+            for (const term of terms.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+        const averageLength = chunks.reduce((sum, c) => sum + c.length, 0) / (chunks.length || 1);
+        return { type: 'json', path: indexPath, chunks, documentFrequency, averageLength };
+    }
+
+    // Top chunks for a question: [{ id, key, pageTitle, pageUrl, sectionHeading,
+    // sectionPath, sectionAnchor, chunkType, text, score, matchedBy }].
+    // key is the chunk id from the extractor, stable across builds; id is
+    // the row id in rag.sqlite (the same as key for rag-index.json).
+    async search(query, topK = 5) {
+        const index = this.refresh();
+        if (!index) {
+            return [];
+        }
+        const terms = queryTerms(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        if (index.type === 'json') {
+            return leadWithCoA(this.searchCoAJSON(index, terms), this.searchJSON(index, terms, topK * 4), topK);
+        }
+
+        // Over-fetch from each ranking so fusion has room to reorder
+        const candidates = topK * 4;
+        let keyword;
+        try {
+            keyword = this.searchFTS5(index, terms, candidates);
+        } catch (error) {
+            console.warn(`⚠ FTS5 search failed, using LIKE search: ${error.message}`);
+            keyword = this.searchLike(index, terms, candidates);
+        }
+
+        let vector = [];
+        try {
+            vector = await this.searchVectors(index, query, candidates);
+        } catch (error) {
+            console.warn(`⚠ Vector search failed, using keyword ranking only: ${error.message}`);
+        }
+
+        // Every fused candidate is kept, so CoA rows found by either ranking
+        // keep their matchedBy
+        const fused = fuseRankings([{ name: 'keyword', results: keyword }, { name: 'vector', results: vector }], candidates * 2);
+        return leadWithCoA(this.searchCoA(index, terms), fused, topK);
+    }
+
+    // GC-MS result rows for the compounds a quantity question names
+    searchCoA(index, terms) {
+        if (!isQuantityQuestion(terms) || !index.hasCoaResults) {
+            return [];
+        }
+        return index.db.prepare(`
+            SELECT ${index.select('c.')}, r.compound_name
+            FROM coa_results r
+            JOIN chunks c ON c.id = r.chunk_id
+            WHERE r.concentration_ug_g IS NOT NULL
+            ORDER BY c.page_url, r.row_number
+        `).all()
+            .filter(row => namesCompound(terms, row.compound_name))
+            .map(row => this.fromRow(row));
+    }
+
+    searchCoAJSON(index, terms) {
+        if (!isQuantityQuestion(terms)) {
+            return [];
+        }
+        return index.chunks
+            .map(({ chunk }) => chunk)
+            .filter(chunk => {
+                if (chunk.chunkType !== 'table_row' || !chunk.fields) return false;
+                const compound = chunk.fields.find(field => COA_COMPOUND_LABEL.test(field.label));
+                const concentration = chunk.fields.find(field => COA_CONCENTRATION_LABEL.test(field.label));
+                return compound && concentration && Number.isFinite(parseFloat(concentration.value)) &&
+                    namesCompound(terms, compound.value);
+            })
+            .sort((a, b) => a.pageUrl.localeCompare(b.pageUrl))
+            .map(chunk => this.fromChunk(chunk));
+    }
+
+    searchJSON(index, terms, topK) {
+        const total = index.chunks.length;
+        const scored = [];
+        for (const { chunk, terms: counts, length } of index.chunks) {
+            let score = 0;
+            for (const term of new Set(terms)) {
+                const frequency = counts.get(term);
+                if (!frequency) continue;
+                const df = index.documentFrequency.get(term);
+                const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+                score += idf * (frequency * (BM25_K1 + 1)) /
+                    (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / index.averageLength));
+            }
+            if (score > 0) scored.push({ chunk, score });
+        }
+
+        return scored
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(({ chunk, score }) => ({ ...this.fromChunk(chunk), score, matchedBy: ['keyword'] }));
+    }
+
+    // Each term quoted, so it's matched as a word and never read as syntax
+    searchFTS5(index, terms, limit) {
+        return index.db.prepare(`
+            SELECT ${index.select('c.')}
+            FROM chunks_fts
+            JOIN chunks c ON chunks_fts.rowid = c.id
+            WHERE chunks_fts MATCH ?
+            ORDER BY rank
+            LIMIT ?
+        `).all(terms.map(term => `"${term}"`).join(' OR '), limit).map(row => this.fromRow(row));
+    }
+
+    searchLike(index, terms, limit) {
+        return index.db.prepare(`
+            SELECT ${index.select('')}
+            FROM chunks
+            WHERE ${terms.map(() => "chunk_text LIKE '%' || ? || '%'").join(' OR ')}
+            ORDER BY word_count DESC
+            LIMIT ?
+        `).all(...terms, limit).map(row => this.fromRow(row));
+    }
+
+    async searchVectors(index, query, limit) {
+        if (!this.queryEmbedder(index)) {
+            return [];
+        }
+        const embeddings = this.loadEmbeddings(index);
+        if (embeddings.length === 0) {
+            return [];
+        }
+
+        const queryVector = await this.queryEmbedding(index, query);
+        const dimensions = embeddings[0].vector.length;
+        if (!queryVector || queryVector.length !== dimensions) {
+            return [];
+        }
+        const queryNorm = vectorNorm(queryVector);
+        if (queryNorm === 0) {
+            return [];
+        }
+
+        const top = embeddings
+            .map(({ id, vector, norm }) => {
+                let dot = 0;
+                for (let i = 0; i < dimensions; i++) {
+                    dot += vector[i] * queryVector[i];
+                }
+                return { id, similarity: dot / (norm * queryNorm) };
+            })
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+
+        const rows = index.db.prepare(`
+            SELECT ${index.select('')}
+            FROM chunks
+            WHERE id IN (${top.map(() => '?').join(', ')})
+        `).all(...top.map(t => t.id));
+        const byId = new Map(rows.map(row => [row.id, this.fromRow(row)]));
+        return top.filter(t => byId.has(t.id)).map(t => ({ ...byId.get(t.id), similarity: t.similarity }));
+    }
+
+    // Stored Float32 vectors, read once per opened index; zero vectors are
+    // skipped because they have no direction
+    loadEmbeddings(index) {
+        if (!index.embeddings) {
+            index.embeddings = [];
+            for (const { embedding_id: id, embedding } of index.db.prepare('SELECT embedding_id, embedding FROM chunks_embedding').all()) {
+                if (!embedding || embedding.length === 0) continue;
+                const vector = new Float32Array(embedding.buffer.slice(embedding.byteOffset, embedding.byteOffset + embedding.byteLength));
+                const norm = vectorNorm(vector);
+                if (norm > 0) index.embeddings.push({ id, vector, norm });
+            }
+        }
+        return index.embeddings;
+    }
+
+    // The provider the index was built with: the hash embedder always
+    // works; OpenAI or a compatible server when configured. Without one,
+    // null and vector search is off.
+    queryEmbedder(index) {
+        if (this.embeddingProvider) {
+            return this.embeddingProvider;
+        }
+        if (index.embedder === undefined) {
+            const { embedding_provider: provider, embedding_model: model, embedding_dimensions: dimensions } = index.metadata;
+            try {
+                index.embedder = provider === 'hash'
+                    ? new HashEmbeddingProvider({ dimensions: parseInt(dimensions, 10) || undefined })
+                    : createEmbeddingProvider({ provider, model, dimensions });
+            } catch (error) {
+                console.warn(`⚠ Vector search off, no query embeddings for the ${provider} index: ${error.message}`);
+                index.embedder = null;
+            }
+        }
+        return index.embedder;
+    }
+
+    // null when the embedding request fails; that question is then ranked
+    // by keywords alone
+    async queryEmbedding(index, query) {
+        try {
+            const [embedding] = await this.queryEmbedder(index).embed([query]);
+            return embedding || null;
+        } catch (error) {
+            console.warn(`⚠ Query embedding failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    fromChunk(chunk) {
+        return {
+            id: chunk.id,
+            key: chunk.id,
+            pageTitle: chunk.pageTitle,
+            pageUrl: chunk.pageUrl,
+            sectionHeading: chunk.sectionHeading || null,
+            sectionPath: chunk.sectionPath || null,
+            sectionAnchor: chunk.sectionAnchor || null,
+            chunkType: chunk.chunkType || 'text',
+            text: chunk.text
+        };
+    }
+
+    fromRow(row) {
+        return {
+            id: row.id,
+            key: row.chunk_key,
+            pageTitle: row.page_title,
+            pageUrl: row.page_url,
+            sectionHeading: row.section_heading,
+            sectionPath: row.section_path,
+            sectionAnchor: row.section_anchor,
+            chunkType: row.chunk_type,
+            text: row.chunk_text
+        };
+    }
+}
+
+RAGRetriever.queryTerms = queryTerms;
+RAGRetriever.fuseRankings = fuseRankings;
+RAGRetriever.leadWithCoA = leadWithCoA;
+
+module.exports = RAGRetriever;
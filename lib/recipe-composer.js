@@ -0,0 +1,212 @@
+// Recipe composer
+// Predicts the functional compound profile of a finished product from its
+// ingredient amounts and data/ingredients.json:
+//
+//   concentration (μg/g) = Σ amount (g) × concentration in ingredient (μg/g) × retention
+//                          / (total amount (g) × yield)
+//
+// Each compound gets a min/typical/max range (from the ingredient ranges and,
+// for baked recipes, the retention range) and the share each ingredient
+// contributes. compare() checks the prediction against a measured CoA.
+//
+// UMD: require('./lib/recipe-composer') in Node, window.RecipeComposer in the
+// browser (composer-panel.js).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RecipeComposer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const BOUNDS = ['min', 'typical', 'max'];
+
+    // Units numerically equal to μg/g
+    const MICROGRAMS_PER_GRAM = ['μg/g', 'µg/g', 'mg/kg', 'ppm'];
+
+    function positive(value, label) {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (!(typeof number === 'number' && Number.isFinite(number) && number > 0)) {
+            throw new Error(`${label} must be a positive number`);
+        }
+        return number;
+    }
+
+    function significant(value, digits = 4) {
+        return value === 0 ? 0 : Number(value.toPrecision(digits));
+    }
+
+    // Compound rows from different sources are the same compound when their
+    // CAS numbers, pages or names match
+    function sameCompound(a, b) {
+        if (a.cas && b.cas) return a.cas === b.cas;
+        if (a.page && b.page) return a.page === b.page;
+        return (a.name || '').toLowerCase() === (b.name || '').toLowerCase();
+    }
+
+    class RecipeComposer {
+        constructor(data = {}) {
+            this.ingredients = data.ingredients || [];
+            this.retention = data.retention || [];
+            this.recipes = data.recipes || [];
+        }
+
+        ingredient(id) {
+            const ingredient = this.ingredients.find(entry => entry.id === id);
+            if (!ingredient) {
+                throw new Error(`Unknown ingredient: ${id}`);
+            }
+            return ingredient;
+        }
+
+        recipe(id) {
+            const recipe = this.recipes.find(entry => entry.id === id);
+            if (!recipe) {
+                throw new Error(`Unknown recipe: ${id} (use ${this.recipes.map(entry => entry.id).join(', ')})`);
+            }
+            return recipe;
+        }
+
+        // { min, typical, max } fraction left after baking; typical is the midpoint
+        retentionFor(compound) {
+            const entry = this.retention.find(item => sameCompound(item, compound));
+            return entry
+                ? { min: entry.min, typical: entry.typical !== undefined ? entry.typical : (entry.min + entry.max) / 2, max: entry.max }
+                : null;
+        }
+
+        // recipe: { name, ingredients: [{ id, amount (g) }], yield (finished/raw
+        // mass, default 1), baked (apply retention), servingSize (g, optional) }
+        compose(recipe) {
+            if (!recipe || !Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) {
+                throw new Error('A recipe needs at least one ingredient');
+            }
+            const recipeYield = recipe.yield === undefined || recipe.yield === null || recipe.yield === ''
+                ? 1
+                : positive(recipe.yield, 'Yield');
+            const servingSize = recipe.servingSize === undefined || recipe.servingSize === null || recipe.servingSize === ''
+                ? null
+                : positive(recipe.servingSize, 'Serving size');
+            const baked = Boolean(recipe.baked);
+
+            const ingredients = recipe.ingredients.map(item => {
+                const ingredient = this.ingredient(item.id);
+                return { ingredient, amount: positive(item.amount, `Amount of ${ingredient.name}`) };
+            });
+            const rawMass = ingredients.reduce((sum, item) => sum + item.amount, 0);
+            const finishedMass = rawMass * recipeYield;
+
+            // Total μg of each compound per bound, before baking losses
+            const compounds = [];
+            for (const { ingredient, amount } of ingredients) {
+                for (const source of ingredient.compounds) {
+                    let compound = compounds.find(item => sameCompound(item, source));
+                    if (!compound) {
+                        compound = { name: source.name, cas: source.cas || null, page: source.page || null, total: { min: 0, typical: 0, max: 0 }, contributions: [] };
+                        compounds.push(compound);
+                    }
+                    BOUNDS.forEach(bound => { compound.total[bound] += amount * source[bound]; });
+                    const contribution = compound.contributions.find(item => item.id === ingredient.id);
+                    if (contribution) {
+                        contribution.amount += amount * source.typical;
+                    } else {
+                        compound.contributions.push({ id: ingredient.id, name: ingredient.name, amount: amount * source.typical });
+                    }
+                }
+            }
+
+            return {
+                name: recipe.name || null,
+                baked,
+                yield: recipeYield,
+                rawMass: significant(rawMass),
+                finishedMass: significant(finishedMass),
+                servingSize,
+                concentrationUnit: 'μg/g',
+                ingredients: ingredients.map(({ ingredient, amount }) => ({
+                    id: ingredient.id,
+                    name: ingredient.name,
+                    amount,
+                    percent: Math.round(amount / rawMass * 1000) / 10
+                })),
+                compounds: compounds.map(compound => {
+                    const retention = baked ? this.retentionFor(compound) : null;
+                    const concentration = {};
+                    BOUNDS.forEach(bound => {
+                        concentration[bound] = significant(compound.total[bound] * (retention ? retention[bound] : 1) / finishedMass);
+                    });
+                    const perServing = servingSize === null ? null : {};
+                    if (perServing) {
+                        BOUNDS.forEach(bound => { perServing[bound] = significant(concentration[bound] * servingSize / 1000); });
+                    }
+                    const total = compound.total.typical;
+                    return {
+                        name: compound.name,
+                        cas: compound.cas,
+                        page: compound.page,
+                        concentration,
+                        perServing,
+                        retention: retention ? { min: retention.min, max: retention.max } : null,
+                        contributions: compound.contributions
+                            .map(item => ({ id: item.id, name: item.name, share: total > 0 ? Math.round(item.amount / total * 1000) / 10 : 0 }))
+                            .sort((a, b) => b.share - a.share)
+                    };
+                }).sort((a, b) => b.concentration.typical - a.concentration.typical)
+            };
+        }
+
+        // Measured CoA concentrations against a composed profile:
+        // within / below / above the predicted range, unpredicted (measured
+        // but from no ingredient) or undetected (predicted but not reported)
+        compare(profile, coa) {
+            const unit = coa.concentrationUnit || 'μg/g';
+            if (!MICROGRAMS_PER_GRAM.includes(unit)) {
+                throw new Error(`Concentrations must be in μg/g or mg/kg, not ${unit}`);
+            }
+
+            const measured = coa.compounds.filter(compound => compound.concentration !== null && compound.concentration !== undefined);
+            const compounds = profile.compounds.map(predicted => {
+                const row = measured.find(compound => sameCompound(compound, predicted));
+                const result = {
+                    name: predicted.name,
+                    cas: predicted.cas,
+                    page: predicted.page,
+                    predicted: predicted.concentration,
+                    measured: row ? row.concentration : null,
+                    ratio: null,
+                    status: 'undetected'
+                };
+                if (row) {
+                    result.ratio = predicted.concentration.typical > 0
+                        ? Math.round(row.concentration / predicted.concentration.typical * 100) / 100
+                        : null;
+                    result.status = row.concentration < predicted.concentration.min ? 'below'
+                        : row.concentration > predicted.concentration.max ? 'above'
+                            : 'within';
+                }
+                return result;
+            });
+
+            measured
+                .filter(row => !profile.compounds.some(predicted => sameCompound(row, predicted)))
+                .forEach(row => compounds.push({
+                    name: row.name,
+                    cas: row.cas || null,
+                    page: row.page || null,
+                    predicted: null,
+                    measured: row.concentration,
+                    ratio: null,
+                    status: 'unpredicted'
+                }));
+
+            const summary = { within: 0, below: 0, above: 0, unpredicted: 0, undetected: 0 };
+            compounds.forEach(compound => { summary[compound.status]++; });
+
+            return { certificateNumber: coa.certificateNumber || null, recipe: profile.name, compounds, summary };
+        }
+    }
+
+    RecipeComposer.sameCompound = sameCompound;
+
+    return RecipeComposer;
+});
@@ -0,0 +1,170 @@
+// Regulatory compliance of CoA concentrations
+// Checks each compound of a certificate against data/regulatory.json for one
+// food category and records a pass/warn/fail status and the rule behind it:
+//
+// - fail: the concentration in the food exceeds an EU Annex III Part B
+//   maximum level for the category
+// - warn: within 80% (warnFraction) of a maximum level; may not be added as
+//   such (EU Annex III Part A, 21 CFR 189) or delisted in the US, so it must
+//   come from natural flavoring sources; no concentration or no regulatory
+//   data for the compound
+// - pass: otherwise
+//
+// apply() records the category and dosage on the certificate
+// (complianceCheck); recheck() repeats that check against the current data,
+// which is how scripts/coa.js rates certificates when it loads them.
+//
+// CoA concentrations are per gram of flavor. The level in the food is
+// concentration × dosage (kg flavor per kg food); without a dosage the flavor
+// is checked neat, the worst case.
+
+const fs = require('fs');
+const path = require('path');
+const PeakTableImporter = require('./peak-table');
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+// Units numerically equal to mg/kg
+const MG_PER_KG_UNITS = ['μg/g', 'µg/g', 'mg/kg', 'ppm'];
+
+function worst(statuses) {
+    return statuses.reduce((a, b) => (STATUS_ORDER.indexOf(b) > STATUS_ORDER.indexOf(a) ? b : a), 'pass');
+}
+
+// "0.5%" → 0.005, "0.005" → 0.005
+function parseDosage(text) {
+    if (text === null || text === undefined || text === '') return null;
+    const value = parseFloat(String(text));
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Dosage must be a positive fraction or percentage: ${text}`);
+    }
+    const fraction = String(text).trim().endsWith('%') ? value / 100 : value;
+    if (fraction > 1) {
+        throw new Error(`Dosage can't exceed 100%: ${text}`);
+    }
+    return fraction;
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+class RegulatoryChecker {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        const data = options.data || this.loadData();
+        this.categories = data.categories || [];
+        this.compounds = data.compounds || [];
+        this.warnFraction = data.warnFraction || 0.8;
+        this.aliasPages = options.aliasPages || PeakTableImporter.aliasPages(this.rootDir);
+    }
+
+    loadData() {
+        const dataPath = path.join(this.rootDir, 'data', 'regulatory.json');
+        if (!fs.existsSync(dataPath)) {
+            throw new Error(`Regulatory data not found: ${dataPath}`);
+        }
+        return JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    }
+
+    category(id) {
+        const category = this.categories.find(entry => entry.id === id);
+        if (!category) {
+            throw new Error(`Unknown food category: ${id} (use ${this.categories.map(entry => entry.id).join(', ')})`);
+        }
+        return category;
+    }
+
+    // Regulatory entry for a CoA compound row, by CAS number (an alias CAS number
+    // from gcms.config.json counts as its page's compound), then name; by
+    // page only when the row has neither, since isomers share a page
+    entryFor(compound) {
+        if (compound.cas) {
+            const aliasPage = this.aliasPages.get(compound.cas);
+            const entry = this.compounds.find(item => item.cas === compound.cas) ||
+                (aliasPage && this.compounds.find(item => item.page === aliasPage));
+            if (entry) return entry;
+        }
+        if (compound.name) {
+            const name = compound.name.toLowerCase();
+            return this.compounds.find(item => item.name.toLowerCase() === name) || null;
+        }
+        return (!compound.cas && compound.page && this.compounds.find(item => item.page === compound.page)) || null;
+    }
+
+    // { status, rule, rules: [{ status, rule }] } for one compound row; the
+    // rule shown is the first one with the worst status
+    checkCompound(compound, categoryId, dosage = null) {
+        const category = this.category(categoryId);
+        const entry = this.entryFor(compound);
+        const rules = [];
+        const add = (status, rule) => rules.push({ status, rule });
+
+        if (!entry) {
+            add('warn', `No regulatory data for ${compound.name}`);
+        } else {
+            const maxLevel = entry.maxLevels.find(level => level.category === category.id);
+            const limit = maxLevel && `Reg. (EC) 1334/2008 Annex III Part B: max ${maxLevel.max} mg/kg`;
+            if (maxLevel && compound.concentration === null) {
+                add('warn', `${limit}, no concentration reported`);
+            } else if (maxLevel) {
+                const level = compound.concentration * (dosage || 1);
+                if (level > maxLevel.max) {
+                    add('fail', `${limit}, found ${formatNumber(level)} mg/kg`);
+                } else if (level > maxLevel.max * this.warnFraction) {
+                    add('warn', `${limit}, found ${formatNumber(level)} mg/kg (over ${Math.round(this.warnFraction * 100)}% of the limit)`);
+                } else {
+                    add('pass', `${limit}, found ${formatNumber(level)} mg/kg`);
+                }
+            }
+
+            if (entry.eu && entry.eu.status === 'restricted') {
+                add('warn', `${entry.eu.reference}: may not be added as such, natural flavoring sources only`);
+            }
+            if (entry.us && entry.us.status === 'prohibited') {
+                add('warn', `${entry.us.reference}: prohibited as an added substance in the US, natural occurrence only`);
+            } else if (entry.us && entry.us.status === 'delisted') {
+                add('warn', `${entry.us.reference}: synthetic form not permitted in the US, natural sources only`);
+            }
+            if (!entry.us && !entry.eu) {
+                add('warn', `No flavoring status recorded for ${entry.name}`);
+            }
+            if (rules.length === 0) {
+                add('pass', [entry.us && entry.us.reference, entry.eu && entry.eu.reference].filter(Boolean).join('; '));
+            }
+        }
+
+        const status = worst(rules.map(rule => rule.status));
+        return { status, rule: rules.find(rule => rule.status === status).rule, rules };
+    }
+
+    // Sets compliance and complianceRule on every compound of a certificate
+    // and complianceBasis on the certificate; returns the per-compound results
+    apply(coa, categoryId, dosage = null) {
+        if (!MG_PER_KG_UNITS.includes(coa.concentrationUnit)) {
+            throw new Error(`Concentrations must be in μg/g or mg/kg to check maximum levels, not ${coa.concentrationUnit}`);
+        }
+        const category = this.category(categoryId);
+
+        const results = coa.compounds.map(compound => {
+            const result = this.checkCompound(compound, category.id, dosage);
+            compound.compliance = result.status;
+            compound.complianceRule = result.rule;
+            return { name: compound.name, ...result };
+        });
+        coa.complianceBasis = `${category.name}, ${dosage ? `flavor dosed at ${formatNumber(dosage * 100)}%` : 'flavor checked neat'}`;
+        coa.complianceCheck = { category: category.id, dosage: dosage || null };
+
+        return results;
+    }
+
+    // Repeats the certificate's recorded check; null when it has none
+    recheck(coa) {
+        if (!coa.complianceCheck) return null;
+        return this.apply(coa, coa.complianceCheck.category, coa.complianceCheck.dosage);
+    }
+}
+
+RegulatoryChecker.parseDosage = parseDosage;
+
+module.exports = RegulatoryChecker;
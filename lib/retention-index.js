@@ -0,0 +1,181 @@
+// Retention indices from an n-alkane ladder
+// Raw retention times drift between instruments, columns and batches; the
+// retention index (RI) places each peak between the n-alkanes eluting around
+// it (C10 = 1000, C11 = 1100, ...), which is comparable everywhere.
+//
+// - linear (default, temperature-programmed runs, van den Dool & Kratz):
+//     RI = 100 × [n + (N − n) × (t − tn) / (tN − tn)]
+// - kovats (isothermal runs), using adjusted times t' = t − dead time:
+//     RI = 100 × [n + (N − n) × (log t' − log t'n) / (log t'N − log t'n)]
+//
+// Expected RIs per stationary phase live in data/retention-indices.json.
+// Peaks outside their compound's window are flagged as suspect identifications.
+
+const fs = require('fs');
+const path = require('path');
+const PeakTableImporter = require('./peak-table');
+
+const ALKANE_NAMES = [
+    'hexane', 'heptane', 'octane', 'nonane', 'decane', 'undecane', 'dodecane', 'tridecane',
+    'tetradecane', 'pentadecane', 'hexadecane', 'heptadecane', 'octadecane', 'nonadecane',
+    'eicosane', 'heneicosane', 'docosane', 'tricosane', 'tetracosane', 'pentacosane',
+    'hexacosane', 'heptacosane', 'octacosane', 'nonacosane', 'triacontane'
+];
+
+// "Decane", "n-Decane", "C10", "n-C10" → 10
+function alkaneCarbons(name) {
+    if (!name) return null;
+    const normalized = name.trim().toLowerCase().replace(/^n-/, '');
+    const carbonMatch = normalized.match(/^c(\d+)$/);
+    if (carbonMatch) return parseInt(carbonMatch[1], 10);
+    const index = ALKANE_NAMES.indexOf(normalized);
+    return index === -1 ? null : index + 6;
+}
+
+// Ladder JSON ({ name, mode, deadTime, alkanes: [{ carbons, retentionTime }] })
+// or the peak table export of the ladder run itself
+function parseLadder(text, name = null) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        return JSON.parse(trimmed);
+    }
+
+    const { peaks } = PeakTableImporter.parse(text);
+    const alkanes = peaks
+        .map(peak => ({ carbons: alkaneCarbons(peak.name), retentionTime: peak.retentionTime }))
+        .filter(alkane => alkane.carbons !== null);
+    return { name, alkanes };
+}
+
+// Entry for a CoA compound row: the row's CAS number, or the page it is an
+// alias CAS number of (gcms.config.json); then its name; its page only when
+// the row has neither
+function findEntry(entries, compound, aliasPages) {
+    if (compound.cas) {
+        const aliasPage = aliasPages.get(compound.cas);
+        const entry = entries.find(e => e.cas === compound.cas) || (aliasPage && entries.find(e => e.page === aliasPage));
+        if (entry) return entry;
+    }
+    if (compound.name) {
+        const name = compound.name.toLowerCase();
+        return entries.find(e => e.name.toLowerCase() === name) || null;
+    }
+    return (!compound.cas && compound.page && entries.find(e => e.page === compound.page)) || null;
+}
+
+class RetentionIndex {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        const ladder = options.ladder || {};
+        this.name = ladder.name || null;
+        this.mode = ladder.mode || 'linear';
+        this.deadTime = ladder.deadTime || 0;
+        this.alkanes = [...(ladder.alkanes || [])].sort((a, b) => a.retentionTime - b.retentionTime);
+        this.phases = options.phases || this.loadPhases();
+        this.aliasPages = options.aliasPages || PeakTableImporter.aliasPages(this.rootDir);
+
+        if (this.alkanes.length < 2) {
+            throw new Error('An alkane ladder needs at least two n-alkanes');
+        }
+        if (this.mode === 'kovats' && !(this.alkanes[0].retentionTime > this.deadTime)) {
+            throw new Error('Kovats indices need a dead time below the first alkane');
+        }
+    }
+
+    static loadLadder(filePath) {
+        return parseLadder(fs.readFileSync(filePath, 'utf-8'), path.basename(filePath, path.extname(filePath)));
+    }
+
+    loadPhases() {
+        const dataPath = path.join(this.rootDir, 'data', 'retention-indices.json');
+        if (!fs.existsSync(dataPath)) {
+            console.warn(`⚠ ${dataPath} not found, retention indices won't be checked`);
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(dataPath, 'utf-8')).phases;
+    }
+
+    // "C8–C20"
+    get range() {
+        return `C${this.alkanes[0].carbons}–C${this.alkanes[this.alkanes.length - 1].carbons}`;
+    }
+
+    // RI for a retention time, or null outside the ladder
+    calculate(retentionTime) {
+        if (retentionTime === null || retentionTime === undefined) return null;
+        const last = this.alkanes.length - 1;
+        if (retentionTime < this.alkanes[0].retentionTime || retentionTime > this.alkanes[last].retentionTime) {
+            return null;
+        }
+
+        let i = 0;
+        while (i < last - 1 && retentionTime > this.alkanes[i + 1].retentionTime) i++;
+        const before = this.alkanes[i];
+        const after = this.alkanes[i + 1];
+
+        const position = this.mode === 'kovats'
+            ? (Math.log(retentionTime - this.deadTime) - Math.log(before.retentionTime - this.deadTime)) /
+              (Math.log(after.retentionTime - this.deadTime) - Math.log(before.retentionTime - this.deadTime))
+            : (retentionTime - before.retentionTime) / (after.retentionTime - before.retentionTime);
+
+        return Math.round(100 * (before.carbons + (after.carbons - before.carbons) * position));
+    }
+
+    // Stationary phase of a column description ("DB-5MS (30m × ...)" → DB-5)
+    phaseFor(column) {
+        if (!column) return null;
+        const name = Object.keys(this.phases).find(phase => new RegExp(this.phases[phase].columns, 'i').test(column));
+        return name || null;
+    }
+
+    // Expected RI for a CoA compound row, by CAS number, then name; by page
+    // only when the row has neither, since isomers share a page (β-pinene on
+    // the pinene page is not α-pinene)
+    expectedFor(compound, phase) {
+        const data = this.phases[phase];
+        if (!data) return null;
+        const entry = findEntry(data.compounds, compound, this.aliasPages);
+        return entry ? { ...entry, tolerance: entry.tolerance || data.tolerance } : null;
+    }
+
+    // { retentionIndex, flags } for one compound row
+    check(compound, phase) {
+        const retentionIndex = this.calculate(compound.retentionTime);
+        const flags = [];
+
+        if (retentionIndex === null) {
+            flags.push(`RT ${compound.retentionTime} min is outside the ${this.range} alkane ladder`);
+        } else {
+            const expected = this.expectedFor(compound, phase);
+            if (expected && Math.abs(retentionIndex - expected.ri) > expected.tolerance) {
+                flags.push(`RI ${retentionIndex} outside expected ${expected.ri - expected.tolerance}–${expected.ri + expected.tolerance} for ${expected.name} on ${phase}`);
+            }
+        }
+
+        return { retentionIndex, flags };
+    }
+
+    // Adds RI and suspect flags to every compound of a certificate
+    apply(coa) {
+        const phase = this.phaseFor(coa.method.column);
+        if (!phase) {
+            console.warn(`⚠ No expected retention indices for column "${coa.method.column}", RIs won't be checked`);
+        }
+
+        for (const compound of coa.compounds) {
+            const { retentionIndex, flags } = this.check(compound, phase);
+            compound.retentionIndex = retentionIndex;
+            compound.flags = [...compound.flags.filter(flag => !/^(RI|RT) /.test(flag)), ...flags];
+        }
+        coa.method.riLadder = [this.name, this.range, this.mode === 'kovats' ? 'Kovats RI' : 'linear RI']
+            .filter(Boolean)
+            .join(', ');
+
+        return coa.compounds.filter(compound => compound.flags.length > 0);
+    }
+}
+
+RetentionIndex.alkaneCarbons = alkaneCarbons;
+RetentionIndex.parseLadder = parseLadder;
+
+module.exports = RetentionIndex;
@@ -0,0 +1,241 @@
+// Odor activity values and sensory profiles from CoA concentrations
+// OAV = concentration / odor threshold, both in μg/kg, with the thresholds,
+// descriptors and flavor wheel categories in data/sensory.json. Compounds
+// with OAV ≥ 1 are the key odorants, ranked by OAV.
+//
+// The flavor wheel adds up log10(OAV) of the key odorants per category
+// (perceived intensity grows roughly with the log of concentration), with
+// full weight for a compound's primary category and half for the others,
+// as a percentage of the total.
+//
+// Thresholds are in water; in a food matrix they are higher, so OAVs rank
+// compounds rather than predict absolute intensities.
+
+const fs = require('fs');
+const path = require('path');
+const CertificateOfAnalysis = require('./coa');
+const PeakTableImporter = require('./peak-table');
+
+// CoA units numerically equal to μg/g, and μg/g → μg/kg
+const MICROGRAMS_PER_GRAM = ['μg/g', 'µg/g', 'mg/kg', 'ppm'];
+const MICROGRAMS_PER_KG = 1000;
+
+const SECONDARY_WEIGHT = 0.5;
+
+function roundOav(value) {
+    return value >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+// Polar-area wedge from the center, angles in degrees clockwise from 12 o'clock
+function wedgePath(radius, startAngle, endAngle) {
+    const coordinate = value => (Math.abs(value) < 0.005 ? 0 : value).toFixed(2);
+    const point = angle => {
+        const radians = (angle - 90) * Math.PI / 180;
+        return `${coordinate(radius * Math.cos(radians))},${coordinate(radius * Math.sin(radians))}`;
+    };
+    return `M0,0 L${point(startAngle)} A${radius.toFixed(2)},${radius.toFixed(2)} 0 0 1 ${point(endAngle)} Z`;
+}
+
+class SensoryAnalyzer {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        const data = options.data || this.loadData();
+        this.wheel = data.wheel || [];
+        this.compounds = data.compounds || [];
+        this.thresholdUnit = data.thresholdUnit || 'μg/kg';
+        this.thresholdMedium = data.thresholdMedium || 'water';
+        this.aliasPages = options.aliasPages || PeakTableImporter.aliasPages(this.rootDir);
+    }
+
+    loadData() {
+        const dataPath = path.join(this.rootDir, 'data', 'sensory.json');
+        if (!fs.existsSync(dataPath)) {
+            throw new Error(`Sensory data not found: ${dataPath}`);
+        }
+        return JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    }
+
+    // Sensory entry for a CoA compound row, by CAS number (an alias CAS number
+    // from gcms.config.json counts as its page's compound), then name; by
+    // page only when the row has neither, since isomers share a page
+    entryFor(compound) {
+        if (compound.cas) {
+            const aliasPage = this.aliasPages.get(compound.cas);
+            const entry = this.compounds.find(item => item.cas === compound.cas) ||
+                (aliasPage && this.compounds.find(item => item.page === aliasPage));
+            if (entry) return entry;
+        }
+        if (compound.name) {
+            const name = compound.name.toLowerCase();
+            return this.compounds.find(item => item.name.toLowerCase() === name) || null;
+        }
+        return (!compound.cas && compound.page && this.compounds.find(item => item.page === compound.page)) || null;
+    }
+
+    // Every compound with a concentration, ranked by OAV; key odorants
+    // (OAV ≥ 1); flavor wheel scores; compounds that couldn't be rated
+    profile(coa) {
+        const unit = coa.concentrationUnit || 'μg/g';
+        if (!MICROGRAMS_PER_GRAM.includes(unit)) {
+            throw new Error(`Concentrations must be in μg/g or mg/kg, not ${unit}`);
+        }
+
+        const compounds = coa.compounds
+            .filter(compound => compound.concentration !== null && compound.concentration !== undefined)
+            .map(compound => {
+                const entry = this.entryFor(compound);
+                const odor = entry && entry.odorThreshold;
+                const threshold = odor || (entry && entry.tasteThreshold) || null;
+                const oav = threshold ? compound.concentration * MICROGRAMS_PER_KG / threshold : null;
+                return {
+                    name: compound.name,
+                    cas: compound.cas || null,
+                    page: compound.page || null,
+                    concentration: compound.concentration,
+                    threshold,
+                    thresholdType: threshold ? (odor ? 'odor' : 'taste') : null,
+                    oav: oav === null ? null : roundOav(oav),
+                    logOav: oav === null || oav <= 0 ? null : Math.log10(oav),
+                    descriptors: entry ? entry.descriptors : [],
+                    categories: entry ? entry.categories : []
+                };
+            })
+            .sort((a, b) => (b.oav === null ? -1 : b.oav) - (a.oav === null ? -1 : a.oav));
+
+        const keyOdorants = compounds
+            .filter(compound => compound.oav !== null && compound.oav >= 1)
+            .map((compound, i) => ({ rank: i + 1, ...compound }));
+
+        const scores = this.wheel.map(category => {
+            let score = 0;
+            const contributors = [];
+            for (const compound of keyOdorants) {
+                const index = compound.categories.indexOf(category.id);
+                if (index === -1) continue;
+                score += compound.logOav * (index === 0 ? 1 : SECONDARY_WEIGHT);
+                contributors.push(compound.name);
+            }
+            return { id: category.id, label: category.label, color: category.color, score, compounds: contributors };
+        });
+        const total = scores.reduce((sum, category) => sum + category.score, 0);
+        const wheel = scores.map(category => ({
+            ...category,
+            score: Math.round(category.score * 100) / 100,
+            percent: total > 0 ? Math.round(category.score / total * 1000) / 10 : 0
+        }));
+
+        return {
+            certificateNumber: coa.certificateNumber || null,
+            thresholdUnit: this.thresholdUnit,
+            thresholdMedium: this.thresholdMedium,
+            compounds: compounds.map(({ logOav, ...compound }) => compound),
+            keyOdorants: keyOdorants.map(({ logOav, ...compound }) => compound),
+            wheel,
+            unrated: compounds.filter(compound => compound.oav === null).map(compound => compound.name)
+        };
+    }
+
+    // Plain-text summary, e.g. for the chat assistant's context
+    toText(profile, top = 8) {
+        const odorants = profile.keyOdorants.slice(0, top)
+            .map(compound => `${compound.rank}. ${compound.name} (OAV ${compound.oav}; ${compound.descriptors.join(', ')})`);
+        const wheel = profile.wheel
+            .filter(category => category.percent > 0)
+            .sort((a, b) => b.percent - a.percent)
+            .map(category => `${category.label} ${category.percent}%`);
+        return [
+            `Sensory profile of ${profile.certificateNumber} (odor activity value = concentration / odor threshold in ${profile.thresholdMedium}):`,
+            `Key odorants: ${odorants.join('; ') || 'none above threshold'}`,
+            `Flavor wheel: ${wheel.join(', ') || 'no key odorants'}`,
+            profile.unrated.length > 0 ? `No threshold available: ${profile.unrated.join(', ')}` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    // Flavor wheel (SVG polar-area chart, wedge area proportional to the
+    // score), legend and key odorant table for the CoA page
+    toHTML(profile, indent = '') {
+        const escape = CertificateOfAnalysis.escapeHTML;
+        const step = 360 / Math.max(profile.wheel.length, 1);
+        const max = Math.max(...profile.wheel.map(category => category.percent), 0);
+        const summary = profile.wheel
+            .filter(category => category.percent > 0)
+            .map(category => `${category.label} ${category.percent}%`)
+            .join(', ');
+
+        const wedges = profile.wheel.flatMap((category, i) => {
+            const lines = [`            <path class="flavor-wheel-sector" d="${wedgePath(100, i * step, (i + 1) * step)}"/>`];
+            if (category.percent > 0) {
+                const radius = 100 * Math.sqrt(category.percent / max);
+                lines.push(`            <path d="${wedgePath(radius, i * step, (i + 1) * step)}" fill="${escape(category.color)}"><title>${escape(category.label)} ${category.percent}%</title></path>`);
+            }
+            return lines;
+        });
+
+        const legend = profile.wheel.flatMap(category => [
+            `            <li${category.percent === 0 ? ' class="flavor-wheel-empty"' : ''}>`,
+            `                <span class="flavor-wheel-swatch" style="background: ${escape(category.color)}"></span>`,
+            `                ${escape(category.label)} <strong>${category.percent}%</strong>${category.compounds.length > 0 ? ` <small>${category.compounds.map(escape).join(', ')}</small>` : ''}`,
+            '            </li>'
+        ]);
+
+        const rows = profile.keyOdorants.flatMap(compound => {
+            const name = compound.page
+                ? `<a href="${escape(compound.page)}">${escape(compound.name)}</a>`
+                : escape(compound.name);
+            return [
+                '            <tr>',
+                `                <td>${compound.rank}</td>`,
+                `                <td>${name}</td>`,
+                `                <td>${compound.concentration.toFixed(1)}</td>`,
+                `                <td>${compound.threshold}${compound.thresholdType === 'taste' ? ' (taste)' : ''}</td>`,
+                `                <td>${compound.oav}</td>`,
+                `                <td>${compound.descriptors.map(escape).join(', ')}</td>`,
+                '            </tr>'
+            ];
+        });
+
+        const belowThreshold = profile.compounds
+            .filter(compound => compound.oav !== null && compound.oav < 1)
+            .map(compound => escape(compound.name));
+
+        const lines = [
+            `<div class="sensory-profile" data-certificate="${CertificateOfAnalysis.escapeAttribute(profile.certificateNumber || '')}">`,
+            '    <h3 id="sensory-profile">Sensory Profile</h3>',
+            `    <p class="sensory-intro">Odor activity value (OAV) = concentration ÷ odor threshold in ${escape(profile.thresholdMedium)}. Compounds with an OAV of 1 or more are likely to contribute to the aroma; the flavor wheel weighs them by log(OAV).</p>`,
+            '    <div class="sensory-layout">',
+            `        <svg class="flavor-wheel" viewBox="-105 -105 210 210" role="img" aria-label="Flavor wheel: ${CertificateOfAnalysis.escapeAttribute(summary || 'no key odorants')}">`,
+            ...wedges,
+            '        </svg>',
+            '        <ul class="flavor-wheel-legend">',
+            ...legend,
+            '        </ul>',
+            '    </div>',
+            '    <table class="coa-table sensory-table">',
+            '        <thead>',
+            '            <tr>',
+            '                <th>Rank</th>',
+            '                <th>Key Odorant</th>',
+            '                <th>Concentration (μg/g)</th>',
+            `                <th>Threshold (${escape(profile.thresholdUnit)})</th>`,
+            '                <th>OAV</th>',
+            '                <th>Descriptors</th>',
+            '            </tr>',
+            '        </thead>',
+            '        <tbody>',
+            ...rows,
+            '        </tbody>',
+            '    </table>'
+        ];
+        if (belowThreshold.length > 0) {
+            lines.push(`    <p class="sensory-note">Below threshold (OAV &lt; 1): ${belowThreshold.join(', ')}.</p>`);
+        }
+        if (profile.unrated.length > 0) {
+            lines.push(`    <p class="sensory-note">No reliable threshold, not rated: ${profile.unrated.map(escape).join(', ')}.</p>`);
+        }
+        lines.push('</div>');
+
+        return lines.map(line => indent + line).join('\n');
+    }
+}
+
+module.exports = SensoryAnalyzer;
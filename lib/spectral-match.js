@@ -0,0 +1,211 @@
+// EI mass spectral library matching
+// Scores a centroided unknown spectrum against data/spectra/ei-library.json
+// the way NIST MS Search does (Stein & Scott, J Am Soc Mass Spectrom 1994):
+//
+// - Peaks are merged to unit m/z and scaled to a base peak of 999
+// - Each peak is weighted by intensity^0.6 × (m/z)^3, so heavier, more
+//   diagnostic ions count for more than the ubiquitous low-mass fragments
+// - Dot product = (Σ wU·wL)² / (Σ wU² · Σ wL²)
+// - Ratio term = how well the relative intensities of neighbouring shared
+//   peaks agree
+// - Match factor (MF) = dot product and ratio term combined, on a 0-999 scale.
+//   Reverse match factor (RMF) ignores unknown peaks the library spectrum
+//   doesn't have (co-eluting compounds, column bleed).
+//
+// matchQuality (MF / 10) is on the same 0-100% scale as the CoA column.
+//
+// Hits also compare the unknown's molecular ion cluster (M, M+1, M+2) with the
+// isotope pattern predicted from the library entry's formula (lib/formula.js).
+// Fragment ions can overlap the cluster, so this supports an identification
+// rather than scoring it.
+
+const fs = require('fs');
+const path = require('path');
+const MolecularFormula = require('./formula');
+
+const MASS_EXPONENT = 3;
+const INTENSITY_EXPONENT = 0.6;
+const BASE_PEAK = 999;
+
+function weight(mz, intensity) {
+    return Math.pow(intensity, INTENSITY_EXPONENT) * Math.pow(mz, MASS_EXPONENT);
+}
+
+// [[mz, intensity], ...] → Map of unit m/z → intensity (base peak 999)
+function normalizeSpectrum(peaks) {
+    const merged = new Map();
+    for (const [mz, intensity] of peaks) {
+        if (!(intensity > 0)) continue;
+        const nominal = Math.round(mz);
+        merged.set(nominal, (merged.get(nominal) || 0) + intensity);
+    }
+
+    const base = Math.max(0, ...merged.values());
+    const spectrum = new Map();
+    for (const [mz, intensity] of [...merged].sort((a, b) => a[0] - b[0])) {
+        spectrum.set(mz, intensity / base * BASE_PEAK);
+    }
+    return spectrum;
+}
+
+function dotProduct(unknown, reference, masses) {
+    let cross = 0;
+    let unknownSum = 0;
+    let referenceSum = 0;
+    for (const mz of masses) {
+        const wu = weight(mz, unknown.get(mz) || 0);
+        const wl = weight(mz, reference.get(mz) || 0);
+        cross += wu * wl;
+        unknownSum += wu * wu;
+        referenceSum += wl * wl;
+    }
+    return unknownSum > 0 && referenceSum > 0 ? (cross * cross) / (unknownSum * referenceSum) : 0;
+}
+
+// Mean agreement of intensity ratios between consecutive shared peaks (0-1)
+function ratioAgreement(unknown, reference, shared) {
+    if (shared.length < 2) return 0;
+    let total = 0;
+    for (let i = 1; i < shared.length; i++) {
+        const [previous, current] = [shared[i - 1], shared[i]];
+        let ratio = (weight(current, reference.get(current)) / weight(previous, reference.get(previous))) *
+            (weight(previous, unknown.get(previous)) / weight(current, unknown.get(current)));
+        if (ratio > 1) ratio = 1 / ratio;
+        total += ratio;
+    }
+    return total / (shared.length - 1);
+}
+
+// Composite score on the NIST 0-999 scale: (N·dot + n·ratio) / (N + n),
+// N = unknown peaks considered, n = peaks shared with the library spectrum
+function composite(unknown, reference, masses) {
+    const considered = masses.filter(mz => unknown.has(mz));
+    const shared = considered.filter(mz => reference.has(mz));
+    const dot = dotProduct(unknown, reference, masses);
+    const ratio = ratioAgreement(unknown, reference, shared);
+    const score = (considered.length * dot + shared.length * ratio) / (considered.length + shared.length || 1);
+    return { score: Math.round(score * BASE_PEAK), shared: shared.length };
+}
+
+function scoreSpectrum(unknown, reference) {
+    const allMasses = [...new Set([...unknown.keys(), ...reference.keys()])].sort((a, b) => a - b);
+    const referenceMasses = [...reference.keys()];
+    const forward = composite(unknown, reference, allMasses);
+    const reverse = composite(unknown, reference, referenceMasses);
+
+    return {
+        matchFactor: forward.score,
+        reverseMatchFactor: reverse.score,
+        matchQuality: forward.score / 10,
+        sharedPeaks: forward.shared
+    };
+}
+
+// { formula, monoisotopicMass, molecularIon, molecularIonIntensity, peaks }
+// with M+1 and M+2 as % of M, predicted and observed (null when the unknown
+// has no M peak or no peak at that m/z, e.g. minor ions left out of a peak list)
+function isotopeFit(unknown, formulaText) {
+    let formula;
+    try {
+        formula = MolecularFormula.parse(formulaText);
+    } catch (error) {
+        return null;
+    }
+
+    const pattern = formula.isotopePattern();
+    const molecularIon = pattern[0];
+    const observedIon = unknown.get(molecularIon.mz) || 0;
+    return {
+        formula: formula.toString(),
+        monoisotopicMass: Math.round(formula.monoisotopicMass() * 10000) / 10000,
+        molecularIon: molecularIon.mz,
+        molecularIonIntensity: Math.round(observedIon / BASE_PEAK * 1000) / 10,
+        peaks: pattern.filter(peak => peak.label === 'M+1' || peak.label === 'M+2').map(peak => ({
+            label: peak.label,
+            mz: peak.mz,
+            predicted: Math.round(peak.abundance / molecularIon.abundance * 1000) / 10,
+            observed: observedIon > 0 && unknown.has(peak.mz) ? Math.round(unknown.get(peak.mz) / observedIon * 1000) / 10 : null
+        }))
+    };
+}
+
+// One or more spectra from text:
+// - JSON: [[mz, intensity], ...] or { name, peaks } (or an array of those)
+// - NIST MSP: "Name: ..." / "Num Peaks: n" records with "mz intensity;" pairs
+// - Plain lists: one "mz intensity" pair per line (space, tab or comma)
+function parseSpectra(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        const data = JSON.parse(trimmed);
+        if (!Array.isArray(data)) return [{ name: data.name || null, peaks: data.peaks }];
+        return Array.isArray(data[0]) ? [{ name: null, peaks: data }] : data.map(s => ({ name: s.name || null, peaks: s.peaks }));
+    }
+
+    const records = trimmed.split(/\r?\n\s*\r?\n(?=\s*Name:)/i);
+    return records.map(record => {
+        const nameMatch = record.match(/^\s*Name:\s*(.+)$/im);
+        const peaksStart = record.search(/^\s*Num Peaks:.*$/im);
+        const body = peaksStart === -1 ? record : record.slice(peaksStart).replace(/^\s*Num Peaks:.*$/im, '');
+
+        const peaks = [];
+        for (const part of body.split(/[;\r\n]+/)) {
+            const pair = part.match(/^\s*(\d+(?:\.\d+)?)[\s,:]+(\d+(?:\.\d+)?(?:e[+-]?\d+)?)\s*$/i);
+            if (pair) peaks.push([parseFloat(pair[1]), parseFloat(pair[2])]);
+        }
+        return { name: nameMatch ? nameMatch[1].trim() : null, peaks };
+    }).filter(spectrum => spectrum.peaks.length > 0);
+}
+
+class SpectralLibrary {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.libraryPath = options.libraryPath || path.join(this.rootDir, 'data', 'spectra', 'ei-library.json');
+        this.entries = (options.entries || this.loadEntries()).map(entry => ({
+            ...entry,
+            spectrum: normalizeSpectrum(entry.peaks)
+        }));
+    }
+
+    loadEntries() {
+        if (!fs.existsSync(this.libraryPath)) {
+            throw new Error(`Spectral library not found: ${this.libraryPath}`);
+        }
+        return JSON.parse(fs.readFileSync(this.libraryPath, 'utf-8')).entries;
+    }
+
+    // Library entry by id, CAS number, name or compound page
+    find(key) {
+        const needle = String(key).toLowerCase();
+        return this.entries.find(entry =>
+            [entry.id, entry.cas, entry.name, entry.page].some(value => value && value.toLowerCase() === needle)
+        ) || null;
+    }
+
+    // Ranked hits, best match factor first
+    match(peaks, options = {}) {
+        const top = options.top || 5;
+        const unknown = normalizeSpectrum(peaks);
+        if (unknown.size === 0) {
+            throw new Error('Spectrum has no peaks');
+        }
+
+        return this.entries
+            .map(entry => ({
+                id: entry.id,
+                name: entry.name,
+                cas: entry.cas,
+                page: entry.page || null,
+                ...scoreSpectrum(unknown, entry.spectrum),
+                entry
+            }))
+            .sort((a, b) => b.matchFactor - a.matchFactor || b.reverseMatchFactor - a.reverseMatchFactor)
+            .slice(0, top)
+            .map(({ entry, ...hit }) => ({ ...hit, isotopes: entry.formula ? isotopeFit(unknown, entry.formula) : null }));
+    }
+}
+
+SpectralLibrary.parseSpectra = parseSpectra;
+SpectralLibrary.normalizeSpectrum = normalizeSpectrum;
+SpectralLibrary.isotopeFit = isotopeFit;
+
+module.exports = SpectralLibrary;
@@ -0,0 +1,261 @@
+// Build the site bibliography from the pages' reference lists
+// Run with: node scripts/build-bibliography.js [--link] [--strict]
+//           node scripts/build-bibliography.js --format csl|bibtex [--out file]
+// Generates: data/bibliography.json
+//
+// Every page with a "References" heading followed by an <ol> (index.html,
+// compounds/*.html) is parsed with lib/bibliography.js: one entry per paper,
+// merged across pages, plus the in-text author-year citations of each page
+// and the entry each resolves to. Citations that match no entry are
+// reported; --strict exits with code 1 when there are any.
+//
+// --format exports CSL-JSON or BibTeX instead (stdout, or --out file).
+//
+// --link rewrites the pages: reference list items get id="ref-<key>" and
+// resolved citations link to them, e.g.
+//   (<a href="#ref-kamat2000antioxidant" class="citation">Kamat et al., 2000</a>)
+// Citations of a paper listed only on another page link to that page.
+// Running it again leaves linked pages unchanged.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const cheerio = require('cheerio');
+const Bibliography = require('../lib/bibliography');
+
+// The References heading and the list after it
+const REFERENCE_LIST = /(<h([23])[^>]*>\s*References\s*<\/h\2>\s*<ol[^>]*>)([\s\S]*?)(<\/ol>)/i;
+
+// Text inside these elements is never linked
+const SKIPPED_ELEMENTS = ['a', 'script', 'style', 'head', 'title', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+class BibliographyBuilder {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.outputPath = options.outputPath || path.join(this.rootDir, 'data', 'bibliography.json');
+    }
+
+    // Root pages and compound pages that have a reference list
+    listPages() {
+        const compoundsDir = path.join(this.rootDir, 'compounds');
+        const files = [
+            ...fs.readdirSync(this.rootDir).filter(file => file.endsWith('.html')).sort(),
+            ...(fs.existsSync(compoundsDir)
+                ? fs.readdirSync(compoundsDir).filter(file => file.endsWith('.html')).sort().map(file => `compounds/${file}`)
+                : [])
+        ];
+        return files.filter(file => REFERENCE_LIST.test(this.read(file)));
+    }
+
+    read(file) {
+        return fs.readFileSync(path.join(this.rootDir, file), 'utf-8');
+    }
+
+    // <li> inner HTML of the page's reference list
+    referenceItems(html) {
+        const match = html.match(REFERENCE_LIST);
+        if (!match) return [];
+        const $ = cheerio.load(`<ol>${match[3]}</ol>`, null, false);
+        return $('ol').children('li').map((i, li) => $(li).html()).get();
+    }
+
+    // Body text outside the reference list, for in-text citations
+    bodyText(html) {
+        const $ = cheerio.load(html.replace(REFERENCE_LIST, ''));
+        $('script, style, head').remove();
+        return $('body').text().replace(/\s+/g, ' ');
+    }
+
+    collect() {
+        const bibliography = new Bibliography();
+        const pages = this.listPages();
+        const lists = new Map();
+        for (const file of pages) {
+            lists.set(file, bibliography.addList(file, this.referenceItems(this.read(file))));
+        }
+
+        const citations = pages.flatMap(file => bibliography.findCitations(this.bodyText(this.read(file)), file)
+            .flatMap(group => group.citations.map(({ text, id }) => ({ url: file, text, id }))));
+
+        return { bibliography, pages, lists, citations };
+    }
+
+    build() {
+        console.log('Building bibliography...');
+        const result = this.collect();
+        this.saveDataset(result);
+        this.printReport(result);
+        return result;
+    }
+
+    saveDataset({ bibliography, pages, citations }) {
+        const dataset = {
+            version: '1',
+            buildDate: new Date().toISOString(),
+            pages,
+            totalReferences: bibliography.entries.length,
+            references: bibliography.entries,
+            citations
+        };
+
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(dataset, null, 2) + '\n');
+        console.log(`✓ Saved ${bibliography.entries.length} references to: ${this.outputPath}`);
+    }
+
+    printReport({ bibliography, pages, citations }) {
+        const shared = bibliography.entries.filter(entry => entry.sources.length > 1);
+        console.log(`✓ ${pages.length} pages, ${shared.length} reference(s) listed on more than one page`);
+
+        const unresolved = citations.filter(citation => citation.id === null);
+        console.log(`✓ ${citations.length - unresolved.length} of ${citations.length} in-text citations resolved`);
+        if (unresolved.length === 0) return;
+
+        console.warn(`⚠ ${unresolved.length} citation(s) match no reference list entry:`);
+        for (const file of pages) {
+            const texts = [...new Set(unresolved.filter(citation => citation.url === file).map(citation => citation.text))];
+            if (texts.length > 0) console.warn(`    ${file}: ${texts.join('; ')}`);
+        }
+    }
+
+    // Link targets for a page: list items get ids, citations link to the
+    // page's own list item or to the list of another page citing the paper
+    linkPage(file, html, bibliography, entries) {
+        const href = id => {
+            const entry = bibliography.find(id);
+            if (entries.includes(entry)) return `#ref-${id}`;
+            const target = entry.sources[0].url;
+            return `${path.posix.relative(path.posix.dirname(file), target) || target}#ref-${id}`;
+        };
+
+        const used = new Set();
+        const linked = html.replace(REFERENCE_LIST, (match, open, level, items, close) => {
+            let index = 0;
+            const stamped = items.replace(/<li\b([^>]*)>/g, (tag, attributes) => {
+                const entry = entries[index++];
+                if (!entry || used.has(entry.id) || /\bid=/.test(attributes)) return tag;
+                used.add(entry.id);
+                return `<li id="ref-${entry.id}"${attributes}>`;
+            });
+            return open + stamped + close;
+        });
+
+        // Split around the reference list so it's left alone
+        const list = linked.match(REFERENCE_LIST);
+        const [before, after] = list
+            ? [linked.slice(0, list.index), linked.slice(list.index + list[0].length)]
+            : [linked, ''];
+        const linkText = segment => this.linkCitations(file, segment, bibliography, href);
+        return list ? linkText(before) + list[0] + linkText(after) : linkText(before);
+    }
+
+    // Wraps resolved citations in text nodes outside links, scripts and headings
+    linkCitations(file, html, bibliography, href) {
+        const parts = html.split(/(<[^>]+>)/);
+        const open = [];
+        return parts.map(part => {
+            const tag = part.match(/^<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>$/i);
+            if (tag) {
+                const name = tag[2].toLowerCase();
+                if (SKIPPED_ELEMENTS.includes(name)) {
+                    if (tag[1]) {
+                        const i = open.lastIndexOf(name);
+                        if (i !== -1) open.splice(i, 1);
+                    } else if (!tag[3]) {
+                        open.push(name);
+                    }
+                }
+                return part;
+            }
+            if (part.startsWith('<') || open.length > 0) return part;
+
+            const groups = bibliography.findCitations(part, file).filter(group => group.citations.some(citation => citation.id));
+            return groups.length === 0 ? part : this.linkGroups(part, groups, href);
+        }).join('');
+    }
+
+    // Links each resolved citation in place, keeping the group's own spacing
+    linkGroups(text, groups, href) {
+        let result = '';
+        let position = 0;
+        for (const group of groups) {
+            result += text.slice(position, group.index);
+            let inner = '';
+            let rest = group.text;
+            for (const citation of group.citations) {
+                const at = rest.indexOf(citation.text);
+                inner += rest.slice(0, at);
+                inner += citation.id
+                    ? `<a href="${href(citation.id)}" class="citation">${citation.text}</a>`
+                    : citation.text;
+                rest = rest.slice(at + citation.text.length);
+            }
+            result += inner + rest;
+            position = group.index + group.text.length;
+        }
+        return result + text.slice(position);
+    }
+
+    // Rewrites every page whose links changed; returns the files written
+    link() {
+        const { bibliography, pages, lists } = this.collect();
+        const written = [];
+        for (const file of pages) {
+            const html = this.read(file);
+            const linked = this.linkPage(file, html, bibliography, lists.get(file));
+            if (linked !== html) {
+                fs.writeFileSync(path.join(this.rootDir, file), linked);
+                written.push(file);
+            }
+        }
+        console.log(written.length > 0
+            ? `✓ Linked citations in ${written.length} page(s): ${written.join(', ')}`
+            : '✓ All citations already linked');
+        return written;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            'format': { type: 'string' },
+            'out': { type: 'string' },
+            'link': { type: 'boolean', default: false },
+            'strict': { type: 'boolean', default: false },
+        },
+    });
+
+    try {
+        const builder = new BibliographyBuilder();
+        if (values.format) {
+            const { bibliography } = builder.collect();
+            let output;
+            if (values.format === 'csl') {
+                output = JSON.stringify(bibliography.toCSL(), null, 2) + '\n';
+            } else if (values.format === 'bibtex') {
+                output = bibliography.toBibTeX();
+            } else {
+                throw new Error(`Unknown format: ${values.format} (use csl or bibtex)`);
+            }
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.log(`✓ Exported ${bibliography.entries.length} references to: ${values.out}`);
+            } else {
+                process.stdout.write(output);
+            }
+        } else {
+            if (values.link) builder.link();
+            const { citations } = builder.build();
+            if (values.strict && citations.some(citation => citation.id === null)) {
+                console.error('✗ Unresolved citations');
+                process.exit(1);
+            }
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = BibliographyBuilder;
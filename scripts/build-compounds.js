@@ -0,0 +1,80 @@
+// Build the compound knowledge base from compounds/*.html
+// Run with: node scripts/build-compounds.js [--strict]
+// Generates: data/compounds.json
+//
+// One typed record per compound page (formula, IUPAC name, molecular weight,
+// boiling point, functions, mechanisms, metabolism, safety, references), plus
+// a validation report of pages missing required fields. --strict exits with
+// code 1 when any page is incomplete.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const CompoundExtractor = require('../lib/compound-extractor');
+
+class CompoundsBuilder {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.outputPath = options.outputPath || path.join(this.rootDir, 'data', 'compounds.json');
+        this.extractor = new CompoundExtractor({ rootDir: this.rootDir });
+    }
+
+    build() {
+        console.log('Building compound knowledge base...');
+
+        const { compounds, validation } = this.extractor.extractAll();
+        this.saveDataset(compounds, validation);
+        this.printReport(compounds, validation);
+
+        return { compounds, validation };
+    }
+
+    saveDataset(compounds, validation) {
+        const dataset = {
+            version: CompoundExtractor.RECORD_VERSION,
+            buildDate: new Date().toISOString(),
+            totalCompounds: compounds.length,
+            requiredFields: CompoundExtractor.REQUIRED_FIELDS,
+            validation,
+            compounds
+        };
+
+        fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+        fs.writeFileSync(this.outputPath, JSON.stringify(dataset, null, 2) + '\n');
+        console.log(`✓ Saved ${compounds.length} compounds to: ${this.outputPath}`);
+    }
+
+    printReport(compounds, validation) {
+        if (validation.length === 0) {
+            console.log(`✓ All ${compounds.length} compound pages have every required field`);
+            return;
+        }
+
+        console.warn(`⚠ ${validation.length} of ${compounds.length} compound page(s) are missing fields:`);
+        for (const { url, missing } of validation) {
+            console.warn(`    ${url}: ${missing.join(', ')}`);
+        }
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            'strict': { type: 'boolean', default: false },
+        },
+    });
+
+    try {
+        const { validation } = new CompoundsBuilder().build();
+        if (values.strict && validation.length > 0) {
+            console.error('✗ Compound validation failed');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`✗ Build failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = CompoundsBuilder;
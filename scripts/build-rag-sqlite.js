@@ -1,82 +1,286 @@
 // Build RAG index using SQLite + sqlite-vec
 // Creates rag.sqlite with chunks, embeddings, and metadata
-// Run with: node scripts/build-rag-sqlite.js
+// Run with: node scripts/build-rag-sqlite.js [--full] [--anchors]
+//
+// Builds are incremental: every page is hashed, and only pages whose hash
+// changed are re-extracted and re-chunked. Within a changed page, only
+// chunks whose text changed are re-embedded. Pass --full to rebuild everything.
+//
+// Every chunk records the anchor id of its section (see
+// lib/content-extractor.js). --anchors first writes the ids a page is
+// missing into its headings or <section> elements, so chat citations can
+// link to them; run it again after adding sections or re-rendering a page.
+//
+// Pages are discovered by following links from index.html (see
+// lib/page-discovery.js and rag.config.json).
 
 const fs = require('fs');
 const path = require('path');
-const { Database } = require('better-sqlite3');
-const { OpenAI } = require('openai');
+const { parseArgs } = require('util');
+const Database = require('better-sqlite3');
+const { createEmbeddingProvider } = require('../lib/embedding-providers');
+const ContentExtractor = require('../lib/content-extractor');
+const PageDiscovery = require('../lib/page-discovery');
+const LiteratureImporter = require('../lib/literature');
+const CompoundExtractor = require('../lib/compound-extractor');
 
-// Initialize OpenAI for embeddings
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+const SCHEMA_VERSION = '6';
+
+// CoA results table columns, matched against table headers
+const COA_COLUMNS = [
+    { column: 'row_number', pattern: /^(#|no\.?)$/i, type: 'integer' },
+    { column: 'compound_name', pattern: /^compound( name)?$/i, type: 'text' },
+    { column: 'cas_number', pattern: /^cas\b/i, type: 'text' },
+    { column: 'retention_time_min', pattern: /^(rt|retention time)\b/i, type: 'number' },
+    { column: 'area_percent', pattern: /^area\s*%|^area percent/i, type: 'number' },
+    { column: 'concentration_ug_g', pattern: /^concentration\b.*(μg\/g|ug\/g|mg\/kg)/i, type: 'number' },
+    { column: 'match_quality', pattern: /^match/i, type: 'number' },
+];
+
+// A table row is a CoA result when its table has a compound name column and
+// a quantity column; the "Total Identified" row (no compound) is skipped
+function coaResultFromChunk(chunk) {
+    if (chunk.chunkType !== 'table_row') return null;
+    
+    const result = {};
+    for (const field of chunk.fields) {
+        const spec = COA_COLUMNS.find(c => c.pattern.test(field.label));
+        if (!spec) {
+            if (field.href && /^compounds\//.test(field.href)) result.compound_url = field.href;
+            continue;
+        }
+        if (spec.type === 'text') {
+            result[spec.column] = field.value;
+        } else {
+            const number = parseFloat(field.value.replace(/[^0-9.eE+-]/g, ''));
+            if (Number.isFinite(number)) {
+                result[spec.column] = spec.type === 'integer' ? Math.round(number) : number;
+            }
+        }
+    }
+    
+    const isCoaTable = chunk.columns.some(label => COA_COLUMNS[1].pattern.test(label)) &&
+        chunk.columns.some(label => COA_COLUMNS[4].pattern.test(label) || COA_COLUMNS[5].pattern.test(label));
+    return isCoaTable && result.compound_name ? result : null;
+}
 
 class RAGSQLiteBuilder {
-    constructor() {
-        this.dbPath = path.join(__dirname, '..', 'rag.sqlite');
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.dbPath = options.dbPath || path.join(this.rootDir, 'rag.sqlite');
+        this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider(options.embedding);
+        // Off by default: a failed batch fails the build instead of leaving
+        // chunks that can never be found by vector search
+        this.allowFailedBatches = options.allowFailedBatches || false;
+        this.fullRebuild = options.full || false;
+        // --anchors: write missing section ids into the pages before indexing
+        this.addAnchors = options.anchors || false;
+        this.anchoredPages = [];
+        this.extractor = new ContentExtractor({ rootDir: this.rootDir });
+        this.discovery = new PageDiscovery({ rootDir: this.rootDir, config: options.config });
+        this.literature = new LiteratureImporter({ rootDir: this.rootDir, extractor: this.extractor });
+        this.compoundExtractor = new CompoundExtractor({ rootDir: this.rootDir, extractor: this.extractor });
+        this.compounds = [];
+        this.failedBatches = [];
         this.content = [];
         this.chunks = [];
+        this.seenPages = new Set();
+        this.storedMetadata = {};
+        this.storedPages = new Map();
+        this.storedChunks = [];
+        this.rebuildReason = null;
+        this.stats = {
+            pagesChanged: 0,
+            pagesUnchanged: 0,
+            pagesRemoved: 0,
+            added: 0,
+            updated: 0,
+            removed: 0,
+            unchanged: 0,
+            embedded: 0,
+            reused: 0
+        };
     }
 
     async build() {
         console.log('Building RAG SQLite database...');
+        const { provider, model, dimensions } = this.embeddingProvider.describe();
+        console.log(`Embedding provider: ${provider} (${model}${dimensions ? `, ${dimensions} dims` : ''})`);
         
-        // Initialize database
-        this.initDatabase();
-        
-        // Process all HTML files
-        await this.processFile('index.html', 'Main Article');
-        await this.processFile('about.html', 'About Terpedia');
-        await this.processFile('compounds.html', 'All Compounds');
-        await this.processFile('cinnamon-roll-tabs.html', 'Cinnamon Roll');
+        const isNewFile = !fs.existsSync(this.dbPath);
+        this.db = new Database(this.dbPath);
         
-        // Process compound pages
-        const compoundsDir = path.join(__dirname, '../compounds');
-        const compoundFiles = fs.readdirSync(compoundsDir).filter(f => f.endsWith('.html'));
-        
-        for (const file of compoundFiles) {
-            const compoundName = file.replace('.html', '').replace(/-/g, ' ');
-            await this.processFile(`compounds/${file}`, `Compound: ${compoundName}`);
+        try {
+            // Load hashes from the previous build (unless it must be rebuilt)
+            this.loadStoredState();
+            if (this.rebuildReason) {
+                console.log(`Full rebuild: ${this.rebuildReason}`);
+            }
+            
+            // Crawl the site for pages to index
+            const discovered = this.discovery.discover();
+            this.discovery.printReport(discovered);
+            
+            for (const { filePath, title } of discovered.pages) {
+                await this.processFile(filePath, title);
+            }
+            this.printAnchorReport();
+            
+            // Abstracts imported with scripts/import-literature.js
+            this.processLiterature();
+            
+            // Typed compound records (small, so always rebuilt in full)
+            this.compounds = this.compoundExtractor.extractAll().compounds;
+            
+            // Create chunks for new and changed pages
+            this.createChunks();
+            
+            // Work out which chunks to add, update and remove
+            const plan = this.planChanges();
+            
+            // Generate embeddings before writing, so a failed build leaves
+            // the previous rag.sqlite untouched
+            await this.generateAllEmbeddings(plan.toEmbed);
+            
+            // Apply every change in one transaction
+            this.applyChanges(plan);
+            
+            // Reclaim space from deleted rows
+            this.db.exec('VACUUM');
+        } catch (error) {
+            this.db.close();
+            if (isNewFile) {
+                fs.rmSync(this.dbPath, { force: true });
+            }
+            throw error;
         }
         
-        // Create chunks
-        this.createChunks();
-        
-        // Generate embeddings and store in database
-        await this.generateEmbeddingsAndStore();
-        
-        // Create indexes
-        this.createIndexes();
-        
+        this.db.close();
+        this.printSummary();
+    }
+
+    printAnchorReport() {
+        if (this.addAnchors) {
+            console.log(this.anchoredPages.length > 0
+                ? `✓ Added section anchors to ${this.anchoredPages.length} page(s): ${this.anchoredPages.join(', ')}`
+                : '✓ Every section already has an anchor');
+        }
+    }
+
+    printSummary() {
+        const s = this.stats;
         console.log(`✓ Built RAG database: ${this.dbPath}`);
-        console.log(`  - ${this.content.length} pages processed`);
-        console.log(`  - ${this.chunks.length} chunks created`);
+        console.log(`  - Pages: ${s.pagesChanged} changed, ${s.pagesUnchanged} unchanged, ${s.pagesRemoved} removed`);
+        console.log(`  - Chunks: ${s.added} added, ${s.updated} updated, ${s.removed} removed, ${s.unchanged} unchanged`);
+        console.log(`  - Embeddings: ${s.embedded} generated, ${s.reused} reused`);
+        if (this.failedBatches.length > 0) {
+            const missing = this.failedBatches.reduce((sum, b) => sum + b.chunkCount, 0);
+            console.warn(`  ⚠ ${this.failedBatches.length} embedding batch(es) failed, ${missing} chunks have no embedding`);
+        }
         
         // Show file size
         const stats = fs.statSync(this.dbPath);
         console.log(`  - Database size: ${(stats.size / 1024 / 1024).toFixed(2)} MB`);
     }
 
-    initDatabase() {
-        // Remove existing database
-        if (fs.existsSync(this.dbPath)) {
-            fs.unlinkSync(this.dbPath);
+    readMetadata() {
+        const hasTable = this.db.prepare(`
+            SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'metadata'
+        `).get();
+        if (!hasTable) {
+            return {};
+        }
+        
+        const metadata = {};
+        for (const row of this.db.prepare('SELECT key, value FROM metadata').all()) {
+            metadata[row.key] = row.value;
+        }
+        return metadata;
+    }
+
+    loadStoredState() {
+        const metadata = this.storedMetadata = this.readMetadata();
+        const { provider, model, dimensions } = this.embeddingProvider.describe();
+        const sameEmbeddings = metadata.embedding_provider === provider &&
+            metadata.embedding_model === model &&
+            (!dimensions || metadata.embedding_dimensions === String(dimensions));
+        
+        if (this.fullRebuild) {
+            this.rebuildReason = '--full requested';
+        } else if (!metadata.version) {
+            this.rebuildReason = 'no existing index';
+        } else if (metadata.schema_version !== SCHEMA_VERSION) {
+            this.rebuildReason = `schema version ${metadata.schema_version || '1'} → ${SCHEMA_VERSION}`;
+        } else if (!sameEmbeddings) {
+            this.rebuildReason = `embedding model changed (${metadata.embedding_provider}/${metadata.embedding_model})`;
         }
         
-        const db = new Database(this.dbPath);
+        // Embeddings from an older schema are still reusable by chunk text,
+        // as long as they came from the same model
+        if (metadata.version && sameEmbeddings && !this.fullRebuild) {
+            this.storedChunks = this.db.prepare(`
+                SELECT c.id, c.page_url, c.chunk_text, e.embedding
+                FROM chunks c
+                LEFT JOIN chunks_embedding e ON e.embedding_id = c.id
+            `).all().map(row => ({ ...row, chunk_hash: this.extractor.hashContent(row.chunk_text) }));
+        }
         
-        // Enable sqlite-vec extension
-        db.exec(`
+        if (this.rebuildReason) {
+            return;
+        }
+        
+        // Chunk keys only mean something within the current schema
+        const keys = new Map(this.db.prepare('SELECT id, chunk_key FROM chunks').all().map(r => [r.id, r.chunk_key]));
+        this.storedChunks.forEach(chunk => { chunk.chunk_key = keys.get(chunk.id); });
+        
+        // A new extractor re-chunks every page; embeddings are still reused by hash
+        if (metadata.extractor_version !== ContentExtractor.VERSION) {
+            return;
+        }
+        
+        // Pages with chunks left unembedded by a failed batch are retried
+        const incomplete = new Set(this.storedChunks.filter(c => !c.embedding).map(c => c.page_url));
+        for (const page of this.db.prepare('SELECT page_url, content_hash FROM pages').all()) {
+            if (!incomplete.has(page.page_url)) {
+                this.storedPages.set(page.page_url, page.content_hash);
+            }
+        }
+    }
+
+    createSchema() {
+        this.db.exec(`
+            DROP TABLE IF EXISTS chunks_fts;
+            DROP TABLE IF EXISTS coa_results;
+            DROP TABLE IF EXISTS compounds;
+            DROP TABLE IF EXISTS chunks_embedding;
+            DROP TABLE IF EXISTS chunks;
+            DROP TABLE IF EXISTS pages;
+            DROP TABLE IF EXISTS metadata;
+            
+            -- Create pages table (one content hash per source page)
+            CREATE TABLE pages (
+                page_url TEXT PRIMARY KEY,
+                page_title TEXT NOT NULL,
+                content_hash TEXT NOT NULL,
+                chunk_count INTEGER,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            );
+            
             -- Create chunks table
             CREATE TABLE chunks (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 page_title TEXT NOT NULL,
                 page_url TEXT NOT NULL,
                 section_heading TEXT,
+                section_path TEXT,
+                section_anchor TEXT,
+                chunk_type TEXT NOT NULL DEFAULT 'text',
                 chunk_text TEXT NOT NULL,
+                fields_json TEXT,
                 chunk_index INTEGER,
                 word_count INTEGER,
+                chunk_key TEXT NOT NULL UNIQUE,
+                chunk_hash TEXT NOT NULL,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             );
             
@@ -90,295 +294,421 @@ class RAGSQLiteBuilder {
                 FOREIGN KEY (embedding_id) REFERENCES chunks(id)
             );
             
+            -- Typed CoA rows (one per GC-MS table row), linked to their chunk
+            CREATE TABLE coa_results (
+                chunk_id INTEGER PRIMARY KEY,
+                page_url TEXT NOT NULL,
+                row_number INTEGER,
+                compound_name TEXT NOT NULL,
+                cas_number TEXT,
+                retention_time_min REAL,
+                area_percent REAL,
+                concentration_ug_g REAL,
+                match_quality REAL,
+                compound_url TEXT,
+                FOREIGN KEY (chunk_id) REFERENCES chunks(id)
+            );
+            
+            -- One typed record per compound page (same records as data/compounds.json)
+            CREATE TABLE compounds (
+                slug TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                page_url TEXT NOT NULL,
+                formula TEXT,
+                iupac_name TEXT,
+                cas_number TEXT,
+                molecular_weight REAL,
+                boiling_point_min_c REAL,
+                boiling_point_max_c REAL,
+                melting_point_min_c REAL,
+                melting_point_max_c REAL,
+                physical_state TEXT,
+                solubility TEXT,
+                record_json TEXT NOT NULL
+            );
+            
             -- Create metadata table
             CREATE TABLE metadata (
                 key TEXT PRIMARY KEY,
                 value TEXT
             );
+            
+            -- Create indexes for faster lookups
+            CREATE INDEX idx_chunks_page_url ON chunks(page_url);
+            CREATE INDEX idx_chunks_page_title ON chunks(page_title);
+            CREATE INDEX idx_chunks_section_heading ON chunks(section_heading);
+            CREATE INDEX idx_coa_results_compound ON coa_results(compound_name);
+            
+            -- Full-text search index (for keyword search)
+            CREATE VIRTUAL TABLE chunks_fts USING fts5(
+                chunk_text,
+                content='chunks',
+                content_rowid='id'
+            );
         `);
-        
-        db.close();
     }
 
     async processFile(filePath, title) {
         try {
-            const fullPath = path.join(__dirname, '..', filePath);
-            if (!fs.existsSync(fullPath)) {
-                console.warn(`⚠ File not found: ${filePath}`);
+            if (this.addAnchors && fs.existsSync(path.join(this.rootDir, filePath)) && this.extractor.writeAnchors(filePath)) {
+                this.anchoredPages.push(filePath);
+            }
+            const page = this.extractor.readPage(filePath, title);
+            if (!page) {
+                return;
+            }
+            const { url, contentHash } = page;
+            this.seenPages.add(url);
+            
+            // Unchanged since the last build: keep its chunks as they are
+            if (this.storedPages.get(url) === contentHash) {
+                this.stats.pagesUnchanged++;
                 return;
             }
             
-            const html = fs.readFileSync(fullPath, 'utf-8');
-            const content = this.extractContent(html, title, filePath);
+            const content = this.extractor.extractContent(page.html, title, filePath);
+            content.contentHash = contentHash;
             
             if (content.text) {
                 this.content.push(content);
+                this.stats.pagesChanged++;
             }
         } catch (error) {
             console.error(`Error processing ${filePath}:`, error.message);
         }
     }
 
-    extractContent(html, title, filePath) {
-        // Remove scripts and styles
-        html = html
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-            .replace(/<nav\b[^<]*(?:(?!<\/nav>)<[^<]*)*<\/nav>/gi, '')
-            .replace(/<footer\b[^<]*(?:(?!<\/footer>)<[^<]*)*<\/footer>/gi, '');
-        
-        // Extract headings for structure
-        const headingMatches = html.match(/<h([1-4])[^>]*>(.*?)<\/h[1-4]>/gi) || [];
-        const headings = headingMatches.map(h => {
-            const text = h.replace(/<[^>]+>/g, '').trim();
-            const level = h.match(/<h([1-4])/)?.[1] || '1';
-            return { level: parseInt(level), text };
-        });
-        
-        // Extract main content
-        const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/i);
-        const mainMatch = html.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
-        const contentHtml = articleMatch?.[1] || mainMatch?.[1] || html;
-        
-        // Extract text
-        let text = contentHtml
-            .replace(/<[^>]+>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        
-        // Extract sections
-        const sections = this.extractSections(contentHtml, headings);
-        
-        return {
-            title,
-            filePath,
-            url: filePath.replace(/\\/g, '/'),
-            headings: headings.map(h => h.text),
-            text,
-            sections,
-            wordCount: text.split(/\s+/).length,
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    extractSections(html, headings) {
-        const sections = [];
-        let currentSection = null;
-        
-        // Split by headings
-        const parts = html.split(/(<h[1-4][^>]*>.*?<\/h[1-4]>)/i);
-        
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
+    // Each literature record is indexed like a page, keyed by its PubMed or
+    // DOI link, and re-chunked only when the record changed
+    processLiterature() {
+        for (const record of this.literature.loadRecords()) {
+            const page = this.literature.toPage(record);
+            this.seenPages.add(page.url);
             
-            if (part.match(/<h[1-4]/i)) {
-                // Save previous section
-                if (currentSection) {
-                    sections.push(currentSection);
-                }
-                
-                // Start new section
-                const headingText = part.replace(/<[^>]+>/g, '').trim();
-                currentSection = {
-                    heading: headingText,
-                    text: '',
-                    html: part
-                };
-            } else if (currentSection) {
-                // Add to current section
-                const text = part.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-                currentSection.text += ' ' + text;
-                currentSection.html += part;
+            if (this.storedPages.get(page.url) === page.contentHash) {
+                this.stats.pagesUnchanged++;
+                continue;
             }
+            
+            this.content.push(page);
+            this.stats.pagesChanged++;
         }
-        
-        if (currentSection) {
-            sections.push(currentSection);
-        }
-        
-        return sections.filter(s => s.text.length > 50);
     }
 
     createChunks() {
         for (const page of this.content) {
-            // Create chunks from full text
-            const textChunks = this.chunkText(page.text, 500);
-            
-            for (let i = 0; i < textChunks.length; i++) {
-                this.chunks.push({
-                    pageTitle: page.title,
-                    pageUrl: page.url,
-                    sectionHeading: null,
-                    text: textChunks[i],
-                    chunkIndex: i,
-                    totalChunks: textChunks.length,
-                    wordCount: textChunks[i].split(/\s+/).length
-                });
+            // Literature records come with their chunks
+            this.chunks.push(...(page.chunks || this.extractor.createChunks(page)));
+        }
+    }
+
+    planChanges() {
+        const changedPages = new Set(this.content.map(page => page.url));
+        const storedByKey = new Map();
+        const embeddingsByHash = new Map();
+        
+        for (const row of this.storedChunks) {
+            if (row.chunk_key) storedByKey.set(row.chunk_key, row);
+            if (row.embedding) embeddingsByHash.set(row.chunk_hash, row.embedding);
+        }
+        
+        const plan = { writes: [], deletes: [], toEmbed: [], removedPages: [] };
+        const matched = new Set();
+        
+        for (const chunk of this.chunks) {
+            // Chunk ids from the extractor are the stable keys
+            const stored = storedByKey.get(chunk.id);
+            if (stored) {
+                matched.add(stored.id);
+                chunk.rowId = stored.id;
             }
             
-            // Create chunks from sections
-            for (const section of page.sections) {
-                if (section.text.length > 100) {
-                    const sectionChunks = this.chunkText(section.text, 400);
-                    for (let i = 0; i < sectionChunks.length; i++) {
-                        this.chunks.push({
-                            pageTitle: page.title,
-                            pageUrl: page.url,
-                            sectionHeading: section.heading,
-                            text: sectionChunks[i],
-                            chunkIndex: i,
-                            totalChunks: sectionChunks.length,
-                            wordCount: sectionChunks[i].split(/\s+/).length,
-                            isSection: true
-                        });
-                    }
-                }
+            // Same text seen anywhere before (e.g. a paragraph that moved): reuse its vector
+            chunk.embedding = embeddingsByHash.get(chunk.hash) || null;
+            
+            if (stored && stored.chunk_hash === chunk.hash && chunk.embedding) {
+                this.stats.unchanged++;
+            } else {
+                this.stats[stored ? 'updated' : 'added']++;
+                if (chunk.embedding) this.stats.reused++;
+            }
+            
+            if (!chunk.embedding) {
+                plan.toEmbed.push(chunk);
             }
+            plan.writes.push(chunk);
         }
-    }
-
-    chunkText(text, chunkSize = 500) {
-        const chunks = [];
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-        let currentChunk = '';
         
-        for (const sentence of sentences) {
-            const testChunk = currentChunk + sentence;
-            if (testChunk.length > chunkSize && currentChunk) {
-                chunks.push(currentChunk.trim());
-                currentChunk = sentence;
+        for (const row of this.storedChunks) {
+            if (matched.has(row.id)) continue;
+            
+            if (this.rebuildReason || changedPages.has(row.page_url) || !this.seenPages.has(row.page_url)) {
+                plan.deletes.push(row.id);
+                this.stats.removed++;
             } else {
-                currentChunk = testChunk;
+                // Chunk of a page that didn't change
+                this.stats.unchanged++;
             }
         }
         
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
+        for (const url of this.storedPages.keys()) {
+            if (!this.seenPages.has(url)) {
+                plan.removedPages.push(url);
+                this.stats.pagesRemoved++;
+            }
         }
         
-        return chunks.filter(c => c.length > 50);
+        return plan;
     }
 
-    async generateEmbeddingsAndStore() {
-        const db = new Database(this.dbPath);
-        
-        // Store metadata
-        db.prepare(`
-            INSERT INTO metadata (key, value) VALUES (?, ?)
-        `).run('version', '1.0');
-        db.prepare(`
-            INSERT INTO metadata (key, value) VALUES (?, ?)
-        `).run('build_date', new Date().toISOString());
-        db.prepare(`
-            INSERT INTO metadata (key, value) VALUES (?, ?)
-        `).run('total_chunks', this.chunks.length.toString());
-        db.prepare(`
-            INSERT INTO metadata (key, value) VALUES (?, ?)
-        `).run('embedding_model', 'text-embedding-3-small');
-        
-        const insertChunk = db.prepare(`
-            INSERT INTO chunks (page_title, page_url, section_heading, chunk_text, chunk_index, word_count)
-            VALUES (?, ?, ?, ?, ?, ?)
-        `);
-        
-        const insertEmbedding = db.prepare(`
-            INSERT INTO chunks_embedding (embedding_id, embedding)
-            VALUES (?, ?)
-        `);
+    async generateAllEmbeddings(chunks) {
+        if (chunks.length === 0) {
+            console.log('No chunks need new embeddings');
+            return;
+        }
         
-        console.log(`Generating embeddings for ${this.chunks.length} chunks...`);
+        console.log(`Generating embeddings for ${chunks.length} chunks...`);
         
         // Process in batches to avoid rate limits
         const batchSize = 100;
-        for (let i = 0; i < this.chunks.length; i += batchSize) {
-            const batch = this.chunks.slice(i, i + batchSize);
-            console.log(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(this.chunks.length / batchSize)}...`);
-            
-            // Generate embeddings for batch
-            const texts = batch.map(c => c.text);
-            const embeddings = await this.generateEmbeddings(texts);
-            
-            // Store chunks and embeddings
-            for (let j = 0; j < batch.length; j++) {
-                const chunk = batch[j];
-                const embedding = embeddings[j];
+        const totalBatches = Math.ceil(chunks.length / batchSize);
+        for (let i = 0; i < chunks.length; i += batchSize) {
+            const batchNumber = Math.floor(i / batchSize) + 1;
+            const batch = chunks.slice(i, i + batchSize);
+            console.log(`Processing batch ${batchNumber}/${totalBatches}...`);
+            
+            try {
+                const embeddings = await this.embeddingProvider.embed(batch.map(c => c.text));
+                batch.forEach((chunk, j) => {
+                    // Store as BLOB - Float32Array
+                    chunk.embedding = Buffer.from(new Float32Array(embeddings[j]).buffer);
+                });
+                this.stats.embedded += batch.length;
+            } catch (error) {
+                if (!this.allowFailedBatches) {
+                    throw new Error(`Embedding batch ${batchNumber}/${totalBatches} failed: ${error.message}`);
+                }
                 
-                // Insert chunk
-                const result = insertChunk.run(
+                console.error(`✗ Embedding batch ${batchNumber}/${totalBatches} failed: ${error.message}`);
+                this.failedBatches.push({
+                    batch: batchNumber,
+                    firstChunk: i,
+                    chunkCount: batch.length,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    applyChanges(plan) {
+        const db = this.db;
+        
+        db.transaction(() => {
+            if (this.rebuildReason) {
+                this.createSchema();
+            }
+            
+            const deleteEmbedding = db.prepare('DELETE FROM chunks_embedding WHERE embedding_id = ?');
+            const deleteCoaResult = db.prepare('DELETE FROM coa_results WHERE chunk_id = ?');
+            const deleteChunk = db.prepare('DELETE FROM chunks WHERE id = ?');
+            if (!this.rebuildReason) {
+                for (const id of plan.deletes) {
+                    deleteEmbedding.run(id);
+                    deleteCoaResult.run(id);
+                    deleteChunk.run(id);
+                }
+            }
+            
+            const deletePage = db.prepare('DELETE FROM pages WHERE page_url = ?');
+            for (const url of plan.removedPages) {
+                deletePage.run(url);
+            }
+            
+            const insertChunk = db.prepare(`
+                INSERT INTO chunks (page_title, page_url, section_heading, section_path, section_anchor, chunk_type, chunk_text, fields_json, chunk_index, word_count, chunk_key, chunk_hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            const updateChunk = db.prepare(`
+                UPDATE chunks
+                SET page_title = ?, page_url = ?, section_heading = ?, section_path = ?, section_anchor = ?, chunk_type = ?, chunk_text = ?,
+                    fields_json = ?, chunk_index = ?, word_count = ?, chunk_key = ?, chunk_hash = ?
+                WHERE id = ?
+            `);
+            const insertCoaResult = db.prepare(`
+                INSERT OR REPLACE INTO coa_results (chunk_id, page_url, row_number, compound_name, cas_number,
+                    retention_time_min, area_percent, concentration_ug_g, match_quality, compound_url)
+                VALUES (@chunk_id, @page_url, @row_number, @compound_name, @cas_number,
+                    @retention_time_min, @area_percent, @concentration_ug_g, @match_quality, @compound_url)
+            `);
+            const upsertEmbedding = db.prepare(`
+                INSERT OR REPLACE INTO chunks_embedding (embedding_id, embedding)
+                VALUES (?, ?)
+            `);
+            
+            for (const chunk of plan.writes) {
+                const values = [
                     chunk.pageTitle,
                     chunk.pageUrl,
                     chunk.sectionHeading,
+                    chunk.sectionPath,
+                    chunk.sectionAnchor || null,
+                    chunk.chunkType,
                     chunk.text,
+                    chunk.fields.length > 0 ? JSON.stringify(chunk.fields) : null,
                     chunk.chunkIndex,
-                    chunk.wordCount
-                );
+                    chunk.wordCount,
+                    chunk.id,
+                    chunk.hash
+                ];
                 
-                const chunkId = result.lastInsertRowid;
+                let chunkId = chunk.rowId;
+                if (chunkId) {
+                    updateChunk.run(...values, chunkId);
+                } else {
+                    chunkId = insertChunk.run(...values).lastInsertRowid;
+                }
+                
+                const coaResult = coaResultFromChunk(chunk);
+                if (coaResult) {
+                    insertCoaResult.run({
+                        row_number: null,
+                        cas_number: null,
+                        retention_time_min: null,
+                        area_percent: null,
+                        concentration_ug_g: null,
+                        match_quality: null,
+                        compound_url: null,
+                        ...coaResult,
+                        chunk_id: chunkId,
+                        page_url: chunk.pageUrl
+                    });
+                } else {
+                    deleteCoaResult.run(chunkId);
+                }
                 
-                // Insert embedding (store as BLOB - Float32Array)
-                // When sqlite-vec is loaded, these can be used for vector search
-                const embeddingArray = new Float32Array(embedding);
-                const embeddingBlob = Buffer.from(embeddingArray.buffer);
-                insertEmbedding.run(chunkId, embeddingBlob);
+                // Chunks from failed batches get no embedding row at all
+                // (never a zero vector), so vector search simply skips them
+                if (chunk.embedding) {
+                    upsertEmbedding.run(chunkId, chunk.embedding);
+                } else {
+                    deleteEmbedding.run(chunkId);
+                }
             }
-        }
+            
+            const upsertPage = db.prepare(`
+                INSERT INTO pages (page_url, page_title, content_hash, chunk_count, updated_at)
+                VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT(page_url) DO UPDATE SET
+                    page_title = excluded.page_title,
+                    content_hash = excluded.content_hash,
+                    chunk_count = excluded.chunk_count,
+                    updated_at = excluded.updated_at
+            `);
+            for (const page of this.content) {
+                const chunkCount = plan.writes.filter(c => c.pageUrl === page.url).length;
+                upsertPage.run(page.url, page.title, page.contentHash, chunkCount);
+            }
+            
+            this.storeCompounds();
+            this.storeMetadata();
+            
+            // Re-sync the external-content FTS5 index with the chunks table
+            db.exec(`INSERT INTO chunks_fts(chunks_fts) VALUES ('rebuild')`);
+        })();
         
-        db.close();
-        console.log('✓ Embeddings generated and stored');
+        console.log('✓ Chunks, embeddings and FTS5 index updated');
     }
 
-    async generateEmbeddings(texts) {
-        try {
-            const response = await openai.embeddings.create({
-                model: 'text-embedding-3-small',
-                input: texts,
-            });
-            
-            return response.data.map(item => item.embedding);
-        } catch (error) {
-            console.error('Error generating embeddings:', error);
-            // Return zero vectors as fallback
-            return texts.map(() => new Array(1536).fill(0));
+    storeCompounds() {
+        const db = this.db;
+        db.exec('DELETE FROM compounds');
+        
+        const insertCompound = db.prepare(`
+            INSERT INTO compounds (slug, name, page_url, formula, iupac_name, cas_number, molecular_weight,
+                boiling_point_min_c, boiling_point_max_c, melting_point_min_c, melting_point_max_c,
+                physical_state, solubility, record_json)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const compound of this.compounds) {
+            insertCompound.run(
+                compound.slug,
+                compound.name,
+                compound.url,
+                compound.formula,
+                compound.iupacName,
+                compound.casNumber,
+                compound.molecularWeight?.value ?? null,
+                compound.boilingPoint?.min ?? null,
+                compound.boilingPoint?.max ?? null,
+                compound.meltingPoint?.min ?? null,
+                compound.meltingPoint?.max ?? null,
+                compound.physicalState,
+                compound.solubility,
+                JSON.stringify(compound)
+            );
         }
     }
 
-    createIndexes() {
-        const db = new Database(this.dbPath);
+    storeMetadata() {
+        const db = this.db;
+        const { provider, model, dimensions } = this.embeddingProvider.describe();
+        const count = (sql) => db.prepare(sql).get().n;
         
-        // Create indexes for faster lookups
-        db.exec(`
-            CREATE INDEX idx_chunks_page_url ON chunks(page_url);
-            CREATE INDEX idx_chunks_page_title ON chunks(page_title);
-            CREATE INDEX idx_chunks_section_heading ON chunks(section_heading);
-            
-            -- Full-text search index (for keyword search)
-            CREATE VIRTUAL TABLE chunks_fts USING fts5(
-                chunk_text,
-                content='chunks',
-                content_rowid='id'
-            );
-            
-            -- Populate FTS index
-            INSERT INTO chunks_fts(rowid, chunk_text)
-            SELECT id, chunk_text FROM chunks;
+        const setMetadata = db.prepare(`
+            INSERT OR REPLACE INTO metadata (key, value) VALUES (?, ?)
         `);
-        
-        console.log('✓ Indexes created (including FTS5 for full-text search)');
-        
-        db.close();
+        setMetadata.run('version', '1.0');
+        setMetadata.run('schema_version', SCHEMA_VERSION);
+        setMetadata.run('extractor_version', ContentExtractor.VERSION);
+        setMetadata.run('build_date', new Date().toISOString());
+        setMetadata.run('total_chunks', String(count('SELECT COUNT(*) AS n FROM chunks')));
+        setMetadata.run('embedding_provider', provider);
+        setMetadata.run('embedding_model', model);
+        // openai-compatible servers only report a dimension once they've embedded something
+        setMetadata.run('embedding_dimensions', String(dimensions || this.storedMetadata.embedding_dimensions));
+        setMetadata.run('total_compounds', String(this.compounds.length));
+        setMetadata.run('coa_results', String(count('SELECT COUNT(*) AS n FROM coa_results')));
+        setMetadata.run('embedded_chunks', String(count('SELECT COUNT(*) AS n FROM chunks_embedding')));
+        setMetadata.run('failed_batches', JSON.stringify(this.failedBatches));
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    if (!process.env.OPENAI_API_KEY) {
-        console.error('Error: OPENAI_API_KEY environment variable is required');
-        console.error('Set it with: export OPENAI_API_KEY=your_key_here');
+    const { values } = parseArgs({
+        options: {
+            'provider': { type: 'string' },
+            'model': { type: 'string' },
+            'base-url': { type: 'string' },
+            'dimensions': { type: 'string' },
+            'allow-failed-batches': { type: 'boolean', default: false },
+            'full': { type: 'boolean', default: false },
+            'anchors': { type: 'boolean', default: false },
+        },
+    });
+    
+    let builder;
+    try {
+        builder = new RAGSQLiteBuilder({
+            embedding: {
+                provider: values.provider,
+                model: values.model,
+                baseURL: values['base-url'],
+                dimensions: values.dimensions,
+            },
+            allowFailedBatches: values['allow-failed-batches'],
+            full: values.full,
+            anchors: values.anchors,
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
         process.exit(1);
     }
     
-    const builder = new RAGSQLiteBuilder();
-    builder.build().catch(console.error);
+    builder.build().catch(error => {
+        console.error(`✗ Build failed: ${error.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = RAGSQLiteBuilder;
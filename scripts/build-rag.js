@@ -1,238 +1,286 @@
 // Build RAG index from site content
-// Run with: node scripts/build-rag.js
+// Run with: node scripts/build-rag.js [--full] [--anchors] [--check]
 // Generates: rag-index.json
+//
+// Pages are discovered by following links from index.html (see
+// lib/page-discovery.js and rag.config.json).
+//
+// Builds are incremental: pages whose content hash matches the previous
+// rag-index.json keep their chunks; only changed pages are re-extracted.
+//
+// Every chunk records the anchor id of its section (see
+// lib/content-extractor.js). --anchors first writes the ids a page is
+// missing into its headings or <section> elements, so chat citations can
+// link to them; run it again after adding sections or re-rendering a page.
+//
+// The index has no build date, so the same pages always give the same file.
+// --check builds in memory and exits with code 1 when that differs from the
+// committed rag-index.json (npm run check:rag, run by the Pages workflow);
+// nothing is written.
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const ContentExtractor = require('../lib/content-extractor');
+const PageDiscovery = require('../lib/page-discovery');
+const LiteratureImporter = require('../lib/literature');
 
 class RAGBuilder {
-    constructor() {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.outputPath = options.outputPath || path.join(this.rootDir, 'rag-index.json');
+        this.fullRebuild = options.full || false;
+        // --anchors: write missing section ids into the pages before indexing
+        this.addAnchors = (options.anchors && !options.check) || false;
+        // --check: compare with rag-index.json instead of writing it
+        this.check = options.check || false;
+        this.anchoredPages = [];
+        this.extractor = new ContentExtractor({ rootDir: this.rootDir });
+        this.discovery = new PageDiscovery({ rootDir: this.rootDir, config: options.config });
+        this.literature = new LiteratureImporter({ rootDir: this.rootDir, extractor: this.extractor });
         this.content = [];
         this.chunks = [];
+        this.pages = [];
+        this.storedPages = new Map();
+        this.storedChunks = new Map();
+        this.stats = { pagesChanged: 0, pagesUnchanged: 0, pagesRemoved: 0, added: 0, updated: 0, removed: 0, unchanged: 0 };
     }
 
     async build() {
         console.log('Building RAG index from site content...');
         
-        // Process all HTML files
-        await this.processFile('index.html', 'Main Article');
-        await this.processFile('about.html', 'About Terpedia');
-        await this.processFile('compounds.html', 'All Compounds');
-        await this.processFile('cinnamon-roll-tabs.html', 'Cinnamon Roll');
+        // Load page hashes and chunks from the previous build
+        this.loadPreviousIndex();
         
-        // Process compound pages
-        const compoundsDir = path.join(__dirname, '../compounds');
-        const compoundFiles = fs.readdirSync(compoundsDir).filter(f => f.endsWith('.html'));
+        // Crawl the site for pages to index
+        const discovered = this.discovery.discover();
+        this.discovery.printReport(discovered);
         
-        for (const file of compoundFiles) {
-            const compoundName = file.replace('.html', '').replace(/-/g, ' ');
-            await this.processFile(`compounds/${file}`, `Compound: ${compoundName}`);
+        for (const { filePath, title } of discovered.pages) {
+            await this.processFile(filePath, title);
         }
+        if (this.addAnchors) {
+            console.log(this.anchoredPages.length > 0
+                ? `✓ Added section anchors to ${this.anchoredPages.length} page(s): ${this.anchoredPages.join(', ')}`
+                : '✓ Every section already has an anchor');
+        }
+        
+        // Abstracts imported with scripts/import-literature.js
+        this.processLiterature();
         
-        // Create chunks
+        // Create chunks for new and changed pages
         this.createChunks();
         
+        // Compare against the previous build
+        this.diffChunks();
+        
+        const s = this.stats;
+        if (this.check) {
+            return this.checkIndex();
+        }
+
         // Save to JSON
         this.saveIndex();
         
-        console.log(`✓ Built RAG index with ${this.chunks.length} chunks from ${this.content.length} pages`);
+        console.log(`✓ Built RAG index with ${this.chunks.length} chunks from ${this.pages.length} pages`);
+        console.log(`  - Pages: ${s.pagesChanged} changed, ${s.pagesUnchanged} unchanged, ${s.pagesRemoved} removed`);
+        console.log(`  - Chunks: ${s.added} added, ${s.updated} updated, ${s.removed} removed, ${s.unchanged} unchanged`);
+    }
+
+    loadPreviousIndex() {
+        if (this.fullRebuild || !fs.existsSync(this.outputPath)) {
+            return;
+        }
+        
+        try {
+            const previous = JSON.parse(fs.readFileSync(this.outputPath, 'utf-8'));
+            for (const chunk of previous.chunks || []) {
+                if (!this.storedChunks.has(chunk.pageUrl)) {
+                    this.storedChunks.set(chunk.pageUrl, []);
+                }
+                this.storedChunks.get(chunk.pageUrl).push(chunk);
+            }
+            
+            // Pages are only reusable if they were chunked by this extractor
+            if (previous.extractorVersion === ContentExtractor.VERSION) {
+                for (const page of previous.pages || []) {
+                    if (page.contentHash) {
+                        this.storedPages.set(page.url, page);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn(`⚠ Could not read previous index, rebuilding: ${error.message}`);
+        }
     }
 
     async processFile(filePath, title) {
         try {
-            const fullPath = path.join(__dirname, '..', filePath);
-            if (!fs.existsSync(fullPath)) {
-                console.warn(`⚠ File not found: ${filePath}`);
+            if (this.addAnchors && fs.existsSync(path.join(this.rootDir, filePath)) && this.extractor.writeAnchors(filePath)) {
+                this.anchoredPages.push(filePath);
+            }
+            const page = this.extractor.readPage(filePath, title);
+            if (!page) {
+                return;
+            }
+            const { url, contentHash } = page;
+            
+            // Unchanged since the last build: keep its page entry and chunks
+            const stored = this.storedPages.get(url);
+            if (stored && stored.contentHash === contentHash) {
+                this.pages.push(stored);
+                this.chunks.push(...(this.storedChunks.get(url) || []));
+                this.stats.pagesUnchanged++;
                 return;
             }
             
-            const html = fs.readFileSync(fullPath, 'utf-8');
-            const content = this.extractContent(html, title, filePath);
+            const content = this.extractor.extractContent(page.html, title, filePath);
+            content.contentHash = contentHash;
             
             if (content.text) {
                 this.content.push(content);
+                this.pages.push({
+                    title: content.title,
+                    url: content.url,
+                    contentHash,
+                    headings: content.headings,
+                    wordCount: content.wordCount,
+                    sectionCount: content.sections.length
+                });
+                this.stats.pagesChanged++;
             }
         } catch (error) {
             console.error(`Error processing ${filePath}:`, error.message);
         }
     }
 
-    extractContent(html, title, filePath) {
-        // Remove scripts and styles
-        html = html
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/<style\b[^<]*(?:(?!<\/style>)<[^<]*)*<\/style>/gi, '')
-            .replace(/<nav\b[^<]*(?:(?!<\/nav>)<[^<]*)*<\/nav>/gi, '')
-            .replace(/<footer\b[^<]*(?:(?!<\/footer>)<[^<]*)*<\/footer>/gi, '');
-        
-        // Extract headings for structure
-        const headingMatches = html.match(/<h([1-4])[^>]*>(.*?)<\/h[1-4]>/gi) || [];
-        const headings = headingMatches.map(h => {
-            const text = h.replace(/<[^>]+>/g, '').trim();
-            const level = h.match(/<h([1-4])/)?.[1] || '1';
-            return { level: parseInt(level), text };
-        });
-        
-        // Extract main content
-        const articleMatch = html.match(/<article[^>]*>([\s\S]*?)<\/article>/i);
-        const mainMatch = html.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
-        const contentHtml = articleMatch?.[1] || mainMatch?.[1] || html;
-        
-        // Extract text
-        let text = contentHtml
-            .replace(/<[^>]+>/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        
-        // Extract links for context
-        const linkMatches = contentHtml.match(/<a[^>]+href=["']([^"']+)["'][^>]*>([^<]+)<\/a>/gi) || [];
-        const links = linkMatches.map(link => {
-            const href = link.match(/href=["']([^"']+)["']/)?.[1];
-            const text = link.replace(/<[^>]+>/g, '').trim();
-            return { href, text };
-        });
-        
-        // Extract sections
-        const sections = this.extractSections(contentHtml, headings);
-        
-        return {
-            title,
-            filePath,
-            url: filePath.replace(/\\/g, '/'),
-            headings: headings.map(h => h.text),
-            text,
-            sections,
-            links: links.slice(0, 20), // Limit links
-            wordCount: text.split(/\s+/).length,
-            timestamp: new Date().toISOString()
-        };
-    }
-
-    extractSections(html, headings) {
-        const sections = [];
-        let currentSection = null;
-        
-        // Split by headings
-        const parts = html.split(/(<h[1-4][^>]*>.*?<\/h[1-4]>)/i);
-        
-        for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
+    // Each literature record is indexed like a page, keyed by its PubMed or
+    // DOI link, and re-chunked only when the record changed
+    processLiterature() {
+        for (const record of this.literature.loadRecords()) {
+            const page = this.literature.toPage(record);
             
-            if (part.match(/<h[1-4]/i)) {
-                // Save previous section
-                if (currentSection) {
-                    sections.push(currentSection);
-                }
-                
-                // Start new section
-                const headingText = part.replace(/<[^>]+>/g, '').trim();
-                currentSection = {
-                    heading: headingText,
-                    text: '',
-                    html: part
-                };
-            } else if (currentSection) {
-                // Add to current section
-                const text = part.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
-                currentSection.text += ' ' + text;
-                currentSection.html += part;
+            const stored = this.storedPages.get(page.url);
+            if (stored && stored.contentHash === page.contentHash) {
+                this.pages.push(stored);
+                this.chunks.push(...(this.storedChunks.get(page.url) || []));
+                this.stats.pagesUnchanged++;
+                continue;
             }
+            
+            this.content.push(page);
+            this.pages.push({
+                title: page.title,
+                url: page.url,
+                contentHash: page.contentHash,
+                pmid: page.pmid,
+                doi: page.doi,
+                headings: ['Abstract'],
+                wordCount: page.chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0),
+                sectionCount: 1
+            });
+            this.stats.pagesChanged++;
         }
-        
-        if (currentSection) {
-            sections.push(currentSection);
-        }
-        
-        return sections.filter(s => s.text.length > 50); // Only meaningful sections
     }
 
     createChunks() {
         for (const page of this.content) {
-            // Create chunks from full text
-            const textChunks = this.chunkText(page.text, 500);
-            
-            for (let i = 0; i < textChunks.length; i++) {
-                this.chunks.push({
-                    id: `${page.filePath}-chunk-${i}`,
-                    pageTitle: page.title,
-                    pageUrl: page.url,
-                    text: textChunks[i],
-                    chunkIndex: i,
-                    totalChunks: textChunks.length,
-                    wordCount: textChunks[i].split(/\s+/).length
-                });
-            }
-            
-            // Create chunks from sections
-            for (const section of page.sections) {
-                if (section.text.length > 100) {
-                    const sectionChunks = this.chunkText(section.text, 400);
-                    for (let i = 0; i < sectionChunks.length; i++) {
-                        this.chunks.push({
-                            id: `${page.filePath}-section-${section.heading}-${i}`,
-                            pageTitle: page.title,
-                            pageUrl: page.url,
-                            sectionHeading: section.heading,
-                            text: sectionChunks[i],
-                            chunkIndex: i,
-                            totalChunks: sectionChunks.length,
-                            wordCount: sectionChunks[i].split(/\s+/).length,
-                            isSection: true
-                        });
-                    }
-                }
-            }
+            // Literature records come with their chunks
+            this.chunks.push(...(page.chunks || this.extractor.createChunks(page)));
         }
     }
 
-    chunkText(text, chunkSize = 500) {
-        const chunks = [];
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-        let currentChunk = '';
+    diffChunks() {
+        const changedPages = new Set(this.content.map(page => page.url));
+        const currentPages = new Set(this.pages.map(page => page.url));
         
-        for (const sentence of sentences) {
-            const testChunk = currentChunk + sentence;
-            if (testChunk.length > chunkSize && currentChunk) {
-                chunks.push(currentChunk.trim());
-                currentChunk = sentence;
-            } else {
-                currentChunk = testChunk;
+        for (const [url, storedChunks] of this.storedChunks) {
+            if (!currentPages.has(url)) {
+                this.stats.pagesRemoved++;
+                this.stats.removed += storedChunks.length;
+            } else if (!changedPages.has(url)) {
+                this.stats.unchanged += storedChunks.length;
             }
         }
         
-        if (currentChunk.trim()) {
-            chunks.push(currentChunk.trim());
+        for (const url of changedPages) {
+            const previous = new Map((this.storedChunks.get(url) || []).map(c => [c.id, c.hash || this.extractor.hashContent(c.text)]));
+            const current = this.chunks.filter(c => c.pageUrl === url);
+            
+            for (const chunk of current) {
+                if (!previous.has(chunk.id)) {
+                    this.stats.added++;
+                } else if (previous.get(chunk.id) === chunk.hash) {
+                    this.stats.unchanged++;
+                } else {
+                    this.stats.updated++;
+                }
+                previous.delete(chunk.id);
+            }
+            this.stats.removed += previous.size;
         }
-        
-        return chunks.filter(c => c.length > 50); // Only meaningful chunks
     }
 
-    saveIndex() {
+    // The index file's text; no build date, so unchanged pages give an
+    // unchanged file
+    serializeIndex() {
+        // Reused and re-extracted chunks are collected separately; keep page order
+        const pageOrder = new Map(this.pages.map((page, i) => [page.url, i]));
+        this.chunks.sort((a, b) => pageOrder.get(a.pageUrl) - pageOrder.get(b.pageUrl));
+        
         const index = {
             version: '1.0',
-            buildDate: new Date().toISOString(),
-            totalPages: this.content.length,
+            extractorVersion: ContentExtractor.VERSION,
+            totalPages: this.pages.length,
             totalChunks: this.chunks.length,
-            pages: this.content.map(page => ({
-                title: page.title,
-                url: page.url,
-                headings: page.headings,
-                wordCount: page.wordCount,
-                sectionCount: page.sections.length
-            })),
+            pages: this.pages,
             chunks: this.chunks
         };
         
-        const outputPath = path.join(__dirname, '..', 'rag-index.json');
-        fs.writeFileSync(outputPath, JSON.stringify(index, null, 2));
-        console.log(`✓ Saved RAG index to: ${outputPath}`);
+        return JSON.stringify(index, null, 2);
+    }
+
+    saveIndex() {
+        fs.writeFileSync(this.outputPath, this.serializeIndex());
+        console.log(`✓ Saved RAG index to: ${this.outputPath}`);
+    }
+
+    // true when the saved index matches the pages
+    checkIndex() {
+        const file = path.relative(this.rootDir, this.outputPath);
+        const saved = fs.existsSync(this.outputPath) ? fs.readFileSync(this.outputPath, 'utf-8') : null;
+        if (saved === this.serializeIndex()) {
+            console.log(`✓ ${file} is up to date (${this.chunks.length} chunks from ${this.pages.length} pages)`);
+            return true;
+        }
+
+        const s = this.stats;
+        const reason = saved === null ? 'missing'
+            : `${s.pagesChanged} page(s) changed, ${s.pagesRemoved} removed; ${s.added} chunk(s) added, ${s.updated} updated, ${s.removed} removed`;
+        console.error(`✗ ${file} is out of date (${reason}); run npm run build:rag and commit it`);
+        return false;
     }
 }
 
 // Run if called directly
 if (require.main === module) {
-    const builder = new RAGBuilder();
-    builder.build().catch(console.error);
+    const { values } = parseArgs({
+        options: {
+            'full': { type: 'boolean', default: false },
+            'anchors': { type: 'boolean', default: false },
+            'check': { type: 'boolean', default: false },
+        },
+    });
+    
+    const builder = new RAGBuilder({ full: values.full, anchors: values.anchors, check: values.check });
+    builder.build().then(fresh => {
+        if (values.check && !fresh) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error(`✗ Build failed: ${error.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = RAGBuilder;
@@ -0,0 +1,469 @@
+// Certificate of Analysis tool
+// Run with:
+//   node scripts/coa.js import <results.csv|results.json>   → data/coa/<certificateNumber>.json
+//   node scripts/coa.js import-peaks <instrument report> --certificate TP-2024-002
+//       [--template data/coa/TP-2024-001.json] [--is-amount 50 --sample-mass 2.0]
+//       [--sample-name "..."] [--date 2024-03-15] [--ladder alkanes.csv]
+//                                                           → data/coa/<certificateNumber>.json
+//   node scripts/coa.js apply-ladder <data/coa/X.json> --ladder <alkane ladder> [--out file]
+//   node scripts/coa.js check-compliance <data/coa/X.json> --category fine-bakery-wares
+//       [--dosage 0.5%] [--out file] [--strict]
+//   node scripts/coa.js export <data/coa/X.json> --format csv|json|html [--out file]
+//   node scripts/coa.js compare <baseline> <batch> [more batches...] [--spec data/specs/X.json]
+//       [--format json|html] [--out file] [--strict]
+//   node scripts/coa.js sensory <data/coa/X.json> [--out file]   → OAVs, key odorants, flavor wheel
+//   node scripts/coa.js masses <data/coa/X.json> [--out file]    → formula, masses, isotope pattern
+//   node scripts/coa.js render                              → re-render marked blocks in the HTML pages
+//   node scripts/coa.js validate <file>
+//
+// Pages mark where a certificate goes; everything between the markers is
+// replaced on render:
+//   <!-- coa:begin data/coa/TP-2024-001.json -->
+//   <!-- coa:end -->
+// exposure markers render the dietary exposure panel for a certificate: its
+// concentrations and TDI/ADI values as embedded JSON, which exposure-panel.js
+// (with lib/exposure.js) turns into an interactive calculator:
+//   <!-- exposure:begin data/coa/TP-2024-001.json -->
+//   <!-- exposure:end -->
+// composer markers render the recipe composer (composer-panel.js with
+// lib/recipe-composer.js): data/ingredients.json plus the certificate's
+// measured concentrations to compare a recipe against:
+//   <!-- composer:begin data/coa/TP-2024-001.json -->
+//   <!-- composer:end -->
+// sensory markers render the certificate's key odorants and flavor wheel:
+//   <!-- sensory:begin data/coa/TP-2024-001.json -->
+//   <!-- sensory:end -->
+//
+// An alkane ladder is the peak table export of the n-alkane run for the
+// method (or ladder JSON). It adds an RI column and flags peaks whose RI
+// disagrees with their identification (see lib/retention-index.js).
+//
+// check-compliance rates every compound pass/warn/fail against the maximum
+// levels and flavoring status in data/regulatory.json for a food category
+// (see lib/regulatory.js). --dosage is the flavor's use level in the food;
+// without it the flavor is checked neat. The CoA then shows a Compliance
+// column. Only the category and dosage are saved: statuses are recomputed
+// from the current data/regulatory.json whenever a certificate is loaded,
+// so render picks up regulatory changes. --strict exits with code 1 on any
+// fail.
+//
+// sensory divides each concentration by the compound's odor threshold in
+// data/sensory.json (odor activity value) and ranks the key odorants (see
+// lib/sensory.js). The profile is JSON on stdout, the summary on stderr.
+//
+// masses gives each compound's formula, molecular weight, monoisotopic mass
+// and M/M+1/M+2 isotope pattern (see lib/formula.js), from its record in
+// data/compounds.json or, for compounds without a page, the EI library.
+//
+// compare reports compounds that appeared or disappeared, the % change per
+// compound against the first (baseline) certificate and out-of-spec findings
+// against a product specification (see lib/coa-comparison.js). --strict exits
+// with code 1 when any batch is out of spec.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const CertificateOfAnalysis = require('../lib/coa');
+const PeakTableImporter = require('../lib/peak-table');
+const RetentionIndex = require('../lib/retention-index');
+const ProductSpecification = require('../lib/coa-spec');
+const CoaComparison = require('../lib/coa-comparison');
+const RegulatoryChecker = require('../lib/regulatory');
+const ExposureCalculator = require('../lib/exposure');
+const SensoryAnalyzer = require('../lib/sensory');
+const MolecularFormula = require('../lib/formula');
+const SpectralLibrary = require('../lib/spectral-match');
+
+const MARKER_PATTERN = /^([ \t]*)<!-- (coa|exposure|composer|sensory):begin (\S+) -->\n[\s\S]*?^[ \t]*<!-- \2:end -->/gm;
+
+class CoaTool {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.dataDir = options.dataDir || path.join(this.rootDir, 'data', 'coa');
+    }
+
+    // Certificates with a recorded compliance check are re-rated against
+    // the current regulatory data
+    load(filePath) {
+        const text = fs.readFileSync(filePath, 'utf-8');
+        const coa = /\.(csv|tsv|txt)$/i.test(filePath)
+            ? CertificateOfAnalysis.fromCSV(text)
+            : CertificateOfAnalysis.fromJSON(text);
+        if (coa.complianceCheck) {
+            new RegulatoryChecker({ rootDir: this.rootDir }).recheck(coa);
+        }
+        return coa;
+    }
+
+    importFile(filePath, outputPath) {
+        return this.save(this.load(filePath), filePath, outputPath);
+    }
+
+    // Instrument peak table → certificate, using gcms.config.json rules.
+    // μg/g needs both the internal standard amount (μg) and the sample mass (g).
+    importPeakReport(filePath, options = {}) {
+        const importer = new PeakTableImporter({ rootDir: this.rootDir });
+        const template = options.template ? this.load(options.template) : null;
+        const result = importer.importReport(fs.readFileSync(filePath, 'utf-8'), { ...options, template });
+
+        console.log(`✓ Read ${result.report.peaks.length} peaks from ${filePath} (${result.report.format})`);
+        if (result.internalStandard) {
+            console.log(`✓ Internal standard: ${result.internalStandard.name} at ${result.internalStandard.retentionTime} min`);
+        }
+        if (options.internalStandardAmount === undefined || options.sampleMass === undefined) {
+            console.warn('⚠ No --is-amount/--sample-mass given, concentrations left empty');
+        }
+        if (result.excluded.length > 0) {
+            console.log(`  - Excluded ${result.excluded.length} peak(s):`);
+            result.excluded.forEach(({ peak, reason }) => console.log(`    ${peak.retentionTime} min ${peak.name || '(no hit)'}: ${reason}`));
+        }
+        if (result.unmatched.length > 0) {
+            console.warn(`⚠ ${result.unmatched.length} compound(s) have no compound page: ${result.unmatched.join(', ')}`);
+        }
+        if (options.ladder) {
+            this.applyLadder(result.coa, options.ladder);
+        }
+
+        this.save(result.coa, filePath, options.out);
+        return result;
+    }
+
+    // Adds retention indices and reports suspect identifications
+    applyLadder(coa, ladderPath) {
+        const retentionIndex = new RetentionIndex({ rootDir: this.rootDir, ladder: RetentionIndex.loadLadder(ladderPath) });
+        const suspect = retentionIndex.apply(coa);
+
+        console.log(`✓ Retention indices from ${retentionIndex.range} alkane ladder (${ladderPath})`);
+        if (suspect.length > 0) {
+            console.warn(`⚠ ${suspect.length} suspect peak(s):`);
+            suspect.forEach(compound => console.warn(`    ${compound.name}: ${compound.flags.join('; ')}`));
+        }
+        return suspect;
+    }
+
+    // Adds pass/warn/fail per compound for a food category
+    checkCompliance(coa, category, dosage) {
+        const checker = new RegulatoryChecker({ rootDir: this.rootDir });
+        const results = checker.apply(coa, category, RegulatoryChecker.parseDosage(dosage));
+
+        console.log(`✓ Checked ${results.length} compounds: ${coa.complianceBasis}`);
+        for (const { name, status, rule } of results.filter(result => result.status !== 'pass')) {
+            const log = status === 'fail' ? console.error : console.warn;
+            log(`${status === 'fail' ? '✗' : '⚠'} ${name}: ${rule}`);
+        }
+        return results;
+    }
+
+    // Odor activity values, key odorants and flavor wheel
+    sensoryProfile(coa) {
+        const analyzer = new SensoryAnalyzer({ rootDir: this.rootDir });
+        const profile = analyzer.profile(coa);
+
+        console.error(`✓ ${profile.keyOdorants.length} key odorant(s) in ${coa.certificateNumber}:`);
+        profile.keyOdorants.forEach(compound => console.error(`  ${String(compound.rank).padStart(2)}. ${compound.name.padEnd(20)} OAV ${String(compound.oav).padStart(6)}  ${compound.descriptors.join(', ')}`));
+        if (profile.unrated.length > 0) {
+            console.error(`⚠ No odor threshold for ${profile.unrated.join(', ')}`);
+        }
+        return profile;
+    }
+
+    // Formula masses of each compound: [{ name, cas, page, formula,
+    // molecularWeight, monoisotopicMass, nominalMass, isotopePattern }], the
+    // mass fields null when no formula is known
+    compoundMasses(coa) {
+        const datasetPath = path.join(this.rootDir, 'data', 'compounds.json');
+        const records = fs.existsSync(datasetPath) ? JSON.parse(fs.readFileSync(datasetPath, 'utf-8')).compounds : [];
+        const library = new SpectralLibrary({ rootDir: this.rootDir });
+
+        const results = coa.compounds.map(compound => {
+            const record = records.find(r => (compound.page && r.url === compound.page) || (compound.cas && r.casNumber === compound.cas));
+            const entry = [compound.cas, compound.page, compound.name].filter(Boolean).map(key => library.find(key)).find(Boolean);
+            const formula = (record && record.formula) || (entry && entry.formula) || null;
+            let masses = record && record.masses;
+            if (!masses && formula) {
+                try {
+                    masses = MolecularFormula.parse(formula).masses();
+                } catch (error) {
+                    console.error(`⚠ ${compound.name}: ${error.message}`);
+                }
+            }
+            return {
+                name: compound.name,
+                cas: compound.cas || null,
+                page: compound.page || null,
+                formula: masses ? masses.formula : null,
+                molecularWeight: masses ? masses.molecularWeight : null,
+                monoisotopicMass: masses ? masses.monoisotopicMass : null,
+                nominalMass: masses ? masses.nominalMass : null,
+                isotopePattern: masses ? masses.isotopePattern : null
+            };
+        });
+
+        const unknown = results.filter(result => result.formula === null).map(result => result.name);
+        console.error(`✓ Masses for ${results.length - unknown.length} of ${results.length} compounds in ${coa.certificateNumber}`);
+        if (unknown.length > 0) {
+            console.error(`⚠ No formula for ${unknown.join(', ')}`);
+        }
+        return results;
+    }
+
+    // Validates, then saves as data/coa/<certificateNumber>.json
+    save(coa, filePath, outputPath) {
+        const errors = coa.validate();
+        if (errors.length > 0) {
+            throw new Error(`${filePath} is not a valid certificate:\n    ${errors.join('\n    ')}`);
+        }
+
+        const target = outputPath || path.join(this.dataDir, `${coa.certificateNumber}.json`);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, JSON.stringify(coa, null, 2) + '\n');
+        console.log(`✓ Saved ${coa.compounds.length} compounds from ${filePath} to: ${target}`);
+        return coa;
+    }
+
+    exportFile(filePath, format) {
+        const coa = this.load(filePath);
+        switch (format) {
+            case 'csv':
+                return coa.toCSV();
+            case 'json':
+                return JSON.stringify(coa, null, 2) + '\n';
+            case 'html':
+                return coa.toHTML() + '\n';
+            default:
+                throw new Error(`Unknown format: ${format} (use csv, json or html)`);
+        }
+    }
+
+    // Batch-to-batch comparison, optionally against a product specification
+    compare(filePaths, options = {}) {
+        const certificates = filePaths.map(filePath => this.load(filePath));
+        // Imported rows keep alias CAS numbers such as 14371-10-9; they compare
+        // as the page compound
+        const casAliases = new PeakTableImporter({ rootDir: this.rootDir }).casAliases();
+        const spec = options.spec ? ProductSpecification.load(options.spec, { casAliases }) : null;
+        return new CoaComparison(certificates, { spec, casAliases, generated: options.generated });
+    }
+
+    // JSON for QA records, or a standalone page in the coa.html style whose
+    // stylesheet and compound links resolve from outputPath
+    compareOutput(comparison, format, outputPath) {
+        switch (format) {
+            case 'json':
+                return JSON.stringify(comparison, null, 2) + '\n';
+            case 'html': {
+                const rootPath = outputPath ? path.relative(path.dirname(path.resolve(outputPath)), this.rootDir) : '';
+                return comparison.toPage(rootPath);
+            }
+            default:
+                throw new Error(`Unknown format: ${format} (use json or html)`);
+        }
+    }
+
+    // Exposure panel container with the data exposure-panel.js needs, so it
+    // also works on pages opened from disk
+    exposureHTML(coa, indent = '') {
+        const regulatory = new RegulatoryChecker({ rootDir: this.rootDir });
+        const data = {
+            certificateNumber: coa.certificateNumber,
+            concentrationUnit: coa.concentrationUnit,
+            populations: ExposureCalculator.POPULATIONS,
+            compounds: new ExposureCalculator({ guidance: regulatory.compounds, aliasPages: regulatory.aliasPages }).compounds(coa)
+        };
+        // Keeps "</script>" in a compound name from closing the script block
+        const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+        return [
+            `<div class="exposure-panel" data-certificate="${CertificateOfAnalysis.escapeAttribute(coa.certificateNumber)}">`,
+            '    <h3 id="dietary-exposure">Dietary Exposure</h3>',
+            '    <p class="exposure-intro">Daily intake per kg body weight from the concentrations above, compared with each compound\'s tolerable or acceptable daily intake (TDI/ADI).</p>',
+            `    <script type="application/json" class="exposure-data">${json}</script>`,
+            '</div>'
+        ].map(line => indent + line).join('\n');
+    }
+
+    // Recipe composer container with the ingredient data and the certificate
+    // to compare against, embedded for composer-panel.js
+    composerHTML(coa, indent = '') {
+        const ingredients = JSON.parse(fs.readFileSync(path.join(this.rootDir, 'data', 'ingredients.json'), 'utf-8'));
+        const data = {
+            ingredients: ingredients.ingredients,
+            retention: ingredients.retention,
+            recipes: ingredients.recipes,
+            coa: {
+                certificateNumber: coa.certificateNumber,
+                concentrationUnit: coa.concentrationUnit,
+                compounds: coa.compounds.map(({ name, cas, page, concentration }) => ({ name, cas, page, concentration }))
+            }
+        };
+        const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+        return [
+            `<div class="composer-panel" data-certificate="${CertificateOfAnalysis.escapeAttribute(coa.certificateNumber)}">`,
+            `    <script type="application/json" class="composer-data">${json}</script>`,
+            '</div>'
+        ].map(line => indent + line).join('\n');
+    }
+
+    // Flavor wheel and key odorant table
+    sensoryHTML(coa, indent = '') {
+        const analyzer = new SensoryAnalyzer({ rootDir: this.rootDir });
+        return analyzer.toHTML(analyzer.profile(coa), indent);
+    }
+
+    // Replaces every marked block, keeping the begin marker's indentation
+    renderPage(html) {
+        return html.replace(MARKER_PATTERN, (match, indent, kind, source) => {
+            const coa = this.load(path.join(this.rootDir, source));
+            return [
+                `${indent}<!-- ${kind}:begin ${source} -->`,
+                kind === 'exposure' ? this.exposureHTML(coa, indent)
+                    : kind === 'composer' ? this.composerHTML(coa, indent)
+                        : kind === 'sensory' ? this.sensoryHTML(coa, indent)
+                            : coa.toHTML(indent),
+                `${indent}<!-- ${kind}:end -->`
+            ].join('\n');
+        });
+    }
+
+    // Root-level pages containing a coa, exposure, composer or sensory marker
+    renderPages() {
+        const rendered = [];
+        for (const file of fs.readdirSync(this.rootDir).filter(name => name.endsWith('.html')).sort()) {
+            const filePath = path.join(this.rootDir, file);
+            const html = fs.readFileSync(filePath, 'utf-8');
+            if (!/<!-- (coa|exposure|composer|sensory):begin /.test(html)) continue;
+
+            const output = this.renderPage(html);
+            if (output !== html) {
+                fs.writeFileSync(filePath, output);
+                console.log(`✓ Rendered ${file}`);
+            } else {
+                console.log(`✓ ${file} is up to date`);
+            }
+            rendered.push(file);
+        }
+
+        if (rendered.length === 0) {
+            console.warn('⚠ No pages with <!-- coa:begin --> markers found');
+        }
+        return rendered;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'format': { type: 'string', default: 'json' },
+            'out': { type: 'string' },
+            'certificate': { type: 'string' },
+            'template': { type: 'string' },
+            'sample-name': { type: 'string' },
+            'date': { type: 'string' },
+            'is-amount': { type: 'string' },
+            'sample-mass': { type: 'string' },
+            'ladder': { type: 'string' },
+            'spec': { type: 'string' },
+            'strict': { type: 'boolean', default: false },
+            'category': { type: 'string' },
+            'dosage': { type: 'string' },
+        },
+    });
+    const [command, file] = positionals;
+    const tool = new CoaTool();
+
+    try {
+        if (command === 'import' && file) {
+            tool.importFile(file, values.out);
+        } else if (command === 'import-peaks' && file) {
+            tool.importPeakReport(file, {
+                certificateNumber: values.certificate,
+                template: values.template,
+                sampleName: values['sample-name'],
+                date: values.date,
+                internalStandardAmount: values['is-amount'] !== undefined ? parseFloat(values['is-amount']) : undefined,
+                sampleMass: values['sample-mass'] !== undefined ? parseFloat(values['sample-mass']) : undefined,
+                ladder: values.ladder,
+                out: values.out
+            });
+        } else if (command === 'apply-ladder' && file && values.ladder) {
+            const coa = tool.load(file);
+            tool.applyLadder(coa, values.ladder);
+            tool.save(coa, file, values.out || file);
+        } else if (command === 'check-compliance' && file && values.category) {
+            const coa = tool.load(file);
+            const results = tool.checkCompliance(coa, values.category, values.dosage);
+            tool.save(coa, file, values.out || file);
+            if (values.strict && results.some(result => result.status === 'fail')) {
+                process.exit(1);
+            }
+        } else if (command === 'export' && file) {
+            const output = tool.exportFile(file, values.format);
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.log(`✓ Exported ${file} to: ${values.out}`);
+            } else {
+                process.stdout.write(output);
+            }
+        } else if (command === 'compare' && positionals.length >= 3) {
+            const comparison = tool.compare(positionals.slice(1), { spec: values.spec });
+            const output = tool.compareOutput(comparison, values.format, values.out);
+            const report = comparison.report();
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.log(`✓ Compared ${report.certificates.length} certificates against ${report.baseline}, saved to: ${values.out}`);
+            } else {
+                process.stdout.write(output);
+            }
+
+            // Summary on stderr so stdout stays valid JSON/HTML
+            report.appeared.forEach(({ certificateNumber, compound }) => console.error(`  + ${certificateNumber}: ${compound} appeared`));
+            report.disappeared.forEach(({ certificateNumber, compound }) => console.error(`  - ${certificateNumber}: ${compound} not detected`));
+            if (values.spec) {
+                report.outOfSpec.forEach(finding => console.error(`⚠ ${finding.certificateNumber}: ${finding.message}`));
+                const failed = report.certificates.filter(certificate => !certificate.inSpec);
+                if (failed.length === 0) {
+                    console.error(`✓ All ${report.certificates.length} batches meet ${comparison.spec.label}`);
+                } else if (values.strict) {
+                    process.exit(1);
+                }
+            }
+        } else if (command === 'sensory' && file) {
+            const output = JSON.stringify(tool.sensoryProfile(tool.load(file)), null, 2) + '\n';
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.error(`✓ Saved sensory profile to: ${values.out}`);
+            } else {
+                process.stdout.write(output);
+            }
+        } else if (command === 'masses' && file) {
+            const output = JSON.stringify(tool.compoundMasses(tool.load(file)), null, 2) + '\n';
+            if (values.out) {
+                fs.writeFileSync(values.out, output);
+                console.error(`✓ Saved compound masses to: ${values.out}`);
+            } else {
+                process.stdout.write(output);
+            }
+        } else if (command === 'render') {
+            tool.renderPages();
+        } else if (command === 'validate' && file) {
+            const errors = tool.load(file).validate();
+            if (errors.length > 0) {
+                console.error(`✗ ${file} has ${errors.length} problem(s):`);
+                errors.forEach(error => console.error(`    ${error}`));
+                process.exit(1);
+            }
+            console.log(`✓ ${file} is a valid certificate`);
+        } else {
+            console.error('Usage: node scripts/coa.js <import|import-peaks|apply-ladder|check-compliance|export|compare|sensory|masses|render|validate> [file...] [--format csv|json|html] [--ladder file] [--category id] [--spec file] [--out file]');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = CoaTool;
@@ -0,0 +1,146 @@
+// Predict a product's compound profile from its recipe
+// Run with: node scripts/compose-recipe.js <recipe id or recipe.json> [--coa data/coa/TP-2024-001.json]
+//           [--format table|json|csv] [--out file]
+//
+// Recipe ids are the recipes in data/ingredients.json. A recipe file is the
+// same shape: { name, baked, yield, servingSize, ingredients: [{ id, amount }] }
+// with amounts in grams. --coa adds the measured concentrations and whether
+// each falls within the predicted range; csv opens in a spreadsheet.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const RecipeComposer = require('../lib/recipe-composer');
+const CertificateOfAnalysis = require('../lib/coa');
+const csv = require('../lib/csv');
+
+const STATUS_LABELS = {
+    within: '✓ within range',
+    below: '⚠ below range',
+    above: '⚠ above range',
+    unpredicted: '⚠ not predicted',
+    undetected: '— not reported'
+};
+
+class RecipeComposerTool {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.composer = new RecipeComposer(options.data || this.loadData());
+    }
+
+    loadData() {
+        const dataPath = path.join(this.rootDir, 'data', 'ingredients.json');
+        if (!fs.existsSync(dataPath)) {
+            throw new Error(`Ingredient data not found: ${dataPath}`);
+        }
+        return JSON.parse(fs.readFileSync(dataPath, 'utf-8'));
+    }
+
+    // A recipe id from data/ingredients.json or a recipe JSON file
+    loadRecipe(source) {
+        if (source.endsWith('.json') || fs.existsSync(source)) {
+            return JSON.parse(fs.readFileSync(source, 'utf-8'));
+        }
+        return this.composer.recipe(source);
+    }
+
+    run(source, options = {}) {
+        const profile = this.composer.compose(this.loadRecipe(source));
+        const comparison = options.coa ? this.composer.compare(profile, options.coa) : null;
+        return { profile, comparison };
+    }
+
+    // One row per compound, predicted and (with a CoA) measured
+    rows({ profile, comparison }) {
+        const header = [
+            'Compound', 'CAS',
+            `Min (${profile.concentrationUnit})`, `Typical (${profile.concentrationUnit})`, `Max (${profile.concentrationUnit})`,
+            'Per Serving (mg)', 'Sources'
+        ];
+        if (comparison) header.push(`Measured (${profile.concentrationUnit})`, 'Status');
+
+        const compounds = comparison ? comparison.compounds : profile.compounds;
+        return [header, ...compounds.map(item => {
+            const predicted = profile.compounds.find(compound => RecipeComposer.sameCompound(compound, item));
+            const row = [
+                item.name,
+                item.cas || '',
+                predicted ? predicted.concentration.min : '',
+                predicted ? predicted.concentration.typical : '',
+                predicted ? predicted.concentration.max : '',
+                predicted && predicted.perServing ? predicted.perServing.typical : '',
+                predicted ? predicted.contributions.map(source => `${source.name} ${source.share}%`).join('; ') : ''
+            ];
+            if (comparison) row.push(item.measured === null ? '' : item.measured, item.status);
+            return row;
+        })];
+    }
+
+    printResult(result) {
+        const { profile, comparison } = result;
+        console.log(`\n${profile.name || 'Recipe'}: ${profile.rawMass} g of ingredients → ${profile.finishedMass} g${profile.baked ? ' baked' : ''}`);
+        const compounds = comparison ? comparison.compounds : profile.compounds;
+        compounds.forEach(item => {
+            const predicted = profile.compounds.find(compound => RecipeComposer.sameCompound(compound, item));
+            const range = predicted
+                ? `${predicted.concentration.typical} (${predicted.concentration.min}–${predicted.concentration.max}) ${profile.concentrationUnit}`
+                : '—';
+            const measured = comparison ? `  measured ${item.measured === null ? '—' : item.measured}  ${STATUS_LABELS[item.status]}` : '';
+            console.log(`  ${item.name.padEnd(22)} ${range.padEnd(32)}${measured}`);
+        });
+        if (comparison) {
+            const { summary } = comparison;
+            console.log(`\n${comparison.certificateNumber}: ${summary.within} within, ${summary.below} below, ${summary.above} above the predicted range; ${summary.unpredicted} not predicted, ${summary.undetected} not reported`);
+        }
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'coa': { type: 'string' },
+            'format': { type: 'string', default: 'table' },
+            'out': { type: 'string' },
+        },
+    });
+
+    if (positionals.length === 0) {
+        console.error('Usage: node scripts/compose-recipe.js <recipe id or recipe.json> [--coa file] [--format table|json|csv] [--out file]');
+        process.exit(1);
+    }
+
+    try {
+        const tool = new RecipeComposerTool();
+        const coa = values.coa ? CertificateOfAnalysis.fromJSON(fs.readFileSync(values.coa, 'utf-8')) : null;
+        const result = tool.run(positionals[0], { coa });
+
+        let output;
+        switch (values.format) {
+            case 'table':
+                tool.printResult(result);
+                break;
+            case 'json':
+                output = JSON.stringify(result.comparison ? result : result.profile, null, 2) + '\n';
+                break;
+            case 'csv':
+                output = csv.format(tool.rows(result));
+                break;
+            default:
+                throw new Error(`Unknown format: ${values.format} (use table, json or csv)`);
+        }
+
+        if (output && values.out) {
+            fs.writeFileSync(values.out, output);
+            console.log(`✓ Wrote ${values.out}`);
+        } else if (output) {
+            process.stdout.write(output);
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = RecipeComposerTool;
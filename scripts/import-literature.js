@@ -0,0 +1,98 @@
+// Import PubMed XML / RIS literature exports into the knowledge base
+// Run with: node scripts/import-literature.js <export.xml|export.ris> [more files...]
+//           node scripts/import-literature.js --relink
+// Generates: data/literature.json
+//
+// Works from local files only (see lib/literature.js for the formats).
+// Articles are added or updated by PMID, then DOI; articles with neither are
+// skipped. Each record is linked to the compound pages it mentions, using
+// data/compounds.json (npm run build:compounds). --relink re-links every
+// stored record, e.g. after adding a compound page.
+//
+// Then rebuild the indexes to add the abstracts as chunks and the links to
+// the compound records:
+//   npm run build:rag && npm run build:rag:sqlite && npm run build:compounds
+
+const path = require('path');
+const { parseArgs } = require('util');
+const LiteratureImporter = require('../lib/literature');
+
+const FORMAT_NAMES = { 'pubmed-xml': 'PubMed XML', ris: 'RIS' };
+
+class LiteratureImport {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.importer = options.importer || new LiteratureImporter({ rootDir: this.rootDir, dataPath: options.dataPath });
+    }
+
+    // Returns { records, added, updated, skipped, files }
+    run(files, options = {}) {
+        let records = this.importer.loadRecords();
+        const result = { added: 0, updated: 0, skipped: [], files: [] };
+
+        for (const file of files) {
+            const parsed = this.importer.parseFile(file);
+            const merged = this.importer.merge(records, parsed.records);
+            records = merged.records;
+            result.added += merged.added;
+            result.updated += merged.updated;
+            result.skipped.push(...parsed.skipped.map(title => ({ file, title })));
+            result.files.push({ file, format: parsed.format, count: parsed.records.length });
+        }
+
+        if (options.relink) {
+            records.forEach(record => { record.compounds = this.importer.linkCompounds(record); });
+        }
+
+        this.importer.save(records);
+        return { records, ...result };
+    }
+
+    printReport(result) {
+        for (const { file, format, count } of result.files) {
+            console.log(`✓ ${path.basename(file)}: ${count} article(s) (${FORMAT_NAMES[format]})`);
+        }
+        if (result.skipped.length > 0) {
+            console.warn(`⚠ Skipped ${result.skipped.length} article(s) without a PMID or DOI:`);
+            result.skipped.forEach(({ file, title }) => console.warn(`    ${path.basename(file)}: ${title}`));
+        }
+
+        const linked = new Map();
+        for (const record of result.records) {
+            record.compounds.forEach(compound => linked.set(compound.name, (linked.get(compound.name) || 0) + 1));
+        }
+        const unlinked = result.records.filter(record => record.compounds.length === 0);
+
+        console.log(`✓ ${result.added} added, ${result.updated} updated, ${result.records.length} article(s) in ${this.importer.dataPath}`);
+        if (linked.size > 0) {
+            console.log(`✓ Compound pages: ${[...linked].map(([name, count]) => `${name} (${count})`).join(', ')}`);
+        }
+        if (unlinked.length > 0) {
+            console.warn(`⚠ ${unlinked.length} article(s) mention no compound page: ${unlinked.map(record => record.id).join(', ')}`);
+        }
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'relink': { type: 'boolean', default: false },
+        },
+    });
+
+    try {
+        if (positionals.length === 0 && !values.relink) {
+            throw new Error('Usage: node scripts/import-literature.js <export.xml|export.ris> [more files...] [--relink]');
+        }
+        const literatureImport = new LiteratureImport();
+        const result = literatureImport.run(positionals.map(file => path.resolve(file)), { relink: values.relink });
+        literatureImport.printReport(result);
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = LiteratureImport;
@@ -0,0 +1,362 @@
+// Lint compound names, CAS numbers and compound page links across the site
+// Run with: node scripts/lint-content.js [--json] [--out report.json] [--strict]
+//
+// Reads coa.html, cinnamon-roll-tabs.html, compounds.html, compounds/*.html
+// and the data files that list compounds with a CAS number (data/**/*.json,
+// except the generated data/compounds.json and imported data/literature.json):
+//
+// - invalid-cas: not a CAS number, or a wrong check digit (see lib/cas.js)
+// - broken-link: a compounds/<slug>.html link or data "page" with no page
+// - name-mismatch: the name next to a compound link isn't the page's name
+//   (stereo prefixes and qualifiers ignored: α-Pinene, Pinene (α), Pinene)
+// - cas-mismatch: a compound page given different CAS numbers, or one CAS
+//   number given to different compound pages
+// - missing-page (warning): a CoA compound without a compound page
+// - orphan-page (warning): a compound page no CoA or index links to
+//
+// Errors exit with code 1, --strict also fails on warnings. --json prints
+// the report instead of the summary, --out also saves it.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const cheerio = require('cheerio');
+const cas = require('../lib/cas');
+
+// The CoA pages and the compound index
+const DEFAULT_PAGES = ['coa.html', 'cinnamon-roll-tabs.html', 'compounds.html'];
+
+// Generated from the pages, so not a source of its own; the chemicals of
+// imported papers are PubMed's, not the site's
+const SKIPPED_DATA_FILES = ['compounds.json', 'literature.json'];
+
+// Link text that doesn't name the compound ("View →", "Learn about function in humans →")
+const GENERIC_LINK_TEXT = /→|^(view|details|learn|more|read)\b/i;
+
+const STEREO_PREFIX = /^((\([^)]*\)|trans|cis|[αβγδ]|alpha|beta|gamma|delta|d|l|dl)-\s*)+/i;
+
+const WARNING_RULES = ['missing-page', 'orphan-page'];
+
+// "α-Pinene", "Pinene (α)" → "pinene"
+function normalizeName(name) {
+    return name.toLowerCase()
+        .replace(/\([^)]*\)/g, '')
+        .trim()
+        .replace(STEREO_PREFIX, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function text($element) {
+    return $element.text().replace(/\s+/g, ' ').trim();
+}
+
+class ContentLinter {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.pages = options.pages || DEFAULT_PAGES;
+        this.compoundsDir = options.compoundsDir || 'compounds';
+    }
+
+    lint() {
+        this.findings = [];
+        const compounds = this.compoundPages();
+        const references = [
+            ...this.pages.flatMap(file => this.pageReferences(file)),
+            ...this.dataReferences()
+        ];
+
+        this.checkLinks(references, compounds);
+        this.checkCasNumbers(references, compounds);
+        this.checkCoverage(references, compounds);
+
+        const errors = this.findings.filter(finding => finding.severity === 'error').length;
+        return {
+            pages: this.pages.filter(file => fs.existsSync(path.join(this.rootDir, file))),
+            compoundPages: compounds.size,
+            references: references.length,
+            errors,
+            warnings: this.findings.length - errors,
+            findings: this.findings
+        };
+    }
+
+    report(rule, file, message, details = {}) {
+        this.findings.push({
+            severity: WARNING_RULES.includes(rule) ? 'warning' : 'error',
+            rule,
+            file,
+            message,
+            ...details
+        });
+    }
+
+    // Every CAS-shaped string in a page's text (scripts and styles excluded)
+    checkText(file, $) {
+        const $body = $('body').length > 0 ? $('body').clone() : $.root().clone();
+        $body.find('script, style').remove();
+        for (const value of cas.findAll($body.text())) {
+            const problem = cas.validate(value);
+            if (problem) this.report('invalid-cas', file, problem, { cas: value });
+        }
+    }
+
+    // url → { slug, url, name, cas } for compounds/*.html; cas is the page's
+    // own "CAS Number" when it states one
+    compoundPages() {
+        const compounds = new Map();
+        const dir = path.join(this.rootDir, this.compoundsDir);
+        if (!fs.existsSync(dir)) {
+            return compounds;
+        }
+
+        for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.html')).sort()) {
+            const url = `${this.compoundsDir}/${file}`;
+            const $ = cheerio.load(fs.readFileSync(path.join(dir, file), 'utf-8'));
+            this.checkText(url, $);
+            const stated = $('body').text().match(/CAS(?: Registry)?(?: Number| No\.?)?\s*:?\s*(\d{2,7}-\d{2}-\d)\b/);
+            compounds.set(url, {
+                slug: path.posix.basename(file, '.html'),
+                url,
+                name: text($('.compound-header h2').first()) || text($('h1, h2').first()) || null,
+                cas: stated ? stated[1] : null
+            });
+        }
+        return compounds;
+    }
+
+    // compounds/<slug>.html for a link on a page, null for other links
+    compoundUrl(file, href) {
+        if (!href || /^[a-z]+:/i.test(href)) return null;
+        const target = path.posix.normalize(path.posix.join(path.posix.dirname(file), href.split(/[?#]/)[0]));
+        return target.startsWith(`${this.compoundsDir}/`) && target.endsWith('.html') ? target : null;
+    }
+
+    // { file, url, name, cas } per compound mention: table rows (name and
+    // CAS columns, with or without a compound link) and other compound links
+    pageReferences(file) {
+        const filePath = path.join(this.rootDir, file);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        const $ = cheerio.load(fs.readFileSync(filePath, 'utf-8'));
+        this.checkText(file, $);
+        const references = [];
+        const seen = new Set();
+
+        $('table').each((_, table) => {
+            const headers = $(table).find('thead th, tr:first-child th').map((i, th) => text($(th))).get();
+            const nameColumn = headers.findIndex(header => /compound|odorant/i.test(header));
+            const casColumn = headers.findIndex(header => /^cas\b/i.test(header));
+            if (nameColumn === -1) return;
+
+            $(table).find('tbody tr').each((i, row) => {
+                const cells = $(row).children('td');
+                // Totals and notes span several columns
+                if (cells.length !== headers.length) return;
+                const links = $(row).find('a[href]').filter((j, a) => this.compoundUrl(file, $(a).attr('href')) !== null);
+                links.each((j, a) => seen.add(a));
+                const link = links.first();
+                const casText = casColumn !== -1 ? text(cells.eq(casColumn)) : '';
+                if (link.length === 0 && !casText) return;
+                // Wrong check digits are caught in the page text, malformed numbers here
+                if (casText && cas.findAll(casText).length === 0) {
+                    this.report('invalid-cas', file, cas.validate(casText), { compound: text(cells.eq(nameColumn)), cas: casText });
+                }
+                references.push({
+                    file,
+                    url: link.length > 0 ? this.compoundUrl(file, link.attr('href')) : null,
+                    name: text(cells.eq(nameColumn)) || null,
+                    cas: casText || null,
+                    table: casColumn !== -1
+                });
+            });
+        });
+
+        $('a[href]').each((_, a) => {
+            const url = this.compoundUrl(file, $(a).attr('href'));
+            if (!url || seen.has(a)) return;
+            const name = text($(a));
+            references.push({ file, url, name: GENERIC_LINK_TEXT.test(name) ? null : name, cas: null, table: false });
+        });
+
+        return references;
+    }
+
+    // Objects with a "cas" field in data/**/*.json, with their name and page
+    dataReferences() {
+        const dataDir = path.join(this.rootDir, 'data');
+        if (!fs.existsSync(dataDir)) {
+            return [];
+        }
+
+        const references = [];
+        const visit = (value, file) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => visit(item, file));
+            } else if (value && typeof value === 'object') {
+                if (typeof value.cas === 'string') {
+                    references.push({
+                        file,
+                        url: value.page || null,
+                        name: typeof value.name === 'string' ? value.name : null,
+                        cas: value.cas,
+                        table: false,
+                        coa: file.startsWith('data/coa/')
+                    });
+                }
+                Object.values(value).forEach(item => visit(item, file));
+            }
+        };
+
+        const walk = dir => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else if (entry.name.endsWith('.json') && !SKIPPED_DATA_FILES.includes(entry.name)) {
+                    const file = path.relative(this.rootDir, entryPath).split(path.sep).join('/');
+                    try {
+                        visit(JSON.parse(fs.readFileSync(entryPath, 'utf-8')), file);
+                    } catch (error) {
+                        this.report('invalid-json', file, `${file} can't be read: ${error.message}`);
+                    }
+                }
+            }
+        };
+        walk(dataDir);
+
+        for (const reference of references) {
+            const problem = cas.validate(reference.cas);
+            if (problem) this.report('invalid-cas', reference.file, problem, { compound: reference.name, cas: reference.cas });
+        }
+        return references;
+    }
+
+    // Broken compound links and names that disagree with the page
+    checkLinks(references, compounds) {
+        for (const reference of references.filter(r => r.url)) {
+            const page = compounds.get(reference.url);
+            if (!page) {
+                this.report('broken-link', reference.file, `${reference.name || 'A link'} points to ${reference.url}, which doesn't exist`, {
+                    compound: reference.name,
+                    url: reference.url
+                });
+            } else if (reference.name && page.name && normalizeName(reference.name) !== normalizeName(page.name)) {
+                this.report('name-mismatch', reference.file, `"${reference.name}" links to ${reference.url}, which is ${page.name}`, {
+                    compound: reference.name,
+                    url: reference.url
+                });
+            }
+        }
+    }
+
+    // One CAS number per compound page and one compound page per CAS number
+    checkCasNumbers(references, compounds) {
+        const withCas = references.filter(r => r.url && compounds.has(r.url) && r.cas && cas.isValid(r.cas));
+
+        for (const page of compounds.values()) {
+            const mentions = withCas.filter(r => r.url === page.url);
+            if (mentions.length === 0) continue;
+            const counts = new Map();
+            mentions.forEach(r => counts.set(r.cas, (counts.get(r.cas) || 0) + 1));
+            // The page's own CAS number, otherwise the most common one
+            const expected = page.cas || [...counts].sort((a, b) => b[1] - a[1])[0][0];
+            for (const reference of mentions.filter(r => r.cas !== expected)) {
+                this.report('cas-mismatch', reference.file, `${reference.name || page.name} (${page.url}) has CAS ${reference.cas}, elsewhere ${expected}`, {
+                    compound: reference.name || page.name,
+                    url: page.url,
+                    cas: reference.cas
+                });
+            }
+        }
+
+        const pagesByCas = new Map();
+        for (const reference of withCas) {
+            if (!pagesByCas.has(reference.cas)) pagesByCas.set(reference.cas, new Map());
+            const files = pagesByCas.get(reference.cas);
+            if (!files.has(reference.url)) files.set(reference.url, reference.file);
+        }
+        for (const [value, pages] of pagesByCas) {
+            if (pages.size < 2) continue;
+            const [first, ...others] = [...pages];
+            for (const [url, file] of others) {
+                this.report('cas-mismatch', file, `CAS ${value} is given to ${url} here and to ${first[0]} in ${first[1]}`, { cas: value, url });
+            }
+        }
+    }
+
+    // CoA compounds without a page, pages without a link from a CoA or index
+    checkCoverage(references, compounds) {
+        const missing = new Map();
+        for (const reference of references.filter(r => !r.url && (r.table || r.coa))) {
+            const key = cas.normalize(reference.cas) || normalizeName(reference.name || '');
+            if (!missing.has(key)) missing.set(key, { name: reference.name, cas: reference.cas, files: [] });
+            const entry = missing.get(key);
+            if (!entry.files.includes(reference.file)) entry.files.push(reference.file);
+        }
+        for (const { name, cas: value, files } of missing.values()) {
+            this.report('missing-page', files[0], `${name} (${value}) has no compound page (${files.join(', ')})`, { compound: name, cas: value, files });
+        }
+
+        const linked = new Set(references.filter(r => r.url && this.pages.includes(r.file)).map(r => r.url));
+        for (const page of compounds.values()) {
+            if (!linked.has(page.url)) {
+                this.report('orphan-page', page.url, `${page.url} isn't linked from ${this.pages.join(', ')}`, { compound: page.name, url: page.url });
+            }
+        }
+    }
+
+    printReport(report) {
+        for (const finding of report.findings) {
+            const log = finding.severity === 'error' ? console.error : console.warn;
+            log(`${finding.severity === 'error' ? '✗' : '⚠'} ${finding.file}: ${finding.message} [${finding.rule}]`);
+        }
+
+        const summary = `${report.references} compound references in ${report.pages.length} pages, ${report.compoundPages} compound pages and the data files`;
+        if (report.errors === 0 && report.warnings === 0) {
+            console.log(`✓ Checked ${summary}: no problems`);
+        } else {
+            console.log(`\n${report.errors > 0 ? '✗' : '⚠'} Checked ${summary}: ${report.errors} error(s), ${report.warnings} warning(s)`);
+        }
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            'json': { type: 'boolean', default: false },
+            'out': { type: 'string' },
+            'strict': { type: 'boolean', default: false },
+        },
+    });
+
+    try {
+        const linter = new ContentLinter();
+        const report = linter.lint();
+        const json = JSON.stringify(report, null, 2) + '\n';
+
+        if (values.json) {
+            process.stdout.write(json);
+        } else {
+            linter.printReport(report);
+        }
+        if (values.out) {
+            fs.writeFileSync(values.out, json);
+            console.error(`✓ Saved report to: ${values.out}`);
+        }
+
+        if (report.errors > 0 || (values.strict && report.warnings > 0)) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+ContentLinter.normalizeName = normalizeName;
+
+module.exports = ContentLinter;
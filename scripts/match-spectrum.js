@@ -0,0 +1,122 @@
+// Match centroided EI spectra against the reference library
+// Run with: node scripts/match-spectrum.js <spectrum file> [--top 5] [--expect cinnamaldehyde]
+//           [--coa data/coa/TP-2024-001.json] [--json]
+//
+// The spectrum file may be NIST MSP (one or more records), JSON or plain
+// "m/z intensity" lines. --expect fails (exit code 1) when the top hit isn't
+// the expected compound. --coa compares the computed match quality with the
+// Match Quality stated on the certificate for the top hit. The top hit's
+// molecular ion cluster is shown next to the isotope pattern of its formula.
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const SpectralLibrary = require('../lib/spectral-match');
+const CertificateOfAnalysis = require('../lib/coa');
+
+// Stated and computed match quality further apart than this are flagged
+const MATCH_QUALITY_TOLERANCE = 5;
+
+class SpectrumMatcher {
+    constructor(options = {}) {
+        this.library = options.library || new SpectralLibrary(options);
+    }
+
+    matchFile(filePath, options = {}) {
+        const spectra = SpectralLibrary.parseSpectra(fs.readFileSync(filePath, 'utf-8'));
+        if (spectra.length === 0) {
+            throw new Error(`No spectra found in ${filePath}`);
+        }
+        return spectra.map(spectrum => ({
+            name: spectrum.name,
+            hits: this.library.match(spectrum.peaks, options)
+        }));
+    }
+
+    // The certificate row for a library hit, by compound page or name
+    coaRow(coa, hit) {
+        return coa.compounds.find(compound =>
+            (hit.page && compound.page === hit.page) || (compound.name && compound.name.toLowerCase() === hit.name.toLowerCase())
+        ) || null;
+    }
+
+    // Returns false when an expectation or certificate check fails
+    printResult({ name, hits }, options = {}) {
+        console.log(`\n${name || 'Unknown spectrum'}`);
+        hits.forEach((hit, i) => {
+            console.log(`  ${i + 1}. ${hit.name.padEnd(20)} MF ${String(hit.matchFactor).padStart(3)}  RMF ${String(hit.reverseMatchFactor).padStart(3)}  (${hit.matchQuality.toFixed(1)}%, ${hit.sharedPeaks} shared peaks)`);
+        });
+
+        let ok = true;
+        const best = hits[0];
+        if (best.isotopes) {
+            const { formula, molecularIon, molecularIonIntensity, peaks } = best.isotopes;
+            if (molecularIonIntensity > 0) {
+                const cluster = peaks.map(peak => `${peak.label} ${peak.observed === null ? '—' : `${peak.observed.toFixed(1)}%`} (predicted ${peak.predicted.toFixed(1)}%)`);
+                console.log(`  M⁺ ${molecularIon} (${formula}) at ${molecularIonIntensity.toFixed(1)}% of base peak: ${cluster.join(', ')}`);
+            } else {
+                console.warn(`  ⚠ No molecular ion at m/z ${molecularIon} (${formula})`);
+            }
+        }
+        if (options.expect) {
+            const expected = this.library.find(options.expect);
+            if (expected && best.id === expected.id) {
+                console.log(`✓ Top hit is ${best.name}`);
+            } else {
+                console.error(`✗ Expected ${expected ? expected.name : options.expect}, top hit is ${best.name}`);
+                ok = false;
+            }
+        }
+
+        if (options.coa) {
+            const row = this.coaRow(options.coa, best);
+            if (!row || row.matchQuality === null) {
+                console.warn(`⚠ ${best.name} has no Match Quality on ${options.coa.certificateNumber}`);
+            } else if (Math.abs(row.matchQuality - best.matchQuality) > MATCH_QUALITY_TOLERANCE) {
+                console.warn(`⚠ ${options.coa.certificateNumber} states ${row.matchQuality.toFixed(1)}% for ${row.name}, computed ${best.matchQuality.toFixed(1)}%`);
+                ok = false;
+            } else {
+                console.log(`✓ ${options.coa.certificateNumber} states ${row.matchQuality.toFixed(1)}% for ${row.name}, computed ${best.matchQuality.toFixed(1)}%`);
+            }
+        }
+
+        return ok;
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'top': { type: 'string', default: '5' },
+            'expect': { type: 'string' },
+            'coa': { type: 'string' },
+            'json': { type: 'boolean', default: false },
+        },
+    });
+
+    if (positionals.length === 0) {
+        console.error('Usage: node scripts/match-spectrum.js <spectrum file> [--top 5] [--expect compound] [--coa file] [--json]');
+        process.exit(1);
+    }
+
+    try {
+        const matcher = new SpectrumMatcher();
+        const results = matcher.matchFile(positionals[0], { top: parseInt(values.top, 10) });
+
+        if (values.json) {
+            console.log(JSON.stringify(results, null, 2));
+        } else {
+            const coa = values.coa ? CertificateOfAnalysis.fromJSON(fs.readFileSync(values.coa, 'utf-8')) : null;
+            const ok = results
+                .map(result => matcher.printResult(result, { expect: values.expect, coa }))
+                .every(Boolean);
+            if (!ok) process.exit(1);
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = SpectrumMatcher;
@@ -0,0 +1,129 @@
+// Check the molecular weight stated on each compound page against its formula
+// Run with: node scripts/validate-formulas.js [--tolerance 0.05] [--json]
+//
+// The formula (.compound-formula-large) is parsed with lib/formula.js and its
+// molecular weight computed from standard atomic weights. Pages whose stated
+// "Molecular Weight" differs by more than --tolerance g/mol, whose formula
+// can't be parsed or that lack either are reported, and the command exits
+// with code 1. The default tolerance allows for rounding and older atomic
+// weight tables (H 1.00794 vs 1.008), not for a wrong formula or typo.
+
+const path = require('path');
+const { parseArgs } = require('util');
+const CompoundExtractor = require('../lib/compound-extractor');
+const MolecularFormula = require('../lib/formula');
+
+const DEFAULT_TOLERANCE = 0.05;
+
+class FormulaValidator {
+    constructor(options = {}) {
+        this.rootDir = options.rootDir || path.join(__dirname, '..');
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_TOLERANCE;
+        this.extractor = options.extractor || new CompoundExtractor({ rootDir: this.rootDir });
+    }
+
+    validate() {
+        const results = this.extractor.listPages()
+            .map(filePath => this.extractor.extractCompound(filePath))
+            .filter(Boolean)
+            .map(compound => this.check(compound));
+
+        return {
+            tolerance: this.tolerance,
+            checked: results.length,
+            failed: results.filter(result => result.status !== 'ok').length,
+            results
+        };
+    }
+
+    // status: ok, mismatch (stated and computed weight disagree), invalid
+    // (formula can't be parsed) or missing (no formula or molecular weight)
+    check(compound) {
+        const stated = compound.molecularWeight ? compound.molecularWeight.value : null;
+        const result = {
+            slug: compound.slug,
+            url: compound.url,
+            formula: compound.formula,
+            statedWeight: stated,
+            computedWeight: null,
+            difference: null,
+            monoisotopicMass: null,
+            status: 'ok',
+            message: null
+        };
+
+        if (!compound.formula || stated === null) {
+            result.status = 'missing';
+            result.message = compound.formula ? 'No molecular weight' : 'No formula';
+            return result;
+        }
+
+        let formula;
+        try {
+            formula = MolecularFormula.parse(compound.formula);
+        } catch (error) {
+            result.status = 'invalid';
+            result.message = error.message;
+            return result;
+        }
+
+        const computed = formula.averageMass();
+        result.computedWeight = Math.round(computed * 100) / 100;
+        result.difference = Math.round((stated - computed) * 1000) / 1000;
+        result.monoisotopicMass = Math.round(formula.monoisotopicMass() * 10000) / 10000;
+        if (Math.abs(stated - computed) > this.tolerance) {
+            result.status = 'mismatch';
+            result.message = `States ${stated} g/mol, ${formula.toString()} is ${result.computedWeight} g/mol`;
+        }
+        return result;
+    }
+
+    printReport(report) {
+        for (const result of report.results) {
+            if (result.status === 'ok') {
+                console.log(`✓ ${result.url}: ${result.formula} ${result.computedWeight} g/mol (monoisotopic ${result.monoisotopicMass})`);
+            } else {
+                console.error(`✗ ${result.url}: ${result.message}`);
+            }
+        }
+
+        if (report.failed === 0) {
+            console.log(`\n✓ All ${report.checked} compound pages state a molecular weight matching their formula (±${report.tolerance} g/mol)`);
+        } else {
+            console.error(`\n✗ ${report.failed} of ${report.checked} compound page(s) failed the formula check`);
+        }
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            'tolerance': { type: 'string', default: String(DEFAULT_TOLERANCE) },
+            'json': { type: 'boolean', default: false },
+        },
+    });
+
+    try {
+        const tolerance = parseFloat(values.tolerance);
+        if (!(tolerance >= 0)) {
+            throw new Error(`Invalid tolerance: ${values.tolerance}`);
+        }
+
+        const validator = new FormulaValidator({ tolerance });
+        const report = validator.validate();
+        if (values.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            validator.printReport(report);
+        }
+        if (report.failed > 0) {
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = FormulaValidator;
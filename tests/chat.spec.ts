@@ -0,0 +1,467 @@
+import { test, expect } from '@playwright/test';
+import { cpSync, mkdtempSync, readFileSync, rmSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import RAGBuilder from '../scripts/build-rag';
+import RAGRetriever from '../lib/rag-retriever';
+import { createChatProvider, MockChatProvider, OpenAICompatibleChatProvider } from '../lib/chat-providers';
+import ChatTools from '../lib/chat-tools';
+import handleChat from '../api/chat';
+
+// These tests run in Node.js only (no browser page)
+
+// Records what a handler sends, like Express's res
+function mockResponse() {
+  const res: any = { statusCode: 200, body: null };
+  res.status = (code: number) => { res.statusCode = code; return res; };
+  res.json = (body: any) => { res.body = body; return res; };
+  return res;
+}
+
+// Serves a chat handler over HTTP, parsing the JSON body like express.json()
+async function serve(handler: any) {
+  const server = createServer((req: any, res: any) => {
+    let body = '';
+    req.on('data', (chunk: any) => { body += chunk; });
+    req.on('end', () => {
+      req.body = JSON.parse(body || '{}');
+      res.status = (code: number) => { res.statusCode = code; return res; };
+      res.json = (data: any) => { res.setHeader('Content-Type', 'application/json'); res.end(JSON.stringify(data)); };
+      handler(req, res);
+    });
+  });
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${(server.address() as any).port}/api/chat` };
+}
+
+// [{ event, data }] from a Server-Sent Events body
+function parseEvents(text: string) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)![1];
+    return { event, data: JSON.parse(block.match(/^data: (.*)$/m)![1]) };
+  });
+}
+
+const eugenolChunk = {
+  id: 1,
+  key: 'compounds/eugenol.html-section-Safety and Considerations-0',
+  pageTitle: 'Compound: Eugenol',
+  pageUrl: 'compounds/eugenol.html',
+  sectionHeading: 'Safety and Considerations',
+  sectionPath: 'Eugenol > Safety and Considerations',
+  sectionAnchor: 'safety-and-considerations',
+  chunkType: 'text',
+  text: 'Eugenol is generally recognized as safe at the levels used in flavors.',
+};
+
+test.describe('Chat providers', () => {
+  test('are chosen and configured per deployment from the environment', () => {
+    expect(createChatProvider({}, { CHAT_PROVIDER: 'mock' }).describe()).toEqual({ provider: 'mock', model: 'mock', temperature: 0, maxTokens: 1000 });
+    // The mock is opt-in: no key means no provider, not mock answers
+    expect(() => createChatProvider({}, {})).toThrow(/needs OPENAI_API_KEY.*CHAT_PROVIDER=mock/);
+    expect(createChatProvider({}, { OPENAI_API_KEY: 'sk-test' }).describe())
+      .toEqual({ provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 1000 });
+
+    const local = createChatProvider({}, {
+      CHAT_PROVIDER: 'openai-compatible',
+      CHAT_BASE_URL: 'http://localhost:11434/v1',
+      CHAT_MODEL: 'llama3.1',
+      CHAT_TEMPERATURE: '0',
+      CHAT_MAX_TOKENS: '400',
+    });
+    expect(local.describe()).toEqual({
+      provider: 'openai-compatible', model: 'llama3.1', temperature: 0, maxTokens: 400, baseURL: 'http://localhost:11434/v1',
+    });
+    // Options win over the environment
+    expect(createChatProvider({ model: 'gpt-4o' }, { OPENAI_API_KEY: 'sk-test', CHAT_MODEL: 'gpt-4o-mini' }).model).toBe('gpt-4o');
+
+    expect(() => createChatProvider({}, { CHAT_PROVIDER: 'openai' })).toThrow(/needs OPENAI_API_KEY/);
+    expect(() => createChatProvider({}, { CHAT_PROVIDER: 'openai-compatible', CHAT_MODEL: 'llama3.1' })).toThrow(/base URL/);
+    expect(() => createChatProvider({}, { CHAT_PROVIDER: 'claude' })).toThrow(/Unknown chat provider "claude"/);
+    expect(() => createChatProvider({}, { CHAT_PROVIDER: 'mock', CHAT_TEMPERATURE: 'warm' })).toThrow(/CHAT_TEMPERATURE/);
+  });
+
+  test('send the configured model and limits to an OpenAI-compatible server', async () => {
+    let received: any = null;
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { url: req.url, body: JSON.parse(body) };
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1', object: 'chat.completion', created: 0, model: 'llama3.1:8b',
+          choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: 'Eugenol is the main clove phenol.' } }],
+        }));
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address() as any;
+
+    try {
+      const provider = new OpenAICompatibleChatProvider({
+        baseURL: `http://127.0.0.1:${port}/v1`, model: 'llama3.1', temperature: 0.2, maxTokens: 300,
+      });
+      const completion = await provider.complete([{ role: 'user', content: 'What is eugenol?' }]);
+
+      expect(completion).toEqual({ content: 'Eugenol is the main clove phenol.', model: 'llama3.1:8b', toolCalls: [] });
+      expect(received.url).toBe('/v1/chat/completions');
+      expect(received.body).toMatchObject({ model: 'llama3.1', temperature: 0.2, max_tokens: 300 });
+    } finally {
+      server.close();
+    }
+  });
+
+  test('run the whole chat handler offline with the mock provider', async () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'chat-site-'));
+    try {
+      for (const page of ['rag.config.json', 'index.html', 'about.html', 'compounds.html', 'cinnamon-roll-tabs.html']) {
+        cpSync(join(process.cwd(), page), join(siteDir, page));
+      }
+      cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+      await new RAGBuilder({ rootDir: siteDir, outputPath: join(siteDir, 'rag-index.json') }).build();
+
+      const chat = handleChat.createChatHandler({
+        provider: new MockChatProvider(),
+        retriever: new RAGRetriever({ rootDir: siteDir }),
+      });
+
+      const res = mockResponse();
+      await chat({ body: { message: 'Is eugenol safe?' } }, res);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.model).toBe('mock');
+      expect(res.body.response).toMatch(/^Mock answer to: Is eugenol safe\?\n\nRetrieved context:\n- /);
+      expect(res.body.sources).toHaveLength(5);
+      expect(res.body.sources.map((source: any) => source.url)).toContain('compounds/eugenol.html');
+      // Every source is quoted in the answer, so the same index gives the same answer
+      for (const source of res.body.sources) {
+        expect(res.body.response).toContain(`(${source.url}): `);
+      }
+
+      // Each quoted line cites its source, linked to the section it came from
+      expect(res.body.citations.map((citation: any) => citation.sources)).toEqual([[1], [2], [3], [4], [5]]);
+      res.body.citations.forEach((citation: any, i: number) => {
+        const source = res.body.sources[i];
+        expect(citation.chunkIds).toEqual([source.id]);
+        expect(res.body.response.slice(citation.start, citation.end)).toBe(citation.text);
+        const line = res.body.response.slice(0, citation.marker.end).split('\n').pop();
+        expect(line).toContain(`(${source.url}): `);
+        expect(line.endsWith(`[${i + 1}]`)).toBe(true);
+        expect(source.href).toBe(`${source.url}#${source.anchor}`);
+        expect(readFileSync(join(siteDir, source.url), 'utf-8')).toContain(`id="${source.anchor}"`);
+      });
+      expect(new Set(res.body.sources.map((source: any) => source.id)).size).toBe(5);
+      const again = mockResponse();
+      await chat({ body: { message: 'Is eugenol safe?' } }, again);
+      expect(again.body).toEqual(res.body);
+
+      const missing = mockResponse();
+      await chat({ body: {} }, missing);
+      expect(missing.statusCode).toBe(400);
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Chat streaming', () => {
+  const retriever = { search: async () => [eugenolChunk] };
+
+  test('relays sources, tokens and done as Server-Sent Events', async () => {
+    const provider = new MockChatProvider();
+    const { server, url } = await serve(handleChat.createChatHandler({ provider, retriever }));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Is eugenol safe?', stream: true }),
+      });
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+      const events = parseEvents(await response.text());
+
+      const source = {
+        number: 1,
+        id: 'compounds/eugenol.html-section-Safety and Considerations-0',
+        title: 'Compound: Eugenol',
+        url: 'compounds/eugenol.html',
+        section: 'Eugenol > Safety and Considerations',
+        anchor: 'safety-and-considerations',
+        href: 'compounds/eugenol.html#safety-and-considerations',
+      };
+      expect(events[0]).toEqual({ event: 'sources', data: { sources: [source] } });
+      const done = events.at(-1)!;
+      expect(done.event).toBe('done');
+      expect(done.data.model).toBe('mock');
+      expect(done.data.citations).toHaveLength(1);
+      expect(done.data.citations[0]).toMatchObject({ sources: [1], chunkIds: [source.id] });
+      const tokens = events.slice(1, -1);
+      expect(tokens.length).toBeGreaterThan(10);
+      expect(tokens.every(({ event }) => event === 'token')).toBe(true);
+
+      // The streamed answer is the JSON answer, piece by piece
+      const { content } = await provider.complete([{ role: 'user', content: 'Is eugenol safe?' }], { chunks: [eugenolChunk] });
+      expect(tokens.map(({ data }) => data.text).join('')).toBe(content);
+
+      const json = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Is eugenol safe?' }),
+      });
+      const body = await json.json();
+      expect(body.response).toBe(content);
+      expect(body.citations).toEqual(done.data.citations);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('stops generating when the client disconnects', async () => {
+    const mock = new MockChatProvider({ delay: 20 });
+    let yielded = 0;
+    let finished = false;
+    const provider = {
+      describe: () => mock.describe(),
+      complete: (messages: any, context: any) => mock.complete(messages, context),
+      async *stream(messages: any, context: any, options: any) {
+        for await (const delta of mock.stream(messages, context, options)) {
+          yielded++;
+          yield delta;
+        }
+        finished = true;
+      },
+    };
+    const { server, url } = await serve(handleChat.createChatHandler({ provider, retriever }));
+    try {
+      const controller = new AbortController();
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ message: 'Is eugenol safe?' }),
+        signal: controller.signal,
+      });
+      const reader = response.body!.getReader();
+      let received = '';
+      while ((received.match(/event: token/g) || []).length < 3) {
+        received += new TextDecoder().decode((await reader.read()).value);
+      }
+      controller.abort();
+
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const { content } = await mock.complete([{ role: 'user', content: 'Is eugenol safe?' }], { chunks: [eugenolChunk] });
+      expect(finished).toBe(true);
+      expect(yielded).toBeLessThan(content.match(/\s*\S+/g)!.length / 2);
+    } finally {
+      server.close();
+    }
+  });
+
+  test('ends the stream with an error event when the provider fails', async () => {
+    const provider = {
+      describe: () => ({ provider: 'broken', model: 'broken' }),
+      async *stream() {
+        yield { content: 'Eugenol', model: 'broken' };
+        throw new Error('connection reset by the model server');
+      },
+    };
+    const { server, url } = await serve(handleChat.createChatHandler({ provider, retriever }));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Is eugenol safe?', stream: true }),
+      });
+      const events = parseEvents(await response.text());
+      expect(events.map(({ event }) => event)).toEqual(['sources', 'token', 'error']);
+      expect(events[2].data.message).toBe('connection reset by the model server');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+test.describe('Chat citations', () => {
+  const sources = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+
+  test('number the context sources with their section links', () => {
+    const messages = handleChat.buildMessages('Is eugenol safe?', [], [eugenolChunk, { ...eugenolChunk, sectionAnchor: null }]);
+    const system = messages[0].content;
+
+    expect(system).toContain('[1] Eugenol > Safety and Considerations (compounds/eugenol.html#safety-and-considerations)\nEugenol is generally');
+    expect(system).toContain('[2] Eugenol > Safety and Considerations (compounds/eugenol.html)\n');
+    expect(system).toMatch(/cite its numbered source/);
+  });
+
+  test('map each marker to the claim before it and its chunk ids', () => {
+    const answer = 'Eugenol is safe at flavor levels [1]. Kamat et al. 2000 showed antioxidant effects, e.g. in liver [2][3].\n'
+      + '- Cinnamaldehyde is pungent [2, 3]\nNothing supports this [9].';
+    const citations = handleChat.mapCitations(answer, sources);
+
+    expect(citations.map((c: any) => [c.text, c.sources, c.chunkIds])).toEqual([
+      ['Eugenol is safe at flavor levels', [1], ['a']],
+      ['Kamat et al. 2000 showed antioxidant effects, e.g. in liver', [2, 3], ['b', 'c']],
+      ['Cinnamaldehyde is pungent', [2, 3], ['b', 'c']],
+    ]);
+    for (const citation of citations) {
+      expect(answer.slice(citation.start, citation.end)).toBe(citation.text);
+      expect(answer.slice(citation.marker.start, citation.marker.end)).toMatch(/^\[[\d, \]\[]+\]$/);
+    }
+    expect(handleChat.mapCitations('No markers here.', sources)).toEqual([]);
+  });
+});
+
+test.describe('Chat tools', () => {
+  const retriever = { search: async () => [eugenolChunk] };
+  const question = 'How much coumarin is in one cinnamon roll, and is it under the TDI for a 20 kg child?';
+  const coumarinScript = [
+    [{ name: 'get_coa_results', arguments: { compound: 'Coumarin' } }, { name: 'lookup_compound', arguments: { name: 'coumarin' } }],
+    [{ name: 'calculate_exposure', arguments: { servingSize: 100, population: 'child', compound: 'Coumarin' } }],
+  ];
+
+  test('answer from compound records, CoA rows, the index and exposure arithmetic', async () => {
+    const tools = new ChatTools({ retriever });
+    expect(tools.definitions().map((tool: any) => tool.function.name))
+      .toEqual(['lookup_compound', 'get_coa_results', 'search_site', 'calculate_exposure']);
+    expect(new ChatTools().definitions().map((tool: any) => tool.function.name)).not.toContain('search_site');
+
+    const coumarin = await tools.run('lookup_compound', { name: '91-64-5' });
+    expect(coumarin).toMatchObject({ name: 'Coumarin', url: 'compounds/coumarin.html', formula: 'C₉H₆O₂' });
+    expect(coumarin.regulatory.healthGuidance).toEqual({ type: 'TDI', value: 0.1, source: 'EFSA 2008' });
+
+    // Arguments may come as the JSON text the model wrote
+    const rows = await tools.run('get_coa_results', '{"certificate": "TP-2024-001", "compound": "coumarin"}');
+    expect(rows.certificates[0].results).toEqual([
+      { name: 'Coumarin', cas: '91-64-5', retentionTime: 16.34, areaPercent: 2.1, concentration: 7.5, page: 'compounds/coumarin.html', compliance: 'warn' },
+    ]);
+
+    const search = await tools.run('search_site', { query: 'eugenol safety' });
+    expect(search.results[0].href).toBe('compounds/eugenol.html#safety-and-considerations');
+
+    // 7.5 μg/g × 100 g = 0.75 mg; / 20 kg = 0.0375 mg/kg bw/day, 37.5% of the TDI
+    const exposure = await tools.run('calculate_exposure', { servingSize: 100, population: 'child', compound: 'Coumarin' });
+    expect(exposure).toMatchObject({ unit: 'mg/kg bw/day', certificateNumber: 'TP-2024-001', bodyWeight: 20, exceeded: [] });
+    expect(exposure.compounds).toHaveLength(1);
+    expect(exposure.compounds[0]).toMatchObject({ intake: 0.75, exposure: 0.0375, percentOfGuidance: 37.5, status: 'pass' });
+
+    await expect(tools.run('brew_coffee', {})).rejects.toThrow('Unknown tool: brew_coffee');
+    await expect(tools.run('lookup_compound', '{"name":')).rejects.toThrow(/not valid JSON/);
+    await expect(tools.run('lookup_compound', { name: 'unobtainium' })).rejects.toThrow(/No compound page for "unobtainium"/);
+    await expect(tools.run('calculate_exposure', { certificate: 'TP-1999-000', servingSize: 100 })).rejects.toThrow(/Certificate not found/);
+    await expect(tools.run('calculate_exposure', { servingSize: 0 })).rejects.toThrow('Serving size must be a positive number');
+  });
+
+  test('run the tool calls a scripted mock makes and return them with the answer', async () => {
+    const provider = new MockChatProvider({ toolCalls: [...coumarinScript, [{ name: 'brew_coffee', arguments: {} }]] });
+    const chat = handleChat.createChatHandler({ provider, retriever });
+
+    const res = mockResponse();
+    await chat({ body: { message: question } }, res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.toolCalls.map((call: any) => [call.id, call.name])).toEqual([
+      ['call_1_1', 'get_coa_results'],
+      ['call_1_2', 'lookup_compound'],
+      ['call_2_1', 'calculate_exposure'],
+      ['call_3_1', 'brew_coffee'],
+    ]);
+    const [rows, , exposure, unknown] = res.body.toolCalls;
+    expect(rows.arguments).toEqual({ compound: 'Coumarin' });
+    expect(rows.result.certificates[0].results[0].concentration).toBe(7.5);
+    expect(exposure.result.compounds[0]).toMatchObject({ exposure: 0.0375, status: 'pass' });
+    expect(unknown).toEqual({ id: 'call_3_1', name: 'brew_coffee', arguments: {}, error: 'Unknown tool: brew_coffee' });
+
+    // The model sees each result, errors included
+    expect(res.body.response).toContain('Tool results:\n- get_coa_results: {"certificates":');
+    expect(res.body.response).toContain('"exposure":0.0375');
+    expect(res.body.response).toContain('- brew_coffee: {"error":"Unknown tool: brew_coffee"}');
+
+    // A model that keeps calling tools has to answer after four rounds
+    const looping = new MockChatProvider({ toolCalls: Array(6).fill([{ name: 'lookup_compound', arguments: { name: 'eugenol' } }]) });
+    const loopRes = mockResponse();
+    await handleChat.createChatHandler({ provider: looping, retriever })({ body: { message: 'eugenol?' } }, loopRes);
+    expect(loopRes.body.toolCalls).toHaveLength(4);
+    expect(loopRes.body.response).toMatch(/^Mock answer to: eugenol\?/);
+
+    // Without tools the same provider just answers
+    const plain = mockResponse();
+    await handleChat.createChatHandler({ provider, retriever, tools: null })({ body: { message: question } }, plain);
+    expect(plain.body.toolCalls).toEqual([]);
+    expect(plain.body.response).not.toContain('Tool results:');
+  });
+
+  test('stream tool calls and their results before the answer', async () => {
+    const provider = new MockChatProvider({ toolCalls: coumarinScript });
+    const { server, url } = await serve(handleChat.createChatHandler({ provider, retriever }));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: question, stream: true }),
+      });
+      const events = parseEvents(await response.text());
+      const names = events.map(({ event }) => event);
+
+      expect(names.slice(0, 7)).toEqual(['sources', 'tool_call', 'tool_result', 'tool_call', 'tool_result', 'tool_call', 'tool_result']);
+      expect(names.slice(7, -1).every(name => name === 'token')).toBe(true);
+      expect(names.at(-1)).toBe('done');
+      expect(events[5].data).toEqual({
+        id: 'call_2_1', name: 'calculate_exposure', arguments: { servingSize: 100, population: 'child', compound: 'Coumarin' },
+      });
+      expect(events[6].data.result.compounds[0].percentOfGuidance).toBe(37.5);
+      expect(events.slice(7, -1).map(({ data }) => data.text).join('')).toContain('- calculate_exposure: {"unit":"mg/kg bw/day"');
+    } finally {
+      server.close();
+    }
+  });
+
+  test('offer the tools to an OpenAI-compatible server and send back the results', async () => {
+    const requests: any[] = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        const send = (delta: any) => res.write(`data: ${JSON.stringify({
+          id: 'chatcmpl-1', object: 'chat.completion.chunk', created: 0, model: 'llama3.1:8b', choices: [{ index: 0, delta, finish_reason: null }],
+        })}\n\n`);
+        if (requests.length === 1) {
+          // The call arrives in pieces
+          send({ role: 'assistant', tool_calls: [{ index: 0, id: 'call_abc', type: 'function', function: { name: 'get_coa_results', arguments: '' } }] });
+          send({ tool_calls: [{ index: 0, function: { arguments: '{"compound":' } }] });
+          send({ tool_calls: [{ index: 0, function: { arguments: ' "Coumarin"}' } }] });
+        } else {
+          send({ role: 'assistant', content: 'The roll has 7.5 μg/g coumarin' });
+          send({ content: ' [1].' });
+        }
+        res.end('data: [DONE]\n\n');
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    const provider = new OpenAICompatibleChatProvider({ baseURL: `http://127.0.0.1:${(server.address() as any).port}/v1`, model: 'llama3.1' });
+    const chat = await serve(handleChat.createChatHandler({ provider, retriever }));
+
+    try {
+      const response = await fetch(chat.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: question, stream: true }),
+      });
+      const events = parseEvents(await response.text());
+
+      expect(events[1]).toEqual({ event: 'tool_call', data: { id: 'call_abc', name: 'get_coa_results', arguments: { compound: 'Coumarin' } } });
+      expect(events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('')).toBe('The roll has 7.5 μg/g coumarin [1].');
+      expect(events.at(-1)!.data).toMatchObject({ model: 'llama3.1:8b', citations: [{ text: 'The roll has 7.5 μg/g coumarin', chunkIds: [eugenolChunk.key] }] });
+
+      expect(requests).toHaveLength(2);
+      expect(requests[0].tools.map((tool: any) => tool.function.name)).toContain('calculate_exposure');
+      const [call, result] = requests[1].messages.slice(-2);
+      expect(call).toMatchObject({ role: 'assistant', tool_calls: [{ id: 'call_abc', type: 'function', function: { name: 'get_coa_results', arguments: '{"compound": "Coumarin"}' } }] });
+      expect(result.role).toBe('tool');
+      expect(result.tool_call_id).toBe('call_abc');
+      expect(JSON.parse(result.content).certificates[0].results[0].concentration).toBe(7.5);
+    } finally {
+      chat.server.close();
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,668 @@
+import { test, expect } from '@playwright/test';
+import { copyFileSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import CertificateOfAnalysis from '../lib/coa';
+import CoaTool from '../scripts/coa';
+import PeakTableImporter from '../lib/peak-table';
+import RetentionIndex from '../lib/retention-index';
+import ProductSpecification from '../lib/coa-spec';
+import CoaComparison from '../lib/coa-comparison';
+import RegulatoryChecker from '../lib/regulatory';
+import ExposureCalculator from '../lib/exposure';
+import handleExposure from '../api/exposure';
+import SensoryAnalyzer from '../lib/sensory';
+
+// These tests run in Node.js only (no browser page)
+
+const certificatePath = join(process.cwd(), 'data/coa/TP-2024-001.json');
+
+test.describe('Certificate of Analysis', () => {
+  test('round-trips through CSV and JSON', () => {
+    const coa = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+    const fromCSV = CertificateOfAnalysis.fromCSV(coa.toCSV());
+
+    expect(fromCSV.toJSON()).toEqual(coa.toJSON());
+    expect(coa.compounds[0]).toEqual({
+      name: 'Cinnamaldehyde',
+      cas: '104-55-2',
+      retentionTime: 12.45,
+      areaPercent: 68.5,
+      concentration: 245.3,
+      matchQuality: 98.2,
+      retentionIndex: null,
+      page: 'compounds/cinnamaldehyde.html',
+      flags: [],
+      // Rated on load against the current regulatory data (see 'Regulatory compliance')
+      compliance: null,
+      complianceRule: null
+    });
+    expect(coa.complianceCheck).toEqual({ category: 'traditional-cinnamon-bakery', dosage: null });
+    expect(coa.validate()).toEqual([]);
+  });
+
+  test('imports lab CSV with alternative headers, quoting and tabs', () => {
+    const coa = CertificateOfAnalysis.fromCSV([
+      '# Certificate No.: TP-2024-002',
+      '# Sample Name: Cinnamon Bark Oil',
+      '# Note: Single injection',
+      'Name,CAS,Retention Time,Area,Conc. (mg/kg),Similarity',
+      '"Cinnamaldehyde, (E)-",104-55-2,12.45,71.2%,250.1,97',
+      'Eugenol,97-53-0,15.23,9.1,,96.5'
+    ].join('\r\n'));
+
+    expect(coa.certificateNumber).toBe('TP-2024-002');
+    expect(coa.concentrationUnit).toBe('mg/kg');
+    expect(coa.notes).toEqual(['Single injection']);
+    expect(coa.compounds[0]).toMatchObject({ name: 'Cinnamaldehyde, (E)-', areaPercent: 71.2, matchQuality: 97 });
+    expect(coa.compounds[1].concentration).toBeNull();
+
+    const tsv = CertificateOfAnalysis.fromCSV('# Sample Name: Test\nCompound\tRT\nLinalool\t9.87\n');
+    expect(tsv.compounds).toEqual([expect.objectContaining({ name: 'Linalool', retentionTime: 9.87 })]);
+  });
+
+  test('reports invalid certificates', () => {
+    const coa = CertificateOfAnalysis.fromJSON({
+      date: 'March 2024',
+      sample: { name: 'Bad batch' },
+      compounds: [
+        { name: 'Cinnamaldehyde', cas: '104552', areaPercent: 80, matchQuality: 120 },
+        { areaPercent: 30 }
+      ]
+    });
+
+    expect(coa.validate()).toEqual([
+      'Missing certificate number',
+      'Date must be YYYY-MM-DD: March 2024',
+      'Row 1 (Cinnamaldehyde): invalid CAS number "104552"',
+      'Row 1 (Cinnamaldehyde): matchQuality 120 out of range',
+      'Row 2: missing compound name',
+      'Total area 110% exceeds 100%'
+    ]);
+    expect(() => CertificateOfAnalysis.fromCSV('RT,Area\n1.2,3\n')).toThrow('no compound name column');
+  });
+
+  test('renders the coa-document layout with computed totals', () => {
+    const coa = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+    const html = coa.toHTML();
+
+    expect(html).toContain('<td>TP-2024-001</td>');
+    expect(html).toContain('<td><strong>Cinnamaldehyde</strong></td>');
+    expect(html).toContain('<td><a href="compounds/cinnamaldehyde.html" class="coa-link">View →</a></td>');
+    expect(html).toContain('<td>98.2%</td>');
+    expect(html).toContain('<td><strong>99.8%</strong></td>');
+    expect(html).toContain('<td><strong>357.4</strong></td>');
+    // No date on record, and no script filling one in
+    expect(html).toContain('<td><strong>Date:</strong></td>\n                <td>—</td>');
+
+    coa.date = '2024-03-15';
+    expect(coa.toHTML()).toContain('<td>March 15, 2024</td>');
+  });
+
+  test('renders marked blocks in pages and keeps them up to date', () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'coa-'));
+    try {
+      const tool = new CoaTool({ rootDir: siteDir });
+      // The certificate's compliance check is rated against the site's regulatory data
+      mkdirSync(join(siteDir, 'data'));
+      copyFileSync(join(process.cwd(), 'data/regulatory.json'), join(siteDir, 'data/regulatory.json'));
+      const coa = tool.importFile(certificatePath, join(siteDir, 'data/coa/TP-2024-001.json'));
+      writeFileSync(join(siteDir, 'report.html'), [
+        '<main>',
+        '    <!-- coa:begin data/coa/TP-2024-001.json -->',
+        '    <p>stale</p>',
+        '    <!-- coa:end -->',
+        '</main>'
+      ].join('\n'));
+
+      expect(tool.renderPages()).toEqual(['report.html']);
+      const html = readFileSync(join(siteDir, 'report.html'), 'utf-8');
+      expect(html).not.toContain('stale');
+      expect(html).toContain(`    <div class="coa-document">`);
+      expect(html).toContain(coa.toHTML('    '));
+      expect(tool.renderPage(html)).toBe(html);
+
+      // The committed pages match the committed certificate
+      const repo = new CoaTool();
+      for (const page of ['coa.html', 'cinnamon-roll-tabs.html']) {
+        const pageHtml = readFileSync(join(process.cwd(), page), 'utf-8');
+        expect(repo.renderPage(pageHtml)).toBe(pageHtml);
+      }
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('GC-MS peak table import', () => {
+  const fixture = (name: string) => readFileSync(join(process.cwd(), 'tests/fixtures/gcms', name), 'utf-8');
+
+  test('imports a Shimadzu MC peak table with library hits and internal standard', () => {
+    const template = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+    const { coa, report, excluded, internalStandard, unmatched } = new PeakTableImporter().importReport(
+      fixture('shimadzu-mc-peak-table.txt'),
+      { certificateNumber: 'TP-2024-002', template, internalStandardAmount: 50, sampleMass: 2.0 }
+    );
+
+    expect(report.format).toBe('shimadzu');
+    expect(coa.sample.name).toBe('Cinnamon Roll Batch 12');
+    expect(coa.method).toEqual(template.method);
+    expect(internalStandard.name).toBe('Naphthalene-d8');
+    // 9,812,000 / 1,000,000 × 50 μg / 2.0 g
+    expect(coa.compounds[0]).toEqual({
+      name: 'Cinnamaldehyde',
+      cas: '104-55-2',
+      retentionTime: 12.451,
+      areaPercent: 70.6,
+      concentration: 245.3,
+      matchQuality: 98,
+      retentionIndex: null,
+      page: 'compounds/cinnamaldehyde.html',
+      flags: [],
+      compliance: null,
+      complianceRule: null
+    });
+    expect(coa.compounds.map((c: any) => c.name)).not.toContain('Naphthalene-d8');
+    expect(excluded.map(({ peak, reason }: any) => `${peak.name}: ${reason}`)).toEqual([
+      'Hexane: solvent delay',
+      'Cyclotetrasiloxane, octamethyl-: column bleed',
+      'Unknown: unidentified',
+      'Cyclohexasiloxane, dodecamethyl-: column bleed'
+    ]);
+    expect(unmatched).toEqual(['Caryophyllene']);
+    expect(coa.compounds.find((c: any) => c.name === 'Caryophyllene').page).toBeNull();
+    expect(coa.validate()).toEqual([]);
+  });
+
+  test('imports a delimited peak report and maps library names to compound pages', () => {
+    const { coa, report, excluded } = new PeakTableImporter().importReport(
+      fixture('agilent-peak-report.csv'),
+      { certificateNumber: 'TP-2024-003', internalStandardAmount: 50, sampleMass: 2.0 }
+    );
+
+    expect(report.format).toBe('delimited');
+    expect(report.metadata['Sample Name']).toBe('Cinnamon Roll Batch 13');
+    expect(coa.sample.name).toBe('Cinnamon Roll Batch 13');
+    expect(coa.compounds.map((c: any) => c.page)).toEqual([
+      'compounds/cinnamaldehyde.html',
+      'compounds/eugenol.html',
+      'compounds/linalool.html',
+      'compounds/vanillin.html',
+      'compounds/coumarin.html',
+      'compounds/limonene.html'
+    ]);
+    // "Cinnamaldehyde, (E)-" (14371-10-9) is linked to the cinnamaldehyde page
+    // (104-55-2) but keeps its library name and CAS number; the vanillin hit
+    // has the page's CAS number, so it takes the page's name
+    expect(coa.compounds[0]).toMatchObject({ name: 'Cinnamaldehyde, (E)-', cas: '14371-10-9', concentration: 171 });
+    expect(coa.compounds[3]).toMatchObject({ name: 'Vanillin', cas: '121-33-5', page: 'compounds/vanillin.html' });
+    expect(excluded.map(({ reason }: any) => reason)).toEqual(['solvent delay', 'low match quality', 'column bleed']);
+    expect(coa.totals().areaPercent).toBeCloseTo(100, 0);
+  });
+
+  test('links isomers to the page without renaming or merging them', () => {
+    const importer = new PeakTableImporter({
+      compounds: [{ slug: 'pinene', name: 'Pinene', casNumber: '80-56-8', url: 'compounds/pinene.html' }],
+      config: { exclude: [], internalStandard: null, aliases: { pinene: ['7785-70-8'] }, isomers: { pinene: ['127-91-3'] } }
+    });
+    const report = 'Peak,RT,Area,Name,CAS\n' +
+      '1,5.89,900,alpha-Pinene,80-56-8\n' +
+      '2,6.95,300,beta-Pinene,127-91-3\n';
+
+    const { coa } = importer.importReport(report, { certificateNumber: 'T' });
+    expect(coa.compounds.map((c: any) => [c.name, c.cas, c.page])).toEqual([
+      ['Pinene', '80-56-8', 'compounds/pinene.html'],
+      ['beta-Pinene', '127-91-3', 'compounds/pinene.html']
+    ]);
+
+    // Rows with different CAS numbers stay apart even on the same page
+    const other = CertificateOfAnalysis.fromJSON({ ...coa.toJSON(), certificateNumber: 'U' });
+    const rows = new CoaComparison([coa, other], { casAliases: importer.casAliases() }).report().compounds;
+    expect(rows.map((c: any) => c.name)).toEqual(['Pinene', 'beta-Pinene']);
+  });
+
+  test('applies configurable rules and needs the internal standard to quantify', () => {
+    const importer = new PeakTableImporter({
+      compounds: [{ slug: 'eugenol', name: 'Eugenol', casNumber: '97-53-0', url: 'compounds/eugenol.html' }],
+      config: { exclude: [{ reason: 'late eluter', retentionTimeAbove: 20 }], internalStandard: null, aliases: {} }
+    });
+    const report = 'Peak\tR.T.\tArea\tName\tCAS\tMatch Factor\n' +
+      '1\t15.2\t1000\tEugenol\t000097530\t912\n' +
+      '2\t24.8\t50\tSqualene\t111-02-4\t880\n';
+
+    const { coa, excluded } = importer.importReport(report, { certificateNumber: 'T' });
+    expect(coa.compounds).toEqual([expect.objectContaining({
+      name: 'Eugenol', cas: '97-53-0', areaPercent: 100, concentration: null, matchQuality: 91.2
+    })]);
+    expect(excluded).toEqual([expect.objectContaining({ reason: 'late eluter' })]);
+    expect(() => importer.importReport(report, { internalStandardAmount: 50, sampleMass: 2 }))
+      .toThrow('Internal standard peak not found');
+  });
+});
+
+test.describe('Retention indices', () => {
+  const ladderPath = join(process.cwd(), 'tests/fixtures/gcms/alkane-ladder.csv');
+
+  test('reads an alkane ladder run and converts retention times to linear and Kovats RI', () => {
+    const ladder = RetentionIndex.loadLadder(ladderPath);
+    expect(ladder.alkanes).toHaveLength(13);
+    expect(ladder.alkanes[0]).toEqual({ carbons: 8, retentionTime: 4.1 });
+
+    const linear = new RetentionIndex({ ladder });
+    expect(linear.range).toBe('C8–C20');
+    expect(linear.calculate(6.5)).toBe(1000);
+    // Two thirds of the way from C12 (9.40) to C13 (10.90)
+    expect(linear.calculate(10.405)).toBe(1267);
+    expect(linear.calculate(3.2)).toBeNull();
+
+    const kovats = new RetentionIndex({
+      ladder: { mode: 'kovats', deadTime: 1.0, alkanes: [{ carbons: 10, retentionTime: 5.0 }, { carbons: 11, retentionTime: 17.0 }] }
+    });
+    // Adjusted time 8 min is the geometric mean of 4 and 16 min
+    expect(kovats.calculate(9.0)).toBe(1050);
+    expect(RetentionIndex.alkaneCarbons('n-C16')).toBe(16);
+  });
+
+  test('adds an RI column and flags peaks that disagree with their identification', () => {
+    const coa = CertificateOfAnalysis.fromJSON({
+      certificateNumber: 'TP-2024-004',
+      sample: { name: 'RI check' },
+      method: { column: 'HP-5MS (30m × 0.25mm × 0.25μm)' },
+      compounds: [
+        { name: 'Cinnamaldehyde', retentionTime: 10.405, areaPercent: 80, page: 'compounds/cinnamaldehyde.html' },
+        { name: 'Vanillin', retentionTime: 10.6, areaPercent: 15, page: 'compounds/vanillin.html' },
+        { name: 'Unlisted', retentionTime: 11.0, areaPercent: 4 },
+        { name: 'Early', retentionTime: 3.2, areaPercent: 1 }
+      ]
+    });
+    expect(coa.toHTML()).not.toContain('<th>RI</th>');
+
+    const suspect = new RetentionIndex({ ladder: RetentionIndex.loadLadder(ladderPath) }).apply(coa);
+
+    expect(coa.compounds.map((c: any) => c.retentionIndex)).toEqual([1267, 1280, 1307, null]);
+    expect(suspect.map((c: any) => c.name)).toEqual(['Vanillin', 'Early']);
+    expect(coa.compounds[1].flags).toEqual(['RI 1280 outside expected 1374–1414 for Vanillin on DB-5']);
+    expect(coa.compounds[3].flags).toEqual(['RT 3.2 min is outside the C8–C20 alkane ladder']);
+    expect(coa.method.riLadder).toBe('alkane-ladder, C8–C20, linear RI');
+
+    const html = coa.toHTML();
+    expect(html).toContain('<th>RI</th>');
+    expect(html).toContain('<td class="coa-ri">1267</td>');
+    expect(html).toContain('<tr class="coa-suspect" title="RI 1280 outside expected 1374–1414 for Vanillin on DB-5">');
+    expect(html).toContain('<td class="coa-ri">1280 ⚠</td>');
+    expect(html).toContain('<td colspan="3"></td>');
+    expect(html).toContain('<td><strong>Suspect Peaks:</strong></td>');
+
+    // RI and flags survive a CSV round trip
+    expect(CertificateOfAnalysis.fromCSV(coa.toCSV()).toJSON()).toEqual(coa.toJSON());
+  });
+
+  test('looks up reference data by CAS number and name before the shared page', () => {
+    const pinene = [
+      // β-Pinene shares the pinene page but is not α-pinene
+      { name: 'beta-Pinene', cas: '127-91-3', retentionTime: 6.21, areaPercent: 2, page: 'compounds/pinene.html' },
+      // 7785-70-8 is a gcms.config.json alias of the pinene page's α-pinene
+      { name: '(+)-alpha-Pinene', cas: '7785-70-8', retentionTime: 6.21, areaPercent: 1, page: 'compounds/pinene.html' },
+      { name: 'Pinene (α)', cas: '80-56-8', retentionTime: 5.7, areaPercent: 1, page: 'compounds/pinene.html' }
+    ];
+    const coa = CertificateOfAnalysis.fromJSON({
+      certificateNumber: 'TP-2024-006',
+      method: { column: 'DB-5MS' },
+      compounds: pinene
+    });
+
+    new RetentionIndex({ ladder: RetentionIndex.loadLadder(ladderPath) }).apply(coa);
+    expect(coa.compounds.map((c: any) => [c.retentionIndex, c.flags])).toEqual([
+      [976, []],
+      [976, ['RI 976 outside expected 917–947 for α-Pinene on DB-5']],
+      [933, []]
+    ]);
+
+    const regulatory = new RegulatoryChecker();
+    const sensory = new SensoryAnalyzer();
+    const exposure = new ExposureCalculator({ guidance: regulatory.compounds, aliasPages: regulatory.aliasPages });
+    expect(pinene.map(row => [regulatory.entryFor(row), sensory.entryFor(row), exposure.entryFor(row)]
+      .map(entry => entry && entry.cas))).toEqual([
+      [null, null, null],
+      ['80-56-8', '80-56-8', '80-56-8'],
+      ['80-56-8', '80-56-8', '80-56-8']
+    ]);
+    // A row with neither CAS number nor name falls back to its page
+    expect(regulatory.entryFor({ page: 'compounds/pinene.html' }).name).toBe('α-Pinene');
+  });
+});
+
+test.describe('Batch comparison', () => {
+  const specPath = join(process.cwd(), 'data/specs/cinnamon-roll-flavor.json');
+  const batchPath = join(process.cwd(), 'tests/fixtures/coa/TP-2024-002.json');
+
+  test('checks certificates against the product specification', () => {
+    const spec = ProductSpecification.load(specPath);
+    const baseline = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+    expect(spec.check(baseline)).toEqual([]);
+
+    const findings = spec.check(CertificateOfAnalysis.fromJSON(readFileSync(batchPath, 'utf-8')));
+    expect(findings.map((f: any) => [f.compound, f.field, f.reason])).toEqual([
+      ['Vanillin', 'areaPercent', 'below minimum'],
+      ['Vanillin', 'concentration', 'below minimum'],
+      ['Coumarin', 'areaPercent', 'above maximum'],
+      ['Methyl eugenol', null, 'forbidden']
+    ]);
+    expect(findings[2].message).toBe('Coumarin area 3.4% above spec ≤ 3%');
+
+    // Required compounds must be present, and mg/kg is the same as μg/g
+    const partial = CertificateOfAnalysis.fromJSON({
+      certificateNumber: 'TP-2024-005',
+      concentrationUnit: 'mg/kg',
+      compounds: [{ name: 'Cinnamaldehyde', areaPercent: 70, concentration: 250 }]
+    });
+    expect(spec.check(partial).map((f: any) => f.message)).toEqual([
+      'Eugenol not detected (spec area 6.5–10%)',
+      'Linalool not detected (spec area 4.5–7.5%)',
+      'Vanillin not detected (spec area 3.5–6%)',
+      'Cinnamyl Acetate not detected (spec area 2–4.5%)'
+    ]);
+  });
+
+  test('reports changes between batches as JSON and in the CoA layout', () => {
+    const comparison = new CoaTool().compare([certificatePath, batchPath], { spec: specPath, generated: '2024-04-15T09:00:00.000Z' });
+    const report = comparison.report();
+
+    expect(report.baseline).toBe('TP-2024-001');
+    expect(report.certificates.map((c: any) => [c.certificateNumber, c.inSpec, c.outOfSpec])).toEqual([
+      ['TP-2024-001', true, 0],
+      ['TP-2024-002', false, 4]
+    ]);
+    expect(report.appeared).toEqual([{ certificateNumber: 'TP-2024-002', compound: 'Methyl eugenol' }]);
+    expect(report.disappeared).toEqual([{ certificateNumber: 'TP-2024-002', compound: 'Safrole' }]);
+
+    const cinnamaldehyde = report.compounds.find((c: any) => c.name === 'Cinnamaldehyde');
+    expect(cinnamaldehyde.batches[1]).toEqual({
+      certificateNumber: 'TP-2024-002',
+      areaPercent: 69.4,
+      concentration: 249.5,
+      change: { areaPercent: 1.3, concentration: 1.7 },
+      status: 'present',
+      outOfSpec: []
+    });
+    expect(CoaComparison.percentChange(3.4, 2.1)).toBe(61.9);
+    expect(JSON.parse(JSON.stringify(comparison))).toEqual(report);
+
+    const html = comparison.toHTML();
+    expect(html).toContain('<h1>BATCH COMPARISON REPORT</h1>');
+    expect(html).toContain('<td class="coa-batch">69.4 / 249.5<small>+1.3% / +1.7%</small></td>');
+    expect(html).toContain('<td class="coa-batch coa-disappeared">—<small>not detected</small></td>');
+    expect(html).toContain('<td class="coa-out-of-spec">✗ 4 out of spec</td>');
+    expect(html).toContain('<li><strong>TP-2024-002:</strong> Coumarin area 3.4% above spec ≤ 3%</li>');
+
+    expect(() => new CoaComparison([CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'))]))
+      .toThrow('A comparison needs at least two certificates');
+  });
+
+  test('compares a hand-entered certificate with an imported peak report', () => {
+    const importer = new PeakTableImporter();
+    const { coa: imported } = importer.importReport(
+      readFileSync(join(process.cwd(), 'tests/fixtures/gcms/agilent-peak-report.csv'), 'utf-8'),
+      { certificateNumber: 'TP-2024-003', internalStandardAmount: 50, sampleMass: 2.0 }
+    );
+    const baseline = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+
+    // Stereo and registry aliases compare as the page compound; isomers don't
+    const casAliases = importer.casAliases();
+    expect(casAliases.get('14371-10-9')).toBe('104-55-2');
+    expect(casAliases.has('127-91-3')).toBe(false);
+
+    const spec = ProductSpecification.load(specPath, { casAliases });
+    const report = new CoaComparison([baseline, imported], { spec, casAliases }).report();
+
+    // "Cinnamaldehyde, (E)-" (14371-10-9) is the baseline's Cinnamaldehyde (104-55-2)
+    expect(report.appeared).toEqual([]);
+    expect(report.disappeared.map((d: any) => d.compound)).not.toContain('Cinnamaldehyde');
+    expect(report.compounds.filter((c: any) => /cinnamaldehyde/i.test(c.name)).map((c: any) => c.name)).toEqual(['Cinnamaldehyde']);
+    expect(report.compounds.find((c: any) => c.name === 'Cinnamaldehyde').batches[1]).toMatchObject({
+      areaPercent: 71.8,
+      concentration: 171,
+      status: 'present',
+      outOfSpec: ['Cinnamaldehyde concentration 171 μg/g below spec 210–280 μg/g']
+    });
+    // The imported row keeps its library name and CAS number
+    expect(imported.compounds[0]).toMatchObject({ name: 'Cinnamaldehyde, (E)-', cas: '14371-10-9' });
+  });
+});
+
+test.describe('Regulatory compliance', () => {
+  test('rates compounds against maximum levels and flavoring status for a food category', () => {
+    const checker = new RegulatoryChecker();
+    const coumarin = { name: 'Coumarin', cas: '91-64-5', concentration: 7.5 };
+
+    // 7.5 mg/kg in the neat flavor is above the 5 mg/kg dessert limit
+    expect(checker.checkCompound(coumarin, 'desserts')).toMatchObject({
+      status: 'fail',
+      rule: 'Reg. (EC) 1334/2008 Annex III Part B: max 5 mg/kg, found 7.5 mg/kg'
+    });
+    // Within the fine bakery ware limit, but coumarin may not be added as such
+    const bakery = checker.checkCompound(coumarin, 'fine-bakery-wares');
+    expect(bakery.status).toBe('warn');
+    expect(bakery.rules.map((r: any) => r.status)).toEqual(['pass', 'warn', 'warn']);
+    expect(checker.checkCompound({ ...coumarin, concentration: 12.5 }, 'fine-bakery-wares').rules[0]).toEqual({
+      status: 'warn',
+      rule: 'Reg. (EC) 1334/2008 Annex III Part B: max 15 mg/kg, found 12.5 mg/kg (over 80% of the limit)'
+    });
+    // Dosed at 0.5% of the food, 2,000 mg/kg of coumarin becomes 10 mg/kg
+    expect(checker.checkCompound({ ...coumarin, concentration: 2000 }, 'desserts', RegulatoryChecker.parseDosage('0.5%')).status)
+      .toBe('fail');
+
+    expect(checker.checkCompound({ name: 'Vanillin', page: 'compounds/vanillin.html', concentration: 16.1 }, 'fine-bakery-wares'))
+      .toMatchObject({ status: 'pass', rule: 'FEMA GRAS 3107; 21 CFR 182.60; Union list (Reg. (EU) 872/2012)' });
+    expect(checker.checkCompound({ name: 'Myrcene', concentration: 2.5 }, 'fine-bakery-wares').status).toBe('warn');
+    expect(checker.checkCompound({ name: 'Unknown terpene', concentration: 1 }, 'fine-bakery-wares').rule)
+      .toBe('No regulatory data for Unknown terpene');
+
+    expect(() => checker.checkCompound(coumarin, 'pastries')).toThrow('Unknown food category: pastries');
+    expect(() => RegulatoryChecker.parseDosage('150%')).toThrow("Dosage can't exceed 100%");
+  });
+
+  test('shows a pass/warn/fail column with the triggering rule on the certificate', () => {
+    const coa = CertificateOfAnalysis.fromJSON(readFileSync(certificatePath, 'utf-8'));
+    coa.compounds.forEach((c: any) => { c.compliance = null; c.complianceRule = null; });
+    expect(coa.toHTML()).not.toContain('<th>Compliance</th>');
+
+    const results = new RegulatoryChecker().apply(coa, 'desserts');
+    expect(results.filter((r: any) => r.status === 'fail').map((r: any) => r.name)).toEqual(['Coumarin']);
+    expect(coa.complianceBasis).toBe('Dessert-based products, flavor checked neat');
+
+    const html = coa.toHTML();
+    expect(html).toContain('<th>Compliance</th>');
+    expect(html).toContain('<td class="coa-compliance coa-fail">✗ Fail<small>Reg. (EC) 1334/2008 Annex III Part B: max 5 mg/kg, found 7.5 mg/kg</small></td>');
+    expect(html).toContain('<td>13 pass, 3 warn, 1 fail</td>');
+    expect(html).toContain('<td colspan="3"></td>');
+    expect(CertificateOfAnalysis.fromCSV(coa.toCSV()).toJSON()).toEqual(coa.toJSON());
+
+    // Only the check is saved, not its statuses
+    expect(coa.toJSON().complianceCheck).toEqual({ category: 'desserts', dosage: null });
+    expect(coa.toJSON().compounds.every((c: any) => c.compliance === null && c.complianceRule === null)).toBe(true);
+
+    coa.compounds[0].compliance = 'ok';
+    expect(coa.validate()).toEqual(['Row 1 (Cinnamaldehyde): compliance must be pass, warn, fail, not "ok"']);
+
+    coa.concentrationUnit = 'ng/g';
+    expect(() => new RegulatoryChecker().apply(coa, 'desserts')).toThrow('Concentrations must be in μg/g or mg/kg');
+  });
+
+  test('rates certificates on load, so regulatory updates reach the rendered page', () => {
+    const coa = new CoaTool().load(certificatePath);
+    expect(coa.compounds[0]).toMatchObject({ name: 'Cinnamaldehyde', compliance: 'pass' });
+    expect(coa.complianceBasis).toBe('Traditional and/or seasonal bakery ware containing a reference to cinnamon in the labelling, flavor checked neat');
+
+    // A new, lower cinnamaldehyde limit for the category fails the same certificate
+    const data = JSON.parse(readFileSync(join(process.cwd(), 'data/regulatory.json'), 'utf-8'));
+    data.compounds.find((entry: any) => entry.cas === '104-55-2').maxLevels.push({ category: 'traditional-cinnamon-bakery', max: 100 });
+    const results = new RegulatoryChecker({ data }).recheck(coa);
+    expect(results.find((r: any) => r.name === 'Cinnamaldehyde').status).toBe('fail');
+    expect(coa.toHTML()).toContain('<td class="coa-compliance coa-fail">✗ Fail<small>Reg. (EC) 1334/2008 Annex III Part B: max 100 mg/kg, found 245.3 mg/kg</small></td>');
+
+    expect(new RegulatoryChecker({ data }).recheck(CertificateOfAnalysis.fromJSON({ compounds: [] }))).toBeNull();
+  });
+});
+
+test.describe('Dietary exposure', () => {
+  const regulatory = JSON.parse(readFileSync(join(process.cwd(), 'data/regulatory.json'), 'utf-8'));
+
+  function mockResponse() {
+    const res: any = { statusCode: 200, body: null };
+    res.status = (code: number) => { res.statusCode = code; return res; };
+    res.json = (body: any) => { res.body = body; return res; };
+    return res;
+  }
+
+  test('compares mg/kg bw/day per serving with the TDI/ADI for children and adults', () => {
+    const calculator = new ExposureCalculator({ guidance: regulatory.compounds });
+    const coa = JSON.parse(readFileSync(certificatePath, 'utf-8'));
+    const byName = (result: any, name: string) => result.compounds.find((c: any) => c.name === name);
+
+    // 7.5 μg/g coumarin × 100 g = 0.75 mg/day
+    const child = calculator.calculate(coa, { population: 'child', servingSize: 100 });
+    expect(byName(child, 'Coumarin')).toMatchObject({
+      intake: 0.75,
+      exposure: 0.0375,
+      guidance: { type: 'TDI', value: 0.1 },
+      percentOfGuidance: 37.5,
+      servingsToGuidance: 2.6,
+      status: 'pass'
+    });
+    expect(byName(child, 'Safrole')).toMatchObject({ percentOfGuidance: null, status: 'warn' });
+    expect(byName(child, 'Limonene').status).toBeNull();
+    // Cinnamaldehyde and cinnamyl acetate share one group ADI
+    expect(byName(child, 'Cinnamaldehyde').status).toBe('warn');
+    expect(child.groups[0]).toMatchObject({
+      name: 'Cinnamyl derivatives',
+      compounds: ['Cinnamaldehyde', 'Cinnamyl Acetate'],
+      exposure: 1.284,
+      percentOfGuidance: 102.7,
+      status: 'fail'
+    });
+    expect(child.exceeded).toEqual(['Cinnamyl derivatives']);
+
+    const adult = calculator.calculate(coa, { population: 'adult', servingSize: 100 });
+    expect(byName(adult, 'Coumarin')).toMatchObject({ exposure: 0.01071, percentOfGuidance: 10.7 });
+    expect(adult.exceeded).toEqual([]);
+
+    // Three servings a day put a child over the coumarin TDI
+    const threeServings = calculator.calculate(coa, { population: 'child', servingSize: 100, servingsPerDay: 3 });
+    expect(byName(threeServings, 'Coumarin')).toMatchObject({ percentOfGuidance: 112.5, status: 'fail' });
+    // At 0.5% flavor in the food, a custom 30 kg body weight and 50 g
+    const dosed = calculator.calculate(coa, { bodyWeight: '30', servingSize: '50', dosage: 0.005 });
+    expect(dosed).toMatchObject({ population: null, bodyWeight: 30, foodPerDay: 50, exceeded: [] });
+
+    expect(() => calculator.calculate(coa, { servingSize: 0 })).toThrow('Serving size must be a positive number');
+    expect(() => calculator.calculate(coa, { population: 'infant', servingSize: 100 })).toThrow('Unknown population: infant');
+    expect(() => calculator.calculate(coa, { servingSize: 100, dosage: 2 })).toThrow("Dosage can't exceed 1 (100%)");
+    expect(() => calculator.calculate({ ...coa, concentrationUnit: 'ng/g' }, { servingSize: 100 }))
+      .toThrow('Concentrations must be in μg/g or mg/kg');
+  });
+
+  test('serves the calculation from the API and embeds it in the CoA tab', async () => {
+    let res = mockResponse();
+    await handleExposure({ body: { certificate: 'TP-2024-001', population: 'child', servingSize: 100 } }, res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.certificateNumber).toBe('TP-2024-001');
+    expect(res.body.exceeded).toEqual(['Cinnamyl derivatives']);
+
+    res = mockResponse();
+    await handleExposure({ query: { certificate: '../package' } }, res);
+    expect(res.statusCode).toBe(404);
+    res = mockResponse();
+    await handleExposure({ query: {} }, res);
+    expect(res.body).toEqual({ error: 'certificate or coa is required' });
+    res = mockResponse();
+    await handleExposure({ body: { certificate: 'TP-2024-001', servingSize: -1 } }, res);
+    expect(res.statusCode).toBe(400);
+
+    const html = new CoaTool().renderPage([
+      '<div id="coa">',
+      '    <!-- exposure:begin data/coa/TP-2024-001.json -->',
+      '    <!-- exposure:end -->',
+      '</div>'
+    ].join('\n'));
+    expect(html).toContain('<div class="exposure-panel" data-certificate="TP-2024-001">');
+    const data = JSON.parse(html.match(/<script type="application\/json" class="exposure-data">(.*)<\/script>/)![1]);
+    expect(data.compounds.find((c: any) => c.name === 'Coumarin').guidance).toEqual({ type: 'TDI', value: 0.1, source: 'EFSA 2008' });
+    expect(readFileSync(join(process.cwd(), 'cinnamon-roll-tabs.html'), 'utf-8')).toContain(html.split('\n')[2].trim());
+  });
+});
+
+test.describe('Sensory profile', () => {
+  test('ranks key odorants by odor activity value and builds a flavor wheel', () => {
+    const analyzer = new SensoryAnalyzer({
+      data: {
+        thresholdUnit: 'μg/kg',
+        thresholdMedium: 'water',
+        wheel: [
+          { id: 'spicy', label: 'Spicy', color: '#c0392b' },
+          { id: 'sweet', label: 'Sweet', color: '#e67e22' },
+          { id: 'floral', label: 'Floral', color: '#9b59b6' }
+        ],
+        compounds: [
+          { name: 'Cinnamaldehyde', cas: '104-55-2', odorThreshold: 100, descriptors: ['spicy', 'cinnamon'], categories: ['spicy', 'sweet'] },
+          { name: 'Vanillin', cas: '121-33-5', page: 'compounds/vanillin.html', odorThreshold: 20, descriptors: ['vanilla'], categories: ['sweet'] },
+          { name: 'Linalool', odorThreshold: 6, descriptors: ['floral'], categories: ['floral'] },
+          { name: 'Sucrose', tasteThreshold: 5000000, descriptors: ['sweet'], categories: ['sweet'] },
+          { name: 'Coumarin', odorThreshold: null, descriptors: ['hay'], categories: ['sweet'] }
+        ]
+      }
+    });
+    const profile = analyzer.profile({
+      certificateNumber: 'TEST-1',
+      concentrationUnit: 'mg/kg',
+      compounds: [
+        { name: 'Cinnamaldehyde', cas: '104-55-2', concentration: 100 },
+        { name: 'Vanilla (vanillin)', cas: '121-33-5', page: 'compounds/vanillin.html', concentration: 2 },
+        { name: 'Linalool', concentration: 0.003 },
+        { name: 'Sucrose', concentration: 50000 },
+        { name: 'Coumarin', concentration: 5 },
+        { name: 'Unknown', concentration: 1 },
+        { name: 'Not quantified', concentration: null }
+      ]
+    });
+
+    // 100 mg/kg = 100,000 μg/kg over a 100 μg/kg threshold
+    expect(profile.keyOdorants.map((c: any) => [c.rank, c.name, c.oav, c.thresholdType])).toEqual([
+      [1, 'Cinnamaldehyde', 1000, 'odor'],
+      [2, 'Vanilla (vanillin)', 100, 'odor'],
+      [3, 'Sucrose', 10, 'taste']
+    ]);
+    expect(profile.compounds.find((c: any) => c.name === 'Linalool').oav).toBe(0.5);
+    expect(profile.unrated).toEqual(['Coumarin', 'Unknown']);
+    // Spicy log10(1000) = 3; sweet 3 × 0.5 + log10(100) + log10(10) = 4.5
+    expect(profile.wheel.map((c: any) => [c.id, c.score, c.percent, c.compounds])).toEqual([
+      ['spicy', 3, 40, ['Cinnamaldehyde']],
+      ['sweet', 4.5, 60, ['Cinnamaldehyde', 'Vanilla (vanillin)', 'Sucrose']],
+      ['floral', 0, 0, []]
+    ]);
+    expect(analyzer.toText(profile)).toContain('Key odorants: 1. Cinnamaldehyde (OAV 1000; spicy, cinnamon); 2. Vanilla (vanillin)');
+    expect(analyzer.toText(profile)).toContain('Flavor wheel: Sweet 60%, Spicy 40%');
+
+    expect(() => analyzer.profile({ concentrationUnit: '%', compounds: [] })).toThrow('Concentrations must be in μg/g or mg/kg');
+  });
+
+  test('renders the key odorants and flavor wheel on the CoA pages', () => {
+    const profile = new SensoryAnalyzer().profile(JSON.parse(readFileSync(certificatePath, 'utf-8')));
+    expect(profile.keyOdorants[0]).toMatchObject({ name: 'Eugenol', oav: 4900, descriptors: ['clove', 'spicy', 'smoky'] });
+    expect(profile.keyOdorants.find((c: any) => c.name === 'Cinnamaldehyde').oav).toBe(327);
+    expect(profile.unrated).toContain('Coumarin');
+
+    const html = new CoaTool().renderPage([
+      '<main>',
+      '    <!-- sensory:begin data/coa/TP-2024-001.json -->',
+      '    <!-- sensory:end -->',
+      '</main>'
+    ].join('\n'));
+    expect(html).toContain('<svg class="flavor-wheel" viewBox="-105 -105 210 210" role="img" aria-label="Flavor wheel: Spicy 23.2%');
+    expect(html).toContain('<td><a href="compounds/eugenol.html">Eugenol</a></td>');
+    expect(html).toContain('No reliable threshold, not rated: Cinnamyl Acetate, Coumarin');
+    const wheel = html.split('\n').find(line => line.includes('<svg class="flavor-wheel"'))!.trim();
+    for (const page of ['coa.html', 'cinnamon-roll-tabs.html']) {
+      expect(readFileSync(join(process.cwd(), page), 'utf-8')).toContain(wheel);
+    }
+  });
+});
@@ -0,0 +1,258 @@
+import { test, expect } from '@playwright/test';
+import { cpSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import CompoundExtractor from '../lib/compound-extractor';
+import CompoundsBuilder from '../scripts/build-compounds';
+import MolecularFormula from '../lib/formula';
+import FormulaValidator from '../scripts/validate-formulas';
+import ContentLinter from '../scripts/lint-content';
+import cas from '../lib/cas';
+import Bibliography from '../lib/bibliography';
+import BibliographyBuilder from '../scripts/build-bibliography';
+
+// These tests run in Node.js only (no browser page)
+
+test.describe('Compound knowledge base', () => {
+  test('extracts one typed record per compound page', () => {
+    const { compounds } = new CompoundExtractor().extractAll();
+    const eugenol = compounds.find((c: any) => c.slug === 'eugenol');
+
+    expect(compounds).toHaveLength(16);
+    expect(eugenol).toMatchObject({
+      name: 'Eugenol',
+      url: 'compounds/eugenol.html',
+      formula: 'C₁₀H₁₂O₂',
+      iupacName: '4-Allyl-2-methoxyphenol',
+      casNumber: '97-53-0',
+      molecularWeight: { value: 164.2, unit: 'g/mol' },
+      boilingPoint: { min: 254, max: 254, unit: '°C' }
+    });
+    expect(eugenol.functions.map((f: any) => f.name)).toContain('Antioxidant Activity');
+    expect(eugenol.mechanisms).toContainEqual({
+      name: 'Ion Channel Modulation',
+      description: 'Blocks sodium channels and activates TRP channels'
+    });
+    expect(eugenol.metabolism.points).toContain('Extensive first-pass metabolism in the liver');
+    expect(eugenol.references).toHaveLength(5);
+    expect(eugenol.sensory).toEqual({
+      odorThreshold: 6,
+      descriptors: ['clove', 'spicy', 'smoky'],
+      categories: ['spicy', 'phenolic'],
+      thresholdUnit: 'μg/kg',
+      thresholdMedium: 'water'
+    });
+    expect(eugenol.masses).toMatchObject({ formula: 'C10H12O2', molecularWeight: 164.2, monoisotopicMass: 164.0837, nominalMass: 164 });
+  });
+
+  test('parses temperature ranges and multi-isomer values', () => {
+    const { compounds } = new CompoundExtractor().extractAll();
+    const bySlug = Object.fromEntries(compounds.map((c: any) => [c.slug, c]));
+
+    expect(bySlug.camphor.meltingPoint).toMatchObject({ min: 175, max: 177 });
+    expect(bySlug.pinene.boilingPoint).toMatchObject({ min: 155, max: 166 });
+    expect(bySlug.linalool.otherProperties.Stereoisomers).toBeTruthy();
+  });
+
+  test('parses formulas and computes masses and isotope patterns', () => {
+    const eugenol = MolecularFormula.parse('C₁₀H₁₂O₂');
+    expect(eugenol.elements).toEqual({ C: 10, H: 12, O: 2 });
+    expect(eugenol.toUnicode()).toBe('C₁₀H₁₂O₂');
+    expect(eugenol.isotopePattern()).toEqual([
+      { label: 'M', mz: 164, mass: 164.0837, abundance: 100 },
+      { label: 'M+1', mz: 165, mass: 165.0871, abundance: 11.03 },
+      { label: 'M+2', mz: 166, mass: 166.0894, abundance: 0.96 },
+      { label: 'M+3', mz: 167, mass: 167.0921, abundance: 0.06 }
+    ]);
+
+    // Groups, hydrates and Hill order
+    expect(MolecularFormula.parse('(CH3)2SO').toString()).toBe('C2H6OS');
+    expect(MolecularFormula.parse('C6H12O6·H2O').toString()).toBe('C6H14O7');
+    // Chlorine: M+2 ≈ a third of M per Cl
+    const dichloromethane = MolecularFormula.parse('CH2Cl2').masses();
+    expect(dichloromethane.molecularWeight).toBe(84.93);
+    expect(dichloromethane.isotopePattern.map((p: any) => p.abundance)).toEqual([100, 1.1, 63.99, 0.71, 10.24]);
+
+    expect(() => MolecularFormula.parse('C10Xx12')).toThrow('Unknown element Xx in formula C10Xx12');
+    expect(() => MolecularFormula.parse('C2(H3')).toThrow('Unbalanced parentheses in formula C2(H3');
+    expect(() => MolecularFormula.parse('')).toThrow('Formula is empty');
+  });
+
+  test('flags pages whose molecular weight disagrees with the formula', () => {
+    expect(new FormulaValidator().validate()).toMatchObject({ checked: 16, failed: 0 });
+
+    const siteDir = mkdtempSync(join(tmpdir(), 'formulas-'));
+    try {
+      cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+      const eugenolPath = join(siteDir, 'compounds/eugenol.html');
+      writeFileSync(eugenolPath, readFileSync(eugenolPath, 'utf-8').replace('164.20 g/mol', '146.20 g/mol'));
+      const vanillinPath = join(siteDir, 'compounds/vanillin.html');
+      writeFileSync(vanillinPath, readFileSync(vanillinPath, 'utf-8').replace('C₈H₈O₃', 'C₈H₈Q₃'));
+
+      const report = new FormulaValidator({ rootDir: siteDir }).validate();
+      expect(report.failed).toBe(2);
+      expect(report.results.find((r: any) => r.slug === 'eugenol')).toMatchObject({
+        status: 'mismatch',
+        statedWeight: 146.2,
+        computedWeight: 164.2,
+        difference: -18.004,
+        message: 'States 146.2 g/mol, C10H12O2 is 164.2 g/mol'
+      });
+      expect(report.results.find((r: any) => r.slug === 'vanillin')).toMatchObject({
+        status: 'invalid',
+        message: 'Unknown element Q in formula C₈H₈Q₃'
+      });
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports pages missing required fields', () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'compounds-'));
+    try {
+      cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+      const thymolPath = join(siteDir, 'compounds/thymol.html');
+      const html = readFileSync(thymolPath, 'utf-8');
+      writeFileSync(thymolPath, html.replace(/<p class="compound-iupac">[^<]*<\/p>/, ''));
+
+      const outputPath = join(siteDir, 'data/compounds.json');
+      const { validation } = new CompoundsBuilder({ rootDir: siteDir, outputPath }).build();
+      const dataset = JSON.parse(readFileSync(outputPath, 'utf-8'));
+
+      expect(validation).toContainEqual({ slug: 'thymol', url: 'compounds/thymol.html', missing: ['iupacName'] });
+      expect(validation).toContainEqual({ slug: 'benzaldehyde', url: 'compounds/benzaldehyde.html', missing: ['mechanisms'] });
+      expect(dataset.totalCompounds).toBe(16);
+      expect(dataset.validation).toEqual(validation);
+      // No coa.html in this site, so no CAS numbers
+      expect(dataset.compounds.every((c: any) => c.casNumber === null)).toBe(true);
+      // ...and no data/sensory.json
+      expect(dataset.compounds.every((c: any) => c.sensory === null)).toBe(true);
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Content lint', () => {
+  test('validates CAS check digits', () => {
+    expect(cas.checkDigit('10455')).toBe(2);
+    expect(cas.isValid('104-55-2')).toBe(true);
+    expect(cas.validate('104-55-3')).toBe('104-55-3 has check digit 3, expected 2');
+    expect(cas.validate('10455-2')).toBe('10455-2 is not a CAS number (expected e.g. 104-55-2)');
+    expect(cas.normalize('0000104552')).toBe('104-55-2');
+    expect(cas.findAll('CAS 97-53-0, 2024-03-15 and 97-53-0')).toEqual(['97-53-0']);
+  });
+
+  test('finds no errors in the site', () => {
+    const report = new ContentLinter().lint();
+    expect(report).toMatchObject({ pages: ['coa.html', 'cinnamon-roll-tabs.html', 'compounds.html'], compoundPages: 16, errors: 0 });
+    // β-Caryophyllene is on the certificate but has no page yet
+    expect(report.findings).toEqual([expect.objectContaining({
+      severity: 'warning',
+      rule: 'missing-page',
+      compound: 'β-Caryophyllene',
+      files: ['coa.html', 'cinnamon-roll-tabs.html', 'data/coa/TP-2024-001.json']
+    })]);
+  });
+
+  test('reports wrong CAS numbers, names and links across pages', () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'content-'));
+    try {
+      for (const file of ['coa.html', 'cinnamon-roll-tabs.html', 'compounds.html', 'compounds', 'data']) {
+        cpSync(join(process.cwd(), file), join(siteDir, file), { recursive: true });
+      }
+      const edit = (file: string, from: string | RegExp, to: string) =>
+        writeFileSync(join(siteDir, file), readFileSync(join(siteDir, file), 'utf-8').replace(from, to));
+
+      edit('coa.html', '<td>104-55-2</td>', '<td>104-55-3</td>');
+      // A valid CAS number, but not eugenol's
+      edit('cinnamon-roll-tabs.html', '<td>97-53-0</td>', '<td>97-54-1</td>');
+      edit('compounds.html', '<h3 id="eugenol"><a href="compounds/eugenol.html">Eugenol</a></h3>', '<h3 id="eugenol"><a href="compounds/eugenol.html">Isoeugenol</a></h3>');
+      edit('data/sensory.json', '"page": "compounds/thymol.html"', '"page": "compounds/thyme.html"');
+      // A page nothing links to
+      writeFileSync(join(siteDir, 'compounds/estragole.html'), readFileSync(join(siteDir, 'compounds/thymol.html'), 'utf-8').replace('<h2 id="thymol">Thymol</h2>', '<h2 id="estragole">Estragole</h2>'));
+
+      const report = new ContentLinter({ rootDir: siteDir }).lint();
+      const byRule = (rule: string) => report.findings.filter((f: any) => f.rule === rule).map((f: any) => `${f.file}: ${f.message}`);
+
+      expect(byRule('invalid-cas')).toEqual(['coa.html: 104-55-3 has check digit 3, expected 2']);
+      expect(byRule('cas-mismatch')).toEqual(['cinnamon-roll-tabs.html: Eugenol (compounds/eugenol.html) has CAS 97-54-1, elsewhere 97-53-0']);
+      expect(byRule('name-mismatch')).toEqual(['compounds.html: "Isoeugenol" links to compounds/eugenol.html, which is Eugenol']);
+      expect(byRule('broken-link')).toEqual(["data/sensory.json: Thymol points to compounds/thyme.html, which doesn't exist"]);
+      expect(byRule('orphan-page')).toEqual(["compounds/estragole.html: compounds/estragole.html isn't linked from coa.html, cinnamon-roll-tabs.html, compounds.html"]);
+      expect(report.errors).toBeGreaterThan(0);
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Bibliography', () => {
+  test('parses references and exports CSL-JSON and BibTeX', () => {
+    const reference = Bibliography.parseReference('Nagababu, E., et al. (2010). Inhibition of nitrite-induced oxidation of hemoglobin by eugenol. <em>Food Chemistry</em>, 122(3), 709-714.');
+    expect(reference).toMatchObject({
+      type: 'article-journal',
+      author: [{ family: 'Nagababu', given: 'E.' }],
+      etAl: true,
+      issued: { 'date-parts': [[2010]] },
+      title: 'Inhibition of nitrite-induced oxidation of hemoglobin by eugenol',
+      'container-title': 'Food Chemistry',
+      volume: '122',
+      issue: '3',
+      page: '709–714'
+    });
+    expect(Bibliography.parseCitations('Rao &amp; Gan, 2014; Kamat et al., 2000')).toEqual([
+      { text: 'Rao &amp; Gan, 2014', authors: ['Rao', 'Gan'], etAl: false, year: 2014 },
+      { text: 'Kamat et al., 2000', authors: ['Kamat'], etAl: true, year: 2000 }
+    ]);
+
+    const bibliography = new Bibliography();
+    bibliography.addList('index.html', ['Rao, P. V., & Gan, S. H. (2014). Cinnamon: A multifaceted medicinal plant. <em>Evidence-Based Complementary and Alternative Medicine</em>, 2014, 642942.']);
+    expect(bibliography.toBibTeX()).toContain('@article{rao2014cinnamon,\n  author = {Rao, P. V. and Gan, S. H.},');
+    expect(bibliography.toCSL()[0]).not.toHaveProperty('sources');
+    expect(Bibliography.format(bibliography.entries[0])).toBe('Rao, P. V., & Gan, S. H. (2014). Cinnamon: A multifaceted medicinal plant. Evidence-Based Complementary and Alternative Medicine, 2014, 642942.');
+  });
+
+  test('merges the reference lists and resolves in-text citations', () => {
+    const { bibliography, pages, citations } = new BibliographyBuilder().collect();
+    expect(pages).toContain('index.html');
+    expect(pages).toContain('compounds/eugenol.html');
+
+    // Listed on the eugenol page and on the index page
+    const nagababu = bibliography.find('nagababu2010inhibition');
+    expect(nagababu.sources.map((source: any) => source.url).sort()).toEqual(['compounds/eugenol.html', 'index.html']);
+    expect(bibliography.entries.filter((entry: any) => entry.id === 'nagababu2010inhibition')).toHaveLength(1);
+
+    expect(citations).toContainEqual({ url: 'index.html', text: 'Nagababu et al., 2010', id: 'nagababu2010inhibition' });
+    // The index cites Peana et al. 2003 but lists their 2002 paper
+    expect(citations).toContainEqual({ url: 'index.html', text: 'Peana et al., 2003', id: null });
+  });
+
+  test('links citations to their reference, also on other pages', () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'bibliography-'));
+    try {
+      mkdirSync(join(siteDir, 'compounds'));
+      writeFileSync(join(siteDir, 'compounds/vanillin.html'), `<main><p>Antioxidant (Kamat et al., 2000).</p>
+<section class="references"><h3>References</h3><ol>
+<li>Kamat, J. P., et al. (2000). Vanillin as an antioxidant in rat liver mitochondria. <em>Molecular and Cellular Biochemistry</em>, 209(1-2), 47-53.</li>
+</ol></section></main>`);
+      writeFileSync(join(siteDir, 'index.html'), `<main><p>Vanillin (Kamat et al., 2000; Rao &amp; Gan, 2014; Peana et al., 2003) and <a href="#x">(Rao &amp; Gan, 2014)</a>.</p>
+<section class="references"><h3>References</h3><ol>
+<li class="ref">Rao, P. V., & Gan, S. H. (2014). Cinnamon: A multifaceted medicinal plant. <em>Evidence-Based Complementary and Alternative Medicine</em>, 2014, 642942.</li>
+</ol></section></main>`);
+
+      const builder = new BibliographyBuilder({ rootDir: siteDir });
+      expect(builder.link()).toEqual(['index.html', 'compounds/vanillin.html']);
+      const index = readFileSync(join(siteDir, 'index.html'), 'utf-8');
+      expect(index).toContain('Vanillin (<a href="compounds/vanillin.html#ref-kamat2000vanillin" class="citation">Kamat et al., 2000</a>; '
+        + '<a href="#ref-rao2014cinnamon" class="citation">Rao &amp; Gan, 2014</a>; Peana et al., 2003) and <a href="#x">(Rao &amp; Gan, 2014)</a>.');
+      expect(index).toContain('<li id="ref-rao2014cinnamon" class="ref">Rao, P. V., & Gan');
+      expect(readFileSync(join(siteDir, 'compounds/vanillin.html'), 'utf-8')).toContain('<li id="ref-kamat2000vanillin">Kamat');
+
+      // Linked pages are left alone
+      expect(builder.link()).toEqual([]);
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,718 @@
+import { test, expect } from '@playwright/test';
+import { cpSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import Database from 'better-sqlite3';
+import RAGBuilder from '../scripts/build-rag';
+import RAGSQLiteBuilder from '../scripts/build-rag-sqlite';
+import hashEmbedder from '../lib/hash-embedder';
+import { createEmbeddingProvider, HashEmbeddingProvider, OpenAIEmbeddingProvider } from '../lib/embedding-providers';
+import ContentExtractor from '../lib/content-extractor';
+import PageDiscovery from '../lib/page-discovery';
+import LiteratureImporter from '../lib/literature';
+import LiteratureImport from '../scripts/import-literature';
+import CompoundExtractor from '../lib/compound-extractor';
+import RAGRetriever from '../lib/rag-retriever';
+
+// These tests run in Node.js only (no browser page)
+
+function cosine(a: number[], b: number[]) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+test.describe('Embedding providers', () => {
+  test('hash embedder is deterministic and normalized', () => {
+    const a = hashEmbedder.embed('Cinnamaldehyde activates TRPA1 channels');
+    const b = hashEmbedder.embed('Cinnamaldehyde activates TRPA1 channels');
+
+    expect(a).toHaveLength(hashEmbedder.DEFAULT_DIMENSIONS);
+    expect(a).toEqual(b);
+    expect(cosine(a, a)).toBeCloseTo(1, 5);
+  });
+
+  test('hash embedder ranks related text above unrelated text', () => {
+    const query = hashEmbedder.embed('anti-inflammatory effects of eugenol');
+    const related = hashEmbedder.embed('Eugenol shows anti-inflammatory effects by inhibiting COX enzymes');
+    const unrelated = hashEmbedder.embed('Vanilla extract is aged in oak barrels');
+
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+
+  test('provider selection falls back to hash without an API key', () => {
+    const provider = createEmbeddingProvider({}, {});
+    expect(provider).toBeInstanceOf(HashEmbeddingProvider);
+    expect(provider.describe()).toEqual({ provider: 'hash', model: 'terpedia-hash-v1', dimensions: 384 });
+
+    expect(() => createEmbeddingProvider({ provider: 'openai' }, {})).toThrow(/OPENAI_API_KEY/);
+    expect(() => createEmbeddingProvider({ provider: 'openai-compatible' }, {})).toThrow(/base URL/);
+    expect(() => createEmbeddingProvider({ provider: 'nope' }, {})).toThrow(/Unknown embedding provider/);
+  });
+
+  test('openai provider asks text-embedding-3 models for the configured dimensions', async () => {
+    // A stand-in /v1/embeddings server that records the request bodies
+    const requests: any[] = [];
+    const server = createServer((req: any, res: any) => {
+      let body = '';
+      req.on('data', (chunk: any) => { body += chunk; });
+      req.on('end', () => {
+        const request = JSON.parse(body);
+        requests.push(request);
+        const size = request.dimensions || 1536;
+        // The openai client asks for base64 and decodes it itself
+        const vector = request.encoding_format === 'base64'
+          ? Buffer.from(new Float32Array(size).fill(0.01).buffer).toString('base64')
+          : new Array(size).fill(0.01);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          object: 'list',
+          model: request.model,
+          data: request.input.map((_: string, index: number) => ({ object: 'embedding', index, embedding: vector })),
+        }));
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseURL = `http://127.0.0.1:${(server.address() as any).port}/v1`;
+
+    try {
+      const small = new OpenAIEmbeddingProvider({ apiKey: 'test', baseURL, dimensions: 256 });
+      const large = new OpenAIEmbeddingProvider({ apiKey: 'test', baseURL, model: 'text-embedding-3-large', dimensions: 1024 });
+      const ada = new OpenAIEmbeddingProvider({ apiKey: 'test', baseURL, model: 'text-embedding-ada-002', dimensions: 1536 });
+
+      expect((await small.embed(['eugenol']))[0]).toHaveLength(256);
+      expect((await large.embed(['eugenol']))[0]).toHaveLength(1024);
+      await ada.embed(['eugenol']);
+
+      expect(requests[0]).toMatchObject({ model: 'text-embedding-3-small', dimensions: 256 });
+      expect(requests[1]).toMatchObject({ model: 'text-embedding-3-large', dimensions: 1024 });
+      expect(requests[2].model).toBe('text-embedding-ada-002');
+      expect(requests[2]).not.toHaveProperty('dimensions');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+test.describe('RAG SQLite builder', () => {
+  let workDir: string;
+
+  test.beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), 'rag-'));
+  });
+
+  test.afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  test('builds offline with the hash provider and records it in metadata', async () => {
+    const dbPath = join(workDir, 'rag.sqlite');
+    const builder = new RAGSQLiteBuilder({ dbPath, embeddingProvider: new HashEmbeddingProvider() });
+    await builder.build();
+
+    const db = new Database(dbPath, { readonly: true });
+    const metadata = Object.fromEntries(
+      db.prepare('SELECT key, value FROM metadata').all().map((row: any) => [row.key, row.value])
+    );
+    const chunkCount = (db.prepare('SELECT COUNT(*) AS n FROM chunks').get() as any).n;
+    const embeddingCount = (db.prepare('SELECT COUNT(*) AS n FROM chunks_embedding').get() as any).n;
+    const properties = db.prepare(
+      "SELECT section_path, fields_json FROM chunks WHERE page_url = 'compounds/eugenol.html' AND section_heading = 'Chemical Properties'"
+    ).get() as any;
+    const coumarin = db.prepare("SELECT * FROM coa_results WHERE page_url = 'coa.html' AND compound_name = 'Coumarin'").get() as any;
+    const eugenol = db.prepare("SELECT * FROM compounds WHERE slug = 'eugenol'").get() as any;
+    const topHit = db.prepare(`
+      SELECT c.chunk_type, c.chunk_text FROM chunks_fts JOIN chunks c ON c.id = chunks_fts.rowid
+      WHERE chunks_fts MATCH '"coumarin" OR "concentration" OR "cinnamon" OR "roll"' AND c.page_url = 'coa.html'
+      ORDER BY rank LIMIT 1
+    `).get() as any;
+    db.close();
+
+    expect(properties.section_path).toBe('Eugenol > Chemical Properties');
+    expect(coumarin).toMatchObject({
+      cas_number: '91-64-5',
+      retention_time_min: 16.34,
+      area_percent: 2.1,
+      concentration_ug_g: 7.5,
+      compound_url: 'compounds/coumarin.html'
+    });
+    expect(eugenol).toMatchObject({ formula: 'C₁₀H₁₂O₂', cas_number: '97-53-0', molecular_weight: 164.2, boiling_point_min_c: 254 });
+    expect(JSON.parse(eugenol.record_json).mechanisms.length).toBeGreaterThan(0);
+    expect(topHit.chunk_type).toBe('table_row');
+    expect(topHit.chunk_text).toContain('Compound Name: Coumarin');
+    expect(topHit.chunk_text).toContain('Concentration (μg/g): 7.5');
+    expect(JSON.parse(properties.fields_json)).toContainEqual({ label: 'Molecular Weight', value: '164.20 g/mol' });
+    expect(metadata.embedding_provider).toBe('hash');
+    expect(metadata.embedding_dimensions).toBe('384');
+    expect(JSON.parse(metadata.failed_batches)).toEqual([]);
+    expect(embeddingCount).toBe(chunkCount);
+  });
+
+  test('a failed embedding batch fails the build', async () => {
+    const failing = new HashEmbeddingProvider();
+    failing.embed = async () => { throw new Error('connection refused'); };
+
+    const builder = new RAGSQLiteBuilder({ dbPath: join(workDir, 'rag.sqlite'), embeddingProvider: failing });
+    await expect(builder.build()).rejects.toThrow(/batch 1\/\d+ failed: connection refused/);
+  });
+
+  test('failed batches are recorded instead of stored as zero vectors when allowed', async () => {
+    const flaky = new HashEmbeddingProvider();
+    const embed = flaky.embed.bind(flaky);
+    let calls = 0;
+    flaky.embed = async (texts: string[]) => {
+      calls++;
+      if (calls === 1) throw new Error('rate limited');
+      return embed(texts);
+    };
+
+    const dbPath = join(workDir, 'rag.sqlite');
+    const builder = new RAGSQLiteBuilder({ dbPath, embeddingProvider: flaky, allowFailedBatches: true });
+    await builder.build();
+
+    const db = new Database(dbPath, { readonly: true });
+    const failed = JSON.parse((db.prepare("SELECT value FROM metadata WHERE key = 'failed_batches'").get() as any).value);
+    const chunkCount = (db.prepare('SELECT COUNT(*) AS n FROM chunks').get() as any).n;
+    const embeddingCount = (db.prepare('SELECT COUNT(*) AS n FROM chunks_embedding').get() as any).n;
+    db.close();
+
+    expect(failed).toHaveLength(1);
+    expect(failed[0]).toMatchObject({ batch: 1, firstChunk: 0, error: 'rate limited' });
+    expect(embeddingCount).toBe(chunkCount - failed[0].chunkCount);
+  });
+});
+
+test.describe('Page discovery and extraction', () => {
+  let siteDir: string;
+
+  function writePage(file: string, body: string, title = file) {
+    const fullPath = join(siteDir, file);
+    mkdirSync(dirname(fullPath), { recursive: true });
+    writeFileSync(fullPath, `<html><head><title>${title} - Terpedia</title></head><body>${body}</body></html>`);
+  }
+
+  test.beforeEach(() => {
+    siteDir = mkdtempSync(join(tmpdir(), 'rag-discovery-'));
+    writePage('index.html', '<a href="about.html">About</a> <a href="compounds/a.html#uses">A</a> <a href="https://example.com/x.html">Out</a>');
+    writePage('about.html', '<a href="index.html">Home</a> <a href="missing.html">Gone</a>');
+    writePage('compounds/a.html', '<p>No links here</p>', 'Alpha');
+    writePage('orphan.html', '<a href="index.html">Home</a>');
+    writePage('drafts/wip.html', '<p>Draft</p>');
+  });
+
+  test.afterEach(() => {
+    rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  test('crawls internal links and reports orphans, dead ends and broken links', () => {
+    const discovery = new PageDiscovery({ rootDir: siteDir, config: { titlePrefixes: { 'compounds/': 'Compound: ' } } });
+    const result = discovery.discover();
+
+    expect(result.pages.map((p: any) => p.filePath)).toEqual(['index.html', 'about.html', 'compounds/a.html']);
+    expect(result.pages[2].title).toBe('Compound: Alpha');
+    expect(result.orphans).toEqual(['drafts/wip.html', 'orphan.html']);
+    expect(result.deadEnds).toEqual(['compounds/a.html']);
+    expect(result.brokenLinks).toEqual([{ from: 'about.html', href: 'missing.html' }]);
+  });
+
+  test('honors include and exclude patterns', () => {
+    const discovery = new PageDiscovery({
+      rootDir: siteDir,
+      config: { include: ['orphan.html', 'drafts/*.html'], exclude: ['drafts/**', 'compounds/**'] }
+    });
+    const result = discovery.discover();
+
+    expect(result.pages.map((p: any) => p.filePath)).toEqual(['index.html', 'orphan.html', 'about.html']);
+    expect(result.orphans).toEqual([]);
+  });
+
+  test('extractor keeps heading paths, list items, labels and table rows', () => {
+    const extractor = new ContentExtractor({ rootDir: siteDir });
+    writePage('structured.html', `<article>
+      <h2>Eugenol</h2>
+      <h3>Chemical Properties</h3>
+      <ul>
+        <li><strong>Molecular Weight:</strong> 164.20 g/mol</li>
+        <li><strong>Boiling Point</strong>: 254°C</li>
+      </ul>
+      <h4>Results <em>(GC-MS)</em></h4>
+      <table>
+        <thead><tr><th>Compound</th><th>Area %</th></tr></thead>
+        <tbody>
+          <tr><td><strong>Cinnamaldehyde</strong></td><td>68.5</td></tr>
+          <tr><td><strong>Eugenol</strong></td><td>8.2</td></tr>
+        </tbody>
+      </table>
+      <h3>Uses</h3>
+      <p>Used in dentistry for temporary pain relief and as a flavoring agent in baked goods.</p>
+    </article>`);
+
+    const page = extractor.readPage('structured.html', 'Structured');
+    const content = extractor.extractContent(page.html, page.title, page.filePath);
+    const [properties, results, uses] = content.sections;
+
+    expect(content.headings).toEqual(['Eugenol', 'Chemical Properties', 'Results (GC-MS)', 'Uses']);
+    expect(properties.path).toEqual(['Eugenol', 'Chemical Properties']);
+    expect(properties.text).toBe('- Molecular Weight: 164.20 g/mol\n- Boiling Point: 254°C');
+    expect(properties.fields).toEqual([
+      { label: 'Molecular Weight', value: '164.20 g/mol' },
+      { label: 'Boiling Point', value: '254°C' }
+    ]);
+    expect(results.path).toEqual(['Eugenol', 'Chemical Properties', 'Results (GC-MS)']);
+    expect(results.blocks).toHaveLength(2);
+    expect(results.blocks[1]).toEqual({
+      type: 'table_row',
+      text: 'Compound: Eugenol; Area %: 8.2',
+      path: ['Eugenol', 'Chemical Properties', 'Results (GC-MS)'],
+      fields: [{ label: 'Compound', value: 'Eugenol' }, { label: 'Area %', value: '8.2' }],
+      columns: ['Compound', 'Area %'],
+      table: 0,
+      row: 1,
+      anchor: 'results-gc-ms'
+    });
+    expect(uses.path).toEqual(['Eugenol', 'Uses']);
+  });
+
+  test('extractor gives repeated section headings unique chunk ids', () => {
+    const extractor = new ContentExtractor({ rootDir: siteDir });
+    const section = '<p>' + 'Alpha pinene is a bicyclic monoterpene found in pine resin. '.repeat(3) + '</p>';
+    writePage('repeat.html', `<main><h2>Uses</h2>${section}<h2>Uses</h2>${section}</main>`);
+
+    const page = extractor.readPage('repeat.html', 'Repeat');
+    const chunks = extractor.createChunks(extractor.extractContent(page.html, page.title, page.filePath));
+    const ids = chunks.map((c: any) => c.id);
+
+    expect(ids).toContain('repeat.html-section-Uses-0');
+    expect(ids).toContain('repeat.html-section-Uses-0-1');
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  test('extractor gives every section a stable anchor and stamps the missing ones', () => {
+    const extractor = new ContentExtractor({ rootDir: siteDir });
+    const text = '<p>' + 'Eugenol is the main phenol of clove oil and is used in flavors. '.repeat(3) + '</p>';
+    writePage('anchors.html', `<nav><h2>Menu</h2></nav><main>
+      <section id="safety"><h2>Safety</h2>${text}</section>
+      <h2 id="uses">Uses</h2>${text}
+      <h3>Uses in Baking &amp; Confectionery</h3>${text}
+      <h2>Uses</h2>${text}
+    </main>`);
+
+    const original = readFileSync(join(siteDir, 'anchors.html'), 'utf-8');
+    expect(extractor.writeAnchors('anchors.html')).toBe(true);
+    const stamped = readFileSync(join(siteDir, 'anchors.html'), 'utf-8');
+    // Only the two headings without an id (or an id'd section) gain one
+    expect(stamped).toBe(original
+      .replace('<h3>Uses in Baking', '<h3 id="uses-in-baking-confectionery">Uses in Baking')
+      .replace('<h2>Uses</h2>', '<h2 id="uses-2">Uses</h2>'));
+    expect(extractor.writeAnchors('anchors.html')).toBe(false);
+
+    // Anchors are the same before and after stamping
+    const anchorsOf = (html: string) => {
+      const content = extractor.extractContent(html, 'Anchors', 'anchors.html');
+      return content.sections.map((section: any) => [section.heading, section.anchor]);
+    };
+    expect(anchorsOf(original)).toEqual([
+      ['Safety', 'safety'],
+      ['Uses', 'uses'],
+      ['Uses in Baking & Confectionery', 'uses-in-baking-confectionery'],
+      ['Uses', 'uses-2'],
+    ]);
+    expect(anchorsOf(stamped)).toEqual(anchorsOf(original));
+
+    const chunks = extractor.createChunks(extractor.extractContent(stamped, 'Anchors', 'anchors.html'));
+    expect(new Set(chunks.map((c: any) => c.sectionAnchor)))
+      .toEqual(new Set(['safety', 'uses', 'uses-in-baking-confectionery', 'uses-2']));
+    expect(ContentExtractor.slugify('β-Caryophyllene: CB2 Agonism (in vitro)')).toBe('caryophyllene-cb2-agonism-in-vitro');
+  });
+
+  test('extractor keeps heading paths inside their tab or section', () => {
+    const extractor = new ContentExtractor({ rootDir: process.cwd() });
+    const page = extractor.readPage('cinnamon-roll-tabs.html', 'Cinnamon Roll');
+    const content = extractor.extractContent(page.html, page.title, page.filePath);
+    const pathOf = (heading: string) => content.sections.find((section: any) => section.heading === heading).path;
+
+    // The CoA tab's h1 must not become the parent of the tabs after it
+    expect(pathOf('CERTIFICATE OF ANALYSIS')).toEqual(['CERTIFICATE OF ANALYSIS']);
+    expect(pathOf('9. Salt')).toEqual(['Functional Flavors in Cinnamon Roll', 'Ingredients List', '9. Salt']);
+    expect(pathOf('Compound Concentration by Ingredient'))
+      .toEqual(['Functional Flavors in Cinnamon Roll', 'Compound Concentration by Ingredient']);
+    const coaTab = content.sections.filter((section: any) => section.path[0] === 'CERTIFICATE OF ANALYSIS');
+    expect(coaTab.map((section: any) => section.heading))
+      .toEqual(['CERTIFICATE OF ANALYSIS', 'Sample Description', 'Identified Compounds', 'Notes', 'Dietary Exposure', 'Sensory Profile']);
+  });
+
+  test('builders stamp anchors with --anchors and store them with each chunk', async () => {
+    rmSync(join(siteDir, 'compounds'), { recursive: true });
+    const text = '<p>' + 'Cinnamaldehyde gives cinnamon its warm, sweet flavor and aroma. '.repeat(3) + '</p>';
+    writePage('index.html', `<nav><a href="about.html">About</a></nav><main><h2>Flavor</h2>${text}<h2 id="safety">Safety</h2>${text}</main>`);
+    writePage('about.html', `<main><h2>Flavor</h2>${text}</main>`);
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await new RAGBuilder({ rootDir: siteDir, outputPath: join(siteDir, 'rag-index.json') }).build();
+      expect(readFileSync(join(siteDir, 'index.html'), 'utf-8')).not.toContain('id="flavor"');
+
+      const builder = new RAGSQLiteBuilder({
+        rootDir: siteDir, dbPath: join(siteDir, 'rag.sqlite'), embeddingProvider: new HashEmbeddingProvider(), anchors: true,
+      });
+      await builder.build();
+      expect(builder.anchoredPages).toEqual(['index.html', 'about.html']);
+    } finally {
+      console.log = log;
+    }
+    expect(readFileSync(join(siteDir, 'index.html'), 'utf-8')).toContain('<h2 id="flavor">Flavor</h2>');
+
+    const index = JSON.parse(readFileSync(join(siteDir, 'rag-index.json'), 'utf-8'));
+    const db = new Database(join(siteDir, 'rag.sqlite'), { readonly: true });
+    const rows = db.prepare(`SELECT page_url, section_anchor FROM chunks WHERE page_url = 'index.html' ORDER BY chunk_index`).all();
+    db.close();
+    expect([...new Set(rows.map((row: any) => row.section_anchor))]).toEqual(['flavor', 'safety']);
+    // The JSON build before stamping derived the same anchors
+    const jsonAnchors = index.chunks.filter((c: any) => c.pageUrl === 'index.html').map((c: any) => c.sectionAnchor);
+    expect([...new Set(jsonAnchors)]).toEqual(['flavor', 'safety']);
+  });
+});
+
+test.describe('Incremental builds', () => {
+  let siteDir: string;
+
+  test.beforeEach(() => {
+    siteDir = mkdtempSync(join(tmpdir(), 'rag-site-'));
+    for (const page of ['rag.config.json', 'index.html', 'about.html', 'compounds.html', 'cinnamon-roll-tabs.html']) {
+      cpSync(join(process.cwd(), page), join(siteDir, page));
+    }
+    cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+  });
+
+  test.afterEach(() => {
+    rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  function editEugenolAndDeleteSafrole() {
+    const eugenolPath = join(siteDir, 'compounds/eugenol.html');
+    const html = readFileSync(eugenolPath, 'utf-8');
+    writeFileSync(eugenolPath, html.replace('Eugenol is well-known for', 'Eugenol is well known for'));
+    rmSync(join(siteDir, 'compounds/safrole.html'));
+  }
+
+  test('SQLite builder only re-embeds changed chunks and drops deleted pages', async () => {
+    const dbPath = join(siteDir, 'rag.sqlite');
+    const provider = new HashEmbeddingProvider();
+    const embedded: string[] = [];
+    const embed = provider.embed.bind(provider);
+    provider.embed = async (texts: string[]) => {
+      embedded.push(...texts);
+      return embed(texts);
+    };
+
+    const first = new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: provider });
+    await first.build();
+    const initialChunks = first.stats.added;
+
+    const unchanged = new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: provider });
+    embedded.length = 0;
+    await unchanged.build();
+    expect(unchanged.stats).toMatchObject({ pagesChanged: 0, added: 0, updated: 0, removed: 0, unchanged: initialChunks });
+    expect(embedded).toEqual([]);
+
+    editEugenolAndDeleteSafrole();
+    const incremental = new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: provider });
+    await incremental.build();
+
+    expect(incremental.stats.pagesChanged).toBe(1);
+    expect(incremental.stats.pagesRemoved).toBe(1);
+    expect(incremental.stats.updated).toBeGreaterThan(0);
+    expect(embedded.every(text => text.includes('Eugenol is well known for'))).toBe(true);
+
+    const db = new Database(dbPath, { readonly: true });
+    const safroleChunks = (db.prepare("SELECT COUNT(*) AS n FROM chunks WHERE page_url = 'compounds/safrole.html'").get() as any).n;
+    const ftsHits = (db.prepare("SELECT COUNT(*) AS n FROM chunks_fts WHERE chunks_fts MATCH '\"well known\"'").get() as any).n;
+    const orphanEmbeddings = (db.prepare('SELECT COUNT(*) AS n FROM chunks_embedding WHERE embedding_id NOT IN (SELECT id FROM chunks)').get() as any).n;
+    db.close();
+
+    expect(safroleChunks).toBe(0);
+    expect(ftsHits).toBeGreaterThan(0);
+    expect(orphanEmbeddings).toBe(0);
+  });
+
+  test('JSON builder reuses chunks of unchanged pages', async () => {
+    const outputPath = join(siteDir, 'rag-index.json');
+
+    const first = new RAGBuilder({ rootDir: siteDir, outputPath });
+    await first.build();
+
+    editEugenolAndDeleteSafrole();
+    const incremental = new RAGBuilder({ rootDir: siteDir, outputPath });
+    await incremental.build();
+
+    expect(incremental.stats.pagesChanged).toBe(1);
+    expect(incremental.stats.pagesRemoved).toBe(1);
+    expect(incremental.stats.updated).toBeGreaterThan(0);
+    expect(incremental.stats.added).toBe(0);
+
+    const index = JSON.parse(readFileSync(outputPath, 'utf-8'));
+    expect(index.pages.map((p: any) => p.url)).not.toContain('compounds/safrole.html');
+    expect(index.chunks.some((c: any) => c.pageUrl === 'compounds/safrole.html')).toBe(false);
+    expect(index.pages.every((p: any) => p.contentHash)).toBe(true);
+  });
+});
+
+test.describe('Literature import', () => {
+  const fixtures = join(process.cwd(), 'tests/fixtures/literature');
+  let siteDir: string;
+
+  test.beforeEach(() => {
+    siteDir = mkdtempSync(join(tmpdir(), 'rag-literature-'));
+    for (const page of ['rag.config.json', 'gcms.config.json', 'index.html', 'about.html', 'compounds.html', 'cinnamon-roll-tabs.html', 'data/compounds.json']) {
+      mkdirSync(dirname(join(siteDir, page)), { recursive: true });
+      cpSync(join(process.cwd(), page), join(siteDir, page));
+    }
+    cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+  });
+
+  test.afterEach(() => {
+    rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  test('parses PubMed XML and RIS and links compound pages', () => {
+    const importer = new LiteratureImporter({ rootDir: siteDir });
+    const pubmed = importer.parseFile(join(fixtures, 'pubmed-export.xml'));
+    const ris = importer.parseFile(join(fixtures, 'zotero-export.ris'));
+
+    expect(pubmed.format).toBe('pubmed-xml');
+    expect(pubmed.records[0]).toMatchObject({
+      id: 'pmid-90000001',
+      doi: '10.1016/j.foodchem.2010.03.037',
+      title: 'Eugenol scavenges nitrite-derived radicals in a hemoglobin model',
+      authors: [{ family: 'Nagababu', given: 'Enika' }, { family: 'Rifkind', given: 'Joseph M' }],
+      journal: 'Food Chemistry',
+      year: 2010,
+      pages: '709-714',
+      keywords: ['Antioxidants']
+    });
+    expect(pubmed.records[0].abstract).toContain('RESULTS: The clove phenol (97-53-0)');
+    // By CAS number, and α-pinene mentions the Pinene page
+    expect(pubmed.records.map((r: any) => r.compounds.map((c: any) => c.slug))).toEqual([['eugenol'], ['pinene', 'thymol']]);
+    expect(pubmed.records[1]).toMatchObject({ year: 2017, authors: [{ literal: 'Essential Oil Study Group' }] });
+
+    expect(ris.format).toBe('ris');
+    expect(ris.skipped).toEqual(['Flavor chemistry lecture notes']);
+    expect(ris.records.map((r: any) => r.id)).toEqual(['doi-10.1016/j.foodchem.2010.03.037', 'pmid-90000003']);
+    expect(ris.records[1].abstract).toBe('In differentiated adipocytes, cinnamaldehyde increased glucose uptake in a dose-dependent manner without affecting cell viability.');
+
+    expect(() => importer.parse('PMID- 123\nTI  - MEDLINE format', 'export.nbib')).toThrow('Unrecognised literature export export.nbib (expected PubMed XML or RIS)');
+  });
+
+  test('merges exports by PMID and DOI', () => {
+    const dataPath = join(siteDir, 'data/literature.json');
+    const literatureImport = new LiteratureImport({ rootDir: siteDir, dataPath });
+    const result = literatureImport.run([join(fixtures, 'pubmed-export.xml'), join(fixtures, 'zotero-export.ris')]);
+
+    expect(result).toMatchObject({ added: 3, updated: 1 });
+    const { records } = JSON.parse(readFileSync(dataPath, 'utf-8'));
+    expect(records.map((r: any) => r.id)).toEqual(['pmid-90000001', 'pmid-90000002', 'pmid-90000003']);
+    // The RIS copy has no abstract or PMID, so the PubMed ones are kept
+    expect(records[0].abstract).toContain('BACKGROUND:');
+    expect(records[0].keywords).toEqual(['Antioxidants', 'hemoglobin']);
+
+    const again = literatureImport.run([join(fixtures, 'pubmed-export.xml')]);
+    expect(again).toMatchObject({ added: 0, updated: 2 });
+  });
+
+  test('abstracts become attributed chunks and compound links', async () => {
+    new LiteratureImport({ rootDir: siteDir }).run([join(fixtures, 'pubmed-export.xml'), join(fixtures, 'zotero-export.ris')]);
+
+    const outputPath = join(siteDir, 'rag-index.json');
+    await new RAGBuilder({ rootDir: siteDir, outputPath }).build();
+    const index = JSON.parse(readFileSync(outputPath, 'utf-8'));
+    const abstracts = index.chunks.filter((c: any) => c.chunkType === 'abstract');
+
+    expect(abstracts.map((c: any) => c.pageUrl)).toEqual([
+      'https://pubmed.ncbi.nlm.nih.gov/90000001/',
+      'https://pubmed.ncbi.nlm.nih.gov/90000002/',
+      'https://pubmed.ncbi.nlm.nih.gov/90000003/'
+    ]);
+    expect(abstracts[0].text).toContain('Nagababu E, Rifkind JM (2010). Food Chemistry, 122(3), 709-714. PMID 90000001. doi:10.1016/j.foodchem.2010.03.037.');
+    expect(abstracts[0].fields).toContainEqual({ label: 'Compound', value: 'Eugenol', href: 'compounds/eugenol.html' });
+    expect(index.pages.find((p: any) => p.pmid === '90000001')).toMatchObject({ doi: '10.1016/j.foodchem.2010.03.037', headings: ['Abstract'] });
+
+    // Unchanged records keep their chunks
+    const rebuild = new RAGBuilder({ rootDir: siteDir, outputPath });
+    await rebuild.build();
+    expect(rebuild.stats).toMatchObject({ pagesChanged: 0, added: 0 });
+
+    const dbPath = join(siteDir, 'rag.sqlite');
+    await new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: new HashEmbeddingProvider() }).build();
+    const db = new Database(dbPath, { readonly: true });
+    const hit = db.prepare(`
+      SELECT c.page_url FROM chunks_fts JOIN chunks c ON c.id = chunks_fts.rowid
+      WHERE chunks_fts MATCH '"methemoglobin"' LIMIT 1
+    `).get() as any;
+    db.close();
+    expect(hit.page_url).toBe('https://pubmed.ncbi.nlm.nih.gov/90000001/');
+
+    const { compounds } = new CompoundExtractor({ rootDir: siteDir }).extractAll();
+    expect(compounds.find((c: any) => c.slug === 'thymol').literature).toEqual([{
+      id: 'pmid-90000002',
+      pmid: '90000002',
+      doi: null,
+      title: 'Antifungal activity of α-pinene and thymol against Candida isolates',
+      journal: 'Natural Product Communications',
+      year: 2017
+    }]);
+  });
+});
+
+test.describe('RAG retriever', () => {
+  let siteDir: string;
+
+  test.beforeEach(() => {
+    siteDir = mkdtempSync(join(tmpdir(), 'rag-retriever-'));
+    for (const page of ['rag.config.json', 'index.html', 'about.html', 'compounds.html', 'cinnamon-roll-tabs.html', 'coa.html', 'ingredients.html']) {
+      cpSync(join(process.cwd(), page), join(siteDir, page));
+    }
+    cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+  });
+
+  test.afterEach(() => {
+    rmSync(siteDir, { recursive: true, force: true });
+  });
+
+  test('fuses FTS5 and vector rankings from rag.sqlite', async () => {
+    const dbPath = join(siteDir, 'rag.sqlite');
+    await new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: new HashEmbeddingProvider() }).build();
+    const retriever = new RAGRetriever({ rootDir: siteDir });
+
+    const [top] = await retriever.search('coumarin in the cinnamon roll', 3);
+    expect(top).toMatchObject({ pageUrl: 'cinnamon-roll-tabs.html', chunkType: 'table_row', matchedBy: ['keyword', 'vector'] });
+    expect(top.text).toContain('Coumarin');
+
+    // FTS5 syntax and regex characters in the question are only separators
+    const results = await retriever.search('what (is) "eugenol" + AND c++ NEAR(*', 5);
+    expect(results.length).toBeGreaterThan(0);
+    expect(results[0].pageUrl).toBe('compounds/eugenol.html');
+    expect(await retriever.search('() + ?', 5)).toEqual([]);
+
+    // Citations link to the chunk's section of the page
+    for (const result of results) {
+      expect(result.key).toBeTruthy();
+      expect(readFileSync(join(siteDir, result.pageUrl), 'utf-8')).toContain(`id="${result.sectionAnchor}"`);
+    }
+    retriever.close();
+  });
+
+  test('turns vector search off when the query cannot be embedded like the index', async () => {
+    const dbPath = join(siteDir, 'rag.sqlite');
+    await new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: new HashEmbeddingProvider() }).build();
+    // As if built by a local embeddings server the chat API isn't configured for
+    const db = new Database(dbPath);
+    db.prepare("UPDATE metadata SET value = 'openai-compatible' WHERE key = 'embedding_provider'").run();
+    db.close();
+
+    const retriever = new RAGRetriever({ rootDir: siteDir });
+    const results = await retriever.search('coumarin concentration in the cinnamon roll', 5);
+    expect(results.length).toBeGreaterThan(0);
+    expect(results.every((r: any) => r.matchedBy.includes('keyword') && !r.matchedBy.includes('vector'))).toBe(true);
+    retriever.close();
+  });
+
+  test('reloads the index when a build changes it', async () => {
+    const dbPath = join(siteDir, 'rag.sqlite');
+    const build = () => new RAGSQLiteBuilder({ rootDir: siteDir, dbPath, embeddingProvider: new HashEmbeddingProvider() }).build();
+    await build();
+    const retriever = new RAGRetriever({ rootDir: siteDir });
+    const mentions = async () => (await retriever.search('zanthoxylum', 3)).filter((r: any) => r.text.includes('zanthoxylum'));
+    expect(await mentions()).toEqual([]);
+
+    const eugenolPath = join(siteDir, 'compounds/eugenol.html');
+    writeFileSync(eugenolPath, readFileSync(eugenolPath, 'utf-8').replace('Eugenol is well-known for', 'Eugenol, like zanthoxylum, is well-known for'));
+    await build();
+
+    const results = await mentions();
+    expect(results.length).toBeGreaterThan(0);
+    expect(new Set(results.map((r: any) => r.pageUrl))).toEqual(new Set(['compounds/eugenol.html']));
+    expect(results[0].matchedBy).toContain('keyword');
+    retriever.close();
+  });
+
+  test('ranks rag-index.json chunks with BM25 when there is no rag.sqlite', async () => {
+    await new RAGBuilder({ rootDir: siteDir, outputPath: join(siteDir, 'rag-index.json') }).build();
+    const retriever = new RAGRetriever({ rootDir: siteDir });
+
+    const results = await retriever.search('Ceylon cinnamon', 5);
+    expect(results).toHaveLength(5);
+    expect(results[0].matchedBy).toEqual(['keyword']);
+    expect(results[0].text).toMatch(/ceylon/i);
+    expect(results[0].key).toMatch(/^[\w./-]+\.html-/);
+    expect(results[0].sectionAnchor).toBeTruthy();
+    const scores = results.map((r: any) => r.score);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(await new RAGRetriever({ rootDir: join(siteDir, 'missing') }).search('eugenol')).toEqual([]);
+  });
+
+  test('answers concentration questions with the CoA result rows first', async () => {
+    const question = 'what is the coumarin concentration in the cinnamon roll';
+    const isCoumarinRow = (r: any) => r.text.includes('Compound Name: Coumarin') && r.text.includes('Concentration (μg/g): 7.5');
+
+    await new RAGBuilder({ rootDir: siteDir, outputPath: join(siteDir, 'rag-index.json') }).build();
+    const fromJSON = await new RAGRetriever({ rootDir: siteDir }).search(question, 5);
+    expect(isCoumarinRow(fromJSON[0])).toBe(true);
+    expect(fromJSON[0].matchedBy).toEqual(['coa', 'keyword']);
+
+    await new RAGSQLiteBuilder({ rootDir: siteDir, dbPath: join(siteDir, 'rag.sqlite'), embeddingProvider: new HashEmbeddingProvider() }).build();
+    const retriever = new RAGRetriever({ rootDir: siteDir });
+    const results = await retriever.search(question, 5);
+    expect(results).toHaveLength(5);
+    expect(isCoumarinRow(results[0])).toBe(true);
+    expect(results[0].matchedBy).toEqual(['coa', 'keyword', 'vector']);
+    expect(results[0].sectionAnchor).toBe('identified-compounds');
+
+    // Other questions about the compound are ranked as before
+    const smell = await retriever.search('what does coumarin smell like', 5);
+    expect(smell.some((r: any) => r.matchedBy.includes('coa'))).toBe(false);
+    retriever.close();
+  });
+});
+
+test.describe('Committed index', () => {
+  // Freshness against the pages is checked by npm run check:rag on deploy,
+  // so editing a page doesn't fail the tests
+  test('rag-index.json comes from the current extractor and links sections', () => {
+    const index = JSON.parse(readFileSync(join(process.cwd(), 'rag-index.json'), 'utf-8'));
+    expect(index.extractorVersion).toBe(ContentExtractor.VERSION);
+    expect(index).not.toHaveProperty('buildDate');
+    expect(index.pages.map((p: any) => p.url)).toEqual(expect.arrayContaining(['coa.html', 'ingredients.html', 'go-to-market.html']));
+
+    const sectionChunks = index.chunks.filter((chunk: any) => chunk.sectionHeading);
+    expect(sectionChunks.length).toBeGreaterThan(0);
+    expect(sectionChunks.filter((chunk: any) => !chunk.sectionAnchor).map((chunk: any) => chunk.id)).toEqual([]);
+  });
+
+  test('the index check passes for a fresh build and fails after a page edit', async () => {
+    const siteDir = mkdtempSync(join(tmpdir(), 'rag-check-'));
+    try {
+      for (const page of ['rag.config.json', 'index.html', 'about.html', 'compounds.html']) {
+        cpSync(join(process.cwd(), page), join(siteDir, page));
+      }
+      cpSync(join(process.cwd(), 'compounds'), join(siteDir, 'compounds'), { recursive: true });
+      const outputPath = join(siteDir, 'rag-index.json');
+      const check = () => new RAGBuilder({ rootDir: siteDir, outputPath, check: true }).build();
+
+      expect(await check()).toBe(false);
+      await new RAGBuilder({ rootDir: siteDir, outputPath }).build();
+      const built = readFileSync(outputPath, 'utf-8');
+      expect(await check()).toBe(true);
+
+      // Same pages, same file
+      await new RAGBuilder({ rootDir: siteDir, outputPath }).build();
+      expect(readFileSync(outputPath, 'utf-8')).toBe(built);
+
+      const eugenolPath = join(siteDir, 'compounds/eugenol.html');
+      writeFileSync(eugenolPath, readFileSync(eugenolPath, 'utf-8').replace('Eugenol is well-known for', 'Eugenol is best known for'));
+      expect(await check()).toBe(false);
+      expect(readFileSync(outputPath, 'utf-8')).toBe(built);
+    } finally {
+      rmSync(siteDir, { recursive: true, force: true });
+    }
+  });
+});
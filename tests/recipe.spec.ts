@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import RecipeComposer from '../lib/recipe-composer';
+import RecipeComposerTool from '../scripts/compose-recipe';
+import CoaTool from '../scripts/coa';
+
+// These tests run in Node.js only (no browser page)
+
+const ingredients = JSON.parse(readFileSync(join(process.cwd(), 'data/ingredients.json'), 'utf-8'));
+const coa = JSON.parse(readFileSync(join(process.cwd(), 'data/coa/TP-2024-001.json'), 'utf-8'));
+
+test.describe('Recipe composer', () => {
+  test('predicts concentrations with ranges and ingredient contributions', () => {
+    const composer = new RecipeComposer(ingredients);
+    const byName = (profile: any, name: string) => profile.compounds.find((c: any) => c.name === name);
+
+    // 10 g Ceylon cinnamon (500 μg/g eugenol) + 90 g flour, unbaked: 5000 μg / 100 g
+    const dough = composer.compose({
+      ingredients: [{ id: 'wheat-flour', amount: 90 }, { id: 'ceylon-cinnamon', amount: 10 }],
+      servingSize: 50
+    });
+    expect(dough).toMatchObject({ rawMass: 100, finishedMass: 100, baked: false });
+    expect(dough.ingredients.map((i: any) => i.percent)).toEqual([90, 10]);
+    expect(byName(dough, 'Eugenol')).toMatchObject({
+      concentration: { min: 20, typical: 50, max: 120 },
+      perServing: { min: 1, typical: 2.5, max: 6 },
+      retention: null,
+      contributions: [{ id: 'ceylon-cinnamon', name: 'Ceylon cinnamon (ground)', share: 100 }]
+    });
+
+    // Baking keeps 60–90% of eugenol, and 90 g of product remain
+    const baked = composer.compose({
+      ingredients: [{ id: 'wheat-flour', amount: 90 }, { id: 'ceylon-cinnamon', amount: 10 }],
+      baked: true,
+      yield: 0.9
+    });
+    expect(byName(baked, 'Eugenol')).toMatchObject({
+      concentration: { min: 13.33, typical: 41.67, max: 120 },
+      perServing: null,
+      retention: { min: 0.6, max: 0.9 }
+    });
+
+    // Eugenol from two ingredients
+    const spiced = composer.compose({ ingredients: [{ id: 'ceylon-cinnamon', amount: 10 }, { id: 'cloves', amount: 0.1 }] });
+    expect(byName(spiced, 'Eugenol').contributions).toEqual([
+      { id: 'cloves', name: 'Cloves (ground)', share: 73.7 },
+      { id: 'ceylon-cinnamon', name: 'Ceylon cinnamon (ground)', share: 26.3 }
+    ]);
+
+    expect(() => composer.compose({ ingredients: [] })).toThrow('A recipe needs at least one ingredient');
+    expect(() => composer.compose({ ingredients: [{ id: 'saffron', amount: 1 }] })).toThrow('Unknown ingredient: saffron');
+    expect(() => composer.compose({ ingredients: [{ id: 'sugar', amount: '0' }] })).toThrow('Amount of Sugar (sucrose) must be a positive number');
+  });
+
+  test('compares the default cinnamon roll with the measured CoA', () => {
+    const composer = new RecipeComposer(ingredients);
+    const profile = composer.compose(composer.recipe('cinnamon-roll'));
+    expect(profile.compounds[0]).toMatchObject({
+      name: 'Cinnamaldehyde',
+      concentration: { min: 93.02, typical: 217.7, max: 446.5 },
+      perServing: { typical: 17.42 }
+    });
+
+    const comparison = composer.compare(profile, coa);
+    const byName = (name: string) => comparison.compounds.find((c: any) => c.name === name);
+    expect(byName('Cinnamaldehyde')).toMatchObject({ measured: 245.3, ratio: 1.13, status: 'within' });
+    // The certificate has far less coumarin than cassia would give, and more eugenol
+    expect(byName('Coumarin').status).toBe('below');
+    expect(byName('Eugenol').status).toBe('above');
+    // Matched by CAS number across names
+    expect(byName('α-Pinene').measured).toBe(3.2);
+    expect(byName('Thymol')).toMatchObject({ predicted: null, status: 'unpredicted' });
+    expect(byName('δ-Decalactone')).toMatchObject({ measured: null, status: 'undetected' });
+    expect(comparison.summary).toEqual({ within: 4, below: 1, above: 6, unpredicted: 6, undetected: 3 });
+
+    expect(() => composer.compare(profile, { ...coa, concentrationUnit: 'ng/g' })).toThrow('Concentrations must be in μg/g or mg/kg');
+  });
+
+  test('exports CSV rows and embeds the composer in the Ingredients tab', () => {
+    const tool = new RecipeComposerTool();
+    const rows = tool.rows(tool.run('cinnamon-roll', { coa }));
+    expect(rows[0]).toEqual([
+      'Compound', 'CAS', 'Min (μg/g)', 'Typical (μg/g)', 'Max (μg/g)', 'Per Serving (mg)', 'Sources', 'Measured (μg/g)', 'Status'
+    ]);
+    expect(rows[1]).toEqual(['Cinnamaldehyde', '104-55-2', 93.02, 217.7, 446.5, 17.42, 'Cassia cinnamon (ground) 100%', 245.3, 'within']);
+    expect(() => tool.run('brioche')).toThrow('Unknown recipe: brioche (use cinnamon-roll)');
+
+    const html = new CoaTool().renderPage([
+      '<section>',
+      '    <!-- composer:begin data/coa/TP-2024-001.json -->',
+      '    <!-- composer:end -->',
+      '</section>'
+    ].join('\n'));
+    const data = JSON.parse(html.match(/<script type="application\/json" class="composer-data">(.*)<\/script>/)![1]);
+    expect(data.recipes.map((r: any) => r.id)).toEqual(['cinnamon-roll']);
+    expect(data.coa.compounds[0]).toEqual({ name: 'Cinnamaldehyde', cas: '104-55-2', page: 'compounds/cinnamaldehyde.html', concentration: 245.3 });
+    for (const page of ['cinnamon-roll-tabs.html', 'ingredients.html']) {
+      expect(readFileSync(join(process.cwd(), page), 'utf-8')).toContain(html.split('\n')[3].trim());
+    }
+  });
+});
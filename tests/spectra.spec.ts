@@ -0,0 +1,80 @@
+import { test, expect } from '@playwright/test';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import SpectralLibrary from '../lib/spectral-match';
+import SpectrumMatcher from '../scripts/match-spectrum';
+import CertificateOfAnalysis from '../lib/coa';
+
+// These tests run in Node.js only (no browser page)
+
+const unknowns = readFileSync(join(process.cwd(), 'tests/fixtures/spectra/unknowns.msp'), 'utf-8');
+
+test.describe('Spectral library matching', () => {
+  test('covers the compounds on the CoA', () => {
+    const library = new SpectralLibrary();
+    const coa = CertificateOfAnalysis.fromJSON(readFileSync(join(process.cwd(), 'data/coa/TP-2024-001.json'), 'utf-8'));
+
+    for (const compound of coa.compounds) {
+      expect(library.find(compound.page || compound.name), compound.name).not.toBeNull();
+    }
+    // A library spectrum matches itself perfectly
+    const eugenol = library.find('97-53-0');
+    expect(library.match(eugenol.peaks)[0]).toMatchObject({ id: 'eugenol', matchFactor: 999, reverseMatchFactor: 999 });
+  });
+
+  test('ranks noisy unknowns and uses the reverse match for co-eluting peaks', () => {
+    const library = new SpectralLibrary();
+    const [cinnamaldehyde, coumarin] = SpectralLibrary.parseSpectra(unknowns);
+
+    expect(cinnamaldehyde.name).toBe('Peak 8 (RT 12.45 min)');
+    expect(cinnamaldehyde.peaks).toHaveLength(14);
+
+    const hits = library.match(cinnamaldehyde.peaks, { top: 3 });
+    expect(hits.map((h: any) => h.id)[0]).toBe('cinnamaldehyde');
+    expect(hits[0].matchFactor).toBeGreaterThan(850);
+    expect(hits[0].matchFactor - hits[1].matchFactor).toBeGreaterThan(400);
+    expect(hits[0].matchQuality).toBe(hits[0].matchFactor / 10);
+
+    // m/z 73 and 207 (siloxane bleed) cost the forward match, not the reverse match
+    const [coumarinHit] = library.match(coumarin.peaks);
+    expect(coumarinHit.id).toBe('coumarin');
+    expect(coumarinHit.reverseMatchFactor).toBeGreaterThan(950);
+    expect(coumarinHit.matchFactor).toBeLessThan(coumarinHit.reverseMatchFactor - 200);
+
+    // Molecular ion cluster against the isotope pattern of C9H6O2
+    expect(coumarinHit.isotopes).toEqual({
+      formula: 'C9H6O2',
+      monoisotopicMass: 146.0368,
+      molecularIon: 146,
+      molecularIonIntensity: 100,
+      peaks: [
+        { label: 'M+1', mz: 147, predicted: 9.9, observed: 9.5 },
+        { label: 'M+2', mz: 148, predicted: 0.9, observed: null }
+      ]
+    });
+  });
+
+  test('reads plain and JSON spectra and merges them to unit mass', () => {
+    expect(SpectralLibrary.parseSpectra('m/z\tabundance\n41\t500\n150,999\n')).toEqual([
+      { name: null, peaks: [[41, 500], [150, 999]] }
+    ]);
+    expect(SpectralLibrary.parseSpectra('{"name": "Peak 2", "peaks": [[93.1, 40]]}')[0].name).toBe('Peak 2');
+
+    const spectrum = SpectralLibrary.normalizeSpectrum([[92.9, 100], [93.1, 100], [136.0, 50], [40, 0]]);
+    expect([...spectrum.entries()]).toEqual([[93, 999], [136, 249.75]]);
+  });
+
+  test('flags certificate match qualities the spectrum does not support', () => {
+    const matcher = new SpectrumMatcher();
+    const results = matcher.matchFile(join(process.cwd(), 'tests/fixtures/spectra/unknowns.msp'), { top: 3 });
+    const coa = CertificateOfAnalysis.fromJSON({
+      certificateNumber: 'T',
+      compounds: [{ name: 'Cinnamaldehyde', matchQuality: 88.0, page: 'compounds/cinnamaldehyde.html' }]
+    });
+
+    expect(matcher.printResult(results[0], { expect: 'cinnamaldehyde', coa })).toBe(true);
+    expect(matcher.printResult(results[0], { expect: 'eugenol' })).toBe(false);
+    coa.compounds[0].matchQuality = 98.2;
+    expect(matcher.printResult(results[0], { coa })).toBe(false);
+  });
+});
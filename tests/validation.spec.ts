@@ -296,7 +296,7 @@ test.describe('Terpedia Site Validation', () => {
     }
   });
 
-  test('CoA tab has current date script', async ({ page }) => {
+  test('CoA tab shows the certificate date', async ({ page }) => {
     await page.goto('file://' + join(process.cwd(), 'cinnamon-roll-tabs.html'));
     
     // Click on GCMS CoA tab
@@ -306,12 +306,12 @@ test.describe('Terpedia Site Validation', () => {
     // Verify CoA tab is active
     await expect(page.locator('#coa.tab-content.active')).toBeVisible();
     
-    // Check that date element has content
-    const dateElement = page.locator('#current-date');
-    await expect(dateElement).toBeVisible();
-    const dateText = await dateElement.textContent();
-    expect(dateText).toBeTruthy();
-    expect(dateText?.length).toBeGreaterThan(0);
+    // The date comes from data/coa/*.json ("—" when none is recorded), not from the viewer's clock
+    const dateCell = page.locator('#coa .info-table td:has-text("Date:") + td');
+    await expect(dateCell).toBeVisible();
+    const dateText = await dateCell.textContent();
+    expect(dateText?.trim().length).toBeGreaterThan(0);
+    await expect(page.locator('#current-date')).toHaveCount(0);
   });
 
   test('All compound pages have navigation to Cinnamon Roll', async ({ page }) => {